@@ -0,0 +1,206 @@
+/**
+ * Servidor de eventos en vivo para desarrollo.
+ *
+ * Reparte entre los navegadores conectados los cambios que publica cada uno
+ * (REACT_APP_LIVE_PUBLISH=true), para probar las actualizaciones en vivo sin un backend
+ * que las emita. Ofrece los dos transportes que admite `src/api/live.js`:
+ * - SSE: `GET /events` recibe los eventos y `POST /events` los publica.
+ * - WebSocket: `/ws` recibe y publica por la misma conexión.
+ *
+ * Uso: `npm run live-server` (puerto 4001, o el de LIVE_PORT) y en `.env`:
+ *   REACT_APP_LIVE_URL=http://localhost:4001
+ *   REACT_APP_LIVE_PUBLISH=true
+ *
+ * No valida el token de acceso ni guarda los eventos: es solo un repetidor.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+
+const PORT = Number(process.env.LIVE_PORT) || 4001;
+// Constante del protocolo WebSocket para calcular Sec-WebSocket-Accept (RFC 6455)
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const HEARTBEAT_INTERVAL = 25000;
+
+// Clientes conectados: respuestas SSE y sockets WebSocket
+const sseClients = new Set();
+const wsClients = new Set();
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
+
+/**
+ * Arma una trama WebSocket (sin máscara, como las envía un servidor).
+ *
+ * @param {string} text - Mensaje.
+ * @param {number} [opcode] - Tipo de trama: texto por defecto; cierre (0x8) o pong (0xa).
+ * @returns {Buffer}
+ */
+const encodeFrame = (text, opcode = 0x1) => {
+  const payload = Buffer.from(text);
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header.writeUInt8(0x80 | opcode, 0);
+    header.writeUInt8(126, 1);
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header.writeUInt8(0x80 | opcode, 0);
+    header.writeUInt8(127, 1);
+    // Longitud de 64 bits: la parte alta siempre es 0 para mensajes de este tamaño
+    header.writeUInt32BE(0, 2);
+    header.writeUInt32BE(payload.length, 6);
+  }
+  return Buffer.concat([header, payload]);
+};
+
+/**
+ * Lee las tramas completas del buffer. Las tramas de los navegadores siempre llevan máscara.
+ *
+ * @param {Buffer} buffer - Datos recibidos.
+ * @returns {{frames: Array<{opcode: number, payload: Buffer}>, rest: Buffer}}
+ */
+const decodeFrames = (buffer) => {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0f;
+    const masked = Boolean(buffer[offset + 1] & 0x80);
+    let length = buffer[offset + 1] & 0x7f;
+    let cursor = offset + 2;
+    if (length === 126) {
+      if (buffer.length < cursor + 2) break;
+      length = buffer.readUInt16BE(cursor);
+      cursor += 2;
+    } else if (length === 127) {
+      if (buffer.length < cursor + 8) break;
+      length = buffer.readUInt32BE(cursor) * 2 ** 32 + buffer.readUInt32BE(cursor + 4);
+      cursor += 8;
+    }
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length < cursor + maskLength + length) break;
+    const mask = buffer.subarray(cursor, cursor + maskLength);
+    const payload = Buffer.from(buffer.subarray(cursor + maskLength, cursor + maskLength + length));
+    if (masked) {
+      for (let i = 0; i < payload.length; i += 1) payload[i] ^= mask[i % 4];
+    }
+    frames.push({ opcode, payload });
+    offset = cursor + maskLength + length;
+  }
+  return { frames, rest: buffer.subarray(offset) };
+};
+
+/**
+ * Reenvía un evento a todos los clientes menos al que lo publicó.
+ *
+ * @param {string} message - Evento en JSON.
+ * @param {Object} [sender] - Cliente que lo publicó.
+ */
+const broadcast = (message, sender) => {
+  sseClients.forEach((res) => {
+    if (res !== sender) res.write(`data: ${message}\n\n`);
+  });
+  wsClients.forEach((socket) => {
+    if (socket !== sender) socket.write(encodeFrame(message));
+  });
+  console.log(`Evento reenviado a ${sseClients.size + wsClients.size - (sender ? 1 : 0)} clientes: ${message}`);
+};
+
+// Acepta solo JSON válido, para no repartir basura a los navegadores
+const parseEvent = (text) => {
+  try {
+    return JSON.stringify(JSON.parse(text));
+  } catch (error) {
+    return null;
+  }
+};
+
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+
+  if (pathname === '/events' && req.method === 'GET') {
+    res.writeHead(200, {
+      ...CORS_HEADERS,
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.write(': conectado\n\n');
+    sseClients.add(res);
+    req.on('close', () => sseClients.delete(res));
+    return;
+  }
+
+  if (pathname === '/events' && req.method === 'POST') {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const message = parseEvent(body);
+      res.writeHead(message ? 202 : 400, CORS_HEADERS);
+      res.end();
+      if (message) broadcast(message);
+    });
+    return;
+  }
+
+  res.writeHead(404, CORS_HEADERS);
+  res.end();
+});
+
+server.on('upgrade', (req, socket) => {
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+  const key = req.headers['sec-websocket-key'];
+  if (pathname !== '/ws' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+
+  const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    '',
+  ].join('\r\n'));
+  wsClients.add(socket);
+
+  let pending = Buffer.alloc(0);
+  socket.on('data', (chunk) => {
+    const { frames, rest } = decodeFrames(Buffer.concat([pending, chunk]));
+    pending = rest;
+    frames.forEach(({ opcode, payload }) => {
+      if (opcode === 0x1) {
+        const message = parseEvent(payload.toString());
+        if (message) broadcast(message, socket);
+      } else if (opcode === 0x8) {
+        socket.end(encodeFrame('', 0x8));
+      } else if (opcode === 0x9) {
+        socket.write(encodeFrame(payload.toString(), 0xa));
+      }
+    });
+  });
+  const remove = () => wsClients.delete(socket);
+  socket.on('close', remove);
+  socket.on('error', remove);
+});
+
+// Comentarios periódicos para que los proxies no corten las conexiones SSE inactivas
+setInterval(() => sseClients.forEach((res) => res.write(': ping\n\n')), HEARTBEAT_INTERVAL);
+
+server.listen(PORT, () => {
+  console.log(`Servidor de eventos en vivo en http://localhost:${PORT} (SSE en /events, WebSocket en /ws)`);
+});
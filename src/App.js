@@ -1,38 +1,65 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { BrowserRouter as Router, Route, Routes, Link } from 'react-router-dom';
 import {
   Container, AppBar, Toolbar, Typography, Button, Box,
   ThemeProvider, createTheme, CssBaseline, useMediaQuery,
-  IconButton, Drawer, List, ListItem, ListItemText
+  IconButton, Drawer, List, ListItem, ListItemText, Alert
 } from '@mui/material';
+import { enUS, esES } from '@mui/material/locale';
 import MenuIcon from '@mui/icons-material/Menu';
 import { styled } from '@mui/system';
-import Estudiantes from './components/Estudiantes';
-import Cursos from './components/Cursos';
-import Inscripciones from './components/Inscripciones';
-import Profesores from './components/Profesores';
-import api from './api/api';
-
-// Crear un tema personalizado para la aplicación
-const theme = createTheme({
-  palette: {
-    mode: 'dark', // Establecer el modo de tema a oscuro
-    primary: {
-      main: '#1976d2', // Color primario
-    },
-    secondary: {
-      main: '#4caf50', // Color secundario
-    },
-    background: {
-      paper: '#303030', // Fondo oscuro para los componentes
-      default: '#202020', // Fondo más oscuro para la aplicación
-    },
-  },
-  typography: {
-    fontFamily: 'Roboto, Arial, sans-serif', // Fuente personalizada
-  },
+import EntityCrudPage from './components/EntityCrudPage';
+import CursoDetailPage from './components/CursoDetailPage';
+import EstudianteDetailPage from './components/EstudianteDetailPage';
+import TrashPage from './components/TrashPage';
+import NotFoundPage from './components/NotFoundPage';
+import ErrorBoundary from './components/ErrorBoundary';
+import EnvironmentSelector from './components/EnvironmentSelector';
+import LanguageSelector from './components/LanguageSelector';
+import ThemeSelector from './components/ThemeSelector';
+import WakeUpBanner from './components/WakeUpBanner';
+import Notifications from './components/Notifications';
+import GlobalSearch from './components/GlobalSearch';
+import OutboxPanel from './components/OutboxPanel';
+import Login from './components/Login';
+import RequireAuth from './components/RequireAuth';
+import UserMenu from './components/UserMenu';
+import Can from './components/Can';
+import { useAuth } from './context/AuthContext';
+import usePermissions from './hooks/usePermissions';
+import ConnectionStatus from './components/ConnectionStatus';
+import { connectionStatus } from './api/connection';
+import { startHealthMonitor } from './api/health';
+import { startLiveUpdates } from './api/live';
+import { useStore } from './utils/store';
+import { ENTITIES } from './entities';
+import { useTranslation } from './i18n';
+import { useAppTheme } from './theme';
+
+// Textos de los componentes de Material-UI (paginación, etc.) en cada idioma
+const MUI_LOCALES = { es: esES, en: enUS };
+
+// Crea la sección de una entidad; la `key` evita que una sección conserve el estado de otra.
+// `label` es la clave del nombre de la sección en los catálogos
+const section = (resource) => ({
+  label: `app.sections.${resource}`,
+  path: `/${resource}`,
+  resource,
+  element: <EntityCrudPage key={resource} entity={ENTITIES[resource]} />,
 });
 
+// Secciones de la aplicación; cada una se muestra solo a quien puede ver su recurso
+const SECTIONS = [
+  section('estudiantes'),
+  section('cursos'),
+  section('inscripciones'),
+  section('profesores'),
+];
+
+// Envuelve la pantalla de una ruta en su propio límite de errores: si falla, el resto de la
+// aplicación sigue funcionando. La `key` evita que una ruta herede el error de otra
+const guarded = (path, element) => <ErrorBoundary key={path}>{element}</ErrorBoundary>;
+
 // Estilizar el contenedor principal de la aplicación
 const MainContainer = styled(Container)(({ theme }) => ({
   marginTop: theme.spacing(4), // Margen superior
@@ -48,69 +75,73 @@ const NavButton = styled(Button)(({ theme }) => ({
 }));
 
 function App() {
+  // Tema elegido por el usuario (claro, oscuro, alto contraste o el del sistema)
+  const theme = useAppTheme();
+  // Idioma de la interfaz; el tema incluye los textos de Material-UI en ese idioma
+  const { t, locale } = useTranslation();
+  const localizedTheme = useMemo(() => createTheme(theme, MUI_LOCALES[locale]), [theme, locale]);
   // Estado para controlar el Drawer en dispositivos móviles
   const [mobileOpen, setMobileOpen] = useState(false);
   // Verifica si la pantalla es móvil
   const isMobile = useMediaQuery(theme.breakpoints.down('sm'));
-  // Estado para la conexión con la API
-  const [isApiOnline, setIsApiOnline] = useState(false);
+  // Estado de la conexión con la API, compartido con la bandeja de salida
+  const { online, checked } = useStore(connectionStatus);
+  // Sesión del usuario: sin sesión solo se muestra la pantalla de inicio de sesión
+  const { isAuthenticated } = useAuth();
+  // La papelera se muestra a quien puede restaurar (volver a crear) algún tipo de registro
+  const { can } = usePermissions();
+  const canRestore = Object.keys(ENTITIES).some((resource) => can('create', resource));
+  // Secciones a las que puede ir el usuario, para las acciones de la búsqueda global
+  const sections = [
+    ...SECTIONS.filter((section) => can('view', section.resource)),
+    ...(canRestore ? [{ label: 'app.sections.papelera', path: '/papelera' }] : []),
+  ].map((section) => ({ label: t(section.label), path: section.path }));
 
   // Función para alternar el estado del Drawer
   const handleDrawerToggle = () => {
     setMobileOpen(!mobileOpen);
   };
 
-  // Función para verificar la conexión con la API
-  const checkApiConnection = async () => {
-    try {
-      const response = await api.get('/cursos'); // Cambia la URL a tu endpoint de prueba
-      if (response) {
-        setIsApiOnline(true); // API disponible
-      } else {
-        setIsApiOnline(false); // API no disponible
-      }
-    } catch (error) {
-      console.error('Error al verificar la conexión:', error);
-      setIsApiOnline(false); // Error en la conexión
-    }
-  };
+  // Hook para verificar la conexión a la API: el monitor de salud ajusta solo la frecuencia
+  // (se pausa con la pestaña oculta y espacia las verificaciones mientras la API no responde)
+  useEffect(() => startHealthMonitor(), []);
 
-  // Hook para verificar la conexión a la API periódicamente
-  useEffect(() => {
-    checkApiConnection(); // Verifica inicialmente
-
-    const intervalId = setInterval(checkApiConnection, 5000); // Verifica cada 5 segundos
-
-    // Limpieza al desmontar el componente
-    return () => clearInterval(intervalId);
-  }, []);
+  // Suscripción a los cambios de otros usuarios, solo con sesión (el servidor pide el token)
+  useEffect(() => (isAuthenticated ? startLiveUpdates() : undefined), [isAuthenticated]);
 
   // Contenido del Drawer para navegación
   const drawer = (
     <Box onClick={handleDrawerToggle} sx={{ textAlign: 'center' }}>
       <Typography variant="h6" sx={{ my: 2 }}>
-        Gestión Educativa
+        {t('app.title')}
       </Typography>
       <List>
-        {['Estudiantes', 'Cursos', 'Inscripciones', 'Profesores'].map((text) => (
-          <ListItem key={text} component={Link} to={`/${text.toLowerCase()}`}>
-            <ListItemText primary={text} />
-          </ListItem>
+        {SECTIONS.map((section) => (
+          <Can key={section.path} action="view" resource={section.resource}>
+            <ListItem component={Link} to={section.path}>
+              <ListItemText primary={t(section.label)} />
+            </ListItem>
+          </Can>
         ))}
+        {canRestore && (
+          <ListItem component={Link} to="/papelera">
+            <ListItemText primary={t('app.sections.papelera')} />
+          </ListItem>
+        )}
       </List>
     </Box>
   );
 
   return (
-    <ThemeProvider theme={theme}>
-      <CssBaseline />
+    <ThemeProvider theme={localizedTheme}>
+      <CssBaseline enableColorScheme />
       <Router basename={process.env.PUBLIC_URL}>
         <AppBar position="static">
           <Toolbar>
-            {isMobile && (
+            {isMobile && isAuthenticated && (
               <IconButton
                 color="inherit"
-                aria-label="open drawer"
+                aria-label={t('app.openMenu')}
                 edge="start"
                 onClick={handleDrawerToggle}
                 sx={{ mr: 2 }}
@@ -120,40 +151,57 @@ function App() {
             )}
             <Typography variant="h6" component="div" sx={{ flexGrow: 1 }}>
               <Link to="/" style={{ textDecoration: 'none', color: 'inherit' }}>
-                Gestión Educativa
+                {t('app.title')}
               </Link>
             </Typography>
 
             {/* Botones de navegación en la barra, alineados a la derecha */}
-            {!isMobile && (
+            {!isMobile && isAuthenticated && (
               <Box>
-                <NavButton color="inherit" component={Link} to="/estudiantes">
-                  Estudiantes
-                </NavButton>
-                <NavButton color="inherit" component={Link} to="/cursos">
-                  Cursos
-                </NavButton>
-                <NavButton color="inherit" component={Link} to="/inscripciones">
-                  Inscripciones
-                </NavButton>
-                <NavButton color="inherit" component={Link} to="/profesores">
-                  Profesores
-                </NavButton>
+                {SECTIONS.map((section) => (
+                  <Can key={section.path} action="view" resource={section.resource}>
+                    <NavButton color="inherit" component={Link} to={section.path}>
+                      {t(section.label)}
+                    </NavButton>
+                  </Can>
+                ))}
+                {canRestore && (
+                  <NavButton color="inherit" component={Link} to="/papelera">{t('app.sections.papelera')}</NavButton>
+                )}
               </Box>
             )}
 
-            {/* Indicador de estado de conexión con la API */}
-            <Box
-              sx={{
-                width: 21,
-                height: 21,
-                borderRadius: '50%',
-                backgroundColor: isApiOnline ? 'green' : 'red', // Verde si está en línea, rojo si no
-              }}
-            />
+            {/* Búsqueda en todas las secciones y acciones rápidas (Ctrl+K) */}
+            {isAuthenticated && <GlobalSearch sections={sections} />}
+
+            {/* Operaciones pendientes de envío */}
+            <OutboxPanel />
+
+            {/* Idioma de la interfaz */}
+            <LanguageSelector />
+
+            {/* Tema claro, oscuro o de alto contraste */}
+            <ThemeSelector />
+
+            {/* Selector del backend activo */}
+            <EnvironmentSelector />
+
+            {/* Usuario de la sesión y cierre de sesión */}
+            <UserMenu />
+
+            {/* Indicador de estado de conexión con la API; al hacer clic muestra el detalle */}
+            <ConnectionStatus />
           </Toolbar>
         </AppBar>
 
+        {/* Aviso mientras el servidor despierta de la suspensión */}
+        <WakeUpBanner />
+
+        {/* Aviso de modo sin conexión */}
+        {checked && !online && (
+          <Alert severity="warning" square>{t('app.offline')}</Alert>
+        )}
+
         {/* Contenedor para el Drawer en dispositivos móviles */}
         <Box component="nav">
           <Drawer
@@ -174,41 +222,91 @@ function App() {
 
         <MainContainer>
           <Routes>
-            {/* Ruta principal */}
-            <Route
-              path="/"
-              element={
-                <Box sx={{ textAlign: 'center' }}>
-                  <Typography variant="h3" component="h1" gutterBottom>
-                    ¡Bienvenido a Gestión Educativa!
-                  </Typography>
-                  <Typography variant="h6" component="p" gutterBottom>
-                    Elige una de las secciones a continuación:
-                  </Typography>
-                  <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center' }}>
-                    <NavButton variant="contained" color="primary" component={Link} to="/estudiantes">
-                      Estudiantes
-                    </NavButton>
-                    <NavButton variant="contained" color="primary" component={Link} to="/cursos">
-                      Cursos
-                    </NavButton>
-                    <NavButton variant="contained" color="primary" component={Link} to="/inscripciones">
-                      Inscripciones
-                    </NavButton>
-                    <NavButton variant="contained" color="primary" component={Link} to="/profesores">
-                      Profesores
-                    </NavButton>
+            {/* Inicio de sesión, la única ruta pública */}
+            <Route path="/login" element={guarded('/login', <Login />)} />
+
+            {/* El resto de las rutas requieren una sesión iniciada */}
+            <Route element={<RequireAuth />}>
+              {/* Ruta principal */}
+              <Route
+                path="/"
+                element={guarded('/', (
+                  <Box sx={{ textAlign: 'center' }}>
+                    <Typography variant="h3" component="h1" gutterBottom>
+                      {t('app.welcome')}
+                    </Typography>
+                    <Typography variant="h6" component="p" gutterBottom>
+                      {t('app.chooseSection')}
+                    </Typography>
+                    <Box sx={{ display: 'flex', flexDirection: 'column', alignItems: 'center' }}>
+                      {SECTIONS.map((section) => (
+                        <Can key={section.path} action="view" resource={section.resource}>
+                          <NavButton variant="contained" color="primary" component={Link} to={section.path}>
+                            {t(section.label)}
+                          </NavButton>
+                        </Can>
+                      ))}
+                    </Box>
                   </Box>
-                </Box>
-              }
-            />
-            {/* Rutas para cada sección */}
-            <Route path="/estudiantes" element={<Estudiantes />} />
-            <Route path="/cursos" element={<Cursos />} />
-            <Route path="/inscripciones" element={<Inscripciones />} />
-            <Route path="/profesores" element={<Profesores />} />
+                ))}
+              />
+              {/* Rutas para cada sección, accesibles solo con permiso de lectura */}
+              {SECTIONS.map((section) => (
+                <Route
+                  key={section.path}
+                  path={section.path}
+                  element={guarded(section.path, (
+                    <Can
+                      action="view"
+                      resource={section.resource}
+                      fallback={<Alert severity="warning">{t('app.forbidden')}</Alert>}
+                    >
+                      {section.element}
+                    </Can>
+                  ))}
+                />
+              ))}
+              {/* Página de un estudiante, con sus inscripciones y notas */}
+              <Route
+                path="/estudiantes/:id"
+                element={guarded('/estudiantes/:id', (
+                  <Can
+                    action="view"
+                    resource="estudiantes"
+                    fallback={<Alert severity="warning">{t('app.forbidden')}</Alert>}
+                  >
+                    <EstudianteDetailPage />
+                  </Can>
+                ))}
+              />
+              {/* Página de un curso, con sus inscriptos y estadísticas */}
+              <Route
+                path="/cursos/:id"
+                element={guarded('/cursos/:id', (
+                  <Can
+                    action="view"
+                    resource="cursos"
+                    fallback={<Alert severity="warning">{t('app.forbidden')}</Alert>}
+                  >
+                    <CursoDetailPage />
+                  </Can>
+                ))}
+              />
+              {/* Registros eliminados hace poco, para restaurarlos */}
+              <Route
+                path="/papelera"
+                element={guarded('/papelera', (
+                  canRestore ? <TrashPage /> : <Alert severity="warning">{t('app.forbidden')}</Alert>
+                ))}
+              />
+              {/* Cualquier otra dirección */}
+              <Route path="*" element={guarded('*', <NotFoundPage />)} />
+            </Route>
           </Routes>
         </MainContainer>
+
+        {/* Notificaciones de las operaciones, de a una */}
+        <Notifications />
       </Router>
     </ThemeProvider>
   );
@@ -1,8 +1,39 @@
-import { render, screen } from '@testing-library/react';
+import { act, render, screen, waitFor } from '@testing-library/react';
 import App from './App';
+import api from './api/api';
+import { login, logout } from './api/auth';
+import { connectionStatus } from './api/connection';
+import { createMockAdapter } from './api/mockAdapter';
+import { AuthProvider } from './context/AuthContext';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// Renderiza la aplicación y espera la primera verificación de la conexión
+const renderApp = async () => {
+  render(
+    <AuthProvider>
+      <App />
+    </AuthProvider>
+  );
+  await waitFor(() => expect(connectionStatus.getState().checked).toBe(true));
+};
+
+beforeEach(() => {
+  api.defaults.adapter = createMockAdapter();
+});
+
+afterEach(() => logout());
+
+test('sin sesión muestra la pantalla de inicio de sesión', async () => {
+  await renderApp();
+
+  expect(await screen.findByRole('heading', { name: 'Iniciar sesión' })).toBeInTheDocument();
+});
+
+test('con sesión muestra las secciones y al cerrarla vuelve al inicio de sesión', async () => {
+  await login({ username: 'admin', password: 'admin123' });
+  await renderApp();
+
+  expect((await screen.findAllByRole('link', { name: 'Estudiantes' })).length).toBeGreaterThan(0);
+
+  await act(() => logout());
+  expect(await screen.findByRole('heading', { name: 'Iniciar sesión' })).toBeInTheDocument();
 });
@@ -2,26 +2,89 @@
  * Importa la biblioteca Axios para realizar solicitudes HTTP.
  */
 import axios from 'axios';
+import { getActiveEnvironment, subscribeEnvironment } from './config';
+import { createMockAdapter } from './mockAdapter';
+import { installAuth } from './auth';
+import { installRetry } from './retry';
 
 /**
  * Crea una instancia de Axios con la configuración de base URL.
- * 
- * @param {string} baseURL - La URL base para realizar solicitudes HTTP.
- * 
+ *
+ * La URL base se toma del entorno activo (ver `config.js`), por lo que puede
+ * venir de variables de entorno, de `public/config.json` o del selector de entorno.
+ *
  * @returns {object} La instancia de Axios configurada.
  */
 const api = axios.create({
   /**
    * La URL base para realizar solicitudes HTTP.
-   * 
+   *
    * @type {string}
    */
-  baseURL: 'https://tpuniv.onrender.com/', 
+  baseURL: getActiveEnvironment().baseURL,
+
+  /**
+   * Tiempo máximo de espera de cada intento, en milisegundos (REACT_APP_API_TIMEOUT).
+   * Al agotarse se considera que el servidor está despertando y se reintenta.
+   *
+   * @type {number}
+   */
+  timeout: Number(process.env.REACT_APP_API_TIMEOUT ?? 20000),
+});
+
+/**
+ * Adaptador de red original de Axios, usado por los entornos reales.
+ */
+const networkAdapter = api.defaults.adapter;
+
+/**
+ * Backend simulado en memoria, usado por el entorno "Simulado".
+ * La latencia (ms) y la tasa de fallas (0 a 1) se configuran con
+ * REACT_APP_MOCK_LATENCY y REACT_APP_MOCK_FAILURE_RATE.
+ *
+ * @type {Function}
+ */
+export const mockAdapter = createMockAdapter({
+  latency: Number(process.env.REACT_APP_MOCK_LATENCY ?? 300),
+  failureRate: Number(process.env.REACT_APP_MOCK_FAILURE_RATE ?? 0),
+  requireAuth: true,
+});
+
+/**
+ * Aplica la URL base y el adaptador del entorno indicado.
+ *
+ * @param {{baseURL: string, mock?: boolean}} environment - Entorno a aplicar.
+ * @returns {void}
+ */
+const applyEnvironment = (environment) => {
+  api.defaults.baseURL = environment.baseURL;
+  api.defaults.adapter = environment.mock ? mockAdapter : networkAdapter;
+};
+
+applyEnvironment(getActiveEnvironment());
+
+/**
+ * Mantiene la URL base y el adaptador sincronizados cuando cambia el entorno
+ * activo o cuando termina de leerse `config.json`.
+ */
+subscribeEnvironment(applyEnvironment);
+
+/**
+ * Agrega el token de la sesión y lo renueva cuando vence. Con REACT_APP_AUTH_MOCK=true
+ * el login se resuelve con el backend simulado aunque el entorno activo sea uno real.
+ */
+installAuth(api, {
+  adapter: process.env.REACT_APP_AUTH_MOCK === 'true' ? mockAdapter : undefined,
 });
 
+/**
+ * Reintenta las solicitudes idempotentes y detecta el arranque en frío del servidor.
+ */
+installRetry(api);
+
 /**
  * Exporta la instancia de Axios configurada.
- * 
+ *
  * @type {object}
  */
-export default api;
\ No newline at end of file
+export default api;
@@ -0,0 +1,235 @@
+/**
+ * Sesión del usuario y autenticación de las solicitudes.
+ *
+ * La sesión (usuario, token de acceso y token de renovación) se guarda en localStorage
+ * para sobrevivir a una recarga, una por entorno: los tokens que emite un backend nunca se
+ * envían a otro, y al volver a un entorno se recupera su sesión. Los interceptores que instala `installAuth`:
+ * - Agregan `Authorization: Bearer <token>` a cada solicitud.
+ * - Ante un 401 renuevan el token de acceso una sola vez (aunque fallen varias solicitudes
+ *   a la vez) y repiten la solicitud. Si la renovación falla, la sesión se cierra marcada
+ *   como vencida y las rutas protegidas redirigen al login.
+ *
+ * Los endpoints de autenticación se piden a la misma API, salvo que se configure otra URL
+ * con REACT_APP_AUTH_URL (o `authURL` en `config.json`). Con REACT_APP_AUTH_MOCK=true se
+ * resuelven con el backend simulado aunque el entorno activo sea uno real.
+ *
+ * Una solicitud puede omitir el token y la renovación con `{ skipAuth: true }`.
+ */
+
+import { getActiveEnvironment, getConfigValue, subscribeEnvironment } from './config';
+import { normalizeError } from './errors';
+import { clearQueries } from './queryCache';
+import { createStore } from '../utils/store';
+
+const STORAGE_KEY = 'unifront.session';
+
+const EMPTY_SESSION = { user: null, accessToken: null, refreshToken: null };
+
+// Entorno al que pertenece la sesión en memoria
+let sessionEnvironment = getActiveEnvironment().id;
+
+/**
+ * Clave de localStorage de la sesión del entorno activo.
+ *
+ * @function sessionKey
+ * @returns {string} Por ejemplo `unifront.session:produccion`.
+ */
+const sessionKey = () => `${STORAGE_KEY}:${sessionEnvironment}`;
+
+/**
+ * Lee la sesión del entorno activo guardada en localStorage.
+ *
+ * @function readSession
+ * @returns {{user: (Object|null), accessToken: (string|null), refreshToken: (string|null)}}
+ */
+const readSession = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(sessionKey()));
+    return saved && saved.accessToken ? { ...EMPTY_SESSION, ...saved } : EMPTY_SESSION;
+  } catch (error) {
+    return EMPTY_SESSION;
+  }
+};
+
+/**
+ * Estado de la sesión compartido con la interfaz.
+ * - user: Datos del usuario autenticado, o null.
+ * - accessToken, refreshToken: Tokens vigentes, o null.
+ * - expired: true si la sesión se cerró porque no se pudo renovar.
+ *
+ * @type {Object}
+ */
+export const authSession = createStore({ ...readSession(), expired: false });
+
+/**
+ * Clave con la que se guardan los datos locales del usuario, como la bandeja de salida o la
+ * papelera: cada usuario de cada entorno tiene los suyos.
+ *
+ * @function storageScope
+ * @returns {string} Por ejemplo `produccion:7`, o `produccion:` sin sesión.
+ */
+export const storageScope = () => `${getActiveEnvironment().id}:${authSession.getState().user?.id ?? ''}`;
+
+/**
+ * Al cambiar de entorno se usa la sesión guardada para el nuevo, si hay una, y se descartan
+ * las listas en caché, que son del backend anterior.
+ */
+subscribeEnvironment(({ id }) => {
+  if (id === sessionEnvironment) return;
+  sessionEnvironment = id;
+  clearQueries();
+  authSession.setState({ ...readSession(), expired: false });
+});
+
+// Instancia de Axios y adaptador usados para los endpoints de autenticación (ver installAuth)
+let client = null;
+let authAdapter;
+// Renovación en curso, compartida por todas las solicitudes que reciben un 401
+let refreshing = null;
+
+/**
+ * Configuración de las solicitudes a los endpoints de autenticación.
+ *
+ * @function authConfig
+ * @returns {Object}
+ */
+const authConfig = () => ({
+  baseURL: getConfigValue('authURL', process.env.REACT_APP_AUTH_URL) || undefined,
+  adapter: authAdapter,
+  skipAuth: true,
+});
+
+/**
+ * Guarda la sesión en el estado compartido y en localStorage.
+ *
+ * @function saveSession
+ * @param {{user: Object, accessToken: string, refreshToken: string}} session - Datos devueltos por la API.
+ * @returns {void}
+ */
+const saveSession = ({ user, accessToken, refreshToken }) => {
+  const session = { user, accessToken, refreshToken };
+  localStorage.setItem(sessionKey(), JSON.stringify(session));
+  authSession.setState({ ...session, expired: false });
+};
+
+/**
+ * Borra la sesión y los datos en caché del usuario, también los guardados en IndexedDB. La
+ * bandeja de salida y la papelera no se borran: son de cada usuario (ver `storageScope`) y
+ * las vuelve a ver cuando inicia sesión otra vez.
+ *
+ * @function endSession
+ * @param {boolean} expired - true si se cierra porque venció.
+ * @returns {void}
+ */
+const endSession = (expired) => {
+  localStorage.removeItem(sessionKey());
+  clearQueries();
+  authSession.setState({ ...EMPTY_SESSION, expired });
+};
+
+/**
+ * Inicia sesión con usuario y contraseña.
+ *
+ * @async
+ * @function login
+ * @param {{username: string, password: string}} credentials - Credenciales ingresadas.
+ * @returns {Promise<Object>} El usuario autenticado.
+ * @throws {ApiError} Si las credenciales no son válidas o no hay conexión.
+ */
+export const login = async (credentials) => {
+  try {
+    const { data } = await client.post('/auth/login', credentials, authConfig());
+    saveSession(data);
+    return data.user;
+  } catch (error) {
+    throw normalizeError(error);
+  }
+};
+
+/**
+ * Cierra la sesión. Avisa al servidor para que invalide el token de renovación,
+ * pero la sesión local se cierra aunque esa solicitud falle.
+ *
+ * @async
+ * @function logout
+ * @returns {Promise<void>}
+ */
+export const logout = async () => {
+  const { refreshToken } = authSession.getState();
+  endSession(false);
+  if (!refreshToken) return;
+  try {
+    await client.post('/auth/logout', { refreshToken }, authConfig());
+  } catch (error) {
+    console.warn('No se pudo cerrar la sesión en el servidor:', error);
+  }
+};
+
+/**
+ * Pide un token de acceso nuevo con el token de renovación. Si ya hay una renovación
+ * en curso devuelve la misma promesa.
+ *
+ * @function refreshSession
+ * @returns {Promise<string>} El token de acceso nuevo.
+ */
+export const refreshSession = () => {
+  if (!refreshing) {
+    const { refreshToken } = authSession.getState();
+    const environment = sessionEnvironment;
+    refreshing = (refreshToken
+      ? client.post('/auth/refresh', { refreshToken }, authConfig())
+      : Promise.reject(new Error('No hay sesión para renovar')))
+      .then(({ data }) => {
+        // Los tokens del entorno anterior no se guardan como sesión del nuevo
+        if (environment !== sessionEnvironment) throw new Error('Cambió el entorno durante la renovación');
+        saveSession({ user: authSession.getState().user, ...data });
+        return data.accessToken;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
+/**
+ * Instala en una instancia de Axios los interceptores de autenticación.
+ *
+ * @function installAuth
+ * @param {Object} instance - Instancia de Axios.
+ * @param {Object} [options] - Opciones.
+ * @param {Function} [options.adapter] - Adaptador para los endpoints de autenticación.
+ * @returns {void}
+ */
+export const installAuth = (instance, { adapter } = {}) => {
+  client = instance;
+  authAdapter = adapter;
+
+  instance.interceptors.request.use((config) => {
+    const { accessToken } = authSession.getState();
+    if (accessToken && !config.skipAuth) {
+      config.headers.Authorization = `Bearer ${accessToken}`;
+    }
+    return config;
+  });
+
+  instance.interceptors.response.use(undefined, async (error) => {
+    const { config, response } = error;
+    if (response?.status !== 401 || !config || config.skipAuth || config.authRetried) {
+      throw error;
+    }
+    // Sin sesión no hay nada que renovar: el 401 llega tal cual a quien hizo la solicitud
+    if (!authSession.getState().refreshToken) throw error;
+
+    try {
+      await refreshSession();
+    } catch (refreshError) {
+      // Si el servidor rechazó la renovación la sesión venció; si no hubo respuesta se conserva
+      if (refreshError.response) endSession(true);
+      throw error;
+    }
+
+    config.authRetried = true;
+    return instance(config);
+  });
+};
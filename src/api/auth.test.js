@@ -0,0 +1,65 @@
+import api from './api';
+import { authSession, login, logout } from './auth';
+import { getActiveEnvironment, getEnvironments, setActiveEnvironment } from './config';
+import { createMockAdapter } from './mockAdapter';
+import { cursosApi } from './resources';
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+beforeEach(async () => {
+  await logout();
+  api.defaults.adapter = createMockAdapter({ requireAuth: true, accessTokenTtl: 50 });
+});
+
+test('inicia sesión y envía el token en las solicitudes', async () => {
+  await expect(cursosApi.list()).rejects.toMatchObject({ status: 401 });
+
+  const user = await login({ username: 'admin', password: 'admin123' });
+
+  expect(user).toEqual(expect.objectContaining({ username: 'admin' }));
+  expect(user).not.toHaveProperty('password');
+  expect(authSession.getState().accessToken).toBeTruthy();
+  expect((await cursosApi.list()).length).toBeGreaterThan(0);
+});
+
+test('rechaza credenciales incorrectas', async () => {
+  await expect(login({ username: 'admin', password: 'otra' })).rejects.toMatchObject({
+    status: 401,
+    code: 'UNAUTHORIZED',
+  });
+  expect(authSession.getState().accessToken).toBeNull();
+});
+
+test('renueva el token vencido una sola vez y repite las solicitudes', async () => {
+  await login({ username: 'bedel', password: 'bedel123' });
+  const { refreshToken } = authSession.getState();
+  await wait(60);
+
+  const [cursos, estudiantes] = await Promise.all([cursosApi.list(), api.get('/estudiantes')]);
+
+  expect(cursos.length).toBeGreaterThan(0);
+  expect(estudiantes.data.length).toBeGreaterThan(0);
+  expect(authSession.getState().refreshToken).not.toBe(refreshToken);
+});
+
+test('cierra la sesión como vencida si no se puede renovar', async () => {
+  await login({ username: 'admin', password: 'admin123' });
+  authSession.setState({ refreshToken: 'mock-refresh.1.invalido' });
+  await wait(60);
+
+  await expect(cursosApi.list()).rejects.toMatchObject({ status: 401 });
+  expect(authSession.getState()).toEqual(expect.objectContaining({ accessToken: null, expired: true }));
+});
+
+test('cada entorno tiene su propia sesión', async () => {
+  await login({ username: 'admin', password: 'admin123' });
+  const { accessToken } = authSession.getState();
+  const active = getActiveEnvironment();
+  const other = getEnvironments().find((environment) => environment.id !== active.id);
+
+  setActiveEnvironment(other.id);
+  expect(authSession.getState()).toEqual(expect.objectContaining({ user: null, accessToken: null }));
+
+  setActiveEnvironment(active.id);
+  expect(authSession.getState().accessToken).toBe(accessToken);
+});
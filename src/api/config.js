@@ -0,0 +1,193 @@
+/**
+ * Configuración de la conexión con la API.
+ *
+ * La URL base se resuelve en tres niveles, de menor a mayor prioridad:
+ * - Variables de entorno de compilación (REACT_APP_API_URL, REACT_APP_API_URL_STAGING,
+ *   REACT_APP_API_URL_LOCAL y REACT_APP_API_ENV para el entorno por defecto).
+ * - El archivo `config.json` servido desde `public/`, leído al iniciar la aplicación.
+ * - El entorno elegido por el usuario en el selector, guardado en localStorage.
+ *
+ * El entorno "Simulado" no usa la red: sus solicitudes las responde el backend en
+ * memoria de `mockAdapter.js`. Con REACT_APP_MOCK_API=true es el único entorno disponible.
+ */
+
+/**
+ * Clave de localStorage donde se guarda el entorno elegido.
+ *
+ * @type {string}
+ */
+const STORAGE_KEY = 'unifront.apiEnvironment';
+
+/**
+ * Entorno que responde con el backend simulado en memoria.
+ *
+ * @type {{id: string, label: string, baseURL: string, mock: boolean}}
+ */
+const MOCK_ENVIRONMENT = { id: 'simulado', label: 'Simulado (sin red)', baseURL: '/', mock: true };
+
+/**
+ * Arma la lista de entornos definidos en tiempo de compilación.
+ *
+ * @function buildEnvironments
+ * @returns {Array<{id: string, label: string, baseURL: string, mock?: boolean}>} Entornos disponibles.
+ */
+const buildEnvironments = () => {
+  if (process.env.REACT_APP_MOCK_API === 'true') {
+    return [MOCK_ENVIRONMENT];
+  }
+
+  const list = [
+    {
+      id: 'produccion',
+      label: 'Producción',
+      baseURL: process.env.REACT_APP_API_URL || 'https://tpuniv.onrender.com/',
+    },
+  ];
+
+  if (process.env.REACT_APP_API_URL_STAGING) {
+    list.push({ id: 'staging', label: 'Staging', baseURL: process.env.REACT_APP_API_URL_STAGING });
+  }
+
+  list.push({
+    id: 'local',
+    label: 'Local',
+    baseURL: process.env.REACT_APP_API_URL_LOCAL || 'http://localhost:8080/',
+  });
+  list.push(MOCK_ENVIRONMENT);
+
+  return list;
+};
+
+let environments = buildEnvironments();
+let defaultEnvironmentId = process.env.REACT_APP_API_ENV || environments[0].id;
+let runtimeConfig = {};
+const listeners = new Set();
+
+/**
+ * Notifica a los suscriptores que el entorno activo cambió.
+ *
+ * @function notify
+ * @returns {void}
+ */
+const notify = () => {
+  const environment = getActiveEnvironment();
+  listeners.forEach((listener) => listener(environment));
+};
+
+/**
+ * Lee `config.json` desde `public/` y combina su contenido con la configuración de compilación.
+ * Los entornos con el mismo `id` se reemplazan y los nuevos se agregan al final.
+ * Si el archivo no existe o es inválido se conserva la configuración de compilación.
+ *
+ * @async
+ * @function loadRuntimeConfig
+ * @returns {Promise<void>}
+ */
+export const loadRuntimeConfig = async () => {
+  if (typeof fetch !== 'function' || process.env.REACT_APP_MOCK_API === 'true') return;
+
+  try {
+    const response = await fetch(`${process.env.PUBLIC_URL}/config.json`, { cache: 'no-store' });
+    if (!response.ok) return;
+
+    runtimeConfig = await response.json();
+
+    if (Array.isArray(runtimeConfig.environments)) {
+      runtimeConfig.environments
+        .filter((environment) => environment && environment.id && environment.baseURL)
+        .forEach((environment) => {
+          const index = environments.findIndex((item) => item.id === environment.id);
+          const merged = { label: environment.id, ...environment };
+          if (index >= 0) {
+            environments[index] = { ...environments[index], ...merged };
+          } else {
+            environments = [...environments, merged];
+          }
+        });
+    }
+
+    if (runtimeConfig.defaultEnvironment) {
+      defaultEnvironmentId = runtimeConfig.defaultEnvironment;
+    }
+
+    notify();
+  } catch (error) {
+    console.warn('No se pudo leer config.json, se usa la configuración de compilación:', error);
+  }
+};
+
+/**
+ * Devuelve un valor de `config.json`, o el valor por defecto si no está definido.
+ *
+ * @function getConfigValue
+ * @param {string} name - Nombre de la propiedad.
+ * @param {*} fallback - Valor a usar si la propiedad no existe.
+ * @returns {*} El valor configurado.
+ */
+export const getConfigValue = (name, fallback) => (
+  runtimeConfig[name] !== undefined ? runtimeConfig[name] : fallback
+);
+
+/**
+ * Devuelve la lista de entornos disponibles.
+ *
+ * @function getEnvironments
+ * @returns {Array<{id: string, label: string, baseURL: string}>}
+ */
+export const getEnvironments = () => environments;
+
+/**
+ * Devuelve el entorno activo: el elegido por el usuario si sigue existiendo,
+ * si no el entorno por defecto, y como último recurso el primero de la lista.
+ *
+ * @function getActiveEnvironment
+ * @returns {{id: string, label: string, baseURL: string}}
+ */
+export const getActiveEnvironment = () => {
+  let storedId = null;
+  try {
+    storedId = window.localStorage.getItem(STORAGE_KEY);
+  } catch (error) {
+    // localStorage puede no estar disponible (modo privado, pruebas)
+  }
+
+  return environments.find((environment) => environment.id === storedId)
+    || environments.find((environment) => environment.id === defaultEnvironmentId)
+    || environments[0];
+};
+
+/**
+ * Devuelve la URL base del entorno activo.
+ *
+ * @function getBaseURL
+ * @returns {string}
+ */
+export const getBaseURL = () => getActiveEnvironment().baseURL;
+
+/**
+ * Cambia el entorno activo y guarda la elección para las próximas recargas.
+ *
+ * @function setActiveEnvironment
+ * @param {string} id - ID del entorno a activar.
+ * @returns {void}
+ */
+export const setActiveEnvironment = (id) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, id);
+  } catch (error) {
+    console.warn('No se pudo guardar el entorno elegido:', error);
+  }
+  notify();
+};
+
+/**
+ * Registra una función que se llama cada vez que cambia el entorno activo.
+ *
+ * @function subscribeEnvironment
+ * @param {Function} listener - Recibe el nuevo entorno activo.
+ * @returns {Function} Función para cancelar la suscripción.
+ */
+export const subscribeEnvironment = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
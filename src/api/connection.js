@@ -0,0 +1,87 @@
+/**
+ * Estado de la conexión con la API.
+ *
+ * Lo actualiza el monitor de salud (`health.js`) y lo leen el indicador de conexión de
+ * la barra de navegación, el aviso de modo sin conexión y la bandeja de salida, que se
+ * reenvía sola cuando la API vuelve a responder.
+ */
+
+import { createStore } from '../utils/store';
+
+/**
+ * Cantidad de verificaciones que se guardan en el historial.
+ *
+ * @type {number}
+ */
+export const HISTORY_SIZE = 20;
+
+/**
+ * - online: true si la última verificación tuvo éxito.
+ * - checked: false hasta que termina la primera verificación.
+ * - since: Momento (ms) del último cambio de estado.
+ * - checking: true mientras hay una verificación en curso.
+ * - latency: Latencia de la última verificación exitosa, en milisegundos.
+ * - lastSuccess: Momento (ms) de la última verificación exitosa, o null.
+ * - lastError: `{ message, status, at }` de la última verificación fallida, o null.
+ * - history: Últimas verificaciones `{ at, ok, latency, status }`, la más reciente al final.
+ * - paused: true mientras la pestaña está oculta y no se verifica.
+ * - nextCheckAt: Momento (ms) de la próxima verificación programada, o null.
+ *
+ * @type {Object}
+ */
+export const connectionStatus = createStore({
+  online: true,
+  checked: false,
+  since: Date.now(),
+  checking: false,
+  latency: null,
+  lastSuccess: null,
+  lastError: null,
+  history: [],
+  paused: false,
+  nextCheckAt: null,
+});
+
+/**
+ * Registra si la API está disponible. Solo notifica a los suscriptores si el estado cambió.
+ *
+ * @function setApiOnline
+ * @param {boolean} online - true si la API respondió.
+ * @returns {void}
+ */
+export const setApiOnline = (online) => {
+  const current = connectionStatus.getState();
+  if (current.checked && current.online === online) return;
+  connectionStatus.setState({ online, checked: true, since: Date.now() });
+};
+
+/**
+ * Registra el resultado de una verificación de salud: agrega la medición al historial,
+ * actualiza la latencia o el error y, si cambió, el estado de la conexión.
+ *
+ * @function recordProbe
+ * @param {{ok: boolean, latency: number, status: (number|null), message?: string}} probe - Resultado.
+ * @returns {void}
+ */
+export const recordProbe = ({ ok, latency, status, message }) => {
+  const at = Date.now();
+  connectionStatus.setState((state) => ({
+    checking: false,
+    history: [...state.history, { at, ok, latency, status }].slice(-HISTORY_SIZE),
+    ...(ok
+      ? { latency, lastSuccess: at }
+      : { lastError: { message, status, at } }),
+  }));
+  setApiOnline(ok);
+};
+
+/**
+ * Indica si conviene no intentar solicitudes: el navegador está sin red o la
+ * última verificación de la API falló.
+ *
+ * @function isOffline
+ * @returns {boolean}
+ */
+export const isOffline = () => (
+  (typeof navigator !== 'undefined' && navigator.onLine === false) || !connectionStatus.getState().online
+);
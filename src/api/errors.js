@@ -0,0 +1,140 @@
+/**
+ * Normalización de errores de la API.
+ *
+ * Todas las fallas de las solicitudes se convierten en un `ApiError` con la misma forma,
+ * sin importar si el servidor respondió con un texto, con un objeto de Spring Boot,
+ * con una lista de errores de validación o si directamente no hubo respuesta.
+ *
+ * Códigos posibles: NETWORK, TIMEOUT, CANCELED, VALIDATION, BAD_REQUEST, UNAUTHORIZED,
+ * FORBIDDEN, NOT_FOUND, CONFLICT, PRECONDITION_FAILED, SERVER y UNKNOWN. Cuando el servidor
+ * no envía un mensaje propio se usa el del código en el idioma activo (`errors.*` en los
+ * catálogos de `i18n`).
+ */
+
+import { t } from '../i18n';
+
+// Mensaje por defecto de un código; los códigos sin mensaje propio usan el de UNKNOWN
+const defaultMessage = (code) => {
+  const key = `errors.${code}`;
+  const message = t(key);
+  return message === key ? t('errors.UNKNOWN') : message;
+};
+
+/**
+ * Error normalizado de la API.
+ *
+ * @property {number|null} status - Código HTTP, o null si no hubo respuesta.
+ * @property {string} code - Código de error (ver lista en el encabezado del módulo).
+ * @property {string} message - Mensaje listo para mostrar al usuario.
+ * @property {Object<string, string>} fieldErrors - Errores de validación por campo.
+ * @property {*} cause - Error original de Axios.
+ */
+export class ApiError extends Error {
+  constructor({ status = null, code = 'UNKNOWN', message, fieldErrors = {}, cause = null }) {
+    super(message || defaultMessage(code));
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.fieldErrors = fieldErrors;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Deduce el código de error a partir del estado HTTP.
+ *
+ * @function codeFromStatus
+ * @param {number} status - Código HTTP.
+ * @param {Object<string, string>} fieldErrors - Errores por campo recibidos.
+ * @returns {string} Código de error.
+ */
+const codeFromStatus = (status, fieldErrors) => {
+  if (status === 400 || status === 422) {
+    return Object.keys(fieldErrors).length ? 'VALIDATION' : 'BAD_REQUEST';
+  }
+  if (status === 401) return 'UNAUTHORIZED';
+  if (status === 403) return 'FORBIDDEN';
+  if (status === 404) return 'NOT_FOUND';
+  if (status === 409) return 'CONFLICT';
+  if (status === 412) return 'PRECONDITION_FAILED';
+  if (status >= 500) return 'SERVER';
+  return 'UNKNOWN';
+};
+
+/**
+ * Extrae los errores por campo del cuerpo de la respuesta.
+ * Acepta un objeto `{ campo: mensaje }` o la lista de Spring `[{ field, defaultMessage }]`.
+ *
+ * @function extractFieldErrors
+ * @param {*} data - Cuerpo de la respuesta de error.
+ * @returns {Object<string, string>} Errores por campo.
+ */
+const extractFieldErrors = (data) => {
+  const errors = data && typeof data === 'object' ? data.errors : null;
+  if (Array.isArray(errors)) {
+    return errors.reduce((result, item) => (
+      item && item.field ? { ...result, [item.field]: item.defaultMessage || item.message } : result
+    ), {});
+  }
+  return errors && typeof errors === 'object' ? { ...errors } : {};
+};
+
+/**
+ * Extrae el mensaje del servidor del cuerpo de la respuesta, si existe.
+ *
+ * @function extractMessage
+ * @param {*} data - Cuerpo de la respuesta de error.
+ * @returns {string|null} Mensaje del servidor.
+ */
+const extractMessage = (data) => {
+  if (typeof data === 'string') return data.trim() || null;
+  if (data && typeof data === 'object') return data.message || data.error || null;
+  return null;
+};
+
+/**
+ * Convierte cualquier error de una solicitud en un `ApiError`.
+ *
+ * @function normalizeError
+ * @param {*} error - Error lanzado por Axios (o ya normalizado).
+ * @returns {ApiError} Error normalizado.
+ */
+export const normalizeError = (error) => {
+  if (error instanceof ApiError) return error;
+
+  if (error && (error.name === 'CanceledError' || error.code === 'ERR_CANCELED')) {
+    return new ApiError({ code: 'CANCELED', cause: error });
+  }
+
+  const response = error && error.response;
+  if (!response) {
+    const timedOut = error && (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT');
+    return new ApiError({ code: timedOut ? 'TIMEOUT' : 'NETWORK', cause: error });
+  }
+
+  const fieldErrors = extractFieldErrors(response.data);
+  const code = codeFromStatus(response.status, fieldErrors);
+  const serverMessage = extractMessage(response.data);
+
+  return new ApiError({
+    status: response.status,
+    code,
+    // Los mensajes genéricos de Spring ("Bad Request", "Internal Server Error") no aportan al usuario
+    message: serverMessage && serverMessage !== response.statusText ? serverMessage : null,
+    fieldErrors,
+    cause: error,
+  });
+};
+
+/**
+ * Devuelve las props `error` y `helperText` de un TextField para el campo indicado.
+ *
+ * @function fieldErrorProps
+ * @param {Object<string, string>} fieldErrors - Errores por campo.
+ * @param {string} name - Nombre del campo.
+ * @returns {{error: boolean, helperText: (string|undefined)}}
+ */
+export const fieldErrorProps = (fieldErrors, name) => ({
+  error: Boolean(fieldErrors && fieldErrors[name]),
+  helperText: (fieldErrors && fieldErrors[name]) || undefined,
+});
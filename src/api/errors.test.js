@@ -0,0 +1,35 @@
+import { ApiError, normalizeError } from './errors';
+
+const httpError = (status, data, statusText = '') => ({ response: { status, data, statusText } });
+
+test('usa el texto devuelto por el servidor como mensaje', () => {
+  const error = normalizeError(httpError(409, 'No se puede eliminar el profesor porque tiene cursos asignados'));
+
+  expect(error).toBeInstanceOf(ApiError);
+  expect(error).toMatchObject({
+    status: 409,
+    code: 'CONFLICT',
+    message: 'No se puede eliminar el profesor porque tiene cursos asignados',
+  });
+});
+
+test('extrae los errores por campo en formato objeto o lista de Spring', () => {
+  expect(normalizeError(httpError(400, { message: 'Datos inválidos', errors: { dni: 'Requerido' } })))
+    .toMatchObject({ code: 'VALIDATION', message: 'Datos inválidos', fieldErrors: { dni: 'Requerido' } });
+
+  expect(normalizeError(httpError(400, { errors: [{ field: 'email', defaultMessage: 'Email inválido' }] })))
+    .toMatchObject({ code: 'VALIDATION', fieldErrors: { email: 'Email inválido' } });
+});
+
+test('reemplaza los mensajes genéricos de Spring por uno para el usuario', () => {
+  const error = normalizeError(httpError(500, { error: 'Internal Server Error' }, 'Internal Server Error'));
+
+  expect(error.code).toBe('SERVER');
+  expect(error.message).not.toBe('Internal Server Error');
+});
+
+test('distingue la falta de conexión, el tiempo agotado y la cancelación', () => {
+  expect(normalizeError({ code: 'ERR_NETWORK' }).code).toBe('NETWORK');
+  expect(normalizeError({ code: 'ECONNABORTED' }).code).toBe('TIMEOUT');
+  expect(normalizeError({ name: 'CanceledError', code: 'ERR_CANCELED' }).code).toBe('CANCELED');
+});
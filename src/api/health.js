@@ -0,0 +1,172 @@
+/**
+ * Monitor de salud de la API.
+ *
+ * Verifica periódicamente la API con una solicitud liviana (por defecto
+ * `GET /actuator/health`, configurable con REACT_APP_HEALTH_ENDPOINT o `healthEndpoint`
+ * en `config.json`) y mide su latencia. Cualquier respuesta menor a 500 cuenta como API
+ * disponible, aunque sea un 401 o un 404: el servidor respondió.
+ *
+ * El sondeo se adapta:
+ * - Con la API disponible se verifica cada `interval` milisegundos.
+ * - Mientras no responde, la espera se duplica en cada falla hasta `maxInterval`.
+ * - Con la pestaña oculta no se verifica; al volver a mostrarse se verifica enseguida.
+ * - Los eventos `online`/`offline` del navegador adelantan la verificación.
+ */
+
+import api from './api';
+import { getConfigValue } from './config';
+import { connectionStatus, recordProbe } from './connection';
+import { normalizeError } from './errors';
+
+// Verificación del monitor en marcha, para poder adelantarla desde la interfaz
+let activeCheck = null;
+// Verificación en curso, compartida por los monitores: con React.StrictMode el primero se
+// detiene y el segundo empieza mientras la del primero sigue pendiente
+let pendingProbe = null;
+
+/**
+ * Devuelve la ruta de la verificación de salud, relativa a la URL base de la API.
+ *
+ * @function getHealthEndpoint
+ * @returns {string}
+ */
+export const getHealthEndpoint = () => getConfigValue(
+  'healthEndpoint',
+  process.env.REACT_APP_HEALTH_ENDPOINT || '/actuator/health'
+);
+
+/**
+ * Calcula la espera hasta la próxima verificación.
+ *
+ * @function nextDelay
+ * @param {number} failures - Verificaciones fallidas consecutivas.
+ * @param {{interval: number, maxInterval: number}} options - Intervalos configurados.
+ * @returns {number} Milisegundos de espera.
+ */
+export const nextDelay = (failures, { interval, maxInterval }) => (
+  failures === 0 ? interval : Math.min(interval * 2 ** (failures - 1), maxInterval)
+);
+
+/**
+ * Verifica la API una vez y registra el resultado en `connectionStatus`.
+ *
+ * @async
+ * @function probeHealth
+ * @param {Object} [options] - Opciones.
+ * @param {number} [options.timeout=8000] - Tiempo máximo de espera en milisegundos.
+ * @returns {Promise<boolean>} true si la API respondió.
+ */
+export const probeHealth = async ({ timeout = 8000 } = {}) => {
+  connectionStatus.setState({ checking: true });
+  const startedAt = performance.now();
+  const config = { timeout, retry: false, skipAuth: true, validateStatus: (status) => status < 500 };
+
+  try {
+    const response = await api.get(getHealthEndpoint(), config);
+    recordProbe({ ok: true, latency: Math.round(performance.now() - startedAt), status: response.status });
+    return true;
+  } catch (error) {
+    recordProbe({
+      ok: false,
+      latency: Math.round(performance.now() - startedAt),
+      status: error.response?.status ?? null,
+      message: normalizeError(error).message,
+    });
+    return false;
+  }
+};
+
+/**
+ * Verifica la API, o devuelve la verificación que ya está en curso.
+ *
+ * @function sharedProbe
+ * @returns {Promise<boolean>} true si la API respondió.
+ */
+const sharedProbe = () => {
+  if (!pendingProbe) {
+    pendingProbe = probeHealth().finally(() => {
+      pendingProbe = null;
+    });
+  }
+  return pendingProbe;
+};
+
+/**
+ * Inicia el sondeo adaptativo de la API.
+ *
+ * @function startHealthMonitor
+ * @param {Object} [options] - Opciones.
+ * @param {number} [options.interval] - Intervalo con la API disponible (REACT_APP_HEALTH_INTERVAL, 15000 ms).
+ * @param {number} [options.maxInterval=60000] - Espera máxima mientras la API no responde.
+ * @returns {Function} Función que detiene el monitor.
+ */
+export const startHealthMonitor = ({
+  interval = Number(process.env.REACT_APP_HEALTH_INTERVAL ?? 15000),
+  maxInterval = 60000,
+} = {}) => {
+  let failures = 0;
+  let timer = null;
+  let stopped = false;
+  let checking = false;
+
+  const schedule = () => {
+    clearTimeout(timer);
+    if (stopped || document.hidden) return;
+    const delay = nextDelay(failures, { interval, maxInterval });
+    connectionStatus.setState({ nextCheckAt: Date.now() + delay });
+    timer = setTimeout(check, delay);
+  };
+
+  const check = async () => {
+    // Si este monitor ya espera una verificación, al terminar ella programa la siguiente
+    if (stopped || checking) return;
+    checking = true;
+    clearTimeout(timer);
+    connectionStatus.setState({ nextCheckAt: null });
+    // Si otro monitor ya está verificando, se usa su resultado en lugar de repetir la solicitud
+    const ok = await sharedProbe();
+    checking = false;
+    failures = ok ? 0 : failures + 1;
+    schedule();
+  };
+
+  // Con la pestaña oculta se suspende el sondeo; al volver se verifica enseguida
+  const handleVisibility = () => {
+    connectionStatus.setState({ paused: document.hidden });
+    if (document.hidden) {
+      clearTimeout(timer);
+      connectionStatus.setState({ nextCheckAt: null });
+    } else {
+      check();
+    }
+  };
+
+  activeCheck = check;
+  window.addEventListener('online', check);
+  window.addEventListener('offline', check);
+  document.addEventListener('visibilitychange', handleVisibility);
+
+  if (document.hidden) {
+    connectionStatus.setState({ paused: true });
+  } else {
+    check();
+  }
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+    if (activeCheck === check) activeCheck = null;
+    window.removeEventListener('online', check);
+    window.removeEventListener('offline', check);
+    document.removeEventListener('visibilitychange', handleVisibility);
+  };
+};
+
+/**
+ * Verifica la API ahora. Si el monitor está en marcha, la verificación reinicia su
+ * programación (y la espera acumulada si la API volvió a responder).
+ *
+ * @function checkNow
+ * @returns {Promise<*>}
+ */
+export const checkNow = () => (activeCheck ? activeCheck() : sharedProbe());
@@ -0,0 +1,64 @@
+import api from './api';
+import { connectionStatus } from './connection';
+import { nextDelay, probeHealth, startHealthMonitor } from './health';
+import { createMockAdapter } from './mockAdapter';
+
+const setHidden = (hidden) => {
+  Object.defineProperty(document, 'hidden', { configurable: true, get: () => hidden });
+};
+
+beforeEach(() => {
+  api.defaults.adapter = createMockAdapter();
+  connectionStatus.setState({ history: [], lastError: null, checking: false, paused: false });
+  setHidden(false);
+});
+
+test('registra la latencia de las verificaciones exitosas', async () => {
+  expect(await probeHealth()).toBe(true);
+
+  const state = connectionStatus.getState();
+  expect(state.online).toBe(true);
+  expect(state.lastSuccess).not.toBeNull();
+  expect(state.history).toEqual([expect.objectContaining({ ok: true, status: 200 })]);
+});
+
+test('registra el error y marca la API sin conexión cuando falla', async () => {
+  api.defaults.adapter = createMockAdapter({ failureRate: 1 });
+
+  expect(await probeHealth()).toBe(false);
+
+  const state = connectionStatus.getState();
+  expect(state.online).toBe(false);
+  expect(state.lastError).toEqual(expect.objectContaining({ status: 503 }));
+});
+
+test('espacia las verificaciones mientras la API no responde', () => {
+  const options = { interval: 10000, maxInterval: 60000 };
+  expect([0, 1, 2, 3, 4].map((failures) => nextDelay(failures, options)))
+    .toEqual([10000, 10000, 20000, 40000, 60000]);
+});
+
+test('no verifica con la pestaña oculta y verifica al volver', async () => {
+  setHidden(true);
+  const stop = startHealthMonitor({ interval: 60000 });
+  expect(connectionStatus.getState().paused).toBe(true);
+  expect(connectionStatus.getState().history).toHaveLength(0);
+
+  setHidden(false);
+  document.dispatchEvent(new Event('visibilitychange'));
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  stop();
+
+  expect(connectionStatus.getState().paused).toBe(false);
+  expect(connectionStatus.getState().history).toHaveLength(1);
+});
+
+test('sigue verificando si el monitor se detiene y vuelve a iniciar, como con React.StrictMode', async () => {
+  const first = startHealthMonitor({ interval: 20 });
+  first();
+  const stop = startHealthMonitor({ interval: 20 });
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  stop();
+
+  expect(connectionStatus.getState().history.length).toBeGreaterThan(1);
+});
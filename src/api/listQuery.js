@@ -0,0 +1,253 @@
+/**
+ * Paginación, orden y filtros de las listas.
+ *
+ * Las secciones piden sus listas con una consulta `{ page, size, sort, filters }`:
+ * - page: Página, empezando en 0.
+ * - size: Registros por página.
+ * - sort: `{ field, direction }` con direction 'asc' o 'desc', o null.
+ * - filters: Valores por campo; los vacíos se ignoran.
+ *
+ * La consulta se envía como parámetros al estilo de Spring Data (`page`, `size`,
+ * `sort=campo,asc` y un parámetro por filtro). Si el backend responde una página
+ * (`{ content, totalElements }`) se usa tal cual; si responde la colección completa,
+ * es que no soporta paginación y la consulta se aplica aquí, en el navegador.
+ *
+ * Los campos por los que se puede filtrar y ordenar cada recurso se definen en
+ * `LIST_FIELDS`. Un campo es una función que devuelve el valor del registro (los filtros
+ * buscan el texto sin distinguir mayúsculas ni tildes) u `{ value, exact: true }` para
+ * comparar el valor completo, como en los filtros por ID.
+ */
+
+/**
+ * Pasa un texto a minúsculas y sin tildes ni diéresis, para compararlo.
+ *
+ * @function normalizeText
+ * @param {*} text - Texto.
+ * @returns {string}
+ */
+export const normalizeText = (text) => (
+  String(text ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+);
+
+const fullName = (persona) => (persona ? `${persona.nombre} ${persona.apellido}` : '');
+
+/**
+ * Campos filtrables y ordenables de cada recurso.
+ *
+ * @type {Object<string, Object<string, (Function|{value: Function, exact: boolean})>>}
+ */
+export const LIST_FIELDS = {
+  estudiantes: {
+    dni: (estudiante) => estudiante.dni,
+    nombre: (estudiante) => estudiante.nombre,
+    apellido: (estudiante) => estudiante.apellido,
+    email: (estudiante) => estudiante.email,
+  },
+  profesores: {
+    dni: (profesor) => profesor.dni,
+    nombre: (profesor) => profesor.nombre,
+    apellido: (profesor) => profesor.apellido,
+    email: (profesor) => profesor.email,
+    profesion: (profesor) => profesor.profesion,
+    telefono: (profesor) => profesor.telefono,
+  },
+  cursos: {
+    nombre: (curso) => curso.nombre,
+    descripcion: (curso) => curso.descripcion,
+    profesor: (curso) => fullName(curso.profesor),
+    profesorId: { value: (curso) => curso.profesor?.id, exact: true },
+  },
+  inscripciones: {
+    curso: (inscripcion) => inscripcion.curso?.nombre,
+    estudiante: (inscripcion) => fullName(inscripcion.estudiante),
+    nota: (inscripcion) => inscripcion.nota,
+    fecha: (inscripcion) => inscripcion.fecha,
+    cursoId: { value: (inscripcion) => inscripcion.curso?.id, exact: true },
+    estudianteId: { value: (inscripcion) => inscripcion.estudiante?.id, exact: true },
+  },
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Devuelve la definición normalizada de un campo.
+ *
+ * @function getField
+ * @param {Object} fields - Campos del recurso.
+ * @param {string} name - Nombre del campo.
+ * @returns {{value: Function, exact: boolean}|null}
+ */
+const getField = (fields, name) => {
+  const field = fields[name];
+  if (!field) return null;
+  return typeof field === 'function' ? { value: field, exact: false } : field;
+};
+
+/**
+ * Convierte la consulta en parámetros de la solicitud.
+ *
+ * @function toQueryParams
+ * @param {Object} query - Consulta de la lista.
+ * @returns {Object<string, (string|number)>}
+ */
+export const toQueryParams = ({ page = 0, size = 10, sort = null, filters = {} }) => {
+  const params = { page, size };
+  if (sort) params.sort = `${sort.field},${sort.direction}`;
+  Object.entries(filters).forEach(([name, value]) => {
+    if (!isEmpty(value)) params[name] = value;
+  });
+  return params;
+};
+
+/**
+ * Convierte los parámetros de una solicitud en la consulta equivalente.
+ * Es la inversa de `toQueryParams`; la usa el backend simulado.
+ *
+ * @function fromQueryParams
+ * @param {URLSearchParams} params - Parámetros recibidos.
+ * @returns {Object} Consulta de la lista.
+ */
+export const fromQueryParams = (params) => {
+  const { page = '0', size = '10', sort, ...filters } = Object.fromEntries(params);
+  const [field, direction = 'asc'] = sort ? sort.split(',') : [];
+  return {
+    page: Number(page),
+    size: Number(size),
+    sort: field ? { field, direction } : null,
+    filters,
+  };
+};
+
+/**
+ * Convierte la consulta de una tabla en los parámetros de la dirección de su sección, para
+ * compartirla o volver a ella con el historial: `/inscripciones?curso=Fisica&nota=7`. Usa los
+ * mismos parámetros que `toQueryParams`, con los filtros primero, y omite la primera página
+ * y el tamaño de página por defecto.
+ *
+ * @function toSearchParams
+ * @param {Object} query - Consulta de la lista.
+ * @param {number} [defaultSize=10] - Tamaño de página por defecto.
+ * @returns {URLSearchParams}
+ */
+export const toSearchParams = ({ page = 0, size = 10, sort = null, filters = {} }, defaultSize = 10) => {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([name, value]) => {
+    if (!isEmpty(value)) params.set(name, value);
+  });
+  if (sort) params.set('sort', `${sort.field},${sort.direction}`);
+  if (page > 0) params.set('page', page);
+  if (size !== defaultSize) params.set('size', size);
+  return params;
+};
+
+/**
+ * Lee la consulta de una tabla de los parámetros de la dirección. Es la inversa de
+ * `toSearchParams`; los parámetros desconocidos o inválidos se ignoran, porque la dirección
+ * puede venir escrita a mano.
+ *
+ * @function fromSearchParams
+ * @param {URLSearchParams} params - Parámetros de la dirección.
+ * @param {Object} options - Opciones.
+ * @param {string[]} options.filters - Filtros de la tabla.
+ * @param {number[]} options.sizes - Tamaños de página válidos.
+ * @param {number} [options.size=10] - Tamaño de página por defecto.
+ * @returns {Object} Consulta de la lista.
+ */
+export const fromSearchParams = (params, { filters, sizes, size: defaultSize = 10 }) => {
+  const page = Number(params.get('page'));
+  const size = Number(params.get('size'));
+  const [field, direction] = (params.get('sort') || '').split(',');
+  return {
+    page: Number.isInteger(page) && page > 0 ? page : 0,
+    size: sizes.includes(size) ? size : defaultSize,
+    sort: field ? { field, direction: direction === 'desc' ? 'desc' : 'asc' } : null,
+    filters: filters.reduce((values, name) => (
+      isEmpty(params.get(name)) ? values : { ...values, [name]: params.get(name) }
+    ), {}),
+  };
+};
+
+/**
+ * Indica si dos conjuntos de filtros buscan lo mismo: los valores vacíos no cuentan y el
+ * orden de los campos no importa.
+ *
+ * @function sameFilters
+ * @param {Object} a - Filtros.
+ * @param {Object} b - Filtros.
+ * @returns {boolean}
+ */
+export const sameFilters = (a, b) => {
+  const present = (filters) => Object.entries(filters).filter(([, value]) => !isEmpty(value));
+  const entries = present(a);
+  return entries.length === present(b).length && entries.every(([name, value]) => String(value) === String(b[name]));
+};
+
+/**
+ * Compara dos valores para ordenar: números como números y el resto como texto en español.
+ *
+ * @function compareValues
+ * @param {*} a - Primer valor.
+ * @param {*} b - Segundo valor.
+ * @returns {number}
+ */
+const compareValues = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a ?? '').localeCompare(String(b ?? ''), 'es', { sensitivity: 'base', numeric: true });
+};
+
+/**
+ * Filtra, ordena y pagina una colección completa en el navegador.
+ *
+ * @function applyQuery
+ * @param {Array} rows - Colección completa.
+ * @param {Object} query - Consulta de la lista.
+ * @param {Object} [fields={}] - Campos del recurso (ver `LIST_FIELDS`).
+ * @returns {{items: Array, total: number, page: number, size: number, serverSide: boolean}}
+ */
+export const applyQuery = (rows, { page = 0, size = 10, sort = null, filters = {} }, fields = {}) => {
+  const active = Object.entries(filters)
+    .filter(([, value]) => !isEmpty(value))
+    .map(([name, value]) => ({ field: getField(fields, name), value: String(value) }))
+    .filter(({ field }) => field);
+
+  // `?curso=Fisica` encuentra "Física"
+  const filtered = rows.filter((row) => active.every(({ field, value }) => (
+    field.exact
+      ? String(field.value(row) ?? '') === value
+      : normalizeText(field.value(row)).includes(normalizeText(value))
+  )));
+
+  const sortField = sort && getField(fields, sort.field);
+  if (sortField) {
+    const factor = sort.direction === 'desc' ? -1 : 1;
+    filtered.sort((a, b) => factor * compareValues(sortField.value(a), sortField.value(b)));
+  }
+
+  return {
+    items: filtered.slice(page * size, (page + 1) * size),
+    total: filtered.length,
+    page,
+    size,
+    serverSide: false,
+  };
+};
+
+/**
+ * Normaliza la respuesta de una lista paginada.
+ *
+ * @function toPage
+ * @param {Array|Object} data - Cuerpo de la respuesta: una página o la colección completa.
+ * @param {Object} query - Consulta enviada.
+ * @param {Object} [fields] - Campos del recurso, para aplicar la consulta si el backend no lo hizo.
+ * @returns {{items: Array, total: number, page: number, size: number, serverSide: boolean}}
+ */
+export const toPage = (data, query, fields) => {
+  if (Array.isArray(data)) return applyQuery(data, query, fields);
+  return {
+    items: data.content,
+    total: data.totalElements,
+    page: data.number ?? query.page,
+    size: data.size ?? query.size,
+    serverSide: true,
+  };
+};
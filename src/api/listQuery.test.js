@@ -0,0 +1,71 @@
+import api from './api';
+import {
+  applyQuery, fromSearchParams, LIST_FIELDS, sameFilters, toQueryParams, toSearchParams,
+} from './listQuery';
+import { createMockAdapter } from './mockAdapter';
+import { inscripcionesApi } from './resources';
+
+const estudiantes = [
+  { id: 1, dni: '40123456', nombre: 'Sofía', apellido: 'Benítez' },
+  { id: 2, dni: '41234567', nombre: 'Joaquín', apellido: 'Peña' },
+  { id: 3, dni: '39345678', nombre: 'Valentina', apellido: 'Ibáñez' },
+];
+
+test('envía la consulta como parámetros al estilo de Spring Data', () => {
+  expect(toQueryParams({
+    page: 2, size: 25, sort: { field: 'apellido', direction: 'desc' }, filters: { nombre: 'so', dni: '' },
+  })).toEqual({ page: 2, size: 25, sort: 'apellido,desc', nombre: 'so' });
+});
+
+test('guarda la consulta en la dirección y la lee de vuelta', () => {
+  const query = { page: 2, size: 25, sort: { field: 'nota', direction: 'desc' }, filters: { curso: 'Física', nota: '7', estudiante: '' } };
+  const params = toSearchParams(query);
+  expect(params.toString()).toBe('curso=F%C3%ADsica&nota=7&sort=nota%2Cdesc&page=2&size=25');
+
+  const options = { filters: ['curso', 'estudiante', 'nota'], sizes: [5, 10, 25, 50] };
+  expect(fromSearchParams(params, options)).toEqual({ ...query, filters: { curso: 'Física', nota: '7' } });
+  expect(toSearchParams({ page: 0, size: 10, sort: null, filters: {} }).toString()).toBe('');
+
+  // Una dirección escrita a mano con valores inválidos vuelve a los valores por defecto
+  const invalid = fromSearchParams(new URLSearchParams('page=-1&size=1000&sort=nota,arriba&otro=1'), options);
+  expect(invalid).toEqual({ page: 0, size: 10, sort: { field: 'nota', direction: 'asc' }, filters: {} });
+});
+
+test('compara filtros sin contar los vacíos ni el orden', () => {
+  expect(sameFilters({ curso: 'Física', nota: '' }, { curso: 'Física' })).toBe(true);
+  expect(sameFilters({ nota: 7, curso: 'Física' }, { curso: 'Física', nota: '7' })).toBe(true);
+  expect(sameFilters({ curso: 'Física' }, { curso: 'Química' })).toBe(false);
+  expect(sameFilters({ curso: 'Física', nota: '7' }, { curso: 'Física' })).toBe(false);
+});
+
+test('filtra, ordena y pagina en el navegador', () => {
+  const query = { page: 0, size: 2, sort: { field: 'apellido', direction: 'asc' }, filters: {} };
+  const page = applyQuery(estudiantes, query, LIST_FIELDS.estudiantes);
+
+  expect(page.total).toBe(3);
+  expect(page.items.map((estudiante) => estudiante.apellido)).toEqual(['Benítez', 'Ibáñez']);
+
+  const filtered = applyQuery(estudiantes, { ...query, filters: { nombre: 'JOA' } }, LIST_FIELDS.estudiantes);
+  expect(filtered.items.map((estudiante) => estudiante.id)).toEqual([2]);
+
+  // Sin distinguir tildes, como en un enlace escrito a mano
+  const unaccented = applyQuery(estudiantes, { ...query, filters: { apellido: 'ibanez' } }, LIST_FIELDS.estudiantes);
+  expect(unaccented.items.map((estudiante) => estudiante.apellido)).toEqual(['Ibáñez']);
+});
+
+test.each([true, false])('la página es la misma con paginación en el servidor (%s) o en el navegador', async (pagination) => {
+  api.defaults.adapter = createMockAdapter({ pagination });
+
+  const page = await inscripcionesApi.listPage({
+    page: 1, size: 2, sort: { field: 'nota', direction: 'desc' }, filters: { estudianteId: 1 },
+  });
+
+  expect(page.serverSide).toBe(pagination);
+  expect(page.total).toBe(2);
+  expect(page.items).toHaveLength(0);
+
+  const first = await inscripcionesApi.listPage({
+    page: 0, size: 2, sort: { field: 'nota', direction: 'desc' }, filters: { estudianteId: 1 },
+  });
+  expect(first.items.map((inscripcion) => inscripcion.nota)).toEqual([9, 8]);
+});
@@ -0,0 +1,259 @@
+/**
+ * Actualizaciones en vivo.
+ *
+ * Recibe los cambios que hacen otros usuarios y los aplica a la caché para que las
+ * tablas abiertas se actualicen sin recargar. Cada evento es un JSON con la forma:
+ *
+ *   { type: 'created' | 'updated' | 'deleted', resource: 'cursos', id: 3, data: {...}, origin }
+ *
+ * - `data` es el registro completo (opcional en las bajas y si el servidor no lo envía).
+ * - `origin` identifica al navegador que hizo el cambio; los eventos propios se ignoran.
+ *
+ * El transporte se configura con REACT_APP_LIVE_TRANSPORT (`sse` por defecto, o `websocket`)
+ * y la URL del servidor de eventos con REACT_APP_LIVE_URL o `liveURL` en `config.json`; sin
+ * URL las actualizaciones en vivo quedan desactivadas. Con SSE los eventos llegan por
+ * `GET {url}/events` y con WebSocket por `{url}/ws`; el token de acceso viaja en el
+ * parámetro `access_token` porque EventSource no permite enviar cabeceras. Cada vez que el
+ * token cambia (por ejemplo, al renovarse) la conexión se vuelve a abrir con el nuevo: las
+ * reconexiones automáticas de EventSource repiten la URL y con el token vencido fallarían.
+ *
+ * Si el backend no emite eventos, cada navegador puede publicar los suyos
+ * (REACT_APP_LIVE_PUBLISH=true) en un servidor que los reparte a los demás, como el de
+ * `scripts/live-server.js` para desarrollo.
+ */
+
+import axios from 'axios';
+import { authSession } from './auth';
+import { getConfigValue } from './config';
+import { nextDelay } from './health';
+import { applyChange } from './optimistic';
+import { invalidateQueries, setQueriesData } from './queryCache';
+import { createStore } from '../utils/store';
+
+/**
+ * Tiempo, en milisegundos, durante el cual se resalta una fila cambiada por otro usuario.
+ *
+ * @type {number}
+ */
+export const HIGHLIGHT_DURATION = 4000;
+
+/**
+ * Estado de la suscripción: 'off' (sin configurar), 'connecting', 'open' o 'reconnecting'.
+ *
+ * @type {Object}
+ */
+export const liveStatus = createStore({ state: 'off', transport: null, lastEventAt: null });
+
+/**
+ * Filas cambiadas recientemente por otros usuarios, por `recurso:id`.
+ *
+ * @type {Object}
+ */
+export const liveHighlights = createStore({});
+
+// Identificador de este navegador, para reconocer los eventos propios
+const CLIENT_ID = Math.random().toString(36).slice(2);
+
+// Recursos conocidos y las claves de caché que cada uno afecta (ver `resources.js`)
+const resources = new Map();
+
+// Conexión activa, para publicar por ella
+let connection = null;
+
+const CHANGE_TYPES = { created: 'create', updated: 'update', deleted: 'delete' };
+
+/**
+ * Devuelve la URL del servidor de eventos, o una cadena vacía si no está configurado.
+ *
+ * @function getLiveURL
+ * @returns {string}
+ */
+export const getLiveURL = () => (
+  getConfigValue('liveURL', process.env.REACT_APP_LIVE_URL || '').replace(/\/+$/, '')
+);
+
+/**
+ * Registra un recurso para aplicar sus eventos. Lo llama `createResource`.
+ *
+ * @function registerLiveResource
+ * @param {string} key - Nombre del recurso, igual a su clave de caché.
+ * @param {string[]} affected - Claves de caché a invalidar cuando cambia.
+ * @returns {void}
+ */
+export const registerLiveResource = (key, affected) => {
+  resources.set(key, affected);
+};
+
+const highlightKey = (resource, id) => `${resource}:${id}`;
+
+/**
+ * Indica si la fila del recurso fue cambiada recientemente por otro usuario.
+ *
+ * @function isHighlighted
+ * @param {Object} state - Estado de `liveHighlights`.
+ * @param {string} resource - Nombre del recurso.
+ * @param {number|string} id - ID del registro.
+ * @returns {boolean}
+ */
+export const isHighlighted = (state, resource, id) => Boolean(state[highlightKey(resource, id)]);
+
+const highlight = (resource, id) => {
+  const key = highlightKey(resource, id);
+  liveHighlights.setState({ [key]: true });
+  setTimeout(() => liveHighlights.setState({ [key]: null }), HIGHLIGHT_DURATION);
+};
+
+/**
+ * Aplica un evento a la caché: modifica en el lugar las listas abiertas, resalta la fila
+ * y vuelve a pedir las consultas afectadas para quedar al día con el servidor. Las altas no
+ * se agregan en el lugar: solo el servidor sabe en qué página, búsqueda y alcance del rol
+ * entra el registro nuevo, y si la lista ya se volvió a pedir la fila quedaría repetida.
+ *
+ * @function applyLiveEvent
+ * @param {Object} event - Evento recibido.
+ * @returns {boolean} true si el evento se aplicó; false si era propio o desconocido.
+ */
+export const applyLiveEvent = (event) => {
+  const type = event && CHANGE_TYPES[event.type];
+  const affected = event && resources.get(event.resource);
+  if (!type || !affected || event.origin === CLIENT_ID) return false;
+
+  // Sin ID (por ejemplo, un alta cuya respuesta vino vacía) solo se vuelven a pedir las listas
+  const known = event.id !== undefined && event.id !== null;
+  if (known && ((event.data && type === 'update') || type === 'delete')) {
+    setQueriesData([event.resource], (current) => applyChange(current, {
+      type, id: event.id, record: event.data && { ...event.data, id: event.id },
+    }));
+  }
+  if (known && type !== 'delete') highlight(event.resource, event.id);
+  affected.forEach((name) => invalidateQueries([name]));
+  liveStatus.setState({ lastEventAt: Date.now() });
+  return true;
+};
+
+const handleMessage = (message) => {
+  try {
+    applyLiveEvent(JSON.parse(message));
+  } catch (error) {
+    console.warn('Evento en vivo inválido:', error);
+  }
+};
+
+/**
+ * Publica un cambio propio para los demás navegadores, si está habilitado
+ * (REACT_APP_LIVE_PUBLISH=true). Nunca falla: si no se puede enviar, se descarta.
+ *
+ * @function publishChange
+ * @param {Object} event - Evento sin `origin`, por ejemplo `{ type: 'updated', resource, id, data }`.
+ * @returns {void}
+ */
+export const publishChange = (event) => {
+  const url = getLiveURL();
+  if (!url || process.env.REACT_APP_LIVE_PUBLISH !== 'true') return;
+  const message = { ...event, origin: CLIENT_ID };
+
+  // Por WebSocket se publica en la misma conexión; con SSE, con un POST
+  if (connection) {
+    connection.send(JSON.stringify(message));
+  } else {
+    axios.post(`${url}/events`, message).catch(() => {});
+  }
+};
+
+const withToken = (url) => {
+  const { accessToken } = authSession.getState();
+  return accessToken ? `${url}?access_token=${encodeURIComponent(accessToken)}` : url;
+};
+
+/**
+ * Se suscribe con Server-Sent Events. EventSource se reconecta solo.
+ *
+ * @function connectSse
+ * @param {string} url - URL del servidor de eventos.
+ * @returns {Function} Función que cierra la conexión.
+ */
+const connectSse = (url) => {
+  const source = new EventSource(withToken(`${url}/events`));
+  source.onopen = () => liveStatus.setState({ state: 'open' });
+  source.onmessage = (e) => handleMessage(e.data);
+  source.onerror = () => liveStatus.setState({ state: 'reconnecting' });
+  return () => source.close();
+};
+
+/**
+ * Se suscribe con WebSocket, reconectando con espera creciente si se corta.
+ *
+ * @function connectWebSocket
+ * @param {string} url - URL del servidor de eventos.
+ * @returns {Function} Función que cierra la conexión.
+ */
+const connectWebSocket = (url) => {
+  let socket = null;
+  let failures = 0;
+  let timer = null;
+  let stopped = false;
+
+  const connect = () => {
+    socket = new WebSocket(withToken(`${url.replace(/^http/, 'ws')}/ws`));
+    socket.onopen = () => {
+      failures = 0;
+      connection = { send: (message) => socket.send(message) };
+      liveStatus.setState({ state: 'open' });
+    };
+    socket.onmessage = (e) => handleMessage(e.data);
+    socket.onclose = () => {
+      connection = null;
+      if (stopped) return;
+      failures += 1;
+      liveStatus.setState({ state: 'reconnecting' });
+      timer = setTimeout(connect, nextDelay(failures, { interval: 1000, maxInterval: 30000 }));
+    };
+  };
+
+  connect();
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+    socket.close();
+  };
+};
+
+/**
+ * Inicia la suscripción a los cambios de otros usuarios.
+ *
+ * @function startLiveUpdates
+ * @param {Object} [options] - Opciones.
+ * @param {string} [options.url] - URL del servidor de eventos (REACT_APP_LIVE_URL).
+ * @param {string} [options.transport] - 'sse' o 'websocket' (REACT_APP_LIVE_TRANSPORT, 'sse').
+ * @returns {Function} Función que detiene la suscripción.
+ */
+export const startLiveUpdates = ({
+  url = getLiveURL(),
+  transport = process.env.REACT_APP_LIVE_TRANSPORT || 'sse',
+} = {}) => {
+  if (!url) {
+    liveStatus.setState({ state: 'off', transport: null });
+    return () => {};
+  }
+
+  liveStatus.setState({ state: 'connecting', transport });
+  const connect = () => (transport === 'websocket' ? connectWebSocket(url) : connectSse(url));
+  let close = connect();
+
+  // Con cada token nuevo se reemplaza la conexión; sin sesión la detiene quien la inició
+  let { accessToken } = authSession.getState();
+  const unsubscribe = authSession.subscribe((session) => {
+    if (!session.accessToken || session.accessToken === accessToken) return;
+    accessToken = session.accessToken;
+    close();
+    liveStatus.setState({ state: 'connecting' });
+    close = connect();
+  });
+
+  return () => {
+    unsubscribe();
+    close();
+    connection = null;
+    liveStatus.setState({ state: 'off', transport: null });
+  };
+};
@@ -0,0 +1,76 @@
+import { authSession } from './auth';
+import {
+  applyLiveEvent, HIGHLIGHT_DURATION, isHighlighted, liveHighlights, registerLiveResource, startLiveUpdates,
+} from './live';
+import { clearQueries, getQuerySnapshot, setQueryData } from './queryCache';
+
+const pageKey = ['cursos', 'page', { page: 0, size: 10 }];
+const page = {
+  items: [{ id: 1, nombre: 'Física I' }, { id: 2, nombre: 'Álgebra Lineal' }], total: 2, page: 0, size: 10,
+};
+
+beforeAll(() => registerLiveResource('cursos', ['cursos', 'inscripciones']));
+afterEach(() => {
+  clearQueries();
+  jest.useRealTimers();
+});
+
+test('actualiza en el lugar la fila cambiada por otro usuario y la resalta un momento', () => {
+  jest.useFakeTimers();
+  setQueryData(pageKey, page);
+
+  expect(applyLiveEvent({ type: 'updated', resource: 'cursos', id: 2, data: { nombre: 'Álgebra II' } })).toBe(true);
+  expect(getQuerySnapshot(pageKey).data.items[1]).toEqual({ id: 2, nombre: 'Álgebra II' });
+  expect(isHighlighted(liveHighlights.getState(), 'cursos', 2)).toBe(true);
+
+  jest.advanceTimersByTime(HIGHLIGHT_DURATION);
+  expect(isHighlighted(liveHighlights.getState(), 'cursos', 2)).toBe(false);
+});
+
+test('quita las filas eliminadas por otro usuario', () => {
+  setQueryData(pageKey, page);
+
+  applyLiveEvent({ type: 'deleted', resource: 'cursos', id: 1 });
+  expect(getQuerySnapshot(pageKey).data).toMatchObject({ total: 1, items: [{ id: 2 }] });
+});
+
+test('no agrega en el lugar las altas: la lista se vuelve a pedir', () => {
+  jest.useFakeTimers();
+  setQueryData(pageKey, page);
+
+  expect(applyLiveEvent({ type: 'created', resource: 'cursos', id: 3, data: { nombre: 'Química' } })).toBe(true);
+  expect(getQuerySnapshot(pageKey).data).toBe(page);
+  expect(isHighlighted(liveHighlights.getState(), 'cursos', 3)).toBe(true);
+});
+
+test('ignora los eventos de recursos o tipos desconocidos', () => {
+  setQueryData(pageKey, page);
+
+  expect(applyLiveEvent({ type: 'updated', resource: 'aulas', id: 1, data: {} })).toBe(false);
+  expect(applyLiveEvent({ type: 'moved', resource: 'cursos', id: 1 })).toBe(false);
+  expect(getQuerySnapshot(pageKey).data).toBe(page);
+});
+
+test('vuelve a conectarse con el token nuevo cuando se renueva', () => {
+  const sources = [];
+  window.EventSource = jest.fn(function EventSource(url) {
+    this.url = url;
+    this.close = jest.fn();
+    sources.push(this);
+  });
+  authSession.setState({ accessToken: 'viejo' });
+
+  const stop = startLiveUpdates({ url: 'http://eventos', transport: 'sse' });
+  authSession.setState({ accessToken: 'nuevo' });
+
+  expect(sources.map((source) => source.url)).toEqual([
+    'http://eventos/events?access_token=viejo',
+    'http://eventos/events?access_token=nuevo',
+  ]);
+  expect(sources[0].close).toHaveBeenCalled();
+
+  stop();
+  expect(sources[1].close).toHaveBeenCalled();
+  authSession.setState({ accessToken: null });
+  delete window.EventSource;
+});
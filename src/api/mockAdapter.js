@@ -0,0 +1,499 @@
+/**
+ * Backend simulado en memoria.
+ *
+ * Adaptador de Axios que emula los recursos `/estudiantes`, `/cursos`, `/profesores`
+ * y `/cursos-estudiantes` con GET, POST, PUT y DELETE, sin salir a la red.
+ * Las respuestas tienen la misma forma que las de la API real: los cursos traen el
+ * `profesor` anidado y las inscripciones traen el `curso` y el `estudiante` anidados.
+ * Los errores de negocio (por ejemplo, eliminar un profesor que todavía tiene cursos)
+ * se responden con el código HTTP y el mensaje que devolvería el servidor.
+ *
+ * Cada registro tiene un número de `version` que aumenta al modificarlo. `GET /recurso/{id}`
+ * lo devuelve también como `ETag`, y un PUT con `If-Match` de otra versión se responde 412,
+ * como un backend con bloqueo optimista.
+ *
+ * También emula la autenticación (`/auth/login`, `/auth/refresh`, `/auth/me` y
+ * `/auth/logout`) con los usuarios de `mockSeed.js` y tokens simulados que vencen, y
+ * responde la verificación de salud `GET /actuator/health` sin pedir sesión.
+ *
+ * Opciones:
+ * - latency: Demora en milisegundos antes de cada respuesta. Una solicitud cancelada durante
+ *   la demora (con la `signal` de Axios) no llega al backend, como si no hubiera salido.
+ * - failureRate: Probabilidad (0 a 1) de responder con un 503 simulado.
+ * - seed: Datos iniciales; por defecto los de `mockSeed.js`.
+ * - random: Generador de números aleatorios, reemplazable en las pruebas.
+ * - requireAuth: Si es true, los recursos responden 401 sin un token de acceso vigente.
+ * - accessTokenTtl: Vigencia del token de acceso en milisegundos.
+ * - pagination: Si es true (por defecto), las colecciones pedidas con `page` responden una
+ *   página al estilo de Spring Data; si es false responden siempre la colección completa,
+ *   como un backend sin paginación.
+ */
+
+import { AxiosError, CanceledError } from 'axios';
+import mockSeed from './mockSeed';
+import { LIST_FIELDS, applyQuery, fromQueryParams } from './listQuery';
+import * as rules from '../utils/validation';
+
+/**
+ * Textos de estado HTTP usados en las respuestas simuladas.
+ *
+ * @type {Object<number, string>}
+ */
+const STATUS_TEXT = {
+  200: 'OK',
+  201: 'Created',
+  204: 'No Content',
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  404: 'Not Found',
+  405: 'Method Not Allowed',
+  409: 'Conflict',
+  412: 'Precondition Failed',
+  503: 'Service Unavailable',
+};
+
+// Reglas de los datos de una persona, las mismas que revisa el formulario
+const PERSONA_RULES = {
+  dni: [rules.dni],
+  nombre: [rules.personName, rules.maxLength(50)],
+  apellido: [rules.personName, rules.maxLength(50)],
+  email: [rules.email],
+  profesion: [rules.personName, rules.maxLength(50)],
+  telefono: [rules.phone],
+};
+
+const clone = (value) => (value === undefined ? '' : JSON.parse(JSON.stringify(value)));
+// Espera que termina antes si la solicitud se cancela
+const wait = (ms, signal) => new Promise((resolve) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    resolve();
+  }, { once: true });
+});
+const reply = (status, data, headers = {}) => ({ status, data, headers });
+const findById = (rows, id) => rows.find((row) => row.id === Number(id));
+const etag = (row) => ({ etag: `"${row.version}"` });
+
+/**
+ * Lee una cabecera de la solicitud, sea un objeto simple o `AxiosHeaders`.
+ *
+ * @function readHeader
+ * @param {Object} headers - Cabeceras de la solicitud.
+ * @param {string} name - Nombre de la cabecera.
+ * @returns {string|undefined}
+ */
+const readHeader = (headers = {}, name) => (
+  typeof headers.get === 'function' ? headers.get(name) : headers[name]
+);
+
+/**
+ * Crea una copia independiente de los datos iniciales con los contadores de IDs.
+ *
+ * @function createDatabase
+ * @param {Object} seed - Datos iniciales.
+ * @returns {Object} Base de datos en memoria.
+ */
+const createDatabase = (seed) => {
+  const db = clone(seed);
+  db.nextId = {};
+  Object.keys(seed).forEach((table) => {
+    db.nextId[table] = seed[table].reduce((max, row) => Math.max(max, row.id), 0) + 1;
+  });
+  // Todos los registros de los recursos empiezan en la versión 0
+  Object.values(resources).forEach(({ table }) => {
+    db[table] = (db[table] || []).map((row) => ({ version: 0, ...row }));
+  });
+  db.refreshTokens = {};
+  return db;
+};
+
+/**
+ * Marca como obligatorios los campos vacíos del cuerpo recibido.
+ *
+ * @function requireFields
+ * @param {Object} body - Datos recibidos.
+ * @param {string[]} fields - Campos obligatorios.
+ * @returns {Object<string, string>} Errores por campo.
+ */
+const requireFields = (body, fields) => {
+  const errors = {};
+  fields.forEach((field) => {
+    if (rules.isEmpty(body[field])) {
+      errors[field] = rules.requiredMessage();
+    }
+  });
+  return errors;
+};
+
+/**
+ * Arma la respuesta 400 de validación si hay errores por campo.
+ *
+ * @function validationError
+ * @param {Object<string, string>} errors - Errores por campo.
+ * @returns {Object|null} Respuesta de error, o null si no hay errores.
+ */
+const validationError = (errors) => (
+  Object.keys(errors).length
+    ? reply(400, { status: 400, error: 'Bad Request', message: 'Los datos enviados no son válidos', errors })
+    : null
+);
+
+/**
+ * Valida los datos de una persona (estudiante o profesor) y la unicidad del DNI.
+ *
+ * @function validatePersona
+ * @param {Object[]} rows - Registros existentes de la tabla.
+ * @param {Object} body - Datos recibidos.
+ * @param {number|null} id - ID del registro que se actualiza, o null al crear.
+ * @param {string[]} fields - Campos obligatorios.
+ * @param {string} label - Nombre del tipo de persona para el mensaje de conflicto.
+ * @returns {Object|null} Respuesta de error, o null si los datos son válidos.
+ */
+const validatePersona = (rows, body, id, fields, label) => {
+  const errors = rules.validateValues(fields.map((name) => ({ name, rules: PERSONA_RULES[name] })), body);
+
+  const invalid = validationError(errors);
+  if (invalid) return invalid;
+
+  if (rows.some((row) => row.dni === String(body.dni) && row.id !== id)) {
+    return reply(409, `Ya existe un ${label} con el DNI ${body.dni}`);
+  }
+  return null;
+};
+
+/**
+ * Definición de cada recurso: tabla donde se guarda, cómo se valida, cómo se
+ * normaliza lo recibido, cómo se arma la respuesta y qué impide eliminarlo.
+ *
+ * @type {Object<string, Object>}
+ */
+const resources = {
+  estudiantes: {
+    table: 'estudiantes',
+    label: 'El estudiante',
+    validate: (db, body, id) => validatePersona(db.estudiantes, body, id, ['dni', 'nombre', 'apellido', 'email'], 'estudiante'),
+    normalize: ({ dni, nombre, apellido, email }) => ({ dni: String(dni), nombre, apellido, email }),
+    serialize: (db, row) => ({ ...row }),
+    beforeDelete: (db, id) => (
+      db.inscripciones.some((row) => row.estudianteId === id)
+        ? reply(409, 'No se puede eliminar el estudiante porque tiene inscripciones')
+        : null
+    ),
+  },
+  profesores: {
+    table: 'profesores',
+    label: 'El profesor',
+    validate: (db, body, id) => validatePersona(db.profesores, body, id, ['dni', 'nombre', 'apellido', 'email', 'profesion', 'telefono'], 'profesor'),
+    normalize: ({ dni, nombre, apellido, email, profesion, telefono }) => ({
+      dni: String(dni), nombre, apellido, email, profesion, telefono: String(telefono),
+    }),
+    serialize: (db, row) => ({ ...row }),
+    beforeDelete: (db, id) => (
+      db.cursos.some((row) => row.profesorId === id)
+        ? reply(409, 'No se puede eliminar el profesor porque tiene cursos asignados')
+        : null
+    ),
+  },
+  cursos: {
+    table: 'cursos',
+    label: 'El curso',
+    validate: (db, body) => {
+      const errors = requireFields(body, ['nombre', 'descripcion', 'profesorId']);
+      if (!errors.profesorId && !findById(db.profesores, body.profesorId)) {
+        errors.profesorId = 'El profesor no existe';
+      }
+      return validationError(errors);
+    },
+    normalize: ({ nombre, descripcion, profesorId }) => ({ nombre, descripcion, profesorId: Number(profesorId) }),
+    serialize: (db, { profesorId, ...curso }) => ({
+      ...curso,
+      profesor: findById(db.profesores, profesorId) || null,
+    }),
+    beforeDelete: (db, id) => (
+      db.inscripciones.some((row) => row.cursoId === id)
+        ? reply(409, 'No se puede eliminar el curso porque tiene estudiantes inscriptos')
+        : null
+    ),
+  },
+  'cursos-estudiantes': {
+    table: 'inscripciones',
+    label: 'La inscripción',
+    validate: (db, body, id) => {
+      const errors = requireFields(body, ['cursoId', 'estudianteId', 'nota', 'fecha']);
+      if (!errors.cursoId && !findById(db.cursos, body.cursoId)) errors.cursoId = 'El curso no existe';
+      if (!errors.estudianteId && !findById(db.estudiantes, body.estudianteId)) errors.estudianteId = 'El estudiante no existe';
+      if (!errors.nota && !(Number(body.nota) >= 0 && Number(body.nota) <= 10)) errors.nota = 'La nota debe estar entre 0 y 10';
+      if (!errors.fecha && Number.isNaN(Date.parse(body.fecha))) errors.fecha = 'La fecha no es válida';
+
+      const invalid = validationError(errors);
+      if (invalid) return invalid;
+
+      const duplicated = db.inscripciones.some((row) => (
+        row.cursoId === Number(body.cursoId) && row.estudianteId === Number(body.estudianteId) && row.id !== id
+      ));
+      return duplicated ? reply(409, 'El estudiante ya está inscripto en ese curso') : null;
+    },
+    normalize: ({ cursoId, estudianteId, nota, fecha }) => ({
+      cursoId: Number(cursoId),
+      estudianteId: Number(estudianteId),
+      nota: Number(nota),
+      fecha: String(fecha).substring(0, 10),
+    }),
+    serialize: (db, { cursoId, estudianteId, fecha, ...inscripcion }) => {
+      const curso = findById(db.cursos, cursoId);
+      return {
+        ...inscripcion,
+        fecha: `${fecha}T00:00:00.000+00:00`,
+        curso: curso ? resources.cursos.serialize(db, curso) : null,
+        estudiante: findById(db.estudiantes, estudianteId) || null,
+      };
+    },
+    beforeDelete: () => null,
+  },
+};
+
+/**
+ * Devuelve los datos públicos de un usuario, sin la contraseña.
+ *
+ * @function publicUser
+ * @param {Object} usuario - Usuario de la base de datos.
+ * @returns {Object}
+ */
+const publicUser = ({ password, ...usuario }) => usuario;
+
+/**
+ * Emite un par de tokens para el usuario y registra el de renovación.
+ * El token de acceso lleva el ID del usuario y su vencimiento para poder validarlo sin estado.
+ *
+ * @function issueTokens
+ * @param {Object} db - Base de datos en memoria.
+ * @param {Object} settings - Opciones del adaptador.
+ * @param {Object} usuario - Usuario autenticado.
+ * @returns {{accessToken: string, refreshToken: string, expiresAt: number, user: Object}}
+ */
+const issueTokens = (db, settings, usuario) => {
+  const expiresAt = Date.now() + settings.accessTokenTtl;
+  const refreshToken = `mock-refresh.${usuario.id}.${settings.random().toString(36).slice(2)}`;
+  db.refreshTokens[refreshToken] = usuario.id;
+  return {
+    accessToken: `mock-access.${usuario.id}.${expiresAt}`,
+    refreshToken,
+    expiresAt,
+    user: publicUser(usuario),
+  };
+};
+
+/**
+ * Devuelve el usuario del token de acceso de la cabecera Authorization, o null si
+ * falta, no es válido o venció.
+ *
+ * @function authenticate
+ * @param {Object} db - Base de datos en memoria.
+ * @param {Object} headers - Cabeceras de la solicitud.
+ * @returns {Object|null}
+ */
+const authenticate = (db, headers = {}) => {
+  const header = readHeader(headers, 'Authorization');
+  const match = /^Bearer mock-access\.(\d+)\.(\d+)$/.exec(header || '');
+  if (!match || Number(match[2]) <= Date.now()) return null;
+  return findById(db.usuarios, match[1]) || null;
+};
+
+/**
+ * Resuelve las solicitudes de autenticación.
+ *
+ * @function handleAuth
+ * @param {Object} db - Base de datos en memoria.
+ * @param {Object} settings - Opciones del adaptador.
+ * @param {string} method - Método HTTP en minúsculas.
+ * @param {string} action - Segmento posterior a `/auth`.
+ * @param {Object} body - Cuerpo de la solicitud.
+ * @param {Object} headers - Cabeceras de la solicitud.
+ * @returns {{status: number, data: *}} Respuesta simulada.
+ */
+const handleAuth = (db, settings, method, action, body, headers) => {
+  if (action === 'me' && method === 'get') {
+    const usuario = authenticate(db, headers);
+    return usuario ? reply(200, publicUser(usuario)) : reply(401, 'Sesión no válida o vencida');
+  }
+  if (method !== 'post') return reply(405, 'Método no permitido');
+
+  switch (action) {
+    case 'login': {
+      const usuario = db.usuarios.find((row) => row.username === body.username && row.password === body.password);
+      return usuario ? reply(200, issueTokens(db, settings, usuario)) : reply(401, 'Usuario o contraseña incorrectos');
+    }
+    case 'refresh': {
+      const usuario = findById(db.usuarios, db.refreshTokens[body.refreshToken]);
+      if (!usuario) return reply(401, 'La sesión expiró');
+      // Cada token de renovación se usa una sola vez
+      delete db.refreshTokens[body.refreshToken];
+      return reply(200, issueTokens(db, settings, usuario));
+    }
+    case 'logout':
+      delete db.refreshTokens[body.refreshToken];
+      return reply(204, '');
+    default:
+      return reply(404, `No existe el recurso /auth/${action}`);
+  }
+};
+
+/**
+ * Resuelve una solicitud contra la base de datos en memoria.
+ *
+ * @function handle
+ * @param {Object} db - Base de datos en memoria.
+ * @param {string} method - Método HTTP en minúsculas.
+ * @param {string[]} segments - Segmentos de la ruta (recurso e ID opcional).
+ * @param {Object} body - Cuerpo de la solicitud ya parseado.
+ * @param {URLSearchParams} params - Parámetros de la consulta.
+ * @param {Object} settings - Opciones del adaptador.
+ * @param {Object} headers - Cabeceras de la solicitud.
+ * @returns {{status: number, data: *, headers: Object}} Respuesta simulada.
+ */
+const handle = (db, method, segments, body, params, settings, headers) => {
+  const [name, idSegment, ...rest] = segments;
+  const resource = resources[name];
+  if (!resource || rest.length) {
+    return reply(404, `No existe el recurso /${segments.join('/')}`);
+  }
+
+  const rows = db[resource.table];
+  const serialize = (row) => resource.serialize(db, row);
+
+  if (idSegment === undefined) {
+    if (method === 'get' && settings.pagination && params.has('page')) {
+      const { items, total, page, size } = applyQuery(
+        rows.map(serialize), fromQueryParams(params), LIST_FIELDS[resource.table]
+      );
+      return reply(200, {
+        content: items, totalElements: total, totalPages: Math.ceil(total / size), number: page, size,
+      });
+    }
+    if (method === 'get') return reply(200, rows.map(serialize));
+    if (method === 'post') {
+      const invalid = resource.validate(db, body, null);
+      if (invalid) return invalid;
+      const row = { ...resource.normalize(body), id: db.nextId[resource.table]++, version: 0 };
+      rows.push(row);
+      return reply(201, serialize(row), etag(row));
+    }
+    return reply(405, 'Método no permitido');
+  }
+
+  const id = Number(idSegment);
+  const index = rows.findIndex((row) => row.id === id);
+  if (index < 0) {
+    return reply(404, `${resource.label} con id ${idSegment} no existe`);
+  }
+
+  switch (method) {
+    case 'get':
+      return reply(200, serialize(rows[index]), etag(rows[index]));
+    case 'put': {
+      const expected = readHeader(headers, 'If-Match');
+      if (expected && expected !== '*' && expected !== etag(rows[index]).etag) {
+        return reply(412, 'El registro fue modificado por otro usuario');
+      }
+      const invalid = resource.validate(db, body, id);
+      if (invalid) return invalid;
+      rows[index] = { ...resource.normalize(body), id, version: rows[index].version + 1 };
+      return reply(200, serialize(rows[index]), etag(rows[index]));
+    }
+    case 'delete': {
+      const blocked = resource.beforeDelete(db, id);
+      if (blocked) return blocked;
+      rows.splice(index, 1);
+      return reply(204, '');
+    }
+    default:
+      return reply(405, 'Método no permitido');
+  }
+};
+
+/**
+ * Crea un adaptador de Axios respaldado por una base de datos en memoria.
+ *
+ * El adaptador expone además:
+ * - reset(): Restaura los datos iniciales.
+ * - configure(options): Cambia cualquiera de las opciones, por ejemplo la latencia o la tasa de fallas.
+ *
+ * @function createMockAdapter
+ * @param {Object} [options] - Opciones del backend simulado.
+ * @returns {Function} Adaptador compatible con la opción `adapter` de Axios.
+ */
+export const createMockAdapter = (options = {}) => {
+  const settings = {
+    latency: 0,
+    failureRate: 0,
+    seed: mockSeed,
+    random: Math.random,
+    requireAuth: false,
+    accessTokenTtl: 15 * 60 * 1000,
+    pagination: true,
+    ...options,
+  };
+  let db = createDatabase(settings.seed);
+
+  const adapter = async (config) => {
+    if (settings.latency > 0) {
+      await wait(settings.latency, config.signal);
+    }
+    if (config.signal?.aborted) {
+      throw new CanceledError(null, null, config);
+    }
+
+    const url = new URL(config.url, 'http://mock.local/');
+    const segments = url.pathname.split('/').filter(Boolean);
+    const params = new URLSearchParams(url.search);
+    Object.entries(config.params || {}).forEach(([name, value]) => params.set(name, value));
+    const method = (config.method || 'get').toLowerCase();
+    const body = typeof config.data === 'string' && config.data ? JSON.parse(config.data) : (config.data || {});
+
+    let result;
+    if (settings.random() < settings.failureRate) {
+      result = reply(503, 'Servicio no disponible (falla simulada)');
+    } else if (url.pathname === '/actuator/health') {
+      result = method === 'get' ? reply(200, { status: 'UP' }) : reply(405, 'Método no permitido');
+    } else if (segments[0] === 'auth') {
+      result = handleAuth(db, settings, method, segments.slice(1).join('/'), body, config.headers);
+    } else if (settings.requireAuth && !authenticate(db, config.headers)) {
+      result = reply(401, 'Se requiere iniciar sesión');
+    } else {
+      result = handle(db, method, segments, body, params, settings, config.headers);
+    }
+
+    const response = {
+      data: clone(result.data),
+      status: result.status,
+      statusText: STATUS_TEXT[result.status] || '',
+      headers: { 'content-type': 'application/json', ...result.headers },
+      config,
+      request: {},
+    };
+
+    const validateStatus = config.validateStatus || ((status) => status >= 200 && status < 300);
+    if (validateStatus(response.status)) {
+      return response;
+    }
+
+    throw new AxiosError(
+      `Request failed with status code ${response.status}`,
+      response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+      config,
+      response.request,
+      response
+    );
+  };
+
+  adapter.reset = () => {
+    db = createDatabase(settings.seed);
+  };
+
+  adapter.configure = (next) => {
+    Object.assign(settings, next);
+  };
+
+  return adapter;
+};
@@ -0,0 +1,85 @@
+import axios from 'axios';
+import { createMockAdapter } from './mockAdapter';
+
+const createClient = (options) => axios.create({ baseURL: '/', adapter: createMockAdapter(options) });
+
+test('lista los cursos con el profesor anidado', async () => {
+  const client = createClient();
+  const { data } = await client.get('/cursos');
+
+  expect(data.length).toBeGreaterThan(0);
+  expect(data[0].profesor).toEqual(expect.objectContaining({ id: 1, nombre: 'María José' }));
+  expect(data[0]).not.toHaveProperty('profesorId');
+});
+
+test('crea, actualiza y elimina una inscripción', async () => {
+  const client = createClient();
+  const { data: creada, status } = await client.post('/cursos-estudiantes', {
+    cursoId: 2, estudianteId: 3, nota: 7, fecha: '2024-09-01',
+  });
+
+  expect(status).toBe(201);
+  expect(creada.curso.nombre).toBe('Álgebra Lineal');
+  expect(creada.estudiante.apellido).toBe('Ibáñez');
+  expect(creada.fecha.split('T')[0]).toBe('2024-09-01');
+
+  const { data: actualizada } = await client.put(`/cursos-estudiantes/${creada.id}`, {
+    cursoId: 2, estudianteId: 3, nota: 9, fecha: '2024-09-01',
+  });
+  expect(actualizada.nota).toBe(9);
+
+  await client.delete(`/cursos-estudiantes/${creada.id}`);
+  await expect(client.get(`/cursos-estudiantes/${creada.id}`)).rejects.toMatchObject({
+    response: { status: 404 },
+  });
+});
+
+test('rechaza con 412 la actualización de una versión que ya cambió', async () => {
+  const client = createClient();
+  const { data: curso, headers } = await client.get('/cursos/1');
+  expect(headers.etag).toBe(`"${curso.version}"`);
+
+  const body = { nombre: 'Física II', descripcion: curso.descripcion, profesorId: curso.profesor.id };
+  const { data: actualizado } = await client.put('/cursos/1', body, { headers: { 'If-Match': headers.etag } });
+  expect(actualizado.version).toBe(curso.version + 1);
+
+  // Un segundo usuario que leyó la versión anterior ya no puede guardar
+  await expect(client.put('/cursos/1', body, { headers: { 'If-Match': headers.etag } })).rejects.toMatchObject({
+    response: { status: 412 },
+  });
+});
+
+test('no permite eliminar un profesor que tiene cursos', async () => {
+  const client = createClient();
+
+  await expect(client.delete('/profesores/1')).rejects.toMatchObject({
+    response: { status: 409, data: 'No se puede eliminar el profesor porque tiene cursos asignados' },
+  });
+});
+
+test('responde 400 con errores por campo si los datos no son válidos', async () => {
+  const client = createClient();
+
+  await expect(client.post('/estudiantes', { dni: '12', nombre: 'Ana' })).rejects.toMatchObject({
+    response: {
+      status: 400,
+      data: { errors: { dni: expect.any(String), apellido: expect.any(String), email: expect.any(String) } },
+    },
+  });
+});
+
+test('inyecta fallas según la tasa configurada', async () => {
+  const client = createClient({ failureRate: 0.5, random: () => 0.1 });
+
+  await expect(client.get('/estudiantes')).rejects.toMatchObject({ response: { status: 503 } });
+});
+
+test('reset restaura los datos iniciales', async () => {
+  const adapter = createMockAdapter();
+  const client = axios.create({ baseURL: '/', adapter });
+  await client.delete('/cursos-estudiantes/1');
+
+  adapter.reset();
+  const { data } = await client.get('/cursos-estudiantes/1');
+  expect(data.id).toBe(1);
+});
@@ -0,0 +1,54 @@
+/**
+ * Datos iniciales del backend simulado.
+ *
+ * Las relaciones se guardan por ID (`profesorId`, `cursoId`, `estudianteId`), igual
+ * que en los formularios; el adaptador simulado arma los objetos anidados al responder.
+ * Los usuarios solo los usa el endpoint de autenticación simulado (`/auth/login`).
+ */
+
+const mockSeed = {
+  usuarios: [
+    { id: 1, username: 'admin', password: 'admin123', nombre: 'Administración', rol: 'administrador' },
+    { id: 2, username: 'bedel', password: 'bedel123', nombre: 'Bedelía', rol: 'bedel' },
+    { id: 3, username: 'mgomez', password: 'profesor123', nombre: 'María José Gómez', rol: 'profesor', profesorId: 1 },
+    { id: 4, username: 'sbenitez', password: 'estudiante123', nombre: 'Sofía Benítez', rol: 'estudiante', estudianteId: 1 },
+  ],
+  profesores: [
+    { id: 1, dni: '20123456', nombre: 'María José', apellido: 'Gómez', email: 'mgomez@ugd.edu.ar', profesion: 'Ingeniera en Sistemas', telefono: '3764123456' },
+    { id: 2, dni: '22456789', nombre: 'Raúl', apellido: 'Fernández', email: 'rfernandez@ugd.edu.ar', profesion: 'Licenciado en Matemática', telefono: '3764234567' },
+    { id: 3, dni: '25789012', nombre: 'Lucía', apellido: 'Núñez', email: 'lnunez@ugd.edu.ar', profesion: 'Profesora de Física', telefono: '3764345678' },
+    { id: 4, dni: '27890123', nombre: 'Andrés', apellido: 'Müller', email: 'amuller@ugd.edu.ar', profesion: 'Analista Programador', telefono: '3764456789' },
+  ],
+  cursos: [
+    { id: 1, nombre: 'Desarrollo de Aplicaciones Web', descripcion: 'Construcción de aplicaciones web con React y APIs REST.', profesorId: 1 },
+    { id: 2, nombre: 'Álgebra Lineal', descripcion: 'Matrices, espacios vectoriales y transformaciones lineales.', profesorId: 2 },
+    { id: 3, nombre: 'Física I', descripcion: 'Cinemática, dinámica y trabajo y energía.', profesorId: 3 },
+    { id: 4, nombre: 'Bases de Datos', descripcion: 'Modelo relacional, SQL y normalización.', profesorId: 4 },
+    { id: 5, nombre: 'Análisis Matemático I', descripcion: 'Límites, derivadas e integrales.', profesorId: 2 },
+  ],
+  estudiantes: [
+    { id: 1, dni: '40123456', nombre: 'Sofía', apellido: 'Benítez', email: 'sofia.benitez@mail.com' },
+    { id: 2, dni: '41234567', nombre: 'Joaquín', apellido: 'Peña', email: 'joaquin.pena@mail.com' },
+    { id: 3, dni: '39345678', nombre: 'Valentina', apellido: 'Ibáñez', email: 'vale.ibanez@mail.com' },
+    { id: 4, dni: '42456789', nombre: 'Mateo', apellido: 'Sosa', email: 'mateo.sosa@mail.com' },
+    { id: 5, dni: '40567890', nombre: 'Camila', apellido: 'Acuña', email: 'camila.acuna@mail.com' },
+    { id: 6, dni: '43678901', nombre: 'Tomás', apellido: 'Rodríguez', email: 'tomas.rodriguez@mail.com' },
+    { id: 7, dni: '38789012', nombre: 'Martina', apellido: 'López', email: 'martina.lopez@mail.com' },
+    { id: 8, dni: '30123987', nombre: 'Agustín', apellido: 'Zárate', email: 'agustin.zarate@mail.com' },
+  ],
+  inscripciones: [
+    { id: 1, cursoId: 1, estudianteId: 1, nota: 9, fecha: '2024-03-11' },
+    { id: 2, cursoId: 1, estudianteId: 2, nota: 7, fecha: '2024-03-11' },
+    { id: 3, cursoId: 1, estudianteId: 3, nota: 4, fecha: '2024-03-12' },
+    { id: 4, cursoId: 2, estudianteId: 1, nota: 8, fecha: '2024-03-13' },
+    { id: 5, cursoId: 2, estudianteId: 4, nota: 6, fecha: '2024-03-13' },
+    { id: 6, cursoId: 3, estudianteId: 5, nota: 10, fecha: '2024-03-18' },
+    { id: 7, cursoId: 3, estudianteId: 6, nota: 3, fecha: '2024-03-18' },
+    { id: 8, cursoId: 4, estudianteId: 7, nota: 7, fecha: '2024-08-05' },
+    { id: 9, cursoId: 4, estudianteId: 2, nota: 5, fecha: '2024-08-05' },
+    { id: 10, cursoId: 5, estudianteId: 8, nota: 6, fecha: '2024-08-06' },
+    { id: 11, cursoId: 5, estudianteId: 3, nota: 9, fecha: '2024-08-06' },
+  ],
+};
+
+export default mockSeed;
@@ -0,0 +1,199 @@
+/**
+ * Altas, modificaciones y bajas optimistas.
+ *
+ * El cambio se aplica enseguida sobre todas las listas del recurso en la caché (las
+ * colecciones completas y las páginas de `listPage`) y después se envía a la API:
+ * - Mientras la API no responde, el registro queda marcado como pendiente en
+ *   `pendingChanges` para que la tabla lo muestre con un indicador.
+ * - Si la API lo acepta, el registro se reemplaza por el que devolvió y las consultas
+ *   se invalidan como en cualquier mutación (ver `resources.js`).
+ * - Si la API lo rechaza, las listas vuelven a los datos anteriores y el error se propaga
+ *   para que la sección muestre el mensaje.
+ *
+ * Si se guarda el mismo registro varias veces seguidas, solo cuenta la respuesta de la
+ * última operación: las anteriores no lo reemplazan ni lo revierten aunque lleguen después.
+ *
+ * Una operación puede esperar antes de enviarse (`delay`, un tiempo o una promesa) para poder
+ * deshacerla: si su `signal` se cancela durante la espera, las listas vuelven a los datos
+ * anteriores y la API nunca recibe la solicitud.
+ *
+ * Las altas usan un ID provisional (`tmp-1`, `tmp-2`, …) hasta que la API devuelve el real.
+ * Sin conexión la operación queda en la bandeja de salida y el cambio se mantiene; un alta
+ * sigue marcada como pendiente hasta que se envía.
+ */
+
+import { cancelQueries, invalidateQueries, restoreQueries, setQueriesData } from './queryCache';
+import { ApiError } from './errors';
+import { isQueued } from './outbox';
+import { createStore } from '../utils/store';
+import { t } from '../i18n';
+
+/**
+ * Registros con cambios sin confirmar, por `recurso:id`: 'create', 'update', 'queued' o
+ * 'delete'. Las bajas solo se marcan mientras esperan para enviarse: la fila ya no se ve,
+ * pero una lista que llegue mientras tanto todavía la trae.
+ *
+ * @type {Object}
+ */
+export const pendingChanges = createStore({});
+
+let lastTempId = 0;
+let lastMutationId = 0;
+
+// Última operación de cada registro, por `recurso:id`
+const latestMutation = new Map();
+
+/**
+ * Indica si el ID es provisional, es decir, de un alta que la API todavía no confirmó.
+ *
+ * @function isTempId
+ * @param {number|string} id - ID del registro.
+ * @returns {boolean}
+ */
+export const isTempId = (id) => typeof id === 'string' && id.startsWith('tmp-');
+
+const pendingKey = (resource, id) => `${resource.key[0]}:${id}`;
+
+/**
+ * Devuelve el cambio pendiente de un registro, o null si no tiene.
+ *
+ * @function getPendingChange
+ * @param {Object} state - Estado de `pendingChanges`.
+ * @param {Object} resource - Cliente del recurso.
+ * @param {number|string} id - ID del registro.
+ * @returns {string|null}
+ */
+export const getPendingChange = (state, resource, id) => state[pendingKey(resource, id)] || null;
+
+const setPending = (resource, id, type) => pendingChanges.setState({ [pendingKey(resource, id)]: type });
+
+/**
+ * Espera antes de enviar una operación. Se rechaza si la señal se cancela mientras tanto.
+ *
+ * @function waitUnlessAborted
+ * @param {number|Promise} delay - Milisegundos de espera, o promesa que se cumple cuando se puede enviar.
+ * @param {AbortSignal} [signal] - Señal para deshacer la operación.
+ * @returns {Promise<void>}
+ */
+const waitUnlessAborted = (delay, signal) => new Promise((resolve, reject) => {
+  const undone = () => reject(new ApiError({ code: 'CANCELED', message: t('errors.undone') }));
+  if (signal?.aborted) {
+    undone();
+    return;
+  }
+  const timer = typeof delay === 'number' ? setTimeout(resolve, delay) : undefined;
+  if (timer === undefined) Promise.resolve(delay).then(resolve);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    undone();
+  }, { once: true });
+});
+
+/**
+ * Aplica un cambio a los datos de una consulta de lista: una colección completa o una
+ * página (`{ items, total }`). Los datos con otra forma se devuelven sin cambios.
+ *
+ * @function applyChange
+ * @param {Array|Object} data - Datos de la consulta.
+ * @param {Object} change - Cambio a aplicar.
+ * @param {string} change.type - 'create', 'update' o 'delete'.
+ * @param {number|string} change.id - ID del registro afectado.
+ * @param {Object} [change.record] - Registro nuevo, para altas y modificaciones.
+ * @returns {Array|Object} Datos con el cambio aplicado.
+ */
+export const applyChange = (data, { type, id, record }) => {
+  const isPage = data && Array.isArray(data.items);
+  if (!Array.isArray(data) && !isPage) return data;
+  const rows = isPage ? data.items : data;
+  const exists = rows.some((row) => row.id === id);
+
+  let next = rows;
+  let delta = 0;
+  if (type === 'create') {
+    // En las páginas el alta se muestra al principio de la primera; en las colecciones, al final
+    if (!isPage) next = [...rows, record];
+    else if (data.page === 0) next = [record, ...rows];
+    delta = 1;
+  } else if (exists && type === 'delete') {
+    next = rows.filter((row) => row.id !== id);
+    delta = -1;
+  } else if (exists) {
+    next = rows.map((row) => (row.id === id ? { ...row, ...record } : row));
+  }
+
+  if (!isPage) return next;
+  return next === rows && !delta ? data : { ...data, items: next, total: data.total + delta };
+};
+
+/**
+ * Ejecuta una mutación de forma optimista.
+ *
+ * @async
+ * @function mutateOptimistically
+ * @param {Object} resource - Cliente del recurso (ver `resources.js`).
+ * @param {Object} operation - Operación.
+ * @param {string} operation.type - 'create', 'update' o 'delete'.
+ * @param {number|string} [operation.id] - ID del registro, para modificaciones y bajas.
+ * @param {Object} [operation.data] - Cuerpo a enviar a la API.
+ * @param {Object} [operation.record] - Cómo se muestra el registro mientras tanto; por defecto, `data`.
+ * @param {Object} [operation.options] - Opciones del cliente para modificaciones, como `{ version }`.
+ * @param {number|Promise} [operation.delay=0] - Milisegundos a esperar antes de enviar la operación,
+ *   o promesa que se cumple cuando se puede enviar (por ejemplo, al cerrarse el aviso para deshacerla).
+ * @param {AbortSignal} [operation.signal] - Deshace la operación si se cancela durante la espera.
+ * @returns {Promise<*>} Lo que devuelve el cliente del recurso.
+ * @throws {ApiError} Si la API rechaza el cambio o se deshizo (código CANCELED); en los dos
+ *   casos las listas ya se revirtieron.
+ */
+export const mutateOptimistically = async (resource, {
+  type, id, data, record = data, options, delay = 0, signal,
+}) => {
+  const targetId = type === 'create' ? `tmp-${++lastTempId}` : id;
+  const optimisticRecord = type === 'delete' ? undefined : { ...record, id: targetId };
+  const mutationKey = pendingKey(resource, targetId);
+  const mutationId = ++lastMutationId;
+  latestMutation.set(mutationKey, mutationId);
+  const isLatest = () => latestMutation.get(mutationKey) === mutationId;
+
+  // Las respuestas en curso son anteriores al cambio: no deben pisarlo
+  cancelQueries(resource.key);
+  const previous = setQueriesData(resource.key, (current) => applyChange(current, {
+    type, id: targetId, record: optimisticRecord,
+  }));
+  if (type !== 'delete' || delay) setPending(resource, targetId, type);
+
+  try {
+    if (delay) await waitUnlessAborted(delay, signal);
+
+    let result;
+    if (type === 'create') result = await resource.create(data);
+    else if (type === 'update') result = await resource.update(id, data, options);
+    else result = await resource.remove(id);
+
+    // Otra operación posterior sobre el mismo registro ya está a la vista: esta respuesta es vieja
+    if (!isLatest()) return result;
+    latestMutation.delete(mutationKey);
+
+    if (isQueued(result)) {
+      // El cambio queda a la vista; un alta sigue pendiente porque todavía no tiene ID real
+      setPending(resource, targetId, type === 'create' ? 'queued' : null);
+    } else {
+      setPending(resource, targetId, null);
+      // Mientras llega la lista actualizada se muestra el registro que devolvió la API
+      if (result && result.id !== undefined) {
+        setQueriesData(resource.key, (current) => applyChange(current, {
+          type: 'update', id: targetId, record: result,
+        }));
+      }
+    }
+    return result;
+  } catch (error) {
+    // Si hubo una operación posterior no se revierte (se perdería); la lista se vuelve a pedir igual
+    if (isLatest()) {
+      latestMutation.delete(mutationKey);
+      setPending(resource, targetId, null);
+      restoreQueries(previous);
+    }
+    invalidateQueries(resource.key);
+    throw error;
+  }
+};
@@ -0,0 +1,86 @@
+import { applyChange, getPendingChange, mutateOptimistically, pendingChanges } from './optimistic';
+import { clearQueries, getQuerySnapshot, setQueryData } from './queryCache';
+
+const pageKey = ['cursos', 'page', { page: 0, size: 10 }];
+const page = {
+  items: [{ id: 1, nombre: 'Física I' }, { id: 2, nombre: 'Álgebra Lineal' }], total: 2, page: 0, size: 10,
+};
+
+afterEach(() => clearQueries());
+
+test('aplica altas, modificaciones y bajas a páginas y colecciones', () => {
+  expect(applyChange(page, { type: 'create', id: 'tmp-1', record: { id: 'tmp-1' } }).items[0].id).toBe('tmp-1');
+  expect(applyChange(page, { type: 'update', id: 2, record: { nombre: 'Álgebra II' } }).items[1].nombre).toBe('Álgebra II');
+  expect(applyChange(page, { type: 'delete', id: 1 })).toMatchObject({ total: 1, items: [{ id: 2 }] });
+  expect(applyChange(page.items, { type: 'create', id: 'tmp-2', record: { id: 'tmp-2' } })).toHaveLength(3);
+});
+
+test('muestra el cambio enseguida y lo revierte si la API lo rechaza', async () => {
+  setQueryData(pageKey, page);
+  const resource = { key: ['cursos'], update: jest.fn().mockRejectedValue(new Error('Conflicto')) };
+
+  const promise = mutateOptimistically(resource, { type: 'update', id: 1, data: { nombre: 'Física II' } });
+  expect(getQuerySnapshot(pageKey).data.items[0].nombre).toBe('Física II');
+  expect(getPendingChange(pendingChanges.getState(), resource, 1)).toBe('update');
+
+  await expect(promise).rejects.toThrow('Conflicto');
+  expect(getQuerySnapshot(pageKey).data).toBe(page);
+  expect(getPendingChange(pendingChanges.getState(), resource, 1)).toBeNull();
+});
+
+test('reemplaza el ID provisional de un alta por el que devuelve la API', async () => {
+  setQueryData(pageKey, page);
+  const resource = { key: ['cursos'], create: jest.fn().mockResolvedValue({ id: 3, nombre: 'Química' }) };
+
+  const promise = mutateOptimistically(resource, { type: 'create', data: { nombre: 'Química' } });
+  const [temporary] = getQuerySnapshot(pageKey).data.items;
+  expect(temporary.id).toMatch(/^tmp-/);
+  expect(getPendingChange(pendingChanges.getState(), resource, temporary.id)).toBe('create');
+
+  await promise;
+  expect(getQuerySnapshot(pageKey).data).toMatchObject({ total: 3, items: [{ id: 3, nombre: 'Química' }, { id: 1 }, { id: 2 }] });
+});
+
+test('la respuesta de una modificación anterior no pisa a la última', async () => {
+  setQueryData(pageKey, page);
+  const replies = [];
+  const resource = {
+    key: ['cursos'],
+    update: jest.fn((id, data) => new Promise((resolve) => replies.push(() => resolve({ id, ...data })))),
+  };
+
+  const first = mutateOptimistically(resource, { type: 'update', id: 1, data: { nombre: 'Física II' } });
+  const second = mutateOptimistically(resource, { type: 'update', id: 1, data: { nombre: 'Física III' } });
+  await Promise.resolve();
+  replies[1]();
+  await second;
+  replies[0]();
+  await first;
+
+  expect(getQuerySnapshot(pageKey).data.items[0].nombre).toBe('Física III');
+});
+
+test('una baja con espera se puede deshacer antes de enviarse', async () => {
+  jest.useFakeTimers();
+  try {
+    setQueryData(pageKey, page);
+    const resource = { key: ['cursos'], remove: jest.fn().mockResolvedValue(null) };
+    const undo = new AbortController();
+
+    const undone = mutateOptimistically(resource, { type: 'delete', id: 1, delay: 5000, signal: undo.signal });
+    expect(getQuerySnapshot(pageKey).data.items).toHaveLength(1);
+    expect(getPendingChange(pendingChanges.getState(), resource, 1)).toBe('delete');
+    undo.abort();
+    await expect(undone).rejects.toMatchObject({ code: 'CANCELED' });
+    expect(getQuerySnapshot(pageKey).data).toBe(page);
+
+    const sent = mutateOptimistically(resource, { type: 'delete', id: 2, delay: 5000, signal: new AbortController().signal });
+    expect(resource.remove).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(5000);
+    await sent;
+    expect(resource.remove).toHaveBeenCalledWith(2);
+    expect(resource.remove).toHaveBeenCalledTimes(1);
+  } finally {
+    jest.useRealTimers();
+  }
+});
@@ -0,0 +1,204 @@
+/**
+ * Bandeja de salida de operaciones pendientes.
+ *
+ * Cuando no hay conexión con la API, las altas, modificaciones y bajas de las secciones
+ * no fallan: se guardan aquí (y en IndexedDB, para sobrevivir a una recarga) y se
+ * reenvían en orden cuando la verificación de conexión vuelve a ver la API.
+ *
+ * Cada operación tiene:
+ * - id, createdAt: Identificador local y momento en que se encoló.
+ * - method, url, data: La solicitud a reenviar.
+ * - headers: Cabeceras propias de la solicitud, si las tiene (por ejemplo `If-Match`).
+ * - label: Descripción para mostrar, por ejemplo "Eliminar curso #3".
+ * - change: Evento en vivo a publicar cuando se envía, `{ type, resource, id }` (ver `live.js`);
+ *   en las altas el ID sale de la respuesta.
+ * - invalidates: Claves de la caché a invalidar cuando se envía con éxito.
+ * - status: 'pending' mientras espera, o 'failed' si el servidor la rechazó.
+ * - error: Mensaje del rechazo, si lo hubo.
+ */
+
+import api from './api';
+import { authSession, storageScope } from './auth';
+import { connectionStatus } from './connection';
+import { normalizeError } from './errors';
+import { publishChange } from './live';
+import { invalidateQueries } from './queryCache';
+import { createStore } from '../utils/store';
+import { idbGet, idbSet } from '../utils/idb';
+
+/**
+ * Estado de la bandeja: las operaciones y si se está reenviando.
+ *
+ * @type {Object}
+ */
+export const outbox = createStore({ items: [], replaying: false });
+
+// Cada usuario de cada entorno tiene su propia bandeja: sus operaciones se envían solo con su sesión
+const storageKey = storageScope;
+
+// Funciones a llamar cuando una operación sale de la bandeja (ver `onSettled`)
+const settledListeners = new Set();
+
+/**
+ * Registra una función que se llama cuando una operación sale de la bandeja: enviada con
+ * éxito o descartada por el usuario.
+ *
+ * @function onSettled
+ * @param {Function} listener - Recibe la operación y true si se envió, false si se descartó.
+ * @returns {Function} Función para cancelar la suscripción.
+ */
+export const onSettled = (listener) => {
+  settledListeners.add(listener);
+  return () => settledListeners.delete(listener);
+};
+
+const settle = (item, sent) => settledListeners.forEach((listener) => listener(item, sent));
+
+/**
+ * Reemplaza la lista de operaciones y la guarda en IndexedDB.
+ *
+ * @function setItems
+ * @param {Function} updater - Recibe la lista actual y devuelve la nueva.
+ * @returns {void}
+ */
+const setItems = (updater) => {
+  outbox.setState((state) => ({ items: updater(state.items) }));
+  idbSet('outbox', storageKey(), outbox.getState().items).catch((error) => {
+    console.warn('No se pudo guardar la bandeja de salida:', error);
+  });
+};
+
+/**
+ * Recupera las operaciones guardadas en IndexedDB. Se llama al iniciar la aplicación.
+ *
+ * @async
+ * @function restoreOutbox
+ * @returns {Promise<void>}
+ */
+export const restoreOutbox = async () => {
+  const key = storageKey();
+  try {
+    const items = await idbGet('outbox', key);
+    // Si mientras tanto cambió el usuario, la bandeja leída ya no es la suya
+    if (Array.isArray(items) && key === storageKey()) {
+      outbox.setState({ items });
+    }
+  } catch (error) {
+    console.warn('No se pudo leer la bandeja de salida:', error);
+  }
+};
+
+/**
+ * Agrega una operación a la bandeja.
+ *
+ * @function enqueue
+ * @param {{method: string, url: string, data: *, headers: Object=, label: string, invalidates: string[],
+ *   change: Object=}} operation
+ * @returns {{queued: boolean, id: string}} Marca que reciben las secciones en lugar del registro.
+ */
+export const enqueue = (operation) => {
+  const item = {
+    ...operation,
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    createdAt: new Date().toISOString(),
+    status: 'pending',
+    error: null,
+  };
+  setItems((items) => [...items, item]);
+  return { queued: true, id: item.id };
+};
+
+/**
+ * Indica si el resultado de una mutación es una operación encolada.
+ *
+ * @function isQueued
+ * @param {*} result - Valor devuelto por create, update o remove.
+ * @returns {boolean}
+ */
+export const isQueued = (result) => Boolean(result && result.queued);
+
+/**
+ * Reenvía en orden las operaciones pendientes. Si una falla por falta de conexión se
+ * detiene; si el servidor la rechaza, queda marcada como fallida y se sigue con la próxima.
+ *
+ * @async
+ * @function replayOutbox
+ * @returns {Promise<void>}
+ */
+export const replayOutbox = async () => {
+  if (outbox.getState().replaying) return;
+  outbox.setState({ replaying: true });
+  const key = storageKey();
+
+  try {
+    const pending = outbox.getState().items.filter((item) => item.status === 'pending');
+    for (const item of pending) {
+      // Si el usuario cerró la sesión, lo que queda se envía cuando vuelva a entrar
+      if (key !== storageKey()) break;
+      try {
+        const { data } = await api.request({ method: item.method, url: item.url, data: item.data, headers: item.headers });
+        item.invalidates.forEach((name) => invalidateQueries([name]));
+        if (item.change) {
+          const { type, id } = item.change;
+          publishChange({ ...item.change, id: id ?? data?.id, data: type === 'deleted' ? undefined : data || undefined });
+        }
+        setItems((items) => items.filter((current) => current.id !== item.id));
+        settle(item, true);
+      } catch (error) {
+        const normalized = normalizeError(error);
+        if (normalized.code === 'NETWORK' || normalized.code === 'TIMEOUT') break;
+        setItems((items) => items.map((current) => (
+          current.id === item.id ? { ...current, status: 'failed', error: normalized.message } : current
+        )));
+      }
+    }
+  } finally {
+    outbox.setState({ replaying: false });
+  }
+};
+
+/**
+ * Vuelve a marcar como pendientes las operaciones fallidas indicadas y reenvía la bandeja.
+ *
+ * @function retryItems
+ * @param {string[]} [ids] - IDs a reintentar; si se omite, todas las fallidas.
+ * @returns {Promise<void>}
+ */
+export const retryItems = (ids) => {
+  setItems((items) => items.map((item) => (
+    item.status === 'failed' && (!ids || ids.includes(item.id)) ? { ...item, status: 'pending', error: null } : item
+  )));
+  return replayOutbox();
+};
+
+/**
+ * Descarta una operación sin enviarla.
+ *
+ * @function discardItem
+ * @param {string} id - ID de la operación.
+ * @returns {void}
+ */
+export const discardItem = (id) => {
+  const item = outbox.getState().items.find((current) => current.id === id);
+  setItems((items) => items.filter((current) => current.id !== id));
+  if (item) settle(item, false);
+};
+
+// Reenvía las operaciones pendientes si la API está disponible
+const replayPending = () => {
+  if (connectionStatus.getState().online && outbox.getState().items.some((item) => item.status === 'pending')) {
+    replayOutbox();
+  }
+};
+
+// Reenvía la bandeja cada vez que la API vuelve a estar disponible
+connectionStatus.subscribe(replayPending);
+
+// Al cambiar de usuario se carga su propia bandeja, y se envía lo que dejó pendiente
+let scope = storageKey();
+authSession.subscribe(() => {
+  if (storageKey() === scope) return;
+  scope = storageKey();
+  outbox.setState({ items: [] });
+  restoreOutbox().then(replayPending);
+});
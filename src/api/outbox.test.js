@@ -0,0 +1,68 @@
+import api from './api';
+import { authSession } from './auth';
+import { createMockAdapter } from './mockAdapter';
+import { setApiOnline } from './connection';
+import { outbox, isQueued } from './outbox';
+import { cursosApi } from './resources';
+
+const waitForReplay = () => new Promise((resolve) => {
+  const unsubscribe = outbox.subscribe((state) => {
+    if (!state.replaying) {
+      unsubscribe();
+      resolve();
+    }
+  });
+});
+
+beforeEach(() => {
+  api.defaults.adapter = createMockAdapter();
+  outbox.setState({ items: [], replaying: false });
+  setApiOnline(true);
+});
+
+test('encola las mutaciones sin conexión y las reenvía al volver la API', async () => {
+  setApiOnline(false);
+  const result = await cursosApi.create({ nombre: 'Química', descripcion: 'Estequiometría', profesorId: 3 });
+
+  expect(isQueued(result)).toBe(true);
+  expect(outbox.getState().items).toEqual([
+    expect.objectContaining({ label: 'Crear curso', method: 'post', status: 'pending' }),
+  ]);
+
+  const replayed = waitForReplay();
+  setApiOnline(true);
+  await replayed;
+
+  expect(outbox.getState().items).toHaveLength(0);
+  const cursos = await cursosApi.list();
+  expect(cursos.map((curso) => curso.nombre)).toContain('Química');
+});
+
+test('marca como fallidas las operaciones que el servidor rechaza', async () => {
+  setApiOnline(false);
+  await cursosApi.remove(1);
+
+  const replayed = waitForReplay();
+  setApiOnline(true);
+  await replayed;
+
+  expect(outbox.getState().items).toEqual([
+    expect.objectContaining({
+      status: 'failed',
+      error: 'No se puede eliminar el curso porque tiene estudiantes inscriptos',
+    }),
+  ]);
+});
+
+test('cada usuario tiene su propia bandeja', async () => {
+  authSession.setState({ user: { id: 1 } });
+  setApiOnline(false);
+  await cursosApi.remove(2);
+  expect(outbox.getState().items).toHaveLength(1);
+
+  // Otro usuario no ve ni reenvía las operaciones del anterior
+  authSession.setState({ user: { id: 2 } });
+  expect(outbox.getState().items).toEqual([]);
+
+  authSession.setState({ user: null });
+});
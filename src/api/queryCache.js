@@ -0,0 +1,374 @@
+/**
+ * Caché compartida de consultas.
+ *
+ * Guarda el resultado de cada consulta bajo una clave (un array como `['cursos']`) para
+ * que todas las secciones que piden el mismo recurso compartan los datos:
+ * - Stale-while-revalidate: los datos en caché se muestran enseguida y, si tienen más de
+ *   `staleTime` milisegundos, se vuelven a pedir en segundo plano.
+ * - Deduplicación: si ya hay una solicitud en curso para la clave, se reutiliza su promesa.
+ * - Cancelación: cada solicitud recibe la señal de un AbortController. Se cancela cuando
+ *   la consulta se queda sin componentes suscritos (por ejemplo, al salir de la sección) y
+ *   cuando una invalidación la deja vieja; la respuesta de una solicitud cancelada o
+ *   reemplazada nunca llega a la caché, aunque el servidor la envíe.
+ * - Invalidación: después de una mutación se marcan como vencidas las claves afectadas y
+ *   se vuelven a pedir las que tienen componentes suscritos.
+ * - Cambios optimistas: `setQueriesData` modifica todas las consultas de un recurso antes de
+ *   que responda la API y devuelve sus datos anteriores para revertirlas con `restoreQueries`.
+ *   `cancelQueries` descarta las solicitudes en curso para que no pisen esos cambios.
+ * - Persistencia: cada respuesta exitosa se guarda en IndexedDB y se restaura al iniciar,
+ *   para que las secciones muestren los últimos datos conocidos aunque no haya conexión.
+ *   Las consultas pedidas con `{ persist: false }`, como las páginas de las tablas, no se
+ *   guardan, y se descartan cuando pasan `GC_TIME` milisegundos sin componentes suscritos.
+ */
+
+import { getActiveEnvironment } from './config';
+import { idbClear, idbGetAll, idbSet } from '../utils/idb';
+
+/**
+ * Tiempo, en milisegundos, durante el cual los datos se consideran frescos.
+ *
+ * @type {number}
+ */
+export const DEFAULT_STALE_TIME = 30000;
+
+/**
+ * Tiempo, en milisegundos, que se conserva una consulta que no se guarda en IndexedDB
+ * después de quedarse sin suscriptores.
+ *
+ * @type {number}
+ */
+export const GC_TIME = 5 * 60 * 1000;
+
+const entries = new Map();
+
+const hashKey = (key) => JSON.stringify(key);
+
+/**
+ * Guarda los datos de una consulta en IndexedDB, separados por entorno para no mezclar backends.
+ *
+ * @function persistEntry
+ * @param {Object} entry - Entrada de la caché.
+ * @returns {void}
+ */
+const persistEntry = (entry) => {
+  const environment = getActiveEnvironment().id;
+  idbSet('queries', `${environment}:${hashKey(entry.key)}`, {
+    environment,
+    key: entry.key,
+    data: entry.data,
+    savedAt: entry.updatedAt,
+  }).catch((error) => {
+    console.warn('No se pudo guardar la consulta en IndexedDB:', error);
+  });
+};
+
+/**
+ * Descarta las entradas que no se guardan en IndexedDB (o que nunca tuvieron datos) y llevan
+ * más de `GC_TIME` sin suscriptores. Se llama al crear una entrada nueva, que es cuando la
+ * caché crece.
+ *
+ * @function collectGarbage
+ * @returns {void}
+ */
+const collectGarbage = () => {
+  const now = Date.now();
+  entries.forEach((entry, hash) => {
+    const disposable = !entry.persist || entry.data === undefined;
+    if (disposable && !entry.listeners.size && !entry.promise && entry.unusedSince && now - entry.unusedSince >= GC_TIME) {
+      entries.delete(hash);
+    }
+  });
+};
+
+/**
+ * Devuelve la entrada de la clave, creándola si no existe.
+ *
+ * @function getEntry
+ * @param {Array} key - Clave de la consulta.
+ * @returns {Object} Entrada de la caché.
+ */
+const getEntry = (key) => {
+  const hash = hashKey(key);
+  if (!entries.has(hash)) {
+    collectGarbage();
+    entries.set(hash, {
+      key,
+      data: undefined,
+      error: null,
+      updatedAt: 0,
+      promise: null,
+      fetchId: 0,
+      controller: null,
+      fetcher: null,
+      persist: true,
+      unusedSince: 0,
+      listeners: new Set(),
+      snapshot: { data: undefined, error: null, isFetching: false, updatedAt: 0 },
+    });
+  }
+  return entries.get(hash);
+};
+
+/**
+ * Recalcula la instantánea de la entrada y avisa a sus suscriptores.
+ *
+ * @function notify
+ * @param {Object} entry - Entrada de la caché.
+ * @returns {void}
+ */
+const notify = (entry) => {
+  entry.snapshot = {
+    data: entry.data,
+    error: entry.error,
+    isFetching: Boolean(entry.promise),
+    updatedAt: entry.updatedAt,
+  };
+  entry.listeners.forEach((listener) => listener());
+};
+
+/**
+ * Indica si la clave de una entrada empieza con el prefijo indicado.
+ *
+ * @function matchesPrefix
+ * @param {Array} key - Clave completa.
+ * @param {Array} prefix - Prefijo a comparar.
+ * @returns {boolean}
+ */
+const matchesPrefix = (key, prefix) => prefix.every((part, index) => hashKey(part) === hashKey(key[index]));
+
+/**
+ * Cancela la solicitud en curso de una entrada: aborta la solicitud HTTP y descarta
+ * su respuesta.
+ *
+ * @function cancelEntry
+ * @param {Object} entry - Entrada de la caché.
+ * @returns {void}
+ */
+const cancelEntry = (entry) => {
+  if (!entry.promise) return;
+  entry.fetchId += 1;
+  entry.controller.abort();
+  entry.controller = null;
+  entry.promise = null;
+  notify(entry);
+};
+
+/**
+ * Devuelve la instantánea inmutable del estado de una consulta.
+ *
+ * @function getQuerySnapshot
+ * @param {Array} key - Clave de la consulta.
+ * @returns {{data: *, error: (Error|null), isFetching: boolean, updatedAt: number}}
+ */
+export const getQuerySnapshot = (key) => getEntry(key).snapshot;
+
+/**
+ * Obtiene los datos de una consulta: los de la caché si están frescos, los de la
+ * solicitud en curso si existe, o los de una solicitud nueva.
+ *
+ * @async
+ * @function fetchQuery
+ * @param {Array} key - Clave de la consulta.
+ * @param {Function} fetcher - Función que realiza la solicitud y devuelve los datos. Recibe
+ *   `{ signal }`, la señal de cancelación a pasar a Axios.
+ * @param {Object} [options] - Opciones.
+ * @param {number} [options.staleTime] - Vigencia de los datos en milisegundos.
+ * @param {boolean} [options.force=false] - Si es true se ignora la vigencia.
+ * @param {boolean} [options.persist=true] - Si es false los datos no se guardan en IndexedDB.
+ * @returns {Promise<*>} Los datos de la consulta.
+ */
+export const fetchQuery = (key, fetcher, { staleTime = DEFAULT_STALE_TIME, force = false, persist = true } = {}) => {
+  const entry = getEntry(key);
+  entry.fetcher = fetcher;
+  entry.persist = persist;
+
+  if (entry.promise) return entry.promise;
+  if (!force && entry.updatedAt && Date.now() - entry.updatedAt < staleTime) {
+    return Promise.resolve(entry.data);
+  }
+
+  // Identifica la solicitud: si se cancela o se reemplaza, su respuesta ya no modifica la entrada
+  entry.fetchId += 1;
+  const fetchId = entry.fetchId;
+  const isCurrent = () => entry.fetchId === fetchId;
+  const controller = new AbortController();
+  entry.controller = controller;
+
+  entry.promise = Promise.resolve()
+    .then(() => fetcher({ signal: controller.signal }))
+    .then((data) => {
+      if (!isCurrent()) return data;
+      entry.data = data;
+      entry.error = null;
+      entry.updatedAt = Date.now();
+      if (entry.persist) persistEntry(entry);
+      return data;
+    }, (error) => {
+      if (isCurrent()) entry.error = error;
+      throw error;
+    })
+    .finally(() => {
+      if (!isCurrent()) return;
+      entry.promise = null;
+      entry.controller = null;
+      notify(entry);
+    });
+
+  notify(entry);
+  return entry.promise;
+};
+
+/**
+ * Reemplaza los datos en caché de una consulta.
+ *
+ * @function setQueryData
+ * @param {Array} key - Clave de la consulta.
+ * @param {*|Function} updater - Datos nuevos, o función que recibe los actuales y devuelve los nuevos.
+ * @returns {void}
+ */
+export const setQueryData = (key, updater) => {
+  const entry = getEntry(key);
+  entry.data = typeof updater === 'function' ? updater(entry.data) : updater;
+  entry.updatedAt = Date.now();
+  notify(entry);
+};
+
+/**
+ * Aplica una función a los datos de todas las consultas cuya clave empieza con el prefijo.
+ * Las consultas que todavía no tienen datos no se modifican y, a diferencia de
+ * `setQueryData`, no cambia su vigencia: si estaban vencidas se siguen pidiendo.
+ *
+ * @function setQueriesData
+ * @param {Array} prefix - Prefijo de las claves, por ejemplo `['cursos']`.
+ * @param {Function} updater - Recibe los datos actuales de cada consulta y devuelve los nuevos.
+ * @returns {Array<{key: Array, data: *}>} Datos anteriores, para pasar a `restoreQueries`.
+ */
+export const setQueriesData = (prefix, updater) => {
+  const previous = [];
+  entries.forEach((entry) => {
+    if (!matchesPrefix(entry.key, prefix) || entry.data === undefined) return;
+    previous.push({ key: entry.key, data: entry.data });
+    entry.data = updater(entry.data);
+    notify(entry);
+  });
+  return previous;
+};
+
+/**
+ * Vuelve a poner los datos guardados por `setQueriesData`.
+ *
+ * @function restoreQueries
+ * @param {Array<{key: Array, data: *}>} previous - Datos anteriores de cada consulta.
+ * @returns {void}
+ */
+export const restoreQueries = (previous) => {
+  previous.forEach(({ key, data }) => {
+    const entry = getEntry(key);
+    entry.data = data;
+    notify(entry);
+  });
+};
+
+/**
+ * Cancela las solicitudes en curso de las consultas cuya clave empieza con el prefijo:
+ * se abortan y sus respuestas ya no se guardan en la caché. Se usa antes de un cambio
+ * optimista, para que una respuesta anterior al cambio no lo pise; por eso solo se cancelan
+ * las consultas que ya tienen datos.
+ *
+ * @function cancelQueries
+ * @param {Array} prefix - Prefijo de las claves, por ejemplo `['cursos']`.
+ * @returns {void}
+ */
+export const cancelQueries = (prefix) => {
+  entries.forEach((entry) => {
+    // Las que todavía no tienen datos no se tocan: no hay nada que su respuesta pueda pisar
+    if (matchesPrefix(entry.key, prefix) && entry.data !== undefined) cancelEntry(entry);
+  });
+};
+
+/**
+ * Marca como vencidas las consultas cuya clave empieza con el prefijo y vuelve a
+ * pedir las que tienen componentes suscritos. Una solicitud en curso se cancela y se
+ * repite: pudo salir antes de la mutación que provocó la invalidación.
+ *
+ * @function invalidateQueries
+ * @param {Array} prefix - Prefijo de las claves a invalidar, por ejemplo `['cursos']`.
+ * @returns {void}
+ */
+export const invalidateQueries = (prefix) => {
+  entries.forEach((entry) => {
+    if (!matchesPrefix(entry.key, prefix)) return;
+    entry.updatedAt = 0;
+    cancelEntry(entry);
+    if (entry.listeners.size && entry.fetcher) {
+      fetchQuery(entry.key, entry.fetcher).catch(() => {});
+    }
+  });
+};
+
+/**
+ * Registra una función que se llama cada vez que cambia el estado de la consulta.
+ * Si al cancelar la suscripción la consulta se queda sin suscriptores, su solicitud en
+ * curso se cancela; si no se guarda en IndexedDB o nunca tuvo datos, se descarta después
+ * de `GC_TIME`.
+ *
+ * @function subscribeQuery
+ * @param {Array} key - Clave de la consulta.
+ * @param {Function} listener - Función a llamar.
+ * @returns {Function} Función para cancelar la suscripción.
+ */
+export const subscribeQuery = (key, listener) => {
+  const entry = getEntry(key);
+  entry.listeners.add(listener);
+  return () => {
+    entry.listeners.delete(listener);
+    // Se espera un instante: el mismo componente puede volver a suscribirse enseguida al volver a montarse
+    setTimeout(() => {
+      if (!entry.listeners.size) cancelEntry(entry);
+    }, 0);
+    if (!entry.listeners.size) entry.unusedSince = Date.now();
+  };
+};
+
+/**
+ * Restaura las consultas guardadas en IndexedDB para el entorno activo.
+ * Quedan marcadas como vencidas: se muestran de inmediato y se vuelven a pedir
+ * en cuanto un componente las usa.
+ *
+ * @async
+ * @function hydrateQueries
+ * @returns {Promise<void>}
+ */
+export const hydrateQueries = async () => {
+  try {
+    const environment = getActiveEnvironment().id;
+    const saved = (await idbGetAll('queries')) || [];
+    saved
+      .filter((item) => item && item.environment === environment)
+      .forEach((item) => {
+        const entry = getEntry(item.key);
+        if (entry.data === undefined) {
+          entry.data = item.data;
+          notify(entry);
+        }
+      });
+  } catch (error) {
+    console.warn('No se pudieron restaurar las consultas guardadas:', error);
+  }
+};
+
+/**
+ * Vacía la caché, también la guardada en IndexedDB, y descarta las solicitudes en curso.
+ * Pensado para las pruebas y para el cierre de sesión: el próximo usuario no debe ver las
+ * listas del anterior.
+ *
+ * @function clearQueries
+ * @returns {void}
+ */
+export const clearQueries = () => {
+  entries.forEach(cancelEntry);
+  entries.clear();
+  idbClear('queries').catch((error) => {
+    console.warn('No se pudieron borrar las consultas guardadas:', error);
+  });
+};
@@ -0,0 +1,99 @@
+import {
+  GC_TIME, cancelQueries, clearQueries, fetchQuery, getQuerySnapshot, invalidateQueries, setQueryData, subscribeQuery,
+} from './queryCache';
+
+afterEach(() => clearQueries());
+
+test('comparte una única solicitud en curso por clave', async () => {
+  const fetcher = jest.fn().mockResolvedValue(['Física I']);
+
+  const [a, b] = await Promise.all([fetchQuery(['cursos'], fetcher), fetchQuery(['cursos'], fetcher)]);
+
+  expect(fetcher).toHaveBeenCalledTimes(1);
+  expect(a).toBe(b);
+});
+
+test('reutiliza los datos frescos y vuelve a pedir los vencidos', async () => {
+  const fetcher = jest.fn().mockResolvedValue([]);
+
+  await fetchQuery(['profesores'], fetcher);
+  await fetchQuery(['profesores'], fetcher);
+  expect(fetcher).toHaveBeenCalledTimes(1);
+
+  await fetchQuery(['profesores'], fetcher, { staleTime: 0 });
+  expect(fetcher).toHaveBeenCalledTimes(2);
+});
+
+test('al invalidar vuelve a pedir las consultas con suscriptores', async () => {
+  const fetcher = jest.fn().mockResolvedValueOnce(['viejo']).mockResolvedValueOnce(['nuevo']);
+  const unsubscribe = subscribeQuery(['cursos'], () => {});
+  await fetchQuery(['cursos'], fetcher);
+
+  invalidateQueries(['cursos']);
+  await fetchQuery(['cursos'], fetcher);
+  unsubscribe();
+
+  expect(fetcher).toHaveBeenCalledTimes(2);
+  expect(getQuerySnapshot(['cursos']).data).toEqual(['nuevo']);
+});
+
+test('setQueryData acepta una función que recibe los datos actuales', () => {
+  setQueryData(['estudiantes'], [{ id: 1 }]);
+  setQueryData(['estudiantes'], (actuales) => [...actuales, { id: 2 }]);
+
+  expect(getQuerySnapshot(['estudiantes']).data).toEqual([{ id: 1 }, { id: 2 }]);
+});
+
+test('una solicitud cancelada no pisa los datos escritos después', async () => {
+  let resolve;
+  setQueryData(['cursos'], ['inicial']);
+  const pending = fetchQuery(['cursos'], () => new Promise((done) => { resolve = done; }), { force: true });
+
+  cancelQueries(['cursos']);
+  setQueryData(['cursos'], ['optimista']);
+  await Promise.resolve(); // El fetcher se llama en la siguiente microtarea
+  resolve(['viejo']);
+  await pending;
+
+  expect(getQuerySnapshot(['cursos']).data).toEqual(['optimista']);
+});
+
+test('cancela la solicitud cuando la consulta se queda sin suscriptores', async () => {
+  jest.useFakeTimers();
+  let signal;
+  const unsubscribe = subscribeQuery(['profesores'], () => {});
+  const pending = fetchQuery(['profesores'], (options) => {
+    signal = options.signal;
+    return new Promise(() => {});
+  });
+  await Promise.resolve();
+
+  unsubscribe();
+  jest.runAllTimers();
+  jest.useRealTimers();
+
+  expect(signal.aborted).toBe(true);
+  expect(getQuerySnapshot(['profesores']).isFetching).toBe(false);
+  pending.catch(() => {});
+});
+
+test('descarta las consultas que no se guardan cuando pasan GC_TIME sin suscriptores', async () => {
+  const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+  try {
+    const page = ['cursos', 'page', { page: 3 }];
+    const unsubscribePage = subscribeQuery(page, () => {});
+    const unsubscribeList = subscribeQuery(['cursos'], () => {});
+    await fetchQuery(page, () => ['Física I'], { persist: false });
+    await fetchQuery(['cursos'], () => ['Física I', 'Química']);
+    unsubscribePage();
+    unsubscribeList();
+
+    // Se descarta al crear otra entrada
+    now.mockReturnValue(1000 + GC_TIME);
+    getQuerySnapshot(['profesores']);
+    expect(getQuerySnapshot(page).data).toBeUndefined();
+    expect(getQuerySnapshot(['cursos']).data).toEqual(['Física I', 'Química']);
+  } finally {
+    now.mockRestore();
+  }
+});
@@ -0,0 +1,235 @@
+/**
+ * Clientes de los recursos de la API.
+ *
+ * Cada cliente expone `list`, `listPage`, `get`, `getVersioned`, `create`, `update` y `remove`, devuelve directamente
+ * el cuerpo de la respuesta y, si la solicitud falla, lanza un `ApiError` normalizado
+ * (ver `errors.js`). Los componentes no deberían usar la instancia `api` directamente.
+ *
+ * Cada cliente tiene además una clave de caché (`key`). Después de crear, actualizar o
+ * eliminar se invalidan su clave y las de los recursos que lo incluyen anidado, para que
+ * todas las secciones que lo muestran se actualicen (ver `queryCache.js`).
+ *
+ * `listPage` pide una página ordenada y filtrada; si el backend no soporta paginación la
+ * consulta se aplica sobre la colección completa (ver `listQuery.js`) y desde entonces
+ * `pagesOnClient` devuelve true, para que las tablas armen las páginas con la lista compartida.
+ *
+ * `update` acepta la versión del registro que se editó (`{ version }`) y la envía en la
+ * cabecera `If-Match`; si otro usuario lo modificó mientras tanto, el servidor responde 412
+ * y se lanza un `ApiError` con código PRECONDITION_FAILED (ver `versions.js`).
+ *
+ * Cada mutación exitosa se publica como evento en vivo para los demás navegadores, y los
+ * eventos que llegan de ellos se aplican a la caché del recurso (ver `live.js`).
+ *
+ * Sin conexión, las mutaciones no fallan: se encolan en la bandeja de salida y devuelven
+ * `{ queued: true }` en lugar del registro (ver `outbox.js` e `isQueued`).
+ */
+
+import api from './api';
+import { normalizeError } from './errors';
+import { invalidateQueries } from './queryCache';
+import { isOffline } from './connection';
+import { enqueue } from './outbox';
+import { nounOf, t } from '../i18n';
+import { LIST_FIELDS, toPage, toQueryParams } from './listQuery';
+import { publishChange, registerLiveResource } from './live';
+import { ifMatch, versionOf } from './versions';
+
+/**
+ * @typedef {Object} Estudiante
+ * @property {number} id
+ * @property {string} dni
+ * @property {string} nombre
+ * @property {string} apellido
+ * @property {string} email
+ */
+
+/**
+ * @typedef {Object} Profesor
+ * @property {number} id
+ * @property {string} dni
+ * @property {string} nombre
+ * @property {string} apellido
+ * @property {string} email
+ * @property {string} profesion
+ * @property {string} telefono
+ */
+
+/**
+ * @typedef {Object} Curso
+ * @property {number} id
+ * @property {string} nombre
+ * @property {string} descripcion
+ * @property {Profesor|null} profesor
+ */
+
+/**
+ * @typedef {Object} Inscripcion
+ * @property {number} id
+ * @property {Curso|null} curso
+ * @property {Estudiante|null} estudiante
+ * @property {number} nota
+ * @property {string} fecha - Fecha en formato ISO.
+ */
+
+/**
+ * @typedef {Object} Page
+ * @property {Array} items - Registros de la página.
+ * @property {number} total - Total de registros que cumplen los filtros.
+ * @property {number} page - Página, empezando en 0.
+ * @property {number} size - Registros por página.
+ * @property {boolean} serverSide - true si el backend resolvió la consulta.
+ */
+
+/**
+ * @typedef {Object} ResourceClient
+ * @property {Array} key - Clave de la caché compartida para la lista del recurso.
+ * @property {function(Object=, Object=): Promise<Array>} list - Lista los registros.
+ * @property {function(Object, Object=): Promise<Page>} listPage - Lista una página de registros.
+ * @property {function(): boolean} pagesOnClient - true si el backend respondió a `listPage` con la
+ *   colección completa, es decir, si no pagina.
+ * @property {function((number|string), Object=): Promise<Object>} get - Obtiene un registro por ID.
+ * @property {function((number|string), Object=): Promise<{data: Object, version: *}>} getVersioned -
+ *   Obtiene un registro por ID junto con su versión (ver `versions.js`).
+ * @property {function(Object, Object=): Promise<Object>} create - Crea un registro.
+ * @property {function((number|string), Object, Object=): Promise<Object>} update - Actualiza un registro;
+ *   con `{ version }` en las opciones envía `If-Match`.
+ * @property {function((number|string), Object=): Promise<void>} remove - Elimina un registro.
+ */
+
+/**
+ * Ejecuta una solicitud y devuelve la respuesta completa, normalizando el error si falla.
+ *
+ * @async
+ * @function send
+ * @param {Function} call - Función que realiza la solicitud con Axios.
+ * @returns {Promise<Object>} Respuesta de Axios.
+ * @throws {ApiError} Si la solicitud falla.
+ */
+const send = async (call) => {
+  try {
+    return await call();
+  } catch (error) {
+    throw normalizeError(error);
+  }
+};
+
+/**
+ * Ejecuta una solicitud y devuelve su cuerpo, normalizando el error si falla.
+ *
+ * @async
+ * @function request
+ * @param {Function} call - Función que realiza la solicitud con Axios.
+ * @returns {Promise<*>} Cuerpo de la respuesta.
+ * @throws {ApiError} Si la solicitud falla.
+ */
+const request = async (call) => {
+  const response = await send(call);
+  return response.data;
+};
+
+/**
+ * Agrega la cabecera `If-Match` a la configuración si se indicó la versión del registro.
+ *
+ * @function withVersion
+ * @param {Object} [options] - Configuración de Axios, con `version` opcional.
+ * @returns {{config: Object, headers: (Object|undefined)}} Configuración y cabeceras propias.
+ */
+const withVersion = ({ version, ...config } = {}) => {
+  if (version === undefined || version === null) return { config, headers: undefined };
+  const headers = { 'If-Match': ifMatch(version) };
+  return { config: { ...config, headers: { ...config.headers, ...headers } }, headers };
+};
+
+/**
+ * Crea el cliente de un recurso REST.
+ *
+ * @function createResource
+ * @param {string} path - Ruta del recurso, por ejemplo `/cursos`.
+ * @param {Object} options - Opciones.
+ * @param {string} options.key - Nombre de la clave de caché del recurso.
+ * @param {string[]} [options.invalidates=[]] - Claves de los recursos que incluyen a este anidado.
+ * @returns {ResourceClient} Cliente del recurso.
+ */
+export const createResource = (path, { key, invalidates = [] }) => {
+  const affected = [key, ...invalidates];
+  registerLiveResource(key, affected);
+  // Se sabe que el backend no pagina cuando responde a una página con la colección completa
+  let pagedOnClient = false;
+
+  // Descripción de la operación para la bandeja de salida, en el idioma del momento
+  const describe = (action, id) => t(`outbox.${action}`, { noun: nounOf(key).singular, id });
+
+  /**
+   * Ejecuta una mutación e invalida las consultas afectadas si tiene éxito.
+   * Sin conexión (o si la solicitud no llega al servidor) la encola en la bandeja de salida.
+   * Los tiempos agotados no se encolan: el servidor pudo haber aplicado el cambio.
+   * `event` arma el evento en vivo a partir del cuerpo de la respuesta.
+   */
+  const mutate = async (operation, call, event) => {
+    const queue = () => enqueue({ ...operation, invalidates: affected, change: { resource: key, ...event() } });
+    if (isOffline()) return queue();
+
+    try {
+      const data = await request(call);
+      affected.forEach((name) => invalidateQueries([name]));
+      publishChange({ resource: key, ...event(data) });
+      return data;
+    } catch (error) {
+      if (error.code === 'NETWORK') return queue();
+      throw error;
+    }
+  };
+
+  return {
+    key: [key],
+    list: (params, config) => request(() => api.get(path, { ...config, params })),
+    listPage: async (query, config) => {
+      const data = await request(() => api.get(path, { ...config, params: toQueryParams(query) }));
+      if (Array.isArray(data)) pagedOnClient = true;
+      return toPage(data, query, LIST_FIELDS[key]);
+    },
+    pagesOnClient: () => pagedOnClient,
+    get: (id, config) => request(() => api.get(`${path}/${id}`, config)),
+    getVersioned: async (id, config) => {
+      const response = await send(() => api.get(`${path}/${id}`, config));
+      return { data: response.data, version: versionOf(response.data, response.headers) };
+    },
+    create: (data, config) => mutate(
+      { method: 'post', url: path, data, label: describe('create') },
+      () => api.post(path, data, config),
+      (created) => ({ type: 'created', id: created?.id, data: created })
+    ),
+    update: (id, data, options) => {
+      // La versión viaja también en la bandeja de salida: si el registro cambió, el envío se rechaza
+      const { config, headers } = withVersion(options);
+      return mutate(
+        { method: 'put', url: `${path}/${id}`, data, headers, label: describe('update', id) },
+        () => api.put(`${path}/${id}`, data, config),
+        (updated) => ({ type: 'updated', id, data: updated || undefined })
+      );
+    },
+    remove: (id, config) => mutate(
+      { method: 'delete', url: `${path}/${id}`, label: describe('delete', id) },
+      () => api.delete(`${path}/${id}`, config),
+      () => ({ type: 'deleted', id })
+    ),
+  };
+};
+
+/** @type {ResourceClient} Cliente de `/estudiantes` ({@link Estudiante}). */
+export const estudiantesApi = createResource('/estudiantes', {
+  key: 'estudiantes', invalidates: ['inscripciones'],
+});
+
+/** @type {ResourceClient} Cliente de `/profesores` ({@link Profesor}). */
+export const profesoresApi = createResource('/profesores', {
+  key: 'profesores', invalidates: ['cursos', 'inscripciones'],
+});
+
+/** @type {ResourceClient} Cliente de `/cursos` ({@link Curso}). */
+export const cursosApi = createResource('/cursos', {
+  key: 'cursos', invalidates: ['inscripciones'],
+});
+
+/** @type {ResourceClient} Cliente de `/cursos-estudiantes` ({@link Inscripcion}). */
+export const inscripcionesApi = createResource('/cursos-estudiantes', { key: 'inscripciones' });
@@ -0,0 +1,158 @@
+/**
+ * Reintentos y detección del arranque en frío del servidor.
+ *
+ * El backend en Render se suspende cuando no recibe tráfico y tarda varias decenas de
+ * segundos en despertar. Mientras tanto las solicitudes agotan el tiempo de espera o
+ * reciben un 502/503. Este módulo instala interceptores que:
+ * - Reintentan las solicitudes idempotentes con espera exponencial y jitter. Las lecturas se
+ *   reintentan ante cualquier falla sin respuesta o un 502/503/504; las modificaciones (PUT y
+ *   DELETE), solo ante un 502/503, que indican que el servidor no llegó a procesarlas. Si se
+ *   agotó el tiempo o se cortó la conexión la primera pudo haberse aplicado, y repetirla
+ *   devolvería un 412 (la versión ya cambió) o un 404 (el registro ya no existe) falsos.
+ * - Marcan `serverStatus.waking` cuando detectan un arranque en frío (tiempo agotado,
+ *   502/503, o una solicitud lenta antes de la primera respuesta exitosa), hasta que
+ *   llega una respuesta exitosa o una solicitud termina con un error.
+ *
+ * Una solicitud puede desactivar los reintentos con `{ retry: false }` en su configuración.
+ */
+
+import { createStore } from '../utils/store';
+
+/**
+ * Estado del servidor compartido con la interfaz.
+ * - waking: true mientras el servidor parece estar despertando.
+ * - attempt: número del último reintento en curso.
+ *
+ * @type {Object}
+ */
+export const serverStatus = createStore({ waking: false, attempt: 0 });
+
+const SAFE_METHODS = ['get', 'head', 'options'];
+const IDEMPOTENT_METHODS = [...SAFE_METHODS, 'put', 'delete'];
+const COLD_START_STATUSES = [502, 503];
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Indica si el error corresponde a un tiempo de espera agotado.
+ *
+ * @function isTimeout
+ * @param {Object} error - Error de Axios.
+ * @returns {boolean}
+ */
+const isTimeout = (error) => error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+
+/**
+ * Indica si el error es síntoma de que el servidor está despertando.
+ *
+ * @function isColdStart
+ * @param {Object} error - Error de Axios.
+ * @returns {boolean}
+ */
+export const isColdStart = (error) => (
+  isTimeout(error) || COLD_START_STATUSES.includes(error.response?.status)
+);
+
+/**
+ * Indica si el error justifica reintentar: en las lecturas, sin respuesta (red o tiempo
+ * agotado) o 502/503/504; en las modificaciones, solo 502/503, porque sin respuesta o con un
+ * 504 no se sabe si el servidor las aplicó.
+ *
+ * @function isRetryable
+ * @param {Object} error - Error de Axios.
+ * @param {string} method - Método de la solicitud, en minúsculas.
+ * @returns {boolean}
+ */
+const isRetryable = (error, method) => {
+  if (!SAFE_METHODS.includes(method)) return COLD_START_STATUSES.includes(error.response?.status);
+  return !error.response ? error.code !== 'ERR_CANCELED' : RETRYABLE_STATUSES.includes(error.response.status);
+};
+
+/**
+ * Calcula la espera antes de un reintento: exponencial con jitter completo.
+ *
+ * @function backoff
+ * @param {number} attempt - Número de reintento, empezando en 0.
+ * @param {{baseDelay: number, maxDelay: number}} settings - Límites de la espera.
+ * @returns {number} Milisegundos a esperar.
+ */
+export const backoff = (attempt, { baseDelay, maxDelay }) => (
+  Math.round(Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt))
+);
+
+/**
+ * Instala los interceptores de reintento en una instancia de Axios.
+ *
+ * @function installRetry
+ * @param {Object} instance - Instancia de Axios.
+ * @param {Object} [options] - Opciones.
+ * @param {number} [options.retries=4] - Reintentos máximos por solicitud.
+ * @param {number} [options.baseDelay=1000] - Espera base en milisegundos.
+ * @param {number} [options.maxDelay=15000] - Espera máxima entre reintentos.
+ * @param {number} [options.slowThreshold=4000] - Demora a partir de la cual, antes de la
+ *   primera respuesta exitosa, se considera que el servidor está despertando.
+ * @returns {void}
+ */
+export const installRetry = (instance, options = {}) => {
+  const settings = { retries: 4, baseDelay: 1000, maxDelay: 15000, slowThreshold: 4000, ...options };
+  // Se vuelve true con la primera respuesta exitosa; a partir de ahí las demoras no se interpretan como arranque en frío
+  let hasResponded = false;
+
+  const markWaking = () => {
+    if (!serverStatus.getState().waking) {
+      serverStatus.setState({ waking: true });
+    }
+  };
+
+  instance.interceptors.request.use((config) => {
+    if (!hasResponded && !config.wakeTimer) {
+      config.wakeTimer = setTimeout(markWaking, settings.slowThreshold);
+    }
+    return config;
+  });
+
+  instance.interceptors.response.use(
+    (response) => {
+      clearTimeout(response.config.wakeTimer);
+      hasResponded = true;
+      if (serverStatus.getState().waking) {
+        serverStatus.setState({ waking: false, attempt: 0 });
+      }
+      return response;
+    },
+    async (error) => {
+      const config = error.config;
+      if (!config) throw error;
+      clearTimeout(config.wakeTimer);
+      config.wakeTimer = null;
+
+      if (isColdStart(error)) {
+        markWaking();
+      }
+
+      const attempt = config.retryCount || 0;
+      const method = (config.method || 'get').toLowerCase();
+      const canRetry = config.retry !== false
+        && IDEMPOTENT_METHODS.includes(method)
+        && isRetryable(error, method)
+        && attempt < settings.retries;
+
+      if (!canRetry) {
+        // Al terminar con un error (no reintentable o sin reintentos) se quita el aviso para que
+        // la sección muestre el error; si otra solicitud sigue esperando al servidor, lo vuelve a marcar
+        if (serverStatus.getState().waking) {
+          serverStatus.setState({ waking: false, attempt: 0 });
+        }
+        throw error;
+      }
+
+      config.retryCount = attempt + 1;
+      serverStatus.setState({ attempt: config.retryCount });
+      await wait(backoff(attempt, settings));
+
+      if (config.signal?.aborted) throw error;
+      return instance(config);
+    }
+  );
+};
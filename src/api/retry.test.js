@@ -0,0 +1,80 @@
+import axios, { AxiosError } from 'axios';
+import { installRetry, serverStatus } from './retry';
+
+/**
+ * Crea un cliente cuyo adaptador responde con los estados indicados, en orden.
+ */
+const createClient = (statuses) => {
+  const calls = [];
+  const client = axios.create({
+    adapter: async (config) => {
+      const status = statuses[calls.length];
+      calls.push(config.method);
+      const response = { status, data: status === 200 ? 'ok' : 'Service Unavailable', headers: {}, config, request: {} };
+      if (status === 200) return response;
+      throw new AxiosError('falla', AxiosError.ERR_BAD_RESPONSE, config, {}, response);
+    },
+  });
+  installRetry(client, { baseDelay: 0, maxDelay: 0 });
+  return { client, calls };
+};
+
+afterEach(() => serverStatus.setState({ waking: false, attempt: 0 }));
+
+test('reintenta un GET ante 503 y quita el aviso con la primera respuesta exitosa', async () => {
+  const { client, calls } = createClient([503, 503, 200]);
+  const states = [];
+  const unsubscribe = serverStatus.subscribe((state) => states.push(state.waking));
+
+  const response = await client.get('/cursos');
+  unsubscribe();
+
+  expect(response.data).toBe('ok');
+  expect(calls).toHaveLength(3);
+  expect(states).toContain(true);
+  expect(serverStatus.getState().waking).toBe(false);
+});
+
+test('no reintenta solicitudes no idempotentes', async () => {
+  const { client, calls } = createClient([503, 200]);
+
+  await expect(client.post('/cursos', {})).rejects.toBeInstanceOf(AxiosError);
+  expect(calls).toHaveLength(1);
+});
+
+test('respeta retry: false en la configuración de la solicitud', async () => {
+  const { client, calls } = createClient([503, 200]);
+
+  await expect(client.get('/cursos', { retry: false })).rejects.toBeInstanceOf(AxiosError);
+  expect(calls).toHaveLength(1);
+});
+
+test('reintenta un PUT ante 503 pero no si se agotó el tiempo, porque pudo haberse aplicado', async () => {
+  const { client, calls } = createClient([503, 200]);
+  await expect(client.put('/cursos/1', {})).resolves.toMatchObject({ data: 'ok' });
+  expect(calls).toHaveLength(2);
+
+  const timeouts = [];
+  const slow = axios.create({
+    adapter: async (config) => {
+      timeouts.push(config.method);
+      throw new AxiosError('timeout', 'ECONNABORTED', config);
+    },
+  });
+  installRetry(slow, { baseDelay: 0, maxDelay: 0 });
+  await expect(slow.delete('/cursos/1')).rejects.toMatchObject({ code: 'ECONNABORTED' });
+  expect(timeouts).toHaveLength(1);
+});
+
+test('quita el aviso si los reintentos terminan con un error que no se reintenta', async () => {
+  const { client, calls } = createClient([503, 404]);
+  const states = [];
+  const unsubscribe = serverStatus.subscribe((state) => states.push(state.waking));
+
+  await expect(client.get('/cursos/99')).rejects.toMatchObject({ response: { status: 404 } });
+  unsubscribe();
+
+  expect(calls).toHaveLength(2);
+  expect(states).toContain(true);
+  expect(serverStatus.getState()).toEqual({ waking: false, attempt: 0 });
+});
@@ -0,0 +1,75 @@
+/**
+ * Versiones de los registros para detectar ediciones concurrentes.
+ *
+ * Al editar un registro se recuerda su versión y la actualización la envía en la cabecera
+ * `If-Match`. Si otro usuario lo guardó mientras tanto, el servidor responde 412 y la
+ * sección muestra los valores actuales junto a los propios para decidir qué conservar
+ * (ver `hooks/useEditConflict.js`).
+ *
+ * La versión es el campo `version` del registro (como el `@Version` de JPA) o, si los
+ * registros no lo traen, el `ETag` de `GET /recurso/{id}`.
+ */
+
+/**
+ * Devuelve la versión de un registro: su campo `version` o, si no lo tiene, el ETag de la
+ * respuesta. Null si no hay ninguna de las dos.
+ *
+ * @function versionOf
+ * @param {Object} record - Registro recibido.
+ * @param {Object} [headers] - Cabeceras de la respuesta.
+ * @returns {number|string|null}
+ */
+export const versionOf = (record, headers) => {
+  if (record && record.version !== undefined && record.version !== null) return record.version;
+  return (headers && headers.etag) || null;
+};
+
+/**
+ * Arma el valor de `If-Match` para una versión. Los ETag se envían tal cual y los números
+ * de versión entre comillas, como un ETag fuerte.
+ *
+ * @function ifMatch
+ * @param {number|string} version - Versión del registro.
+ * @returns {string}
+ */
+export const ifMatch = (version) => {
+  const value = String(version);
+  return /^(W\/)?"/.test(value) ? value : `"${value}"`;
+};
+
+/**
+ * Indica si el error es un conflicto de edición: el registro cambió desde que se empezó a editar.
+ *
+ * @function isEditConflict
+ * @param {*} error - Error normalizado (ver `errors.js`).
+ * @returns {boolean}
+ */
+export const isEditConflict = (error) => Boolean(error && error.code === 'PRECONDITION_FAILED');
+
+/**
+ * Devuelve los campos cuyo valor propio difiere del que tiene el servidor.
+ *
+ * @function conflictingFields
+ * @param {Object} mine - Valores del formulario.
+ * @param {Object} theirs - Valores actuales del servidor, con la misma forma.
+ * @param {string[]} names - Campos a comparar.
+ * @returns {string[]}
+ */
+export const conflictingFields = (mine, theirs, names) => names.filter((name) => (
+  String(mine[name] ?? '') !== String(theirs[name] ?? '')
+));
+
+/**
+ * Combina los valores propios y los del servidor según la elección de cada campo.
+ * Los campos sin elección conservan el valor propio.
+ *
+ * @function mergeFields
+ * @param {Object} mine - Valores del formulario.
+ * @param {Object} theirs - Valores actuales del servidor.
+ * @param {Object<string, string>} choices - 'mine' o 'theirs' por campo.
+ * @returns {Object}
+ */
+export const mergeFields = (mine, theirs, choices) => Object.keys(mine).reduce((merged, name) => ({
+  ...merged,
+  [name]: choices[name] === 'theirs' ? theirs[name] : mine[name],
+}), {});
@@ -0,0 +1,19 @@
+import { conflictingFields, ifMatch, mergeFields, versionOf } from './versions';
+
+test('toma la versión del registro o, si no la trae, el ETag', () => {
+  expect(versionOf({ id: 1, version: 3 }, { etag: '"7"' })).toBe(3);
+  expect(versionOf({ id: 1 }, { etag: 'W/"abc"' })).toBe('W/"abc"');
+  expect(versionOf({ id: 1 }, {})).toBeNull();
+  expect(ifMatch(3)).toBe('"3"');
+  expect(ifMatch('W/"abc"')).toBe('W/"abc"');
+});
+
+test('detecta los campos en conflicto y los combina según la elección', () => {
+  const mine = { nombre: 'Física II', descripcion: 'Mecánica', profesorId: 1 };
+  const theirs = { nombre: 'Física I', descripcion: 'Ondas', profesorId: '1' };
+
+  expect(conflictingFields(mine, theirs, ['nombre', 'descripcion', 'profesorId'])).toEqual(['nombre', 'descripcion']);
+  expect(mergeFields(mine, theirs, { descripcion: 'theirs' })).toEqual({
+    nombre: 'Física II', descripcion: 'Ondas', profesorId: 1,
+  });
+});
@@ -0,0 +1,29 @@
+/**
+ * Guarda de permisos.
+ *
+ * Renderiza su contenido solo si el usuario de la sesión puede realizar la acción
+ * sobre el recurso (o sobre el registro indicado); si no, renderiza `fallback`.
+ *
+ * @example
+ * <Can action="delete" resource="profesores">
+ *   <Button color="error">Eliminar</Button>
+ * </Can>
+ */
+
+import usePermissions from '../hooks/usePermissions';
+
+/**
+ * @param {Object} props - Propiedades del componente.
+ * @param {string} props.action - Acción: 'view', 'create', 'update' o 'delete'.
+ * @param {string} props.resource - Recurso, por ejemplo 'cursos'.
+ * @param {Object} [props.record] - Registro concreto sobre el que se actúa.
+ * @param {React.ReactNode} [props.fallback=null] - Contenido a mostrar sin permiso.
+ * @param {React.ReactNode} props.children - Contenido protegido.
+ * @returns {React.ReactNode}
+ */
+function Can({ action, resource, record, fallback = null, children }) {
+  const { can } = usePermissions();
+  return can(action, resource, record) ? children : fallback;
+}
+
+export default Can;
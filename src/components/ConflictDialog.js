@@ -0,0 +1,108 @@
+/**
+ * Diálogo de conflicto de edición.
+ *
+ * Se abre cuando otro usuario guardó el registro mientras se editaba (ver
+ * `hooks/useEditConflict.js`). Muestra los valores propios junto a los actuales del
+ * servidor, marcando los que difieren, y permite conservar los propios, quedarse con los
+ * del servidor o elegir campo por campo. No se cierra sin elegir una opción.
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  Radio,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+} from '@mui/material';
+import { conflictingFields, mergeFields } from '../api/versions';
+import { useTranslation } from '../i18n';
+
+const display = (field, value) => {
+  const shown = field.format ? field.format(value) : value;
+  return shown === undefined || shown === null || shown === '' ? '—' : shown;
+};
+
+/**
+ * @param {Object} props - Propiedades del componente.
+ * @param {Object|null} props.conflict - Conflicto de `useEditConflict`, o null si no hay.
+ * @param {Array<{name: string, label: string, format: Function=}>} props.fields - Campos del
+ *   formulario; `format` muestra el valor (por ejemplo, el nombre del profesor en lugar de su ID).
+ * @param {function(Object): void} props.onSave - Guarda los valores elegidos.
+ * @param {function(): void} props.onDiscard - Descarta los cambios propios.
+ * @returns {JSX.Element|null}
+ */
+function ConflictDialog({ conflict, fields, onSave, onDiscard }) {
+  const { t } = useTranslation();
+  // Elección por campo: 'mine' (por defecto) o 'theirs'
+  const [choices, setChoices] = useState({});
+
+  useEffect(() => setChoices({}), [conflict]);
+
+  if (!conflict) return null;
+  const { mine, theirs } = conflict;
+  const conflicting = conflictingFields(mine, theirs, fields.map((field) => field.name));
+
+  const choose = (name, choice) => setChoices((current) => ({ ...current, [name]: choice }));
+
+  return (
+    <Dialog open maxWidth="md" fullWidth aria-labelledby="conflict-dialog-title">
+      <DialogTitle id="conflict-dialog-title">{t('conflict.title')}</DialogTitle>
+      <DialogContent>
+        <DialogContentText gutterBottom>{t('conflict.description')}</DialogContentText>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>{t('conflict.field')}</TableCell>
+              <TableCell>{t('conflict.mine')}</TableCell>
+              <TableCell>{t('conflict.theirs')}</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {fields.map((field) => {
+              const differs = conflicting.includes(field.name);
+              const choice = choices[field.name] || 'mine';
+              return (
+                <TableRow key={field.name} selected={differs}>
+                  <TableCell component="th" scope="row">{field.label}</TableCell>
+                  {['mine', 'theirs'].map((side) => (
+                    <TableCell key={side}>
+                      {/* Solo se elige en los campos que difieren */}
+                      {differs && (
+                        <Radio
+                          size="small"
+                          checked={choice === side}
+                          onChange={() => choose(field.name, side)}
+                          inputProps={{
+                            'aria-label': t(side === 'mine' ? 'conflict.chooseMine' : 'conflict.chooseTheirs', { field: field.label }),
+                          }}
+                        />
+                      )}
+                      {display(field, side === 'mine' ? mine[field.name] : theirs[field.name])}
+                    </TableCell>
+                  ))}
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onDiscard}>{t('conflict.useTheirs')}</Button>
+        <Button onClick={() => onSave(mine)}>{t('conflict.keepMine')}</Button>
+        <Button variant="contained" onClick={() => onSave(mergeFields(mine, theirs, choices))}>
+          {t('conflict.saveMerged')}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ConflictDialog;
@@ -0,0 +1,168 @@
+/**
+ * Indicador del estado de la conexión con la API.
+ *
+ * Muestra en la barra de navegación un punto de color acompañado de un texto ("En línea",
+ * "Sin conexión", "Verificando…") y, al hacer clic, un panel con el detalle: última
+ * verificación exitosa, latencia actual y su historial reciente, y el último error.
+ * Desde el panel se puede forzar una verificación. El panel también indica el estado de las
+ * actualizaciones en vivo (ver `api/live.js`).
+ */
+
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Divider,
+  Popover,
+  Stack,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import { connectionStatus } from '../api/connection';
+import { checkNow, getHealthEndpoint } from '../api/health';
+import { liveStatus } from '../api/live';
+import { useStore } from '../utils/store';
+import { useTranslation } from '../i18n';
+import { formatNumber, formatTime } from '../i18n/format';
+
+/**
+ * Devuelve el texto y el color del estado actual.
+ *
+ * @function describeStatus
+ * @param {Object} status - Estado de `connectionStatus`.
+ * @param {Function} t - Función de traducción.
+ * @returns {{label: string, color: string}}
+ */
+const describeStatus = ({ online, checked, paused }, t) => {
+  if (!checked) return { label: t('connection.checking'), color: 'grey.500' };
+  if (!online) return { label: t('connection.offline'), color: 'error.main' };
+  if (paused) return { label: t('connection.onlinePaused'), color: 'success.main' };
+  return { label: t('connection.online'), color: 'success.main' };
+};
+
+/**
+ * Devuelve el texto del estado de las actualizaciones en vivo.
+ *
+ * @function describeLive
+ * @param {Object} live - Estado de `liveStatus`.
+ * @param {Function} t - Función de traducción.
+ * @returns {string}
+ */
+const describeLive = ({ state, transport }, t) => {
+  if (state === 'connecting') return t('connection.liveConnecting');
+  if (state === 'reconnecting') return t('connection.liveReconnecting');
+  if (state === 'open') return t('connection.liveOpen', { transport: transport === 'websocket' ? 'WebSocket' : 'SSE' });
+  return t('connection.liveOff');
+};
+
+const showTime = (timestamp) => formatTime(timestamp) || '—';
+
+const showLatency = (latency) => `${formatNumber(latency)} ms`;
+
+function ConnectionStatus() {
+  const status = useStore(connectionStatus);
+  const live = useStore(liveStatus);
+  const { t } = useTranslation();
+  // Elemento sobre el que se abre el panel; null si está cerrado
+  const [anchorEl, setAnchorEl] = useState(null);
+  const { label, color } = describeStatus(status, t);
+
+  const successes = status.history.filter((probe) => probe.ok);
+  const averageLatency = successes.length
+    ? Math.round(successes.reduce((sum, probe) => sum + probe.latency, 0) / successes.length)
+    : null;
+  // Escala del gráfico de latencia: la medición más alta ocupa toda la altura
+  const maxLatency = Math.max(1, ...status.history.map((probe) => probe.latency || 0));
+
+  return (
+    <>
+      <Tooltip title={t('connection.tooltip')}>
+        <Button
+          color="inherit"
+          size="small"
+          onClick={(e) => setAnchorEl(e.currentTarget)}
+          aria-haspopup="dialog"
+          aria-label={t('connection.button', { status: label })}
+          startIcon={(
+            <Box
+              component="span"
+              sx={{ width: 14, height: 14, borderRadius: '50%', backgroundColor: color }}
+            />
+          )}
+        >
+          <Box component="span" sx={{ display: { xs: 'none', md: 'inline' } }}>{label}</Box>
+        </Button>
+      </Tooltip>
+
+      <Popover
+        open={Boolean(anchorEl)}
+        anchorEl={anchorEl}
+        onClose={() => setAnchorEl(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+        transformOrigin={{ vertical: 'top', horizontal: 'right' }}
+      >
+        <Box sx={{ p: 2, width: 300 }} role="dialog" aria-label={t('connection.detail')}>
+          <Typography variant="subtitle1" gutterBottom>{label}</Typography>
+          <Stack spacing={0.5}>
+            <Typography variant="body2">{t('connection.lastSuccess', { time: showTime(status.lastSuccess) })}</Typography>
+            <Typography variant="body2">
+              {t('connection.latency', { latency: status.latency !== null ? showLatency(status.latency) : '—' })}
+              {averageLatency !== null && t('connection.averageLatency', { latency: showLatency(averageLatency) })}
+            </Typography>
+            <Typography variant="body2">
+              {t('connection.nextCheck', {
+                time: status.paused ? t('connection.onTabReturn') : showTime(status.nextCheckAt),
+              })}
+            </Typography>
+            <Typography variant="body2" color="text.secondary">
+              {t('connection.endpoint', { endpoint: getHealthEndpoint() })}
+            </Typography>
+            <Typography variant="body2">{t('connection.live', { status: describeLive(live, t) })}</Typography>
+          </Stack>
+
+          {/* Historial de latencia: barras verdes para las respuestas y rojas para las fallas */}
+          {status.history.length > 0 && (
+            <Box
+              sx={{ display: 'flex', alignItems: 'flex-end', gap: '2px', height: 40, mt: 2 }}
+              aria-hidden="true"
+            >
+              {status.history.map((probe) => (
+                <Tooltip key={probe.at} title={`${showTime(probe.at)}: ${probe.ok ? showLatency(probe.latency) : t('connection.probeFailed')}`}>
+                  <Box
+                    sx={{
+                      flex: 1,
+                      height: probe.ok ? `${Math.max(10, (probe.latency / maxLatency) * 100)}%` : '100%',
+                      backgroundColor: probe.ok ? 'success.main' : 'error.main',
+                      opacity: probe.ok ? 1 : 0.6,
+                    }}
+                  />
+                </Tooltip>
+              ))}
+            </Box>
+          )}
+
+          {status.lastError && (
+            <>
+              <Divider sx={{ my: 2 }} />
+              <Typography variant="body2" color="error">
+                {t('connection.lastError', { time: showTime(status.lastError.at), error: status.lastError.message })}
+                {status.lastError.status ? ` (HTTP ${status.lastError.status})` : ''}
+              </Typography>
+            </>
+          )}
+
+          <Button
+            size="small"
+            onClick={() => checkNow()}
+            disabled={status.checking}
+            sx={{ mt: 2 }}
+          >
+            {status.checking ? t('connection.checking') : t('connection.checkNow')}
+          </Button>
+        </Box>
+      </Popover>
+    </>
+  );
+}
+
+export default ConnectionStatus;
@@ -0,0 +1,211 @@
+/**
+ * Página de un curso, en `/cursos/:id`.
+ *
+ * Muestra la descripción, el profesor asignado, la lista de estudiantes inscriptos con sus
+ * notas y las estadísticas del curso: promedio, mediana y porcentaje de aprobación (ver
+ * `entities/grades.js`). Quien puede crear inscripciones inscribe estudiantes desde aquí, sin
+ * ir a la sección de inscripciones (ver `components/EnrollDialog.js`).
+ *
+ * Las inscripciones salen de la lista completa en la caché compartida, con los filtros del
+ * rol: un estudiante solo ve la suya. Los cambios de otras secciones o de otros usuarios se
+ * ven sin recargar.
+ */
+
+import React from 'react';
+import { Link as RouterLink, useParams } from 'react-router-dom';
+import {
+  Alert,
+  Box,
+  Button,
+  Link,
+  Paper,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import ArrowBackIcon from '@mui/icons-material/ArrowBack';
+import EditIcon from '@mui/icons-material/Edit';
+import { LIST_FIELDS, applyQuery } from '../api/listQuery';
+import { cursosApi, inscripcionesApi } from '../api/resources';
+import { gradeStats } from '../entities/grades';
+import { useTranslation } from '../i18n';
+import { formatDate, formatGrade, formatNumber } from '../i18n/format';
+import useQuery from '../hooks/useQuery';
+import usePermissions from '../hooks/usePermissions';
+import Can from './Can';
+import DetailStatus from './DetailStatus';
+import EnrollDialog from './EnrollDialog';
+import GradeSummary, { GradeStatusChip } from './GradeSummary';
+import RecordLink, { MissingRecord } from './RecordLink';
+import TableStatusRow from './TableStatusRow';
+
+// Por apellido y nombre; las inscripciones sin estudiante, al final
+const nameOf = ({ estudiante }) => `${estudiante.apellido} ${estudiante.nombre}`;
+const byName = (a, b) => (!a.estudiante - !b.estudiante)
+  || (a.estudiante && b.estudiante ? nameOf(a).localeCompare(nameOf(b), 'es', { sensitivity: 'base' }) : 0);
+
+function CursoDetailPage() {
+  const { id } = useParams();
+  const { t } = useTranslation();
+  const { can, scope } = usePermissions();
+  const text = (name, params) => t(`cursoDetail.${name}`, params);
+
+  // El curso y la lista completa de inscripciones, de la caché compartida
+  const cursoQuery = useQuery(
+    [...cursosApi.key, 'detail', id],
+    ({ signal }) => cursosApi.get(id, { signal })
+  );
+  const canViewInscripciones = can('view', 'inscripciones');
+  const inscripcionesQuery = useQuery(
+    inscripcionesApi.key,
+    ({ signal }) => inscripcionesApi.list(undefined, { signal }),
+    { enabled: canViewInscripciones }
+  );
+
+  const curso = cursoQuery.data;
+  // Inscripciones del curso que el rol puede ver
+  const rows = inscripcionesQuery.data || [];
+  const { items: roster } = applyQuery(
+    rows,
+    { size: rows.length, filters: { ...scope('inscripciones'), cursoId: id } },
+    LIST_FIELDS.inscripciones
+  );
+  const stats = gradeStats(roster);
+
+  const back = (
+    <Button component={RouterLink} to="/cursos" startIcon={<ArrowBackIcon />} sx={{ mb: 2 }}>
+      {text('back')}
+    </Button>
+  );
+
+  if (!curso) {
+    return (
+      <DetailStatus
+        query={cursoQuery}
+        back={back}
+        notFound={text('notFound', { id })}
+        loadFailed={text('loadFailed', { error: cursoQuery.error?.message })}
+      />
+    );
+  }
+
+  const { profesor } = curso;
+
+  return (
+    <Box>
+      {back}
+
+      {/* Datos del curso y acciones rápidas */}
+      <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} justifyContent="space-between" sx={{ mb: 3 }}>
+        <Box>
+          <Typography variant="h4" component="h1" gutterBottom>{curso.nombre}</Typography>
+          <Typography color={curso.descripcion ? 'text.primary' : 'text.secondary'} gutterBottom>
+            {curso.descripcion || text('noDescription')}
+          </Typography>
+          <Typography color="text.secondary">
+            {`${text('profesor')}: `}
+            {profesor ? (
+              <>
+                {`${profesor.nombre} ${profesor.apellido}`}
+                {profesor.email && <>{' · '}<Link href={`mailto:${profesor.email}`}>{profesor.email}</Link></>}
+              </>
+            ) : <MissingRecord resource="profesores" label="cursos.noProfesor" />}
+          </Typography>
+        </Box>
+        <Stack direction="row" spacing={1} alignItems="flex-start">
+          <Can action="create" resource="inscripciones">
+            <EnrollDialog curso={curso} enrolled={roster.map((row) => row.estudiante?.id)} />
+          </Can>
+          <Can action="update" resource="cursos" record={curso}>
+            <Button variant="outlined" startIcon={<EditIcon />} component={RouterLink} to={`/cursos?selected=${curso.id}`}>
+              {text('edit')}
+            </Button>
+          </Can>
+        </Stack>
+      </Stack>
+
+      {canViewInscripciones && (
+        <>
+          {inscripcionesQuery.error && (
+            <Alert
+              severity="error"
+              sx={{ mb: 2 }}
+              action={(
+                <Button color="inherit" size="small" onClick={() => inscripcionesQuery.refetch().catch(() => {})}>
+                  {t('common.retry')}
+                </Button>
+              )}
+            >
+              {text('rosterFailed', { error: inscripcionesQuery.error.message })}
+            </Alert>
+          )}
+
+          {/* Estadísticas de las notas */}
+          <GradeSummary
+            items={[
+              { label: t('grades.average'), value: stats.average === null ? t('grades.noGrades') : formatGrade(stats.average) },
+              { label: t('grades.median'), value: stats.median === null ? t('grades.noGrades') : formatGrade(stats.median) },
+              {
+                label: t('grades.passRate'),
+                value: stats.passRate === null
+                  ? t('grades.noGrades')
+                  : formatNumber(stats.passRate, { style: 'percent', maximumFractionDigits: 0 }),
+              },
+              { label: text('total'), value: stats.count },
+            ]}
+          />
+
+          {/* Estudiantes inscriptos, por apellido */}
+          <Typography variant="h6" component="h2" gutterBottom>{text('roster')}</Typography>
+          <TableContainer component={Paper}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>{t('inscripciones.fields.estudianteId')}</TableCell>
+                  <TableCell>{t('estudiantes.fields.dni')}</TableCell>
+                  <TableCell>{t('inscripciones.fields.nota')}</TableCell>
+                  <TableCell>{t('inscripciones.fields.fecha')}</TableCell>
+                  <TableCell>{t('grades.status')}</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {/* Si la carga falla, el aviso de arriba ya lo indica: la lista no está vacía */}
+                <TableStatusRow
+                  colSpan={5}
+                  isLoading={inscripcionesQuery.isLoading}
+                  isEmpty={!inscripcionesQuery.error && !roster.length}
+                  emptyMessage={text('empty')}
+                />
+                {[...roster].sort(byName).map((inscripcion) => {
+                  const { estudiante } = inscripcion;
+                  return (
+                    <TableRow key={inscripcion.id}>
+                      <TableCell>
+                        {estudiante ? (
+                          <RecordLink resource="estudiantes" record={estudiante}>
+                            {`${estudiante.apellido}, ${estudiante.nombre}`}
+                          </RecordLink>
+                        ) : <MissingRecord resource="estudiantes" />}
+                      </TableCell>
+                      <TableCell>{estudiante?.dni}</TableCell>
+                      <TableCell>{formatGrade(inscripcion.nota)}</TableCell>
+                      <TableCell>{formatDate(inscripcion.fecha)}</TableCell>
+                      <TableCell><GradeStatusChip inscripcion={inscripcion} /></TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </>
+      )}
+    </Box>
+  );
+}
+
+export default CursoDetailPage;
@@ -0,0 +1,53 @@
+/**
+ * Estado de la carga del registro de una página de detalle, como la de un estudiante.
+ *
+ * Mientras llega muestra un indicador; si la API responde que no existe, un aviso, y si
+ * falla por otro motivo, el error con un botón para reintentar. En los avisos se mantiene
+ * el botón para volver a la sección.
+ */
+
+import React from 'react';
+import { Alert, Box, Button, CircularProgress, Stack, Typography } from '@mui/material';
+import { useTranslation } from '../i18n';
+
+/**
+ * @param {Object} props - Propiedades del componente.
+ * @param {{isLoading: boolean, error: (Error|null), refetch: Function}} props.query - Consulta del
+ *   registro (ver `hooks/useQuery.js`).
+ * @param {React.ReactNode} props.back - Botón para volver a la sección.
+ * @param {string} props.notFound - Mensaje para el registro que no existe.
+ * @param {string} props.loadFailed - Mensaje para el error de carga.
+ * @returns {JSX.Element}
+ */
+function DetailStatus({ query, back, notFound, loadFailed }) {
+  const { t } = useTranslation();
+
+  if (query.isLoading) {
+    return (
+      <Stack direction="row" spacing={2} alignItems="center" justifyContent="center" role="status">
+        <CircularProgress size={20} />
+        <Typography color="text.secondary">{t('common.loading')}</Typography>
+      </Stack>
+    );
+  }
+
+  const missing = query.error?.code === 'NOT_FOUND';
+  return (
+    <Box>
+      {back}
+      <Alert
+        severity={missing ? 'warning' : 'error'}
+        action={missing ? undefined : (
+          // El error queda guardado en la consulta; aquí no hace falta volver a manejarlo
+          <Button color="inherit" size="small" onClick={() => query.refetch().catch(() => {})}>
+            {t('common.retry')}
+          </Button>
+        )}
+      >
+        {missing ? notFound : loadFailed}
+      </Alert>
+    </Box>
+  );
+}
+
+export default DetailStatus;
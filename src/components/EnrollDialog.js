@@ -0,0 +1,151 @@
+/**
+ * Botón y diálogo para inscribir a un estudiante en un curso sin salir de la página del curso.
+ *
+ * El formulario usa los campos del esquema de inscripciones (ver `entities/inscripciones.js`),
+ * con sus reglas, salvo el curso, que es el de la página; la fecha empieza en el día de hoy y
+ * solo se ofrecen los estudiantes que todavía no están inscriptos. Como en las secciones, la
+ * inscripción se guarda de forma optimista: aparece enseguida en la lista y, si la API la
+ * rechaza, el diálogo vuelve a abrirse con los datos y los errores para corregirlos.
+ */
+
+import React, { useState } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  MenuItem,
+  TextField,
+  Typography,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import { fieldErrorProps } from '../api/errors';
+import { isQueued } from '../api/outbox';
+import { estudiantesApi, inscripcionesApi } from '../api/resources';
+import { ENTITIES } from '../entities';
+import { nounOf, useTranslation } from '../i18n';
+import { toDateInputValue } from '../i18n/format';
+import { notify } from '../utils/notifications';
+import useFormValidation from '../hooks/useFormValidation';
+import useOptimisticMutations from '../hooks/useOptimisticMutations';
+import useQuery from '../hooks/useQuery';
+
+// Campos del formulario: los de una inscripción sin el curso
+const FIELDS = ENTITIES.inscripciones.fields.filter((field) => field.name !== 'cursoId');
+
+const initialValues = () => ({ estudianteId: '', nota: '', fecha: toDateInputValue(new Date()) });
+
+/**
+ * @param {Object} props - Propiedades del componente.
+ * @param {Object} props.curso - Curso en el que se inscribe.
+ * @param {Array<number>} props.enrolled - IDs de los estudiantes ya inscriptos.
+ * @returns {JSX.Element}
+ */
+function EnrollDialog({ curso, enrolled }) {
+  const { t } = useTranslation();
+  const noun = nounOf('inscripciones');
+  const [open, setOpen] = useState(false);
+  const [form, setForm] = useState(initialValues);
+  const validation = useFormValidation(FIELDS, form);
+  const { create } = useOptimisticMutations(inscripcionesApi);
+
+  // Estudiantes a elegir, de la caché compartida; se piden al abrir el diálogo
+  const { data: estudiantes = [] } = useQuery(
+    estudiantesApi.key,
+    ({ signal }) => estudiantesApi.list(undefined, { signal }),
+    { enabled: open }
+  );
+  const options = estudiantes.filter((estudiante) => !enrolled.includes(estudiante.id));
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((current) => ({ ...current, [name]: value }));
+    validation.clearServerError(name);
+  };
+
+  const handleClose = () => {
+    setOpen(false);
+    setForm(initialValues());
+    validation.reset();
+  };
+
+  /**
+   * Guarda la inscripción; si la API la rechaza, vuelve a abrir el diálogo con los datos.
+   *
+   * @async
+   * @function handleSubmit
+   * @param {Event} e - Evento de envío del formulario.
+   * @returns {Promise<void>}
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validation.isValid) {
+      validation.touchAll();
+      return;
+    }
+    const submitted = { ...form, cursoId: curso.id };
+    // Mientras la API no responde, la lista muestra el curso y el estudiante completos
+    const record = {
+      ...form, curso, estudiante: estudiantes.find((estudiante) => estudiante.id === form.estudianteId) || null,
+    };
+    handleClose();
+    try {
+      const result = await create(submitted, record);
+      if (isQueued(result)) notify.info(t('crud.saveQueued', { noun }));
+      else notify.success(t('crud.created', { noun }));
+    } catch (error) {
+      console.error('Error al guardar la inscripción:', error);
+      notify.error(t('crud.saveFailed', { noun, error: error.message }));
+      setForm(form);
+      setOpen(true);
+      validation.setServerErrors(error.fieldErrors);
+    }
+  };
+
+  return (
+    <>
+      <Button variant="contained" startIcon={<AddIcon />} onClick={() => setOpen(true)}>
+        {t('cursoDetail.enroll')}
+      </Button>
+      <Dialog open={open} onClose={handleClose} aria-labelledby="enroll-dialog-title" fullWidth maxWidth="xs">
+        <form onSubmit={handleSubmit} noValidate>
+          <DialogTitle id="enroll-dialog-title">{t('enrollDialog.title', { curso: curso.nombre })}</DialogTitle>
+          <DialogContent>
+            {estudiantes.length > 0 && !options.length && (
+              <Typography color="text.secondary">{t('enrollDialog.noEstudiantes')}</Typography>
+            )}
+            {FIELDS.map((field) => (
+              <TextField
+                key={field.name}
+                select={field.type === 'relation'}
+                type={field.type === 'relation' ? undefined : field.type}
+                label={t(field.label)}
+                name={field.name}
+                value={form[field.name]}
+                onChange={handleChange}
+                onBlur={validation.handleBlur}
+                {...fieldErrorProps(validation.errors, field.name)}
+                required={field.required !== false}
+                margin="normal"
+                fullWidth
+                inputProps={field.inputProps}
+                InputLabelProps={field.type === 'date' ? { shrink: true } : undefined}
+              >
+                {field.type === 'relation' ? options.map((option) => (
+                  <MenuItem key={option.id} value={option.id}>{field.relation.label(option)}</MenuItem>
+                )) : undefined}
+              </TextField>
+            ))}
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={handleClose}>{t('common.cancel')}</Button>
+            <Button type="submit" variant="contained">{t('enrollDialog.submit')}</Button>
+          </DialogActions>
+        </form>
+      </Dialog>
+    </>
+  );
+}
+
+export default EnrollDialog;
@@ -0,0 +1,668 @@
+/**
+ * Página genérica de gestión de una entidad.
+ *
+ * Muestra el formulario para agregar o editar registros, la búsqueda, la tabla paginada y
+ * el diálogo para eliminar, todo a partir del esquema de la entidad (ver `entities/index.js`).
+ * Las secciones de estudiantes, profesores, cursos e inscripciones son esquemas de esta página.
+ * Los textos salen de los catálogos de `i18n` en el idioma activo: las etiquetas del esquema son
+ * claves y los títulos y mensajes se arman con el nombre de los registros (`crud.*`).
+ *
+ * Estados del Componente:
+ * - editing: Registro que se está editando; si es null, se está agregando uno nuevo.
+ * - form: Valores del formulario, uno por campo del esquema.
+ * - search: Valores de los campos de búsqueda, tal como se escriben.
+ * - idEliminar: ID del registro a eliminar; el diálogo de confirmación está abierto mientras no es null.
+ *
+ * Dirección (ver `hooks/useListSearchParams.js`):
+ * - Los filtros aplicados, el orden, la página, el tamaño de página y el registro abierto en
+ *   el formulario se guardan en la dirección, por ejemplo `/inscripciones?curso=Fisica&nota=7`.
+ *   Una recarga o un enlace compartido abren la misma vista, y atrás y adelante la recorren.
+ *   Si al recorrerla se deja un registro con cambios sin guardar, antes se pide confirmación.
+ *
+ * Efectos:
+ * - usePaginatedQuery obtiene la página de registros y useQueries las listas de los campos
+ *   relacionados (por ejemplo, los profesores de un curso), todas de la caché compartida.
+ * - useOptimisticMutations guarda y elimina de forma optimista: la tabla cambia enseguida,
+ *   las filas sin confirmar se ven atenuadas con un indicador y, si la API rechaza el cambio, se revierte.
+ * - Los cambios que hacen otros usuarios llegan en vivo (ver `api/live.js`) y sus filas se resaltan.
+ * - useFormValidation revisa el formulario con las reglas del esquema mientras se completa: los
+ *   errores se muestran debajo de cada campo, junto con los que devuelve la API, y no se puede
+ *   guardar hasta corregirlos.
+ * - useEditConflict recuerda la versión del registro que se edita y el formulario toma los valores
+ *   que tenía el registro en esa versión; si otro usuario lo guardó mientras tanto, se abre un
+ *   diálogo para conservar los cambios propios, los del servidor o combinarlos.
+ * - El resultado de cada guardado o eliminación se informa con una notificación (ver
+ *   `utils/notifications.js`): de éxito, informativa si quedó en la bandeja de salida o de error.
+ * - Las bajas esperan unos segundos antes de enviarse, con un botón para deshacerlas en la
+ *   notificación. Después el registro queda en la papelera (ver `entities/trash.js`), con los
+ *   registros relacionados que declara su esquema, para poder restaurarlo.
+ * - Si falla la carga, la tabla muestra el error con un botón para reintentar; también indica
+ *   cuándo está cargando y cuándo no hay registros que mostrar.
+ * - Las columnas de un registro relacionado (ver `EntityColumn`) indican cuándo la API no lo
+ *   devolvió, por ejemplo el curso de una inscripción que ya no existe, en lugar de fallar.
+ * - Desde la búsqueda global (ver `components/GlobalSearch.js`) se llega con el estado de la
+ *   navegación: `focus` busca ese registro y, si se puede modificar, lo abre en el formulario;
+ *   `create` lleva al formulario vacío o, con `values`, completado con esos valores.
+ * - Las columnas con `link` llevan a la página del registro, por ejemplo la de un estudiante.
+ *
+ * Permisos (ver `utils/permissions.js`):
+ * - El formulario y los botones de cada fila solo aparecen si el rol del usuario lo permite.
+ * - Los campos que el rol no puede modificar se muestran deshabilitados.
+ * - Las listas de los recursos que el rol no puede ver no se piden, y los campos de búsqueda
+ *   que dependen de ellas no se muestran (por ejemplo, el profesor para un estudiante en cursos).
+ * - Los filtros del rol se agregan a la búsqueda (por ejemplo, un estudiante solo ve sus inscripciones).
+ */
+
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useLocation } from 'react-router-dom';
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Grid,
+  MenuItem,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { fieldErrorProps } from '../api/errors';
+import { LIST_FIELDS, sameFilters } from '../api/listQuery';
+import { isQueued } from '../api/outbox';
+import { invalidateQueries } from '../api/queryCache';
+import { toFormValues } from '../entities';
+import { nounOf, useTranslation } from '../i18n';
+import { addToTrash, addToTrashWhenSent, collectDependents } from '../entities/trash';
+import { notify } from '../utils/notifications';
+import useQueries from '../hooks/useQueries';
+import usePaginatedQuery from '../hooks/usePaginatedQuery';
+import useListSearchParams from '../hooks/useListSearchParams';
+import useOptimisticMutations from '../hooks/useOptimisticMutations';
+import useLiveHighlight from '../hooks/useLiveHighlight';
+import useEditConflict from '../hooks/useEditConflict';
+import useFormValidation from '../hooks/useFormValidation';
+import usePermissions from '../hooks/usePermissions';
+import Can from './Can';
+import ConflictDialog from './ConflictDialog';
+import ListPagination, { PAGE_SIZES } from './ListPagination';
+import PendingIndicator, { pendingRowSx } from './PendingIndicator';
+import RecordLink, { MissingRecord } from './RecordLink';
+import SortableTableCell from './SortableTableCell';
+import TableStatusRow from './TableStatusRow';
+
+/**
+ * Tiempo, en milisegundos, que se muestra la notificación para deshacer una baja. La baja se
+ * envía cuando la notificación se cierra.
+ *
+ * @type {number}
+ */
+const UNDO_WINDOW = 6000;
+
+const emptyValues = (fields) => fields.reduce((values, { name }) => ({ ...values, [name]: '' }), {});
+
+// Valores de búsqueda que encuentran un registro: sus datos en cada campo de texto
+const searchValuesOf = (key, searchFields, record) => searchFields.reduce((values, field) => {
+  const value = field.type === 'relation' ? '' : LIST_FIELDS[key][field.name]?.(record);
+  return { ...values, [field.name]: value == null ? '' : String(value) };
+}, {});
+
+/**
+ * @param {Object} props - Propiedades del componente.
+ * @param {EntitySchema} props.entity - Esquema de la entidad (ver `entities/index.js`).
+ * @returns {JSX.Element}
+ */
+function EntityCrudPage({ entity }) {
+  const { key, api, fields, columns } = entity;
+  const { t } = useTranslation();
+  // Textos de la página con el nombre de los registros en el idioma activo
+  const noun = nounOf(key);
+  const text = (name, params) => t(`crud.${name}`, { noun, ...params });
+
+  // Permisos del usuario: qué acciones ve y qué campos puede modificar
+  const { can, canEditField, scope } = usePermissions();
+  const canEdit = can('create', key) || can('update', key);
+  const showActions = canEdit || can('delete', key);
+  // Indica si el rol puede ver el recurso de un campo relacionado, y pedir su lista
+  const canViewRelation = useCallback((field) => can('view', field.relation.resource.key[0]), [can]);
+  // Campos de búsqueda; los que filtran por un recurso que el rol no puede ver no se muestran
+  const searchFields = useMemo(
+    () => entity.search.filter((field) => field.type !== 'relation' || canViewRelation(field)),
+    [entity.search, canViewRelation]
+  );
+
+  // Estado de la tabla y registro abierto en el formulario, guardados en la dirección
+  const [listState, setListState] = useListSearchParams({
+    filters: searchFields.map((field) => field.name),
+    sizes: PAGE_SIZES,
+  });
+
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(() => emptyValues(fields));
+  const [search, setSearch] = useState(() => ({ ...emptyValues(searchFields), ...listState.filters }));
+  const [idEliminar, setIdEliminar] = useState(null);
+  // Formulario, para llevar el foco a él al llegar desde la búsqueda global
+  const formRef = useRef(null);
+  const location = useLocation();
+
+  // Listas de los campos relacionados, compartidas a través de la caché de consultas.
+  // Las del formulario solo se piden si el usuario puede usarlo; las de la búsqueda, siempre.
+  // Las de recursos que el rol no puede ver no se piden: la API las rechazaría
+  const relations = [...fields, ...searchFields]
+    .filter((field) => field.type === 'relation' && canViewRelation(field))
+    .map((field) => field.relation.resource)
+    .filter((resource, index, all) => all.indexOf(resource) === index);
+  const usedInSearch = (resource) => searchFields.some((field) => field.relation?.resource === resource);
+  const relationQueries = useQueries(
+    relations.map((resource) => ({
+      key: resource.key,
+      fetcher: ({ signal }) => resource.list(undefined, { signal }),
+    })),
+    { enabled: canEdit || relations.some(usedInSearch) }
+  );
+  const optionsOf = (relation) => relationQueries[relations.indexOf(relation.resource)]?.data || [];
+  // Primera lista relacionada que no se pudo cargar; el error es el mismo objeto hasta que vuelve a fallar
+  const failedIndex = relationQueries.findIndex((query) => query.error);
+  const relationError = failedIndex < 0 ? null : relationQueries[failedIndex].error;
+  const failedKey = failedIndex < 0 ? null : relations[failedIndex].key;
+
+  // Página actual de registros, filtrada y ordenada por la API (o en el navegador si no lo soporta).
+  // Los filtros del rol se agregan a la búsqueda.
+  const {
+    items, total, page, size, sort, setPage, setSize, toggleSort,
+    error: listError, isLoading, refetch,
+  } = usePaginatedQuery(api, {
+    filters: search, fixedFilters: scope(key), state: listState, onStateChange: setListState,
+  });
+  // Altas, modificaciones y bajas que se ven en la tabla antes de que responda la API
+  const { create, update, remove, pendingOf } = useOptimisticMutations(api);
+  // Filas que otro usuario acaba de cambiar, resaltadas por unos segundos
+  const isChanged = useLiveHighlight(api);
+  // Indica si el campo está bloqueado para el usuario (por ejemplo, un profesor solo cambia la nota)
+  const isLocked = (name) => !canEditField(key, name, editing || undefined);
+  // Errores del formulario; los campos bloqueados no se validan porque el usuario no puede corregirlos
+  const validation = useFormValidation(fields.filter((field) => !isLocked(field.name)), form);
+  // Versión del registro en edición y conflicto con los cambios de otro usuario, si lo hubo
+  const conflicts = useEditConflict(api, (record) => toFormValues(entity, record));
+
+  // Avisa si falla la carga de una lista relacionada, con un botón para volver a pedirla
+  useEffect(() => {
+    if (!relationError) return;
+    console.error(`Error al cargar ${failedKey[0]}:`, relationError);
+    notify.error(t('crud.relationFailed', { noun: nounOf(failedKey[0]), error: relationError.message }), {
+      action: { label: t('common.retry'), onClick: () => invalidateQueries(failedKey) },
+    });
+  }, [relationError, failedKey, t]);
+
+  /**
+   * Guarda lo que se escribe en el formulario tal cual; los errores los marca la validación.
+   *
+   * @function handleChange
+   * @param {Event} e - Evento de cambio del campo.
+   * @returns {void}
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((current) => ({ ...current, [name]: value }));
+    validation.clearServerError(name); // El error de la API ya no corresponde al valor nuevo
+  };
+
+  /**
+   * Actualiza los campos de búsqueda.
+   *
+   * @function handleSearchChange
+   * @param {Event} e - Evento de cambio del campo.
+   * @returns {void}
+   */
+  const handleSearchChange = (e) => {
+    const { name, value } = e.target;
+    setSearch((current) => ({ ...current, [name]: value }));
+  };
+
+  /**
+   * Arma el registro que se muestra en la tabla mientras la API no responde: los campos
+   * relacionados se muestran con el registro completo, no solo su ID.
+   *
+   * @function toDisplayRecord
+   * @param {Object} values - Valores del formulario.
+   * @param {Object|null} previous - Registro que se edita, o null si es nuevo.
+   * @returns {Object}
+   */
+  const toDisplayRecord = (values, previous) => fields.reduce((record, field) => {
+    if (field.type !== 'relation') return { ...record, [field.name]: values[field.name] };
+    const { as } = field.relation;
+    const selected = optionsOf(field.relation).find((option) => option.id === values[field.name]);
+    return { ...record, [as]: selected || previous?.[as] || null };
+  }, { ...previous });
+
+  // Vacía el formulario; `resetForm` además quita de la dirección el registro que se editaba
+  const closeForm = () => {
+    setForm(emptyValues(fields));
+    setEditing(null);
+    conflicts.untrack();
+    validation.reset();
+  };
+
+  const resetForm = () => {
+    closeForm();
+    setListState({ selected: null }, { replace: true });
+  };
+
+  /**
+   * Valida el formulario y lo guarda con la versión del registro que se está editando.
+   *
+   * @function handleSubmit
+   * @param {Event} e - Evento de envío del formulario.
+   * @returns {void}
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    // Con errores no se envía: se muestran todos, incluso los de campos que no se visitaron
+    if (!validation.isValid) {
+      validation.touchAll();
+      return;
+    }
+    guardar(form, editing, conflicts.version);
+  };
+
+  /**
+   * Guarda un registro nuevo o editado. Si la API lo rechaza, devuelve los datos al
+   * formulario para corregirlos o, si hubo un conflicto de edición, abre el diálogo.
+   *
+   * @async
+   * @function guardar
+   * @param {Object} submitted - Valores del formulario.
+   * @param {Object|null} previous - Registro que se edita, o null si es nuevo.
+   * @param {number|string|null} version - Versión del registro al empezar a editarlo.
+   * @returns {Promise<void>}
+   */
+  const guardar = async (submitted, previous, version) => {
+    // El cambio ya se ve en la tabla: el formulario se libera sin esperar a la API
+    const record = toDisplayRecord(submitted, previous);
+    resetForm();
+    try {
+      const result = previous
+        ? await update(previous.id, submitted, record, { version })
+        : await create(submitted, record);
+      if (isQueued(result)) notify.info(text('saveQueued'));
+      else notify.success(text(previous ? 'updated' : 'created'));
+    } catch (error) {
+      // Otro usuario guardó el registro mientras tanto: el diálogo decide qué valores conservar
+      if (previous && await conflicts.detect(error, previous.id, submitted)) return;
+      console.error(`Error al guardar ${noun.singular}:`, error);
+      notify.error(text('saveFailed', { error: error.message }));
+      // Devuelve los datos al formulario para corregirlos
+      setForm(submitted);
+      setEditing(previous);
+      if (previous) {
+        conflicts.track({ id: previous.id, version });
+        setListState({ selected: String(previous.id) }, { replace: true });
+      }
+      validation.setServerErrors(error.fieldErrors); // Marca los campos rechazados por la API
+    }
+  };
+
+  // Carga un registro en el formulario para editarlo
+  const openForm = (record) => {
+    setEditing(record); // Se guarda el registro completo, aunque se cambie de página
+    validation.reset();
+    setForm(toFormValues(entity, record));
+    // Recuerda su versión para detectar si otro usuario lo guarda. Si hubo que pedir el registro
+    // a la API, sus valores reemplazan a los de la lista en los campos que todavía no se cambiaron
+    conflicts.track(record).then((current) => {
+      if (!current) return;
+      const listed = toFormValues(entity, record);
+      const fresh = toFormValues(entity, current);
+      setEditing(current);
+      setForm((values) => fields.reduce((next, { name }) => (
+        values[name] === listed[name] ? { ...next, [name]: fresh[name] } : next
+      ), values));
+    });
+  };
+
+  /**
+   * Prepara el formulario para editar un registro y lo anota en la dirección.
+   *
+   * @function handleEdit
+   * @param {Object} record - Registro a editar.
+   * @returns {void}
+   */
+  const handleEdit = (record) => {
+    openForm(record);
+    setListState({ selected: String(record.id) });
+  };
+
+  // Al recorrer el historial o abrir un enlace, los campos de búsqueda toman los filtros de la dirección
+  const urlFiltersHash = JSON.stringify(listState.filters);
+  const urlFilters = useMemo(() => JSON.parse(urlFiltersHash), [urlFiltersHash]);
+  useEffect(() => {
+    setSearch((current) => (
+      sameFilters(current, urlFilters) ? current : { ...emptyValues(searchFields), ...urlFilters }
+    ));
+  }, [urlFilters, searchFields]);
+
+  /**
+   * Carga en el formulario el registro que indica la dirección (de la página actual o de la
+   * API) o, si ya no indica ninguno, vacía el formulario. Si no existe o el usuario no puede
+   * modificarlo, se quita de la dirección. Si al recorrer el historial se deja un registro con
+   * cambios sin guardar, antes se pregunta si descartarlos; si no, la dirección vuelve a él.
+   *
+   * @function openSelected
+   * @param {string|null} selected - ID del registro en la dirección.
+   * @returns {Function|undefined} Función que descarta la carga en curso.
+   */
+  const openSelected = (selected) => {
+    if (String(editing?.id) === selected) return undefined;
+    const dirty = editing && fields.some(({ name }) => form[name] !== toFormValues(entity, editing)[name]);
+    if (dirty && !window.confirm(text('discardChanges'))) {
+      setListState({ selected: String(editing.id) }, { replace: true });
+      return undefined;
+    }
+    if (!selected) {
+      if (editing) closeForm();
+      return undefined;
+    }
+
+    let active = true;
+    const cached = items.find((row) => String(row.id) === selected);
+    (cached ? Promise.resolve(cached) : api.get(selected))
+      .then((record) => {
+        if (!active) return;
+        if (can('update', key, record)) openForm(record);
+        else setListState({ selected: null }, { replace: true });
+      })
+      .catch((error) => {
+        if (!active || error.code === 'CANCELED') return;
+        console.error(`Error al cargar ${noun.singular} ${selected}:`, error);
+        notify.error(error.message);
+        setListState({ selected: null }, { replace: true });
+      });
+    return () => {
+      active = false;
+    };
+  };
+
+  // Se usa siempre la última versión, para que el efecto dependa solo del registro de la dirección
+  const latestOpenSelected = useRef(openSelected);
+  latestOpenSelected.current = openSelected;
+  useEffect(() => latestOpenSelected.current(listState.selected), [listState.selected]);
+
+  /**
+   * Abre el registro elegido o el alta pedida en la búsqueda global o en la página de un
+   * registro. Se pasa a la dirección, que reemplaza a la de la navegación: así el estado se
+   * consume y volver o recargar no lo repite.
+   *
+   * @function openFromNavigation
+   * @param {{focus: Object=, create: boolean=, values: Object=}} state - Estado de la navegación.
+   * @returns {void}
+   */
+  const openFromNavigation = ({ focus, create: startCreate, values }) => {
+    if (!focus && !startCreate) return;
+    const opensForm = startCreate || can('update', key, focus);
+    if (focus) {
+      const values = searchValuesOf(key, searchFields, focus);
+      setSearch(values);
+      setListState({ filters: values, page: 0 }, { replace: true });
+    }
+    if (focus && opensForm) {
+      openForm(focus);
+      setListState({ selected: String(focus.id) }, { replace: true });
+    } else {
+      resetForm();
+      // El alta puede llegar con valores, por ejemplo el estudiante desde su página
+      if (startCreate && values) setForm({ ...emptyValues(fields), ...values });
+    }
+    if (opensForm) {
+      formRef.current?.scrollIntoView?.({ block: 'start' });
+      formRef.current?.querySelector('input:not([disabled])')?.focus();
+    }
+  };
+
+  // Se usa siempre la última versión, para que el efecto dependa solo del estado de la navegación
+  const latestOpenFromNavigation = useRef(openFromNavigation);
+  latestOpenFromNavigation.current = openFromNavigation;
+  useEffect(() => {
+    latestOpenFromNavigation.current(location.state || {});
+  }, [location.state]);
+
+  /**
+   * Elimina el registro después de la confirmación.
+   *
+   * @async
+   * @function eliminar
+   * @returns {Promise<void>}
+   */
+  const eliminar = async () => {
+    const id = idEliminar;
+    setIdEliminar(null); // Cierra el diálogo; la fila desaparece enseguida
+    const record = items.find((row) => row.id === id);
+    // Los registros relacionados se buscan antes de la baja, por si el backend los elimina con él
+    const dependents = collectDependents(entity, id);
+    // La baja se envía cuando se cierra la notificación: mientras espera en la cola o está a la
+    // vista (el plazo se pausa con el mouse encima), "Deshacer" todavía la cancela
+    const undo = new AbortController();
+    const closed = new Promise((resolve) => {
+      notify.success(entity.describe(record), {
+        key: `undo:${key}:${id}`, // Cada baja tiene su propia notificación, aunque el texto se repita
+        title: text('deleted'),
+        duration: UNDO_WINDOW,
+        action: { label: t('common.undo'), onClick: () => undo.abort() },
+        onClose: resolve,
+      });
+    });
+    try {
+      // Si la API la rechaza, la fila vuelve a la tabla. Antes de enviarla se espera también a
+      // los registros relacionados, por si el backend los elimina con él
+      const result = await remove(id, { delay: Promise.all([closed, dependents]), signal: undo.signal });
+      // Sin conexión, el registro entra a la papelera cuando la bandeja de salida envía la baja
+      if (isQueued(result)) {
+        notify.info(text('deleteQueued'));
+        addToTrashWhenSent(result.id, key, record, await dependents);
+      } else {
+        addToTrash(key, record, await dependents);
+      }
+    } catch (error) {
+      if (error.code === 'CANCELED') return; // Se deshizo: la fila ya volvió a la tabla
+      console.error(`Error al eliminar ${noun.singular}:`, error);
+      notify.error(text('deleteFailed', { error: error.message }));
+    }
+  };
+
+  // Las bajas que esperan el plazo para deshacerse no se muestran aunque llegue una lista que las traiga
+  const rows = items.filter((row) => pendingOf(row) !== 'delete');
+
+  // Opciones de un campo relacionado
+  const renderOptions = (relation, toValue = (id) => id) => optionsOf(relation).map((option) => (
+    <MenuItem key={option.id} value={toValue(option.id)}>{relation.label(option)}</MenuItem>
+  ));
+
+  // Contenido de una celda; si falta el registro relacionado de la columna, lo indica.
+  // Las columnas con `link` llevan a la página del registro
+  const renderCell = (column, row) => {
+    if (!column.relation) {
+      const content = column.render ? column.render(row) : row[column.field];
+      return column.link ? <RecordLink resource={key} record={row}>{content}</RecordLink> : content;
+    }
+    const related = row[column.relation.as];
+    const [resource] = column.relation.resource.key;
+    if (!related) return <MissingRecord resource={resource} label={column.missing} />;
+    const content = column.relation.label(related);
+    return column.link ? <RecordLink resource={resource} record={related}>{content}</RecordLink> : content;
+  };
+
+  return (
+    <div>
+      <Typography variant="h4" gutterBottom>{text('title')}</Typography>
+
+      {/* Formulario visible solo para quien puede crear o editar registros */}
+      <Can action={editing ? 'update' : 'create'} resource={key} record={editing || undefined}>
+        <Paper ref={formRef} elevation={0} sx={{ p: 2, mb: 3 }}>
+          <Typography variant="h6" gutterBottom>
+            {text(editing ? 'editTitle' : 'createTitle')}
+          </Typography>
+          <form onSubmit={handleSubmit} noValidate>
+            {fields.map((field) => (
+              <TextField
+                key={field.name}
+                select={field.type === 'relation'}
+                type={field.type === 'relation' ? undefined : field.type}
+                label={t(field.label)}
+                name={field.name}
+                value={form[field.name]}
+                onChange={handleChange}
+                onBlur={validation.handleBlur}
+                {...fieldErrorProps(validation.errors, field.name)}
+                disabled={isLocked(field.name)}
+                required={field.required !== false}
+                margin="normal"
+                fullWidth
+                inputProps={field.inputProps}
+                // En las fechas la etiqueta queda arriba del campo
+                InputLabelProps={field.type === 'date' ? { shrink: true } : undefined}
+              >
+                {field.type === 'relation' ? renderOptions(field.relation) : undefined}
+              </TextField>
+            ))}
+
+            {/* Siempre habilitado: al enviar con errores se muestran todos */}
+            <Button variant="contained" color="primary" type="submit" sx={{ mt: 2 }}>
+              {text(editing ? 'update' : 'create')}
+            </Button>
+            {/* Descarta la edición y vuelve al formulario vacío */}
+            {editing && (
+              <Button variant="outlined" color="secondary" onClick={resetForm} sx={{ mt: 2, ml: 2 }}>
+                {t('common.cancel')}
+              </Button>
+            )}
+          </form>
+        </Paper>
+      </Can>
+
+      <Paper elevation={3} sx={{ p: 2, mb: 3 }}>
+        <Typography variant="h6" gutterBottom>{text('searchTitle')}</Typography>
+        <Grid container spacing={2} sx={{ mb: 2 }}>
+          {searchFields.map((field) => (
+            <Grid item xs={12} sm={searchFields.length % 3 === 0 ? 4 : 3} key={field.name}>
+              <TextField
+                select={field.type === 'relation'}
+                type={field.type === 'relation' ? undefined : field.type}
+                label={t(field.label)}
+                name={field.name}
+                value={search[field.name]}
+                onChange={handleSearchChange}
+                inputProps={field.inputProps}
+                fullWidth
+              >
+                {field.type === 'relation' ? [
+                  <MenuItem key="" value="">{t(field.allLabel)}</MenuItem>,
+                  // Los filtros se guardan como texto
+                  ...renderOptions(field.relation, (id) => id.toString()),
+                ] : undefined}
+              </TextField>
+            </Grid>
+          ))}
+        </Grid>
+      </Paper>
+
+      <TableContainer component={Paper} sx={{ mt: 4 }}>
+        <Table>
+          <TableHead>
+            <TableRow>
+              {columns.map((column) => (
+                <SortableTableCell key={column.field} field={column.field} sort={sort} onSort={toggleSort}>
+                  {t(column.label)}
+                </SortableTableCell>
+              ))}
+              {showActions && <TableCell>{t('common.actions')}</TableCell>}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {/* Carga, error con reintento o lista vacía */}
+            <TableStatusRow
+              colSpan={columns.length + (showActions ? 1 : 0)}
+              isLoading={isLoading}
+              error={listError}
+              isEmpty={!rows.length}
+              emptyMessage={Object.values(search).some(Boolean) ? text('noMatches') : text('empty')}
+              onRetry={refetch}
+            />
+            {rows.map((row) => {
+              // Cambio sin confirmar por la API: la fila se atenúa y muestra un indicador
+              const pending = pendingOf(row);
+              return (
+                <TableRow key={row.id} sx={pendingRowSx(pending)} selected={isChanged(row)}>
+                  {columns.map((column) => (
+                    <TableCell key={column.field}>
+                      {renderCell(column, row)}
+                    </TableCell>
+                  ))}
+                  {showActions && (
+                    <TableCell>
+                      {pending ? <PendingIndicator pending={pending} /> : (
+                        <>
+                          {/* Botones para editar y eliminar, según los permisos del usuario sobre la fila */}
+                          <Can action="update" resource={key} record={row}>
+                            <Button color="warning" onClick={() => handleEdit(row)}>{t('common.edit')}</Button>
+                          </Can>
+                          <Can action="delete" resource={key} record={row}>
+                            <Button color="error" onClick={() => setIdEliminar(row.id)}>{t('common.delete')}</Button>
+                          </Can>
+                        </>
+                      )}
+                    </TableCell>
+                  )}
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+        {/* Paginación con el total de registros que cumplen la búsqueda */}
+        <ListPagination total={total} page={page} size={size} onPageChange={setPage} onSizeChange={setSize} />
+      </TableContainer>
+
+      {/* Diálogo para resolver un conflicto con los cambios de otro usuario */}
+      <ConflictDialog
+        conflict={conflicts.conflict}
+        fields={fields.map((field) => ({
+          name: field.name,
+          label: t(field.label),
+          format: field.type === 'relation' ? (id) => {
+            const option = optionsOf(field.relation).find((current) => current.id === Number(id));
+            return option ? field.relation.label(option) : id;
+          } : undefined,
+        }))}
+        onSave={(values) => {
+          const { id, version } = conflicts.conflict;
+          conflicts.dismiss();
+          // Vuelve a guardar sobre la versión actual
+          guardar(values, items.find((row) => row.id === id) || { id }, version);
+        }}
+        onDiscard={conflicts.discard}
+      />
+
+      {/* Diálogo de confirmación para eliminar un registro */}
+      <Dialog
+        open={idEliminar !== null}
+        onClose={() => setIdEliminar(null)}
+        aria-labelledby="delete-dialog-title"
+      >
+        <DialogTitle id="delete-dialog-title">{text('deleteTitle')}</DialogTitle>
+        <DialogContent>
+          <p>{text('deleteConfirm')}</p>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setIdEliminar(null)}>{t('common.cancel')}</Button>
+          <Button onClick={eliminar} color="error">{t('common.delete')}</Button>
+        </DialogActions>
+      </Dialog>
+    </div>
+  );
+}
+
+export default EntityCrudPage;
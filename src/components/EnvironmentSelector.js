@@ -0,0 +1,66 @@
+/**
+ * Selector del entorno de la API.
+ *
+ * Muestra en la barra de navegación qué backend está activo y permite cambiarlo.
+ * La elección se guarda en localStorage y la página se recarga para que todas
+ * las secciones vuelvan a pedir sus datos al nuevo backend. Cada entorno tiene su
+ * propia sesión (ver `api/auth.js`): al cambiar se usa la del nuevo o se pide iniciarla.
+ */
+
+import React, { useState } from 'react';
+import { Button, Menu, MenuItem, ListItemText, ListItemIcon, Tooltip } from '@mui/material';
+import CheckIcon from '@mui/icons-material/Check';
+import StorageIcon from '@mui/icons-material/Storage';
+import { getEnvironments, getActiveEnvironment, setActiveEnvironment } from '../api/config';
+import { useTranslation } from '../i18n';
+
+function EnvironmentSelector() {
+  const { t } = useTranslation();
+  // Elemento sobre el que se abre el menú; null si está cerrado
+  const [anchorEl, setAnchorEl] = useState(null);
+  const active = getActiveEnvironment();
+
+  /**
+   * Activa el entorno elegido y recarga la aplicación.
+   *
+   * @param {string} id - ID del entorno elegido.
+   * @function handleSelect
+   * @returns {void}
+   */
+  const handleSelect = (id) => {
+    setAnchorEl(null);
+    if (id === active.id) return;
+    setActiveEnvironment(id);
+    window.location.reload();
+  };
+
+  return (
+    <>
+      <Tooltip title={t('environment.tooltip', { url: active.baseURL })}>
+        <Button
+          color="inherit"
+          size="small"
+          startIcon={<StorageIcon />}
+          onClick={(e) => setAnchorEl(e.currentTarget)}
+          aria-haspopup="true"
+          aria-label={t('environment.button', { environment: active.label })}
+          sx={{ mr: 1 }}
+        >
+          {active.label}
+        </Button>
+      </Tooltip>
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        {getEnvironments().map((environment) => (
+          <MenuItem key={environment.id} onClick={() => handleSelect(environment.id)}>
+            <ListItemIcon>
+              {environment.id === active.id && <CheckIcon fontSize="small" />}
+            </ListItemIcon>
+            <ListItemText primary={environment.label} secondary={environment.baseURL} />
+          </MenuItem>
+        ))}
+      </Menu>
+    </>
+  );
+}
+
+export default EnvironmentSelector;
@@ -0,0 +1,114 @@
+/**
+ * Límite de errores de una pantalla.
+ *
+ * Si una pantalla falla al renderizar (por ejemplo, por un dato inesperado de la API), en
+ * lugar de dejar toda la aplicación en blanco muestra un aviso con el error en el lugar de
+ * esa pantalla; la barra de navegación sigue funcionando. Desde el aviso se puede reintentar,
+ * que vuelve a pedir los datos y a renderizar la pantalla, o informar el problema (ver
+ * `utils/errorReport.js`).
+ *
+ * Es un componente de clase porque React solo captura errores de renderizado con
+ * `getDerivedStateFromError` y `componentDidCatch`, que no tienen equivalente en hooks.
+ * En `App.js` cada ruta tiene el suyo, con una `key` distinta para que al cambiar de ruta
+ * no se conserve el error de otra.
+ */
+
+import React, { useState } from 'react';
+import { useLocation } from 'react-router-dom';
+import { Alert, AlertTitle, Box, Button, Collapse } from '@mui/material';
+import { invalidateQueries } from '../api/queryCache';
+import { useTranslation } from '../i18n';
+import { notify } from '../utils/notifications';
+import { buildErrorReport, sendErrorReport } from '../utils/errorReport';
+
+/**
+ * Aviso que reemplaza a la pantalla que falló.
+ *
+ * @param {Object} props - Propiedades del componente.
+ * @param {Error} props.error - Error capturado.
+ * @param {string|null} props.componentStack - Componentes que se estaban renderizando.
+ * @param {Function} props.onRetry - Vuelve a renderizar la pantalla.
+ * @returns {JSX.Element}
+ */
+function ErrorScreen({ error, componentStack, onRetry }) {
+  const { t } = useTranslation();
+  const { pathname } = useLocation();
+  const [showDetails, setShowDetails] = useState(false);
+  const [reporting, setReporting] = useState(false);
+
+  // Vuelve a pedir los datos, por si el error vino de una respuesta de la API, y reintenta
+  const handleRetry = () => {
+    invalidateQueries([]);
+    onRetry();
+  };
+
+  const handleReport = async () => {
+    setReporting(true);
+    try {
+      const result = await sendErrorReport(buildErrorReport(error, { componentStack, path: pathname }));
+      notify.success(result === 'sent' ? t('errorBoundary.reportSent') : t('errorBoundary.reportCopied'));
+    } catch (reportError) {
+      console.error('No se pudo informar el error:', reportError);
+      notify.error(t('errorBoundary.reportFailed'));
+    } finally {
+      setReporting(false);
+    }
+  };
+
+  return (
+    <Alert
+      severity="error"
+      action={(
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button color="inherit" size="small" onClick={handleRetry}>{t('common.retry')}</Button>
+          <Button color="inherit" size="small" onClick={handleReport} disabled={reporting}>
+            {t('errorBoundary.report')}
+          </Button>
+        </Box>
+      )}
+    >
+      <AlertTitle>{t('errorBoundary.title')}</AlertTitle>
+      {t('errorBoundary.description')}
+      <Box>
+        <Button color="inherit" size="small" onClick={() => setShowDetails(!showDetails)} sx={{ px: 0 }}>
+          {t('errorBoundary.details')}
+        </Button>
+      </Box>
+      <Collapse in={showDetails}>
+        <Box component="pre" sx={{ m: 0, whiteSpace: 'pre-wrap', fontSize: '0.75rem' }}>
+          {error?.message || String(error)}
+        </Box>
+      </Collapse>
+    </Alert>
+  );
+}
+
+class ErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    // Error capturado y componentes donde ocurrió; sin error se muestra la pantalla
+    this.state = { error: null, componentStack: null };
+    this.reset = this.reset.bind(this);
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, info) {
+    console.error('Error al mostrar la pantalla:', error, info.componentStack);
+    this.setState({ componentStack: info.componentStack });
+  }
+
+  reset() {
+    this.setState({ error: null, componentStack: null });
+  }
+
+  render() {
+    const { error, componentStack } = this.state;
+    if (!error) return this.props.children;
+    return <ErrorScreen error={error} componentStack={componentStack} onRetry={this.reset} />;
+  }
+}
+
+export default ErrorBoundary;
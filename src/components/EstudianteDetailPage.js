@@ -0,0 +1,232 @@
+/**
+ * Página de un estudiante, en `/estudiantes/:id`.
+ *
+ * Muestra sus datos, todas sus inscripciones con el curso, la nota y la fecha, el resumen de
+ * sus notas (promedio, aprobadas y desaprobadas, ver `entities/grades.js`) y la línea de
+ * tiempo de sus inscripciones por año. Desde aquí se lo puede inscribir en otro curso, que
+ * abre el formulario de inscripciones con el estudiante elegido, o editar sus datos en la
+ * sección de estudiantes; cada acción aparece solo si el rol del usuario la permite.
+ *
+ * El estudiante y las inscripciones salen de la caché compartida: los cambios que se hacen en
+ * otras secciones, o que llegan en vivo de otros usuarios, se ven aquí sin recargar.
+ */
+
+import React from 'react';
+import { Link as RouterLink, useNavigate, useParams } from 'react-router-dom';
+import {
+  Alert,
+  Box,
+  Button,
+  Grid,
+  Link,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  ListSubheader,
+  Paper,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import ArrowBackIcon from '@mui/icons-material/ArrowBack';
+import EditIcon from '@mui/icons-material/Edit';
+import { estudiantesApi, inscripcionesApi } from '../api/resources';
+import { gradeStats, timelineOf } from '../entities/grades';
+import { useTranslation } from '../i18n';
+import { formatDate, formatGrade, toDateInputValue } from '../i18n/format';
+import useQuery from '../hooks/useQuery';
+import usePermissions from '../hooks/usePermissions';
+import Can from './Can';
+import DetailStatus from './DetailStatus';
+import GradeSummary, { GRADE_STATUSES, GradeStatusChip, gradeStatusOf } from './GradeSummary';
+import RecordLink, { MissingRecord } from './RecordLink';
+import TableStatusRow from './TableStatusRow';
+
+// Más recientes primero; las que no tienen fecha, al final
+const byRecent = (a, b) => toDateInputValue(b.fecha).localeCompare(toDateInputValue(a.fecha)) || b.id - a.id;
+
+function EstudianteDetailPage() {
+  const { id } = useParams();
+  const { t } = useTranslation();
+  const { can } = usePermissions();
+  const navigate = useNavigate();
+  const text = (name, params) => t(`estudianteDetail.${name}`, params);
+
+  // El estudiante y la lista completa de inscripciones, de la caché compartida
+  const estudianteQuery = useQuery(
+    [...estudiantesApi.key, 'detail', id],
+    ({ signal }) => estudiantesApi.get(id, { signal })
+  );
+  const canViewInscripciones = can('view', 'inscripciones');
+  const inscripcionesQuery = useQuery(
+    inscripcionesApi.key,
+    ({ signal }) => inscripcionesApi.list(undefined, { signal }),
+    { enabled: canViewInscripciones }
+  );
+
+  const estudiante = estudianteQuery.data;
+  const inscripciones = (inscripcionesQuery.data || []).filter((row) => String(row.estudiante?.id) === id);
+  const stats = gradeStats(inscripciones);
+
+  // Lleva al formulario de inscripciones con el estudiante ya elegido
+  const handleEnroll = () => {
+    navigate('/inscripciones', { state: { create: true, values: { estudianteId: estudiante.id } } });
+  };
+
+  const back = (
+    <Button component={RouterLink} to="/estudiantes" startIcon={<ArrowBackIcon />} sx={{ mb: 2 }}>
+      {text('back')}
+    </Button>
+  );
+
+  if (!estudiante) {
+    return (
+      <DetailStatus
+        query={estudianteQuery}
+        back={back}
+        notFound={text('notFound', { id })}
+        loadFailed={text('loadFailed', { error: estudianteQuery.error?.message })}
+      />
+    );
+  }
+
+  // Curso de una inscripción, con el enlace a su página, o el aviso de que la API no lo devolvió
+  const cursoOf = ({ curso }) => (curso
+    ? <RecordLink resource="cursos" record={curso}>{curso.nombre}</RecordLink>
+    : <MissingRecord resource="cursos" />);
+
+  return (
+    <Box>
+      {back}
+
+      {/* Datos del estudiante y acciones rápidas */}
+      <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} justifyContent="space-between" sx={{ mb: 3 }}>
+        <Box>
+          <Typography variant="h4" component="h1">{`${estudiante.nombre} ${estudiante.apellido}`}</Typography>
+          <Typography color="text.secondary">
+            {`${t('estudiantes.fields.dni')} ${estudiante.dni} · `}
+            <Link href={`mailto:${estudiante.email}`}>{estudiante.email}</Link>
+          </Typography>
+        </Box>
+        <Stack direction="row" spacing={1} alignItems="flex-start">
+          <Can action="create" resource="inscripciones">
+            <Button variant="contained" startIcon={<AddIcon />} onClick={handleEnroll}>{text('enroll')}</Button>
+          </Can>
+          <Can action="update" resource="estudiantes" record={estudiante}>
+            <Button
+              variant="outlined"
+              startIcon={<EditIcon />}
+              component={RouterLink}
+              to={`/estudiantes?selected=${estudiante.id}`}
+            >
+              {text('edit')}
+            </Button>
+          </Can>
+        </Stack>
+      </Stack>
+
+      {canViewInscripciones && (
+        <>
+          {inscripcionesQuery.error && (
+            <Alert
+              severity="error"
+              sx={{ mb: 2 }}
+              action={(
+                <Button color="inherit" size="small" onClick={() => inscripcionesQuery.refetch().catch(() => {})}>
+                  {t('common.retry')}
+                </Button>
+              )}
+            >
+              {text('inscripcionesFailed', { error: inscripcionesQuery.error.message })}
+            </Alert>
+          )}
+
+          {/* Resumen de las notas */}
+          <GradeSummary
+            items={[
+              { label: t('grades.average'), value: stats.average === null ? t('grades.noGrades') : formatGrade(stats.average) },
+              { label: t('grades.passed'), value: stats.passed },
+              { label: t('grades.failed'), value: stats.failed },
+              { label: text('total'), value: stats.count },
+            ]}
+          />
+
+          <Grid container spacing={3}>
+            {/* Inscripciones, las más recientes primero */}
+            <Grid item xs={12} md={8}>
+              <Typography variant="h6" component="h2" gutterBottom>{text('inscripciones')}</Typography>
+              <TableContainer component={Paper}>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>{t('inscripciones.fields.cursoId')}</TableCell>
+                      <TableCell>{t('inscripciones.fields.nota')}</TableCell>
+                      <TableCell>{t('inscripciones.fields.fecha')}</TableCell>
+                      <TableCell>{t('grades.status')}</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {/* Si la carga falla, el aviso de arriba ya lo indica: la lista no está vacía */}
+                    <TableStatusRow
+                      colSpan={4}
+                      isLoading={inscripcionesQuery.isLoading}
+                      isEmpty={!inscripcionesQuery.error && !inscripciones.length}
+                      emptyMessage={text('empty')}
+                    />
+                    {[...inscripciones].sort(byRecent).map((inscripcion) => (
+                      <TableRow key={inscripcion.id}>
+                        <TableCell>{cursoOf(inscripcion)}</TableCell>
+                        <TableCell>{formatGrade(inscripcion.nota)}</TableCell>
+                        <TableCell>{formatDate(inscripcion.fecha)}</TableCell>
+                        <TableCell><GradeStatusChip inscripcion={inscripcion} /></TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </Grid>
+
+            {/* Línea de tiempo de las inscripciones, por año */}
+            <Grid item xs={12} md={4}>
+              <Typography variant="h6" component="h2" gutterBottom>{text('timeline')}</Typography>
+              <Paper elevation={0}>
+                <List dense aria-label={text('timeline')}>
+                  {timelineOf(inscripciones).map(({ year, items }) => (
+                    <li key={year ?? 'sin-fecha'}>
+                      <ul style={{ padding: 0 }}>
+                        <ListSubheader>{year ?? text('noDate')}</ListSubheader>
+                        {items.map((inscripcion) => (
+                          <ListItem key={inscripcion.id}>
+                            <ListItemIcon>{GRADE_STATUSES[gradeStatusOf(inscripcion)].icon}</ListItemIcon>
+                            <ListItemText
+                              primary={cursoOf(inscripcion)}
+                              secondary={text('timelineItem', {
+                                fecha: formatDate(inscripcion.fecha) || text('noDate'),
+                                nota: gradeStatusOf(inscripcion) === 'ungraded'
+                                  ? t('grades.statuses.ungraded')
+                                  : formatGrade(inscripcion.nota),
+                              })}
+                            />
+                          </ListItem>
+                        ))}
+                      </ul>
+                    </li>
+                  ))}
+                </List>
+              </Paper>
+            </Grid>
+          </Grid>
+        </>
+      )}
+    </Box>
+  );
+}
+
+export default EstudianteDetailPage;
@@ -0,0 +1,209 @@
+/**
+ * Búsqueda global y paleta de comandos.
+ *
+ * En la barra de navegación muestra un campo de búsqueda; al hacer clic, al escribir en él
+ * o con Ctrl+K (Cmd+K en Mac) se abre la paleta, que busca a la vez en estudiantes,
+ * profesores, cursos e inscripciones (ver `entities/search.js`) y ofrece acciones como
+ * "Nuevo curso" o "Ir a Inscripciones". Los resultados se agrupan por tipo y se recorren
+ * con las flechas; Enter abre el elegido.
+ *
+ * Elegir un registro lleva a su sección con ese registro buscado y, si el usuario puede
+ * modificarlo, abierto en el formulario (ver `components/EntityCrudPage.js`).
+ */
+
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Box,
+  ButtonBase,
+  Dialog,
+  List,
+  ListItemButton,
+  ListItemText,
+  ListSubheader,
+  TextField,
+  Typography,
+} from '@mui/material';
+import SearchIcon from '@mui/icons-material/Search';
+import { normalizeText } from '../api/listQuery';
+import { ENTITIES } from '../entities';
+import { searchEntities } from '../entities/search';
+import { nounOf, useTranslation } from '../i18n';
+import useQueries from '../hooks/useQueries';
+import usePermissions from '../hooks/usePermissions';
+
+// Atajo para abrir la paleta, según el sistema
+const SHORTCUT = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform) ? '⌘K' : 'Ctrl+K';
+
+/**
+ * @param {Object} props - Propiedades del componente.
+ * @param {Array<{label: string, path: string}>} props.sections - Secciones a las que puede ir
+ *   el usuario, con su nombre ya traducido, para las acciones "Ir a …".
+ * @returns {JSX.Element}
+ */
+function GlobalSearch({ sections }) {
+  const navigate = useNavigate();
+  const { t } = useTranslation();
+  const { can, scope } = usePermissions();
+  const [open, setOpen] = useState(false);
+  const [term, setTerm] = useState('');
+  // Posición del resultado marcado, para elegirlo con Enter
+  const [active, setActive] = useState(0);
+
+  // Solo se busca en las entidades que el usuario puede ver
+  const entities = Object.values(ENTITIES).filter((entity) => can('view', entity.key));
+  // Las colecciones se piden al abrir la paleta y se comparten con las secciones por la caché
+  const queries = useQueries(
+    entities.map((entity) => ({ key: entity.api.key, fetcher: ({ signal }) => entity.api.list(undefined, { signal }) })),
+    { enabled: open }
+  );
+  const isLoading = queries.some((query) => query.isLoading);
+
+  // Abre la paleta con Ctrl+K o Cmd+K desde cualquier parte de la aplicación
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        setOpen(true);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  const close = () => {
+    setOpen(false);
+    setTerm('');
+    setActive(0);
+  };
+
+  const go = (path, state) => {
+    close();
+    navigate(path, { state });
+  };
+
+  // Acciones disponibles, filtradas por el texto buscado
+  const actions = [
+    ...entities
+      .filter((entity) => can('create', entity.key))
+      .map((entity) => ({
+        id: `new-${entity.key}`,
+        label: t('search.create', { noun: nounOf(entity.key) }),
+        onSelect: () => go(`/${entity.key}`, { create: true }),
+      })),
+    ...sections.map((section) => ({
+      id: `go-${section.path}`,
+      label: t('search.goTo', { section: section.label }),
+      onSelect: () => go(section.path),
+    })),
+  ].filter((action) => normalizeText(action.label).includes(normalizeText(term.trim())));
+
+  // Registros encontrados, agrupados por entidad
+  const lists = entities.reduce((result, entity, index) => ({ ...result, [entity.key]: queries[index]?.data }), {});
+  const scopes = entities.reduce((result, entity) => ({ ...result, [entity.key]: scope(entity.key) }), {});
+  const groups = searchEntities(lists, term, { scopes }).map(({ entity, results, total }) => ({
+    title: t('search.group', { noun: nounOf(entity.key), shown: results.length, total }),
+    items: results.map((record) => ({
+      id: `${entity.key}-${record.id}`,
+      label: entity.describe(record),
+      onSelect: () => go(`/${entity.key}`, { focus: record }),
+    })),
+  }));
+  if (actions.length) groups.unshift({ title: t('search.actions'), items: actions });
+
+  const options = groups.flatMap((group) => group.items);
+  const current = Math.min(active, options.length - 1);
+
+  /**
+   * Recorre los resultados con las flechas y elige con Enter.
+   *
+   * @function handleKeyDown
+   * @param {KeyboardEvent} e - Evento del teclado.
+   * @returns {void}
+   */
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActive((current + step + options.length) % Math.max(options.length, 1));
+    } else if (e.key === 'Enter' && options[current]) {
+      e.preventDefault();
+      options[current].onSelect();
+    }
+  };
+
+  return (
+    <>
+      {/* Campo de la barra: al hacer clic o escribir abre la paleta con lo escrito */}
+      <ButtonBase
+        onClick={() => setOpen(true)}
+        onKeyDown={(e) => {
+          if (e.key.trim().length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+            setTerm(e.key);
+            setOpen(true);
+          }
+        }}
+        aria-label={t('search.buttonLabel')}
+        sx={{
+          mx: 2,
+          px: 1.5,
+          py: 0.5,
+          gap: 1,
+          borderRadius: 1,
+          color: 'inherit',
+          bgcolor: 'rgba(255, 255, 255, 0.15)',
+          '&:hover': { bgcolor: 'rgba(255, 255, 255, 0.25)' },
+        }}
+      >
+        <SearchIcon fontSize="small" />
+        <Typography variant="body2" sx={{ display: { xs: 'none', md: 'block' } }}>{t('search.button')}</Typography>
+        <Typography variant="caption" sx={{ display: { xs: 'none', md: 'block' }, opacity: 0.7 }}>{SHORTCUT}</Typography>
+      </ButtonBase>
+
+      <Dialog open={open} onClose={close} fullWidth maxWidth="sm" aria-label={t('search.dialog')}>
+        <Box sx={{ p: 2, pb: 1 }}>
+          <TextField
+            autoFocus
+            fullWidth
+            placeholder={t('search.placeholder')}
+            value={term}
+            onChange={(e) => {
+              setTerm(e.target.value);
+              setActive(0);
+            }}
+            onKeyDown={handleKeyDown}
+            inputProps={{ 'aria-label': t('search.input') }}
+          />
+        </Box>
+        <List sx={{ maxHeight: 420, overflow: 'auto', pt: 0 }} role="listbox">
+          {groups.map((group) => (
+            <li key={group.title}>
+              <ul style={{ padding: 0 }}>
+                <ListSubheader>{group.title}</ListSubheader>
+                {group.items.map((item) => (
+                  <ListItemButton
+                    key={item.id}
+                    role="option"
+                    selected={options[current] === item}
+                    aria-selected={options[current] === item}
+                    onClick={item.onSelect}
+                  >
+                    <ListItemText primary={item.label} />
+                  </ListItemButton>
+                ))}
+              </ul>
+            </li>
+          ))}
+        </List>
+        {/* Estado de la búsqueda cuando no hay nada que mostrar */}
+        {!options.length && (
+          <Typography color="text.secondary" align="center" sx={{ p: 2 }}>
+            {isLoading ? t('search.searching') : t('search.noResults', { term: term.trim() })}
+          </Typography>
+        )}
+      </Dialog>
+    </>
+  );
+}
+
+export default GlobalSearch;
@@ -0,0 +1,79 @@
+/**
+ * Resumen de notas de las páginas de un estudiante y de un curso (ver `entities/grades.js`).
+ *
+ * `GradeSummary` muestra una fila de datos, como el promedio o las aprobadas, con la nota
+ * para aprobar debajo; `GradeStatusChip` indica si una inscripción está aprobada,
+ * desaprobada o sin nota.
+ */
+
+import React from 'react';
+import { Chip, Grid, Paper, Typography } from '@mui/material';
+import CancelIcon from '@mui/icons-material/Cancel';
+import CheckCircleIcon from '@mui/icons-material/CheckCircle';
+import HourglassEmptyIcon from '@mui/icons-material/HourglassEmpty';
+import { PASSING_GRADE, isPassing } from '../entities/grades';
+import { useTranslation } from '../i18n';
+import { formatGrade } from '../i18n/format';
+
+/**
+ * Estados de una inscripción según su nota, con su color y su ícono.
+ *
+ * @type {Object<string, {color: string, icon: JSX.Element}>}
+ */
+export const GRADE_STATUSES = {
+  passed: { color: 'success', icon: <CheckCircleIcon color="success" /> },
+  failed: { color: 'error', icon: <CancelIcon color="error" /> },
+  ungraded: { color: 'default', icon: <HourglassEmptyIcon color="disabled" /> },
+};
+
+/**
+ * Estado de una inscripción: 'passed', 'failed' o 'ungraded' (ver `GRADE_STATUSES`).
+ *
+ * @function gradeStatusOf
+ * @param {Object} inscripcion - Inscripción de la API.
+ * @returns {string}
+ */
+export const gradeStatusOf = (inscripcion) => {
+  const passing = isPassing(inscripcion);
+  if (passing === null) return 'ungraded';
+  return passing ? 'passed' : 'failed';
+};
+
+/**
+ * @param {Object} props - Propiedades del componente.
+ * @param {Object} props.inscripcion - Inscripción de la API.
+ * @returns {JSX.Element}
+ */
+export function GradeStatusChip({ inscripcion }) {
+  const { t } = useTranslation();
+  const status = gradeStatusOf(inscripcion);
+  return <Chip size="small" color={GRADE_STATUSES[status].color} label={t(`grades.statuses.${status}`)} />;
+}
+
+/**
+ * @param {Object} props - Propiedades del componente.
+ * @param {Array<{label: string, value: React.ReactNode}>} props.items - Datos a mostrar, ya traducidos.
+ * @returns {JSX.Element}
+ */
+function GradeSummary({ items }) {
+  const { t } = useTranslation();
+  return (
+    <>
+      <Grid container spacing={2} sx={{ mb: 1 }}>
+        {items.map(({ label, value }) => (
+          <Grid item xs={6} md={12 / items.length} key={label}>
+            <Paper elevation={0} sx={{ p: 2, textAlign: 'center', height: '100%' }}>
+              <Typography variant="h4" component="p">{value}</Typography>
+              <Typography variant="body2" color="text.secondary">{label}</Typography>
+            </Paper>
+          </Grid>
+        ))}
+      </Grid>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+        {t('grades.passingGrade', { grade: formatGrade(PASSING_GRADE) })}
+      </Typography>
+    </>
+  );
+}
+
+export default GradeSummary;
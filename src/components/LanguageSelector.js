@@ -0,0 +1,59 @@
+/**
+ * Selector del idioma de la interfaz.
+ *
+ * Muestra en la barra de navegación el idioma activo y permite cambiarlo. A diferencia del
+ * selector de entorno no hace falta recargar: los textos, fechas y números cambian enseguida
+ * y la elección se guarda para las próximas visitas (ver `i18n/index.js`).
+ */
+
+import React, { useState } from 'react';
+import { Button, Menu, MenuItem, ListItemText, ListItemIcon } from '@mui/material';
+import CheckIcon from '@mui/icons-material/Check';
+import TranslateIcon from '@mui/icons-material/Translate';
+import { LOCALES, useTranslation } from '../i18n';
+
+function LanguageSelector() {
+  const { t, locale, setLocale } = useTranslation();
+  // Elemento sobre el que se abre el menú; null si está cerrado
+  const [anchorEl, setAnchorEl] = useState(null);
+
+  /**
+   * Activa el idioma elegido.
+   *
+   * @param {string} id - Idioma elegido, por ejemplo 'en'.
+   * @function handleSelect
+   * @returns {void}
+   */
+  const handleSelect = (id) => {
+    setAnchorEl(null);
+    setLocale(id);
+  };
+
+  return (
+    <>
+      <Button
+        color="inherit"
+        size="small"
+        startIcon={<TranslateIcon />}
+        onClick={(e) => setAnchorEl(e.currentTarget)}
+        aria-haspopup="true"
+        aria-label={t('language.label', { language: LOCALES[locale].label })}
+        sx={{ mr: 1 }}
+      >
+        {locale.toUpperCase()}
+      </Button>
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        {Object.entries(LOCALES).map(([id, { label }]) => (
+          <MenuItem key={id} onClick={() => handleSelect(id)} lang={id}>
+            <ListItemIcon>
+              {id === locale && <CheckIcon fontSize="small" />}
+            </ListItemIcon>
+            <ListItemText primary={label} />
+          </MenuItem>
+        ))}
+      </Menu>
+    </>
+  );
+}
+
+export default LanguageSelector;
@@ -0,0 +1,49 @@
+/**
+ * Controles de paginación de las tablas.
+ *
+ * Envuelve `TablePagination` de Material-UI con los textos en el idioma activo, el total de
+ * registros y los tamaños de página disponibles.
+ */
+
+import React from 'react';
+import { TablePagination } from '@mui/material';
+import { useTranslation } from '../i18n';
+import { formatNumber } from '../i18n/format';
+
+/**
+ * Tamaños de página que se pueden elegir.
+ *
+ * @type {number[]}
+ */
+export const PAGE_SIZES = [5, 10, 25, 50];
+
+/**
+ * @param {Object} props - Propiedades del componente.
+ * @param {number} props.total - Total de registros.
+ * @param {number} props.page - Página actual, empezando en 0.
+ * @param {number} props.size - Registros por página.
+ * @param {Function} props.onPageChange - Recibe la página elegida.
+ * @param {Function} props.onSizeChange - Recibe el tamaño de página elegido.
+ * @returns {JSX.Element}
+ */
+function ListPagination({ total, page, size, onPageChange, onSizeChange }) {
+  const { t } = useTranslation();
+  return (
+    <TablePagination
+      component="div"
+      count={total}
+      page={page}
+      rowsPerPage={size}
+      rowsPerPageOptions={PAGE_SIZES}
+      onPageChange={(event, nextPage) => onPageChange(nextPage)}
+      onRowsPerPageChange={(event) => onSizeChange(Number(event.target.value))}
+      labelRowsPerPage={t('pagination.rowsPerPage')}
+      labelDisplayedRows={({ from, to, count }) => t('pagination.displayedRows', {
+        from: formatNumber(from), to: formatNumber(to), count: formatNumber(count),
+      })}
+      getItemAriaLabel={(type) => t(`pagination.${type}`)}
+    />
+  );
+}
+
+export default ListPagination;
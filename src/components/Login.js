@@ -0,0 +1,122 @@
+/**
+ * Pantalla de inicio de sesión.
+ *
+ * Pide usuario y contraseña, inicia la sesión y vuelve a la ruta que el usuario quería
+ * ver antes de ser redirigido. Si llegó aquí porque la sesión venció, lo avisa.
+ *
+ * Estados del Componente:
+ * - form: Usuario y contraseña ingresados.
+ * - error: Mensaje de error del último intento.
+ * - submitting: true mientras se espera la respuesta del servidor.
+ */
+
+import React, { useState } from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { Alert, Box, Button, Paper, TextField, Typography } from '@mui/material';
+import { getActiveEnvironment } from '../api/config';
+import { useAuth } from '../context/AuthContext';
+import { useTranslation } from '../i18n';
+
+function Login() {
+  const { isAuthenticated, expired, login } = useAuth();
+  const { t } = useTranslation();
+  const navigate = useNavigate();
+  const location = useLocation();
+  // Estado para manejar el formulario de inicio de sesión
+  const [form, setForm] = useState({ username: '', password: '' });
+  // Estado para manejar mensajes de error
+  const [error, setError] = useState(null);
+  // Estado para deshabilitar el formulario mientras se envía
+  const [submitting, setSubmitting] = useState(false);
+
+  // Ruta a la que se vuelve después de iniciar sesión
+  const from = location.state?.from?.pathname || '/';
+
+  if (isAuthenticated && !submitting) {
+    return <Navigate to={from} replace />;
+  }
+
+  /**
+   * Actualiza el campo modificado del formulario.
+   *
+   * @param {Object} e - Evento de cambio del campo.
+   * @function handleChange
+   * @returns {void}
+   */
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  /**
+   * Envía las credenciales y, si son válidas, navega a la ruta pedida.
+   *
+   * @async
+   * @param {Object} e - Evento de envío del formulario.
+   * @function handleSubmit
+   * @returns {Promise<void>}
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      await login({ username: form.username.trim(), password: form.password });
+      navigate(from, { replace: true });
+    } catch (err) {
+      setError(err.status === 401 ? t('login.invalidCredentials') : err.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Box sx={{ display: 'flex', justifyContent: 'center' }}>
+      <Paper component="form" onSubmit={handleSubmit} sx={{ p: 4, width: '100%', maxWidth: 400 }}>
+        <Typography variant="h5" component="h1" gutterBottom>
+          {t('login.title')}
+        </Typography>
+
+        {expired && !error && (
+          <Alert severity="info" sx={{ mb: 2 }}>
+            {t('login.expired')}
+          </Alert>
+        )}
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        <TextField
+          label={t('login.username')}
+          name="username"
+          value={form.username}
+          onChange={handleChange}
+          autoComplete="username"
+          autoFocus
+          required
+          margin="normal"
+          fullWidth
+        />
+        <TextField
+          label={t('login.password')}
+          name="password"
+          type="password"
+          value={form.password}
+          onChange={handleChange}
+          autoComplete="current-password"
+          required
+          margin="normal"
+          fullWidth
+        />
+        <Button type="submit" variant="contained" fullWidth disabled={submitting} sx={{ mt: 2 }}>
+          {submitting ? t('login.submitting') : t('login.submit')}
+        </Button>
+
+        {/* En el backend simulado se muestran las credenciales de prueba */}
+        {getActiveEnvironment().mock && (
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+            {t('login.testUsers')}
+          </Typography>
+        )}
+      </Paper>
+    </Box>
+  );
+}
+
+export default Login;
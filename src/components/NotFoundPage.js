@@ -0,0 +1,32 @@
+/**
+ * Página para las direcciones que no corresponden a ninguna sección.
+ *
+ * Muestra la dirección pedida y un botón para volver al inicio, en lugar de dejar la
+ * pantalla vacía.
+ */
+
+import React from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { Box, Button, Typography } from '@mui/material';
+import { useTranslation } from '../i18n';
+
+function NotFoundPage() {
+  const { t } = useTranslation();
+  const { pathname } = useLocation();
+
+  return (
+    <Box sx={{ textAlign: 'center' }}>
+      <Typography variant="h3" component="h1" gutterBottom>
+        {t('notFound.title')}
+      </Typography>
+      <Typography variant="body1" color="text.secondary" gutterBottom>
+        {t('notFound.description', { path: pathname })}
+      </Typography>
+      <Button variant="contained" component={Link} to="/" sx={{ mt: 2 }}>
+        {t('notFound.home')}
+      </Button>
+    </Box>
+  );
+}
+
+export default NotFoundPage;
@@ -0,0 +1,88 @@
+/**
+ * Notificaciones de la aplicación.
+ *
+ * Muestra, abajo de la pantalla, la primera notificación de la cola de `utils/notifications.js`
+ * con el color de su severidad y, si tiene, su botón de acción. Cuando se oculta (por su
+ * duración, al cerrarla o al usar la acción) aparece la siguiente.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Alert, AlertTitle, Button, IconButton, Snackbar } from '@mui/material';
+import CloseIcon from '@mui/icons-material/Close';
+import { dismiss, notifications } from '../utils/notifications';
+import { useStore } from '../utils/store';
+import { useTranslation } from '../i18n';
+
+function Notifications() {
+  const { queue } = useStore(notifications);
+  const { t } = useTranslation();
+  // Notificación en pantalla; se conserva mientras termina la animación de salida
+  const [shown, setShown] = useState(null);
+  const [open, setOpen] = useState(false);
+
+  const current = queue[0] || null;
+
+  useEffect(() => {
+    if (!shown && current) {
+      setShown(current);
+      setOpen(true);
+    } else if (shown && current?.id !== shown.id) {
+      // Se quitó de la cola desde otro módulo: se oculta para dar lugar a la siguiente
+      setOpen(false);
+    }
+  }, [current, shown]);
+
+  if (!shown) return null;
+
+  const close = (event, reason) => {
+    // Un clic en otra parte de la página no la oculta
+    if (reason === 'clickaway') return;
+    setOpen(false);
+  };
+
+  return (
+    <Snackbar
+      key={shown.id}
+      open={open}
+      autoHideDuration={shown.duration}
+      onClose={close}
+      anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+      TransitionProps={{
+        onExited: () => {
+          dismiss(shown.id);
+          setShown(null);
+        },
+      }}
+    >
+      <Alert
+        severity={shown.severity}
+        variant="filled"
+        onClose={close}
+        sx={{ width: '100%' }}
+        // Con acción, el botón de cerrar se agrega junto a ella
+        action={shown.action ? (
+          <>
+            <Button
+              color="inherit"
+              size="small"
+              onClick={() => {
+                shown.action.onClick();
+                close();
+              }}
+            >
+              {shown.action.label}
+            </Button>
+            <IconButton color="inherit" size="small" aria-label={t('common.close')} onClick={close}>
+              <CloseIcon fontSize="small" />
+            </IconButton>
+          </>
+        ) : undefined}
+      >
+        {shown.title && <AlertTitle>{shown.title}</AlertTitle>}
+        {shown.message}
+      </Alert>
+    </Snackbar>
+  );
+}
+
+export default Notifications;
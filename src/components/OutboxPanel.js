@@ -0,0 +1,101 @@
+/**
+ * Bandeja de salida de operaciones pendientes.
+ *
+ * Muestra en la barra de navegación cuántas operaciones esperan ser enviadas y, al hacer
+ * clic, un diálogo para revisarlas. Las pendientes se envían solas cuando vuelve la
+ * conexión; las que el servidor rechazó quedan marcadas con su error y se pueden
+ * reintentar (por ejemplo, después de corregir el dato en conflicto) o descartar.
+ */
+
+import React, { useState } from 'react';
+import {
+  Badge,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import CloudUploadIcon from '@mui/icons-material/CloudUpload';
+import SyncProblemIcon from '@mui/icons-material/SyncProblem';
+import { outbox, replayOutbox, retryItems, discardItem } from '../api/outbox';
+import { useStore } from '../utils/store';
+import { useTranslation } from '../i18n';
+import { formatDateTime } from '../i18n/format';
+
+function OutboxPanel() {
+  const { items, replaying } = useStore(outbox);
+  const { t } = useTranslation();
+  // Estado para controlar la apertura del diálogo
+  const [open, setOpen] = useState(false);
+
+  const failed = items.filter((item) => item.status === 'failed');
+
+  // Sin operaciones en la bandeja no se muestra nada en la barra
+  if (!items.length && !open) return null;
+
+  return (
+    <>
+      <Tooltip title={t('outbox.tooltip')}>
+        <IconButton
+          color="inherit"
+          onClick={() => setOpen(true)}
+          aria-label={t('outbox.badge', { count: items.length })}
+        >
+          <Badge badgeContent={items.length} color={failed.length ? 'error' : 'secondary'}>
+            {failed.length ? <SyncProblemIcon /> : <CloudUploadIcon />}
+          </Badge>
+        </IconButton>
+      </Tooltip>
+
+      <Dialog open={open} onClose={() => setOpen(false)} fullWidth maxWidth="sm">
+        <DialogTitle>{t('outbox.title')}</DialogTitle>
+        <DialogContent dividers>
+          {!items.length && <Typography>{t('outbox.empty')}</Typography>}
+          <List dense>
+            {items.map((item) => (
+              <ListItem
+                key={item.id}
+                secondaryAction={item.status === 'failed' && (
+                  <>
+                    <Button size="small" onClick={() => retryItems([item.id])} disabled={replaying}>
+                      {t('common.retry')}
+                    </Button>
+                    <Button size="small" color="error" onClick={() => discardItem(item.id)}>
+                      {t('outbox.discard')}
+                    </Button>
+                  </>
+                )}
+              >
+                <ListItemText
+                  primary={item.label}
+                  secondary={item.status === 'failed'
+                    ? t('outbox.rejected', { error: item.error })
+                    : t('outbox.pendingSince', { date: formatDateTime(item.createdAt) })}
+                  secondaryTypographyProps={{ color: item.status === 'failed' ? 'error' : 'text.secondary' }}
+                />
+              </ListItem>
+            ))}
+          </List>
+        </DialogContent>
+        <DialogActions>
+          {failed.length > 0 && (
+            <Button onClick={() => retryItems()} disabled={replaying}>{t('outbox.retryFailed')}</Button>
+          )}
+          <Button onClick={() => replayOutbox()} disabled={replaying || !items.length}>
+            {replaying ? t('outbox.sending') : t('outbox.sendNow')}
+          </Button>
+          <Button onClick={() => setOpen(false)}>{t('common.close')}</Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+}
+
+export default OutboxPanel;
@@ -0,0 +1,36 @@
+/**
+ * Indicador de una fila con cambios que la API todavía no confirmó.
+ *
+ * Se muestra en la columna de acciones en lugar de los botones, que no se pueden usar
+ * hasta que el cambio se confirme (ver `api/optimistic.js`).
+ */
+
+import React from 'react';
+import { CircularProgress, Stack, Typography } from '@mui/material';
+import { useTranslation } from '../i18n';
+
+/**
+ * Estilo de la fila según su cambio pendiente: atenuada mientras no se confirma.
+ *
+ * @function pendingRowSx
+ * @param {string|null} pending - Cambio pendiente de la fila.
+ * @returns {Object|undefined}
+ */
+export const pendingRowSx = (pending) => (pending ? { opacity: 0.6 } : undefined);
+
+/**
+ * @param {Object} props - Propiedades del componente.
+ * @param {string} props.pending - Cambio pendiente: 'create', 'update' o 'queued'.
+ * @returns {JSX.Element}
+ */
+function PendingIndicator({ pending }) {
+  const { t } = useTranslation();
+  return (
+    <Stack direction="row" spacing={1} alignItems="center" role="status">
+      {pending !== 'queued' && <CircularProgress size={16} />}
+      <Typography variant="body2" color="text.secondary">{t(`pending.${pending}`)}</Typography>
+    </Stack>
+  );
+}
+
+export default PendingIndicator;
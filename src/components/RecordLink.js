@@ -0,0 +1,49 @@
+/**
+ * Enlace a la página de un registro, por ejemplo la de un estudiante desde una inscripción.
+ *
+ * Solo enlaza si la entidad tiene página (`detail` en su esquema, ver `entities/index.js`),
+ * el usuario puede ver el recurso y el registro ya existe en la API (no es un alta sin
+ * confirmar); si no, muestra el contenido sin enlace. `MissingRecord` es el aviso para el
+ * registro relacionado que la API no devolvió.
+ */
+
+import React from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import { Link, Typography } from '@mui/material';
+import { isTempId } from '../api/optimistic';
+import { ENTITIES } from '../entities';
+import { nounOf, useTranslation } from '../i18n';
+import usePermissions from '../hooks/usePermissions';
+
+/**
+ * @param {Object} props - Propiedades del componente.
+ * @param {string} props.resource - Recurso del registro, por ejemplo 'estudiantes'.
+ * @param {Object} props.record - Registro.
+ * @param {React.ReactNode} props.children - Contenido del enlace.
+ * @returns {JSX.Element}
+ */
+function RecordLink({ resource, record, children }) {
+  const { can } = usePermissions();
+  const detail = ENTITIES[resource]?.detail;
+  if (!detail || isTempId(record.id) || !can('view', resource)) return <>{children}</>;
+  return <Link component={RouterLink} to={detail(record)}>{children}</Link>;
+}
+
+/**
+ * Indica que falta un registro relacionado, por ejemplo "Curso no disponible".
+ *
+ * @param {Object} props - Propiedades del componente.
+ * @param {string} props.resource - Recurso del registro que falta.
+ * @param {string} [props.label] - Clave de otro texto en los catálogos, como "Sin profesor asignado".
+ * @returns {JSX.Element}
+ */
+export function MissingRecord({ resource, label }) {
+  const { t } = useTranslation();
+  return (
+    <Typography component="span" variant="body2" color="text.secondary" sx={{ fontStyle: 'italic' }}>
+      {label ? t(label) : t('crud.missingRelation', { noun: nounOf(resource) })}
+    </Typography>
+  );
+}
+
+export default RecordLink;
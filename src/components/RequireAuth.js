@@ -0,0 +1,24 @@
+/**
+ * Ruta protegida.
+ *
+ * Renderiza las rutas hijas solo si hay una sesión iniciada; si no, redirige al login
+ * recordando la ruta pedida para volver a ella después de iniciar sesión. También
+ * redirige cuando la sesión vence mientras se está usando la aplicación.
+ */
+
+import React from 'react';
+import { Navigate, Outlet, useLocation } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+function RequireAuth() {
+  const { isAuthenticated } = useAuth();
+  const location = useLocation();
+
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  return <Outlet />;
+}
+
+export default RequireAuth;
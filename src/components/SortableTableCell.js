@@ -0,0 +1,35 @@
+/**
+ * Encabezado de columna ordenable.
+ *
+ * Muestra el título de la columna con la flecha de orden de Material-UI y, al hacer
+ * clic, pide ordenar por su campo (o invertir el orden si ya se ordena por él).
+ */
+
+import React from 'react';
+import { TableCell, TableSortLabel } from '@mui/material';
+
+/**
+ * @param {Object} props - Propiedades del componente.
+ * @param {string} props.field - Campo por el que ordena la columna.
+ * @param {{field: string, direction: string}|null} props.sort - Orden actual.
+ * @param {Function} props.onSort - Recibe el campo al hacer clic.
+ * @param {React.ReactNode} props.children - Título de la columna.
+ * @returns {JSX.Element}
+ */
+function SortableTableCell({ field, sort, onSort, children }) {
+  const active = sort?.field === field;
+
+  return (
+    <TableCell sortDirection={active ? sort.direction : false}>
+      <TableSortLabel
+        active={active}
+        direction={active ? sort.direction : 'asc'}
+        onClick={() => onSort(field)}
+      >
+        {children}
+      </TableSortLabel>
+    </TableCell>
+  );
+}
+
+export default SortableTableCell;
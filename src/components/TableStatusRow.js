@@ -0,0 +1,70 @@
+/**
+ * Fila de estado de las tablas.
+ *
+ * Ocupa todo el ancho de la tabla y muestra, según el estado de la lista:
+ * - Cargando: un indicador mientras llega la primera página.
+ * - Error: el mensaje y un botón "Reintentar". Si ya hay registros a la vista (los de la
+ *   caché o la página anterior) se muestra arriba de ellos.
+ * - Vacía: el mensaje indicado, por ejemplo "Ningún curso coincide con la búsqueda".
+ * Si la lista tiene registros y no hay error no muestra nada.
+ */
+
+import React from 'react';
+import {
+  Alert,
+  Button,
+  CircularProgress,
+  Stack,
+  TableCell,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import { useTranslation } from '../i18n';
+
+/**
+ * @param {Object} props - Propiedades del componente.
+ * @param {number} props.colSpan - Cantidad de columnas de la tabla.
+ * @param {boolean} props.isLoading - true mientras no hay datos que mostrar.
+ * @param {Error|null} props.error - Error de la última carga.
+ * @param {boolean} props.isEmpty - true si la lista no tiene registros.
+ * @param {string} props.emptyMessage - Mensaje para la lista vacía.
+ * @param {Function} props.onRetry - Vuelve a pedir la lista.
+ * @returns {JSX.Element|null}
+ */
+function TableStatusRow({ colSpan, isLoading, error, isEmpty, emptyMessage, onRetry }) {
+  const { t } = useTranslation();
+  let content = null;
+  if (isLoading) {
+    content = (
+      <Stack direction="row" spacing={2} alignItems="center" justifyContent="center" role="status">
+        <CircularProgress size={20} />
+        <Typography color="text.secondary">{t('common.loading')}</Typography>
+      </Stack>
+    );
+  } else if (error) {
+    content = (
+      <Alert
+        severity="error"
+        action={(
+          // El error queda guardado en la consulta; aquí no hace falta volver a manejarlo
+          <Button color="inherit" size="small" onClick={() => onRetry().catch(() => {})}>
+            {t('common.retry')}
+          </Button>
+        )}
+      >
+        {t(isEmpty ? 'table.loadFailed' : 'table.refreshFailed', { error: error.message })}
+      </Alert>
+    );
+  } else if (isEmpty) {
+    content = <Typography color="text.secondary" align="center">{emptyMessage}</Typography>;
+  }
+
+  if (!content) return null;
+  return (
+    <TableRow>
+      <TableCell colSpan={colSpan}>{content}</TableCell>
+    </TableRow>
+  );
+}
+
+export default TableStatusRow;
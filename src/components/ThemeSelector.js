@@ -0,0 +1,76 @@
+/**
+ * Selector del tema de la interfaz.
+ *
+ * Muestra en la barra de navegación un botón con el ícono del tema elegido y un menú para
+ * cambiarlo: claro, oscuro, alto contraste o según el sistema. El cambio se ve enseguida y
+ * se guarda para las próximas visitas (ver `theme/index.js`).
+ */
+
+import React, { useState } from 'react';
+import { IconButton, Menu, MenuItem, ListItemText, ListItemIcon, Tooltip } from '@mui/material';
+import ContrastIcon from '@mui/icons-material/Contrast';
+import DarkModeIcon from '@mui/icons-material/DarkMode';
+import LightModeIcon from '@mui/icons-material/LightMode';
+import SettingsBrightnessIcon from '@mui/icons-material/SettingsBrightness';
+import { THEME_MODES, useThemeMode } from '../theme';
+import { useTranslation } from '../i18n';
+
+// Ícono de cada preferencia
+const ICONS = {
+  system: SettingsBrightnessIcon,
+  light: LightModeIcon,
+  dark: DarkModeIcon,
+  highContrast: ContrastIcon,
+};
+
+function ThemeSelector() {
+  const { t } = useTranslation();
+  const { mode, setThemeMode } = useThemeMode();
+  // Elemento sobre el que se abre el menú; null si está cerrado
+  const [anchorEl, setAnchorEl] = useState(null);
+  const Icon = ICONS[mode];
+  const label = t('theme.label', { mode: t(`theme.modes.${mode}`) });
+
+  /**
+   * Activa el tema elegido.
+   *
+   * @param {string} id - Preferencia elegida, por ejemplo 'light'.
+   * @function handleSelect
+   * @returns {void}
+   */
+  const handleSelect = (id) => {
+    setAnchorEl(null);
+    setThemeMode(id);
+  };
+
+  return (
+    <>
+      <Tooltip title={label}>
+        <IconButton
+          color="inherit"
+          onClick={(e) => setAnchorEl(e.currentTarget)}
+          aria-haspopup="true"
+          aria-label={label}
+          sx={{ mr: 1 }}
+        >
+          <Icon />
+        </IconButton>
+      </Tooltip>
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        {THEME_MODES.map((id) => {
+          const ModeIcon = ICONS[id];
+          return (
+            <MenuItem key={id} selected={id === mode} onClick={() => handleSelect(id)}>
+              <ListItemIcon>
+                <ModeIcon fontSize="small" />
+              </ListItemIcon>
+              <ListItemText primary={t(`theme.modes.${id}`)} />
+            </MenuItem>
+          );
+        })}
+      </Menu>
+    </>
+  );
+}
+
+export default ThemeSelector;
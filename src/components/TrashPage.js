@@ -0,0 +1,152 @@
+/**
+ * Papelera.
+ *
+ * Lista los registros eliminados hace poco (ver `entities/trash.js`), con los registros
+ * relacionados que se guardaron con ellos, y permite restaurarlos con la API o quitarlos
+ * de la papelera. Solo se muestran los registros de las entidades que el usuario puede crear,
+ * porque restaurar es volver a crearlos.
+ */
+
+import React, { useState } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import { ENTITIES } from '../entities';
+import { discardFromTrash, emptyTrash, restoreFromTrash, trash } from '../entities/trash';
+import { nounOf, useTranslation } from '../i18n';
+import { formatDateTime } from '../i18n/format';
+import usePermissions from '../hooks/usePermissions';
+import { notify } from '../utils/notifications';
+import { useStore } from '../utils/store';
+import TableStatusRow from './TableStatusRow';
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+function TrashPage() {
+  const { items } = useStore(trash);
+  const { t } = useTranslation();
+  const { can } = usePermissions();
+  // Elemento que se está restaurando, para deshabilitar su botón mientras tanto
+  const [restoring, setRestoring] = useState(null);
+  // Estado del diálogo para vaciar la papelera
+  const [confirmEmpty, setConfirmEmpty] = useState(false);
+
+  const visible = items.filter((item) => ENTITIES[item.entity] && can('create', item.entity));
+
+  // Cantidad de registros relacionados de un elemento: "3 inscripciones"
+  const countDependents = (item, n) => t('common.count', { count: n, noun: nounOf(item.dependents[0].entity) });
+
+  /**
+   * Restaura un registro y sus relacionados, e informa el resultado.
+   *
+   * @async
+   * @function restaurar
+   * @param {Object} item - Elemento de la papelera.
+   * @returns {Promise<void>}
+   */
+  const restaurar = async (item) => {
+    const entity = ENTITIES[item.entity];
+    setRestoring(item.id);
+    try {
+      const { restored, failed } = await restoreFromTrash(item.id);
+      const record = entity.describe(item.record);
+      notify.success(item.dependents.length
+        ? t('trash.restoredWith', { record, related: countDependents(item, restored) })
+        : t('trash.restored', { record }));
+      if (failed) notify.warning(t('trash.partiallyRestored', { related: countDependents(item, failed) }));
+    } catch (error) {
+      console.error(`Error al restaurar ${item.entity}:`, error);
+      notify.error(t('trash.restoreFailed', { record: entity.describe(item.record), error: error.message }));
+    } finally {
+      setRestoring(null);
+    }
+  };
+
+  return (
+    <div>
+      <Typography variant="h4" gutterBottom>{t('trash.title')}</Typography>
+      <Typography variant="body1" color="text.secondary" gutterBottom>{t('trash.description')}</Typography>
+
+      <TableContainer component={Paper} sx={{ mt: 2 }}>
+        <Table>
+          <TableHead>
+            <TableRow>
+              <TableCell>{t('trash.type')}</TableCell>
+              <TableCell>{t('trash.record')}</TableCell>
+              <TableCell>{t('trash.deletedAt')}</TableCell>
+              <TableCell>{t('common.actions')}</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            <TableStatusRow colSpan={4} isEmpty={!visible.length} emptyMessage={t('trash.empty')} />
+            {visible.map((item) => {
+              const entity = ENTITIES[item.entity];
+              return (
+                <TableRow key={item.id}>
+                  <TableCell>{capitalize(nounOf(item.entity).singular)}</TableCell>
+                  <TableCell>
+                    {entity.describe(item.record)}
+                    {/* Registros relacionados que se restauran con él */}
+                    {item.dependents.length > 0 && (
+                      <Typography variant="body2" color="text.secondary">
+                        {capitalize(countDependents(item, item.dependents.length))}:{' '}
+                        {item.dependents.map((dependent) => ENTITIES[dependent.entity].describe(dependent.record)).join('; ')}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>{formatDateTime(item.deletedAt)}</TableCell>
+                  <TableCell>
+                    <Button color="primary" disabled={restoring === item.id} onClick={() => restaurar(item)}>
+                      {t('trash.restore')}
+                    </Button>
+                    <Button color="error" onClick={() => discardFromTrash(item.id)}>{t('trash.discard')}</Button>
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      {visible.length > 0 && (
+        <Button variant="outlined" color="error" sx={{ mt: 2 }} onClick={() => setConfirmEmpty(true)}>
+          {t('trash.emptyTrash')}
+        </Button>
+      )}
+
+      {/* Diálogo de confirmación para vaciar la papelera */}
+      <Dialog open={confirmEmpty} onClose={() => setConfirmEmpty(false)} aria-labelledby="empty-trash-title">
+        <DialogTitle id="empty-trash-title">{t('trash.emptyTrash')}</DialogTitle>
+        <DialogContent>
+          <p>{t('trash.emptyConfirm')}</p>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConfirmEmpty(false)}>{t('common.cancel')}</Button>
+          <Button
+            color="error"
+            onClick={() => {
+              emptyTrash();
+              setConfirmEmpty(false);
+            }}
+          >
+            {t('trash.emptyAction')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </div>
+  );
+}
+
+export default TrashPage;
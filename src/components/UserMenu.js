@@ -0,0 +1,66 @@
+/**
+ * Menú del usuario en la barra de navegación.
+ *
+ * Muestra quién inició la sesión y permite cerrarla. Al cerrar sesión se descartan
+ * los datos en caché y se vuelve a la pantalla de inicio de sesión.
+ */
+
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Button, Divider, ListItemIcon, Menu, MenuItem, Typography } from '@mui/material';
+import AccountCircleIcon from '@mui/icons-material/AccountCircle';
+import LogoutIcon from '@mui/icons-material/Logout';
+import { useAuth } from '../context/AuthContext';
+import { useTranslation } from '../i18n';
+
+function UserMenu() {
+  const { user, isAuthenticated, logout } = useAuth();
+  const { t } = useTranslation();
+  const navigate = useNavigate();
+  // Elemento sobre el que se abre el menú; null si está cerrado
+  const [anchorEl, setAnchorEl] = useState(null);
+
+  if (!isAuthenticated) return null;
+
+  /**
+   * Cierra la sesión y navega al login.
+   *
+   * @function handleLogout
+   * @returns {void}
+   */
+  const handleLogout = () => {
+    setAnchorEl(null);
+    logout();
+    navigate('/login', { replace: true });
+  };
+
+  return (
+    <>
+      <Button
+        color="inherit"
+        size="small"
+        startIcon={<AccountCircleIcon />}
+        onClick={(e) => setAnchorEl(e.currentTarget)}
+        aria-haspopup="true"
+        aria-label={t('userMenu.button', { name: user?.nombre || user?.username })}
+        sx={{ mr: 1 }}
+      >
+        {user?.nombre || user?.username}
+      </Button>
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        <Typography variant="body2" color="text.secondary" sx={{ px: 2, py: 1 }}>
+          {t('userMenu.signedInAs', { username: user?.username })}
+        </Typography>
+        <Divider />
+        <MenuItem onClick={handleLogout}>
+          <ListItemIcon>
+            <LogoutIcon fontSize="small" />
+          </ListItemIcon>
+          {t('userMenu.logout')}
+        </MenuItem>
+      </Menu>
+    </>
+  );
+}
+
+export default UserMenu;
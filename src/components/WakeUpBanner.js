@@ -0,0 +1,33 @@
+/**
+ * Aviso global de arranque en frío del servidor.
+ *
+ * Se muestra debajo de la barra de navegación mientras `serverStatus.waking` es true,
+ * es decir, desde que una solicitud detecta que el backend está despertando hasta
+ * que llega la primera respuesta exitosa.
+ */
+
+import React from 'react';
+import { Alert, AlertTitle, LinearProgress, Box } from '@mui/material';
+import { serverStatus } from '../api/retry';
+import { useStore } from '../utils/store';
+import { useTranslation } from '../i18n';
+
+function WakeUpBanner() {
+  const { waking, attempt } = useStore(serverStatus);
+  const { t } = useTranslation();
+
+  if (!waking) return null;
+
+  return (
+    <Box role="status" aria-live="polite">
+      <LinearProgress color="secondary" />
+      <Alert severity="info" square>
+        <AlertTitle>{t('wakeUp.title')}</AlertTitle>
+        {t('wakeUp.description')}
+        {attempt > 0 && t('wakeUp.attempt', { attempt })}
+      </Alert>
+    </Box>
+  );
+}
+
+export default WakeUpBanner;
@@ -0,0 +1,48 @@
+/**
+ * Contexto de autenticación.
+ *
+ * Expone a los componentes el usuario de la sesión y las acciones para iniciar y
+ * cerrar sesión. El estado vive en `api/auth.js`, donde también lo actualizan los
+ * interceptores de Axios cuando renuevan o dan por vencida la sesión.
+ */
+
+import React, { createContext, useContext, useMemo } from 'react';
+import { authSession, login, logout } from '../api/auth';
+import { useStore } from '../utils/store';
+
+const AuthContext = createContext(null);
+
+/**
+ * Proveedor del contexto de autenticación.
+ *
+ * @param {Object} props - Propiedades del componente.
+ * @param {React.ReactNode} props.children - Contenido de la aplicación.
+ * @returns {JSX.Element}
+ */
+export function AuthProvider({ children }) {
+  const session = useStore(authSession);
+
+  const value = useMemo(() => ({
+    user: session.user,
+    isAuthenticated: Boolean(session.accessToken),
+    expired: session.expired,
+    login,
+    logout,
+  }), [session]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
+
+/**
+ * Hook que devuelve la sesión actual: `{ user, isAuthenticated, expired, login, logout }`.
+ *
+ * @function useAuth
+ * @returns {Object}
+ */
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth debe usarse dentro de <AuthProvider>');
+  }
+  return context;
+};
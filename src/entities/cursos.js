@@ -0,0 +1,41 @@
+/**
+ * Esquema de la sección de cursos (ver `entities/index.js`).
+ */
+
+import { cursosApi, profesoresApi } from '../api/resources';
+import { maxLength } from '../utils/validation';
+
+// Profesor asignado: el formulario envía `profesorId` y la API devuelve el `profesor` anidado
+const profesor = {
+  resource: profesoresApi,
+  as: 'profesor',
+  label: (row) => `${row.nombre} ${row.apellido}`,
+};
+
+/** @type {import('./index').EntitySchema} */
+const cursos = {
+  key: 'cursos',
+  api: cursosApi,
+  fields: [
+    { name: 'nombre', label: 'cursos.fields.nombre', rules: [maxLength(50)] },
+    { name: 'descripcion', label: 'cursos.fields.descripcion', rules: [maxLength(200)] },
+    { name: 'profesorId', label: 'cursos.fields.profesorId', type: 'relation', relation: profesor },
+  ],
+  columns: [
+    { field: 'nombre', label: 'cursos.columns.nombre', link: true },
+    { field: 'descripcion', label: 'cursos.fields.descripcion' },
+    { field: 'profesor', label: 'cursos.fields.profesorId', relation: profesor, missing: 'cursos.noProfesor' },
+  ],
+  search: [
+    { name: 'nombre', label: 'cursos.search.nombre', inputProps: { maxLength: 50 } },
+    { name: 'descripcion', label: 'cursos.search.descripcion', inputProps: { maxLength: 200 } },
+    { name: 'profesorId', label: 'cursos.search.profesorId', type: 'relation', relation: profesor, allLabel: 'cursos.search.allProfesores' },
+  ],
+  describe: (row) => row.nombre,
+  // Al eliminar un curso se guardan sus inscripciones para restaurarlas con él
+  dependents: [{ entity: 'inscripciones', field: 'cursoId' }],
+  // Página con los estudiantes inscriptos y sus notas (ver `components/CursoDetailPage.js`)
+  detail: (row) => `/cursos/${row.id}`,
+};
+
+export default cursos;
@@ -0,0 +1,38 @@
+/**
+ * Esquema de la sección de estudiantes (ver `entities/index.js`).
+ */
+
+import { estudiantesApi } from '../api/resources';
+import { t } from '../i18n';
+import { dni, email, maxLength, personName } from '../utils/validation';
+
+/** @type {import('./index').EntitySchema} */
+const estudiantes = {
+  key: 'estudiantes',
+  api: estudiantesApi,
+  fields: [
+    { name: 'dni', label: 'estudiantes.fields.dni', rules: [dni], inputProps: { inputMode: 'numeric' } },
+    { name: 'nombre', label: 'estudiantes.fields.nombre', rules: [personName, maxLength(50)] },
+    { name: 'apellido', label: 'estudiantes.fields.apellido', rules: [personName, maxLength(50)] },
+    { name: 'email', label: 'estudiantes.fields.email', type: 'email', rules: [email, maxLength(254)] },
+  ],
+  columns: [
+    { field: 'dni', label: 'estudiantes.fields.dni' },
+    { field: 'nombre', label: 'estudiantes.fields.nombre', link: true },
+    { field: 'apellido', label: 'estudiantes.fields.apellido', link: true },
+    { field: 'email', label: 'estudiantes.fields.email' },
+  ],
+  search: [
+    { name: 'dni', label: 'estudiantes.search.dni', inputProps: { inputMode: 'numeric', maxLength: 8 } },
+    { name: 'nombre', label: 'estudiantes.search.nombre', inputProps: { maxLength: 50 } },
+    { name: 'apellido', label: 'estudiantes.search.apellido', inputProps: { maxLength: 50 } },
+    { name: 'email', label: 'estudiantes.search.email', inputProps: { maxLength: 254 } },
+  ],
+  describe: (row) => t('estudiantes.describe', row),
+  // Al eliminar un estudiante se guardan sus inscripciones para restaurarlas con él
+  dependents: [{ entity: 'inscripciones', field: 'estudianteId' }],
+  // Ficha con sus inscripciones y notas (ver `components/EstudianteDetailPage.js`)
+  detail: (row) => `/estudiantes/${row.id}`,
+};
+
+export default estudiantes;
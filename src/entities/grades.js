@@ -0,0 +1,85 @@
+/**
+ * Resumen de las notas de un conjunto de inscripciones, por ejemplo las de un estudiante o
+ * las de un curso: el promedio, la mediana, las aprobadas y desaprobadas, y su orden cronológico.
+ *
+ * Las inscripciones sin nota todavía no se calificaron: cuentan como inscripciones pero no
+ * entran en el promedio ni como aprobadas o desaprobadas.
+ */
+
+import { toDateInputValue } from '../i18n/format';
+
+/**
+ * Nota mínima para aprobar.
+ *
+ * @type {number}
+ */
+export const PASSING_GRADE = 4;
+
+const hasGrade = (nota) => nota !== null && nota !== undefined && nota !== '' && Number.isFinite(Number(nota));
+
+/**
+ * Indica si una inscripción está aprobada; sin nota devuelve null.
+ *
+ * @function isPassing
+ * @param {Object} inscripcion - Inscripción de la API.
+ * @returns {boolean|null}
+ */
+export const isPassing = ({ nota }) => (hasGrade(nota) ? Number(nota) >= PASSING_GRADE : null);
+
+// Valor del medio de una lista ordenada; con una cantidad par, el promedio de los dos del medio
+const middle = (sorted) => {
+  const half = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[half] : (sorted[half - 1] + sorted[half]) / 2;
+};
+
+/**
+ * Calcula el resumen de las notas.
+ *
+ * @function gradeStats
+ * @param {Object[]} inscripciones - Inscripciones de la API.
+ * @returns {{
+ *   count: number, graded: number, average: (number|null), median: (number|null),
+ *   passed: number, failed: number, passRate: (number|null)
+ * }} `passRate` es la proporción de aprobadas entre las que tienen nota, de 0 a 1. El
+ *   promedio, la mediana y la proporción son null si ninguna tiene nota.
+ */
+export const gradeStats = (inscripciones) => {
+  const notas = inscripciones
+    .filter(({ nota }) => hasGrade(nota))
+    .map(({ nota }) => Number(nota))
+    .sort((a, b) => a - b);
+  const passed = notas.filter((nota) => nota >= PASSING_GRADE).length;
+  const graded = notas.length;
+  return {
+    count: inscripciones.length,
+    graded,
+    average: graded ? notas.reduce((sum, nota) => sum + nota, 0) / graded : null,
+    median: graded ? middle(notas) : null,
+    passed,
+    failed: graded - passed,
+    passRate: graded ? passed / graded : null,
+  };
+};
+
+/**
+ * Agrupa las inscripciones por año, en orden cronológico: la línea de tiempo de un estudiante.
+ * Las que no tienen fecha van al final, en un grupo con `year` null.
+ *
+ * @function timelineOf
+ * @param {Object[]} inscripciones - Inscripciones de la API.
+ * @returns {Array<{year: (string|null), items: Object[]}>}
+ */
+export const timelineOf = (inscripciones) => {
+  const dated = inscripciones
+    .map((inscripcion) => ({ inscripcion, day: toDateInputValue(inscripcion.fecha) }))
+    // Sin fecha, al final; el resto por día y, en el mismo día, por ID
+    .sort((a, b) => (!a.day - !b.day) || a.day.localeCompare(b.day) || a.inscripcion.id - b.inscripcion.id);
+
+  return dated.reduce((groups, { inscripcion, day }) => {
+    const year = day ? day.slice(0, 4) : null;
+    const last = groups[groups.length - 1];
+    if (last && last.year === year) last.items.push(inscripcion);
+    else groups.push({ year, items: [inscripcion] });
+    return groups;
+  }, []);
+};
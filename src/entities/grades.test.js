@@ -0,0 +1,29 @@
+import { gradeStats, isPassing, timelineOf } from './grades';
+
+const inscripciones = [
+  { id: 1, nota: 9, fecha: '2024-03-01' },
+  { id: 2, nota: 3.5, fecha: '2023-08-10T00:00:00' },
+  { id: 3, nota: 4, fecha: '2024-03-01' },
+  { id: 4, nota: null, fecha: null },
+];
+
+test('calcula el promedio, la mediana y las aprobadas sin contar las inscripciones sin nota', () => {
+  expect(gradeStats(inscripciones)).toEqual({
+    count: 4, graded: 3, average: 5.5, median: 4, passed: 2, failed: 1, passRate: 2 / 3,
+  });
+  expect(gradeStats([{ id: 1, nota: '' }])).toEqual({
+    count: 1, graded: 0, average: null, median: null, passed: 0, failed: 0, passRate: null,
+  });
+  expect(gradeStats([{ nota: 10 }, { nota: '7' }, { nota: 2 }, { nota: 6 }]).median).toBe(6.5);
+  expect(isPassing({ nota: 4 })).toBe(true);
+  expect(isPassing({ nota: '3.5' })).toBe(false);
+  expect(isPassing({ nota: null })).toBeNull();
+});
+
+test('agrupa la línea de tiempo por año con las inscripciones sin fecha al final', () => {
+  expect(timelineOf(inscripciones).map(({ year, items }) => [year, items.map((item) => item.id)])).toEqual([
+    ['2023', [2]],
+    ['2024', [1, 3]],
+    [null, [4]],
+  ]);
+});
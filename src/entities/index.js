@@ -0,0 +1,106 @@
+/**
+ * Esquemas de las entidades que se gestionan con `EntityCrudPage`.
+ *
+ * Cada sección se describe de forma declarativa: los campos del formulario, las columnas
+ * de la tabla y los campos de búsqueda. Para agregar una entidad nueva alcanza con crear
+ * su cliente en `api/resources.js`, sus campos en `api/listQuery.js`, sus permisos en
+ * `utils/permissions.js`, su esquema aquí, sus textos en los catálogos de `i18n` y su
+ * sección en `App.js`.
+ *
+ * Las etiquetas de los esquemas son claves de los catálogos (por ejemplo
+ * 'cursos.fields.nombre'), que la página traduce al idioma activo; el nombre de los
+ * registros está en `nouns` (ver `nounOf`).
+ */
+
+import { toDateInputValue } from '../i18n/format';
+import cursos from './cursos';
+import estudiantes from './estudiantes';
+import inscripciones from './inscripciones';
+import profesores from './profesores';
+
+/**
+ * @typedef {Object} EntityRelation
+ * @property {Object} resource - Cliente del recurso relacionado; sus registros son las opciones.
+ * @property {string} as - Propiedad donde la API devuelve el registro anidado, por ejemplo `profesor`.
+ * @property {function(Object): string} label - Texto de una opción.
+ */
+
+/**
+ * @typedef {Object} EntityField
+ * @property {string} name - Nombre del campo, igual al que recibe la API.
+ * @property {string} label - Clave de la etiqueta del campo en los catálogos.
+ * @property {string} [type='text'] - 'text', 'email', 'number', 'date' o 'relation' (un desplegable).
+ * @property {boolean} [required=true] - Si el campo es obligatorio.
+ * @property {Array<function(*, Object): (string|null)>} [rules] - Reglas que debe cumplir el valor
+ *   (ver `utils/validation.js`); se revisan mientras se completa el formulario.
+ * @property {EntityRelation} [relation] - Registros a elegir, para el tipo 'relation'.
+ * @property {Object} [inputProps] - Atributos del `input`, como `maxLength`.
+ */
+
+/**
+ * @typedef {Object} EntityColumn
+ * @property {string} field - Campo por el que se ordena (ver `LIST_FIELDS`).
+ * @property {string} label - Clave del encabezado en los catálogos.
+ * @property {function(Object): React.ReactNode} [render] - Contenido de la celda; por defecto, `row[field]`.
+ * @property {EntityRelation} [relation] - Registro relacionado que muestra la columna, con su `label`.
+ *   Si la API no lo devuelve (por ejemplo, porque se eliminó) la celda lo indica en lugar de fallar.
+ * @property {string} [missing] - Clave del texto para cuando falta el registro relacionado; por
+ *   defecto, "Curso no disponible" con el nombre del recurso.
+ * @property {boolean} [link] - Si la celda lleva a la página del registro (ver `detail`): del
+ *   relacionado en las columnas con `relation`, de la fila en las demás.
+ */
+
+/**
+ * @typedef {Object} EntitySearchField
+ * @property {string} name - Filtro (ver `LIST_FIELDS`).
+ * @property {string} label - Clave de la etiqueta del campo en los catálogos.
+ * @property {string} [type='text'] - 'text', 'number' o 'relation'.
+ * @property {EntityRelation} [relation] - Registros a elegir, para el tipo 'relation'.
+ * @property {string} [allLabel] - Clave de la opción para no filtrar, para el tipo 'relation'.
+ * @property {Object} [inputProps] - Atributos del `input`.
+ */
+
+/**
+ * @typedef {Object} EntityDependent
+ * @property {string} entity - Entidad cuyos registros apuntan a este, por ejemplo 'inscripciones'.
+ * @property {string} field - Campo de esos registros con el ID de este, por ejemplo 'estudianteId'.
+ */
+
+/**
+ * @typedef {Object} EntitySchema
+ * @property {string} key - Recurso: clave de caché y de permisos, por ejemplo 'cursos'.
+ * @property {Object} api - Cliente del recurso (ver `api/resources.js`).
+ * @property {EntityField[]} fields - Campos del formulario.
+ * @property {EntityColumn[]} columns - Columnas de la tabla.
+ * @property {EntitySearchField[]} search - Campos de búsqueda.
+ * @property {function(Object): string} describe - Descripción breve de un registro en el idioma
+ *   activo, por ejemplo en la papelera.
+ * @property {EntityDependent[]} [dependents] - Registros que apuntan a este; al eliminarlo se
+ *   guardan con él en la papelera para restaurarlos juntos.
+ * @property {function(Object): string} [detail] - Dirección de la página de un registro, por
+ *   ejemplo '/estudiantes/3', para las entidades que la tienen.
+ */
+
+/**
+ * Esquemas por recurso.
+ *
+ * @type {Object<string, EntitySchema>}
+ */
+export const ENTITIES = { estudiantes, cursos, inscripciones, profesores };
+
+/**
+ * Convierte un registro de la API en los valores del formulario de su entidad: los campos
+ * relacionados toman el ID del registro anidado y las fechas, solo el día. Son también los
+ * datos que se envían a la API para crearlo de nuevo.
+ *
+ * @function toFormValues
+ * @param {EntitySchema} entity - Esquema de la entidad.
+ * @param {Object} record - Registro de la API.
+ * @returns {Object}
+ */
+export const toFormValues = (entity, record) => entity.fields.reduce((values, field) => {
+  let value = record[field.name];
+  if (field.type === 'relation') value = record[field.relation.as]?.id;
+  if (field.type === 'date' && value) value = toDateInputValue(value);
+  return { ...values, [field.name]: value ?? '' };
+}, {});
@@ -0,0 +1,56 @@
+/**
+ * Esquema de la sección de inscripciones (ver `entities/index.js`).
+ *
+ * Los permisos por rol limitan qué campos se pueden modificar (un profesor solo cambia la
+ * nota) y qué inscripciones se ven (un estudiante solo las suyas); ver `utils/permissions.js`.
+ */
+
+import { cursosApi, estudiantesApi, inscripcionesApi } from '../api/resources';
+import { t } from '../i18n';
+import { formatDate, formatGrade } from '../i18n/format';
+import { dateBetween, grade } from '../utils/validation';
+
+// Rango de fechas de inscripción aceptado
+const FIRST_DATE = '2012-01-01';
+const LAST_DATE = '2032-12-31';
+
+const curso = { resource: cursosApi, as: 'curso', label: (row) => row.nombre };
+
+const estudiante = {
+  resource: estudiantesApi,
+  as: 'estudiante',
+  label: (row) => `${row.nombre} ${row.apellido}`,
+};
+
+/** @type {import('./index').EntitySchema} */
+const inscripciones = {
+  key: 'inscripciones',
+  api: inscripcionesApi,
+  fields: [
+    { name: 'cursoId', label: 'inscripciones.fields.cursoId', type: 'relation', relation: curso },
+    { name: 'estudianteId', label: 'inscripciones.fields.estudianteId', type: 'relation', relation: estudiante },
+    { name: 'nota', label: 'inscripciones.fields.nota', type: 'number', rules: [grade], inputProps: { min: 0, max: 10, step: 0.5 } },
+    {
+      name: 'fecha', label: 'inscripciones.fields.fecha', type: 'date', rules: [dateBetween(FIRST_DATE, LAST_DATE)],
+      inputProps: { min: FIRST_DATE, max: LAST_DATE, style: { padding: '10px' } },
+    },
+  ],
+  columns: [
+    { field: 'curso', label: 'inscripciones.fields.cursoId', relation: curso, link: true },
+    { field: 'estudiante', label: 'inscripciones.fields.estudianteId', relation: estudiante, link: true },
+    { field: 'nota', label: 'inscripciones.fields.nota', render: (row) => formatGrade(row.nota) },
+    // La fecha es un día del calendario: se muestra sin correrla por la zona horaria
+    { field: 'fecha', label: 'inscripciones.fields.fecha', render: (row) => formatDate(row.fecha) },
+  ],
+  search: [
+    { name: 'curso', label: 'inscripciones.search.curso', inputProps: { maxLength: 50 } },
+    { name: 'estudiante', label: 'inscripciones.search.estudiante', inputProps: { maxLength: 50 } },
+    { name: 'nota', label: 'inscripciones.search.nota', type: 'number', inputProps: { min: 0, max: 10 } },
+  ],
+  describe: (row) => t('inscripciones.describe', {
+    estudiante: row.estudiante ? estudiante.label(row.estudiante) : t('inscripciones.unknownEstudiante'),
+    curso: row.curso?.nombre || t('inscripciones.unknownCurso'),
+  }),
+};
+
+export default inscripciones;
@@ -0,0 +1,40 @@
+/**
+ * Esquema de la sección de profesores (ver `entities/index.js`).
+ */
+
+import { profesoresApi } from '../api/resources';
+import { t } from '../i18n';
+import { dni, email, maxLength, personName, phone } from '../utils/validation';
+
+/** @type {import('./index').EntitySchema} */
+const profesores = {
+  key: 'profesores',
+  api: profesoresApi,
+  fields: [
+    { name: 'dni', label: 'profesores.fields.dni', rules: [dni], inputProps: { inputMode: 'numeric' } },
+    { name: 'nombre', label: 'profesores.fields.nombre', rules: [personName, maxLength(50)] },
+    { name: 'apellido', label: 'profesores.fields.apellido', rules: [personName, maxLength(50)] },
+    { name: 'email', label: 'profesores.fields.email', type: 'email', rules: [email, maxLength(254)] },
+    { name: 'profesion', label: 'profesores.fields.profesion', rules: [personName, maxLength(50)] },
+    { name: 'telefono', label: 'profesores.fields.telefono', type: 'tel', rules: [phone] },
+  ],
+  columns: [
+    { field: 'dni', label: 'profesores.fields.dni' },
+    { field: 'nombre', label: 'profesores.fields.nombre' },
+    { field: 'apellido', label: 'profesores.fields.apellido' },
+    { field: 'email', label: 'profesores.fields.email' },
+    { field: 'profesion', label: 'profesores.fields.profesion' },
+    { field: 'telefono', label: 'profesores.fields.telefono' },
+  ],
+  search: [
+    { name: 'dni', label: 'profesores.search.dni', inputProps: { inputMode: 'numeric', maxLength: 8 } },
+    { name: 'nombre', label: 'profesores.search.nombre', inputProps: { maxLength: 50 } },
+    { name: 'apellido', label: 'profesores.search.apellido', inputProps: { maxLength: 50 } },
+    { name: 'email', label: 'profesores.search.email', inputProps: { maxLength: 254 } },
+    { name: 'profesion', label: 'profesores.search.profesion', inputProps: { maxLength: 50 } },
+    { name: 'telefono', label: 'profesores.search.telefono', inputProps: { maxLength: 20 } },
+  ],
+  describe: (row) => t('profesores.describe', row),
+};
+
+export default profesores;
@@ -0,0 +1,54 @@
+/**
+ * Búsqueda global en todas las entidades (ver `components/GlobalSearch.js`).
+ *
+ * Busca en las colecciones completas de cada entidad, en todos sus campos de texto de
+ * `LIST_FIELDS`, sin distinguir mayúsculas ni tildes: "nunez 2578" encuentra a Lucía Núñez
+ * con DNI 25789012. Cada palabra buscada tiene que aparecer en algún campo del registro.
+ */
+
+import { LIST_FIELDS, applyQuery, normalizeText } from '../api/listQuery';
+import { ENTITIES } from './index';
+
+/**
+ * Cantidad máxima de resultados por entidad.
+ *
+ * @type {number}
+ */
+export const RESULTS_PER_GROUP = 5;
+
+// Texto de todos los campos de búsqueda de un registro (los filtros exactos por ID no cuentan)
+const searchableText = (key, row) => normalizeText(
+  Object.values(LIST_FIELDS[key])
+    .filter((field) => typeof field === 'function')
+    .map((field) => field(row))
+    .join(' ')
+);
+
+/**
+ * Busca un texto en las colecciones de varias entidades.
+ *
+ * @function searchEntities
+ * @param {Object<string, Array>} lists - Colección completa de cada entidad, por su clave.
+ * @param {string} term - Texto buscado.
+ * @param {Object} [options] - Opciones.
+ * @param {Object<string, Object>} [options.scopes={}] - Filtros del rol por entidad (ver `scope`).
+ * @param {number} [options.limit=RESULTS_PER_GROUP] - Resultados por entidad.
+ * @returns {Array<{entity: EntitySchema, results: Object[], total: number}>} Entidades con
+ *   resultados, en el orden de `lists`; `total` cuenta también los que no entran en `limit`.
+ */
+export const searchEntities = (lists, term, { scopes = {}, limit = RESULTS_PER_GROUP } = {}) => {
+  const words = normalizeText(term).split(/\s+/).filter(Boolean);
+  if (!words.length) return [];
+
+  return Object.entries(lists)
+    .map(([key, rows = []]) => {
+      // Solo los registros que el rol puede ver
+      const { items } = applyQuery(rows, { size: rows.length || 1, filters: scopes[key] || {} }, LIST_FIELDS[key]);
+      const matches = items.filter((row) => {
+        const text = searchableText(key, row);
+        return words.every((word) => text.includes(word));
+      });
+      return { entity: ENTITIES[key], results: matches.slice(0, limit), total: matches.length };
+    })
+    .filter((group) => group.total > 0);
+};
@@ -0,0 +1,33 @@
+import { searchEntities } from './search';
+
+const lists = {
+  estudiantes: [
+    { id: 1, dni: '30123456', nombre: 'Sofía', apellido: 'Benítez', email: 'sbenitez@ugd.edu.ar' },
+    { id: 2, dni: '41234567', nombre: 'Tomás', apellido: 'Ibáñez', email: 'tibanez@ugd.edu.ar' },
+  ],
+  profesores: [
+    { id: 3, dni: '25789012', nombre: 'Lucía', apellido: 'Núñez', email: 'lnunez@ugd.edu.ar', profesion: 'Física', telefono: '3764' },
+  ],
+  inscripciones: [
+    { id: 1, curso: { id: 1, nombre: 'Física I' }, estudiante: { id: 1, nombre: 'Sofía', apellido: 'Benítez' }, nota: 8 },
+    { id: 2, curso: { id: 1, nombre: 'Física I' }, estudiante: { id: 2, nombre: 'Tomás', apellido: 'Ibáñez' }, nota: 6 },
+  ],
+};
+
+test('busca en todas las entidades sin distinguir tildes y agrupa por tipo', () => {
+  const groups = searchEntities(lists, 'fisica');
+  expect(groups.map((group) => group.entity.key)).toEqual(['profesores', 'inscripciones']);
+  expect(groups[1].total).toBe(2);
+
+  expect(searchEntities(lists, 'nunez 2578')[0].results).toEqual([lists.profesores[0]]);
+  expect(searchEntities(lists, '3012')[0]).toMatchObject({ entity: { key: 'estudiantes' }, total: 1 });
+  expect(searchEntities(lists, '  ')).toEqual([]);
+});
+
+test('aplica los filtros del rol y limita los resultados por tipo', () => {
+  const scoped = searchEntities(lists, 'fisica', { scopes: { inscripciones: { estudianteId: 2 } } });
+  expect(scoped[1].results.map((row) => row.id)).toEqual([2]);
+
+  const limited = searchEntities(lists, 'ugd', { limit: 1 });
+  expect(limited[0]).toMatchObject({ total: 2, results: [{ id: 1 }] });
+});
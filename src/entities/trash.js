@@ -0,0 +1,252 @@
+/**
+ * Papelera de registros eliminados.
+ *
+ * Cuando la API confirma una baja, el registro se guarda aquí (y en IndexedDB, para
+ * sobrevivir a una recarga) con los datos completos que tenía y, si su esquema declara
+ * `dependents`, con los registros que apuntaban a él (por ejemplo, las inscripciones de un
+ * estudiante). Restaurarlo lo vuelve a crear con la API y después crea esos registros
+ * apuntando al nuevo ID. Se guardan los últimos `TRASH_SIZE` registros de cada usuario en cada entorno.
+ *
+ * Las bajas hechas sin conexión esperan en `awaiting` hasta que la bandeja de salida las envía
+ * (ver `api/outbox.js`): recién entonces entran a la papelera. Si el usuario las descarta de la
+ * bandeja, el registro nunca se eliminó y no entra. Así no se puede restaurar un registro
+ * cuya baja todavía no llegó al servidor, o que el servidor podría rechazar.
+ *
+ * Cada elemento tiene:
+ * - id, deletedAt: Identificador local y momento de la baja.
+ * - entity: Entidad del registro, por ejemplo 'estudiantes' (ver `ENTITIES`).
+ * - record: El registro tal como lo devolvía la API.
+ * - dependents: Registros relacionados `{ entity, field, record }`, donde `field` es el campo
+ *   que apunta al registro eliminado.
+ */
+
+import { authSession, storageScope } from '../api/auth';
+import { ApiError } from '../api/errors';
+import { connectionStatus } from '../api/connection';
+import { isQueued, onSettled } from '../api/outbox';
+import { createStore } from '../utils/store';
+import { idbGet, idbSet } from '../utils/idb';
+import { t } from '../i18n';
+import { ENTITIES, toFormValues } from './index';
+
+/**
+ * Cantidad máxima de registros en la papelera.
+ *
+ * @type {number}
+ */
+export const TRASH_SIZE = 50;
+
+/**
+ * Estado de la papelera:
+ * - items: Los registros eliminados, el más reciente primero.
+ * - awaiting: Bajas encoladas en la bandeja de salida `{ operation, entity, record, dependents }`,
+ *   donde `operation` es el ID de la operación en la bandeja.
+ *
+ * @type {Object}
+ */
+export const trash = createStore({ items: [], awaiting: [] });
+
+// Cada usuario de cada entorno tiene su propia papelera: lo que borró uno no lo ve ni lo restaura otro
+const storageKey = storageScope;
+
+/**
+ * Reemplaza la lista de registros y la guarda en IndexedDB.
+ *
+ * @function setItems
+ * @param {Function} updater - Recibe la lista actual y devuelve la nueva.
+ * @returns {void}
+ */
+const setItems = (updater) => {
+  trash.setState((state) => ({ items: updater(state.items).slice(0, TRASH_SIZE) }));
+  idbSet('trash', storageKey(), trash.getState().items).catch((error) => {
+    console.warn('No se pudo guardar la papelera:', error);
+  });
+};
+
+// Las bajas encoladas se guardan junto a la papelera, con su propia clave
+const awaitingKey = () => `${storageKey()}:awaiting`;
+
+/**
+ * Reemplaza la lista de bajas encoladas y la guarda en IndexedDB.
+ *
+ * @function setAwaiting
+ * @param {Function} updater - Recibe la lista actual y devuelve la nueva.
+ * @returns {void}
+ */
+const setAwaiting = (updater) => {
+  trash.setState((state) => ({ awaiting: updater(state.awaiting) }));
+  idbSet('trash', awaitingKey(), trash.getState().awaiting).catch((error) => {
+    console.warn('No se pudieron guardar las bajas pendientes:', error);
+  });
+};
+
+/**
+ * Recupera la papelera guardada en IndexedDB. Se llama al iniciar la aplicación.
+ *
+ * @async
+ * @function restoreTrash
+ * @returns {Promise<void>}
+ */
+export const restoreTrash = async () => {
+  const key = storageKey();
+  try {
+    const [items, awaiting] = await Promise.all([idbGet('trash', key), idbGet('trash', awaitingKey())]);
+    // Si mientras tanto cambió el usuario, la papelera leída ya no es la suya
+    if (key !== storageKey()) return;
+    if (Array.isArray(items)) trash.setState({ items });
+    if (Array.isArray(awaiting)) trash.setState({ awaiting });
+  } catch (error) {
+    console.warn('No se pudo leer la papelera:', error);
+  }
+};
+
+/**
+ * Busca los registros que apuntan a uno que se va a eliminar, según los `dependents` de su
+ * esquema. Hay que llamarla antes de la baja: si el backend los elimina en cascada, después
+ * ya no están. Si no se pueden obtener, el registro se guarda sin ellos.
+ *
+ * @async
+ * @function collectDependents
+ * @param {EntitySchema} entity - Esquema del registro a eliminar.
+ * @param {number} id - ID del registro a eliminar.
+ * @returns {Promise<Array<{entity: string, field: string, record: Object}>>}
+ */
+export const collectDependents = async (entity, id) => {
+  try {
+    const groups = await Promise.all((entity.dependents || []).map(async ({ entity: key, field }) => {
+      const rows = await ENTITIES[key].api.list();
+      return rows
+        .filter((row) => toFormValues(ENTITIES[key], row)[field] === id)
+        .map((record) => ({ entity: key, field, record }));
+    }));
+    return groups.flat();
+  } catch (error) {
+    console.warn(`No se pudieron obtener los registros relacionados de ${entity.key} #${id}:`, error);
+    return [];
+  }
+};
+
+/**
+ * Guarda un registro eliminado en la papelera.
+ *
+ * @function addToTrash
+ * @param {string} entity - Entidad del registro, por ejemplo 'cursos'.
+ * @param {Object} record - Registro eliminado.
+ * @param {Array<{entity: string, field: string, record: Object}>} [dependents=[]] - Registros relacionados.
+ * @returns {string} ID del elemento en la papelera.
+ */
+export const addToTrash = (entity, record, dependents = []) => {
+  const item = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    deletedAt: new Date().toISOString(),
+    entity,
+    record,
+    dependents,
+  };
+  setItems((items) => [item, ...items]);
+  return item.id;
+};
+
+/**
+ * Guarda un registro cuya baja quedó en la bandeja de salida; entra a la papelera cuando la
+ * bandeja la envía.
+ *
+ * @function addToTrashWhenSent
+ * @param {string} operation - ID de la operación en la bandeja (ver `isQueued`).
+ * @param {string} entity - Entidad del registro, por ejemplo 'cursos'.
+ * @param {Object} record - Registro eliminado.
+ * @param {Array<{entity: string, field: string, record: Object}>} [dependents=[]] - Registros relacionados.
+ * @returns {void}
+ */
+export const addToTrashWhenSent = (operation, entity, record, dependents = []) => {
+  setAwaiting((awaiting) => [...awaiting, { operation, entity, record, dependents }]);
+};
+
+/**
+ * Quita un registro de la papelera sin restaurarlo.
+ *
+ * @function discardFromTrash
+ * @param {string} id - ID del elemento.
+ * @returns {void}
+ */
+export const discardFromTrash = (id) => setItems((items) => items.filter((item) => item.id !== id));
+
+/**
+ * Vacía la papelera.
+ *
+ * @function emptyTrash
+ * @returns {void}
+ */
+export const emptyTrash = () => setItems(() => []);
+
+/**
+ * Apunta un registro relacionado al nuevo ID del registro restaurado, también en el
+ * registro anidado (por ejemplo, `estudiante` para `estudianteId`).
+ *
+ * @function repoint
+ * @param {{entity: string, field: string, record: Object}} dependent - Registro relacionado.
+ * @param {number} id - Nuevo ID.
+ * @returns {{entity: string, field: string, record: Object}}
+ */
+const repoint = (dependent, id) => {
+  const { as } = ENTITIES[dependent.entity].fields.find((field) => field.name === dependent.field).relation;
+  return { ...dependent, record: { ...dependent.record, [as]: { ...dependent.record[as], id } } };
+};
+
+/**
+ * Restaura un registro de la papelera: lo crea de nuevo con la API y después crea los
+ * registros relacionados apuntando al nuevo ID. Los relacionados que la API rechaza (por
+ * ejemplo, una inscripción cuyo curso también se eliminó) quedan en la papelera por separado.
+ * Necesita conexión, porque los relacionados dependen del ID que asigna la API.
+ *
+ * @async
+ * @function restoreFromTrash
+ * @param {string} id - ID del elemento.
+ * @returns {Promise<{record: Object, restored: number, failed: number}>} Registro creado y cantidad
+ *   de relacionados restaurados y rechazados.
+ * @throws {ApiError} Si no hay conexión o la API rechaza el registro (queda en la papelera).
+ */
+export const restoreFromTrash = async (id) => {
+  const item = trash.getState().items.find((current) => current.id === id);
+  if (!item) throw new ApiError({ code: 'NOT_FOUND', message: t('trash.notFound') });
+  if (!connectionStatus.getState().online) {
+    throw new ApiError({ code: 'NETWORK', message: t('trash.needsConnection') });
+  }
+
+  const entity = ENTITIES[item.entity];
+  const record = await entity.api.create(toFormValues(entity, item.record));
+  discardFromTrash(id);
+
+  // Se encoló porque la conexión se cortó justo ahora: los relacionados quedan para después
+  if (isQueued(record)) {
+    item.dependents.forEach((dependent) => addToTrash(dependent.entity, dependent.record));
+    return { record, restored: 0, failed: item.dependents.length };
+  }
+
+  const dependents = item.dependents.map((dependent) => repoint(dependent, record.id));
+  const results = await Promise.allSettled(dependents.map((dependent) => {
+    const schema = ENTITIES[dependent.entity];
+    return schema.api.create(toFormValues(schema, dependent.record));
+  }));
+  const rejected = dependents.filter((dependent, index) => results[index].status === 'rejected');
+  rejected.forEach((dependent) => addToTrash(dependent.entity, dependent.record));
+
+  return { record, restored: dependents.length - rejected.length, failed: rejected.length };
+};
+
+// Una baja encolada entra a la papelera cuando la bandeja la envía; si se descarta, se olvida
+onSettled((operation, sent) => {
+  const waiting = trash.getState().awaiting.find((entry) => entry.operation === operation.id);
+  if (!waiting) return;
+  setAwaiting((awaiting) => awaiting.filter((entry) => entry !== waiting));
+  if (sent) addToTrash(waiting.entity, waiting.record, waiting.dependents);
+});
+
+// Al cambiar de usuario se carga su propia papelera
+let scope = storageKey();
+authSession.subscribe(() => {
+  if (storageKey() === scope) return;
+  scope = storageKey();
+  trash.setState({ items: [], awaiting: [] });
+  restoreTrash();
+});
@@ -0,0 +1,87 @@
+import api from '../api/api';
+import { setApiOnline } from '../api/connection';
+import { createMockAdapter } from '../api/mockAdapter';
+import { discardItem, outbox } from '../api/outbox';
+import { inscripcionesApi } from '../api/resources';
+import { ENTITIES } from './index';
+import { addToTrash, addToTrashWhenSent, restoreFromTrash, trash } from './trash';
+
+const estudiante = { id: 7, dni: '40123456', nombre: 'Sofía', apellido: 'Benítez', email: 'sofia@ugd.edu.ar', version: 3 };
+const inscripcion = (id, cursoId) => ({
+  id,
+  curso: { id: cursoId, nombre: `Curso ${cursoId}` },
+  estudiante: { id: 7, nombre: 'Sofía', apellido: 'Benítez' },
+  nota: 8,
+  fecha: '2024-03-01T00:00:00',
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  trash.setState({ items: [], awaiting: [] });
+  outbox.setState({ items: [], replaying: false });
+  setApiOnline(true);
+});
+
+test('restaura el registro y sus inscripciones apuntando al nuevo ID', async () => {
+  const createEstudiante = jest.spyOn(ENTITIES.estudiantes.api, 'create').mockResolvedValue({ ...estudiante, id: 99 });
+  const createInscripcion = jest.spyOn(ENTITIES.inscripciones.api, 'create')
+    .mockResolvedValueOnce({ id: 20 })
+    .mockRejectedValueOnce(new Error('El curso no existe'));
+
+  const id = addToTrash('estudiantes', estudiante, [
+    { entity: 'inscripciones', field: 'estudianteId', record: inscripcion(1, 2) },
+    { entity: 'inscripciones', field: 'estudianteId', record: inscripcion(2, 5) },
+  ]);
+
+  await expect(restoreFromTrash(id)).resolves.toMatchObject({ record: { id: 99 }, restored: 1, failed: 1 });
+  expect(createEstudiante).toHaveBeenCalledWith({
+    dni: '40123456', nombre: 'Sofía', apellido: 'Benítez', email: 'sofia@ugd.edu.ar',
+  });
+  expect(createInscripcion).toHaveBeenCalledWith({ cursoId: 2, estudianteId: 99, nota: 8, fecha: '2024-03-01' });
+
+  // La inscripción rechazada queda sola en la papelera, ya apuntando al estudiante restaurado
+  const { items } = trash.getState();
+  expect(items).toHaveLength(1);
+  expect(items[0]).toMatchObject({ entity: 'inscripciones', record: { id: 2, estudiante: { id: 99 } }, dependents: [] });
+});
+
+test('si la API rechaza el registro, queda en la papelera', async () => {
+  jest.spyOn(ENTITIES.estudiantes.api, 'create').mockRejectedValue(new Error('Ya existe un estudiante con el DNI 40123456'));
+  const id = addToTrash('estudiantes', estudiante);
+
+  await expect(restoreFromTrash(id)).rejects.toThrow('Ya existe');
+  expect(trash.getState().items.map((item) => item.id)).toEqual([id]);
+});
+
+test('una baja encolada entra a la papelera cuando la bandeja la envía', async () => {
+  api.defaults.adapter = createMockAdapter();
+  setApiOnline(false);
+  const [record] = await inscripcionesApi.list();
+  const result = await inscripcionesApi.remove(record.id);
+  addToTrashWhenSent(result.id, 'inscripciones', record);
+  expect(trash.getState().items).toEqual([]);
+
+  const replayed = new Promise((resolve) => {
+    const unsubscribe = outbox.subscribe((state) => {
+      if (!state.replaying) {
+        unsubscribe();
+        resolve();
+      }
+    });
+  });
+  setApiOnline(true);
+  await replayed;
+
+  expect(trash.getState()).toMatchObject({ awaiting: [], items: [{ entity: 'inscripciones', record }] });
+});
+
+test('una baja encolada que se descarta de la bandeja no entra a la papelera', async () => {
+  api.defaults.adapter = createMockAdapter();
+  setApiOnline(false);
+  const result = await inscripcionesApi.remove(1);
+  addToTrashWhenSent(result.id, 'inscripciones', { id: 1 });
+
+  discardItem(result.id);
+
+  expect(trash.getState()).toMatchObject({ awaiting: [], items: [] });
+});
@@ -0,0 +1,93 @@
+/**
+ * Hook para detectar que otro usuario guardó el registro que se está editando
+ * (ver `api/versions.js`).
+ *
+ * Al empezar a editar se recuerda la versión del registro, que la sección envía al
+ * guardar. Los registros de la lista no traen versión y pueden estar desactualizados: se
+ * pide el registro a la API y `track` lo devuelve junto con la versión, para que la sección
+ * complete el formulario con esos valores y no guarde datos viejos con una versión nueva.
+ * Si la API rechaza el cambio porque el registro ya cambió, se piden sus valores actuales y
+ * `conflict` queda con lo necesario para mostrar `ConflictDialog`; `discard` deja los del
+ * servidor en la caché.
+ */
+
+import { useRef, useState } from 'react';
+import { applyChange } from '../api/optimistic';
+import { invalidateQueries, setQueriesData } from '../api/queryCache';
+import { isEditConflict } from '../api/versions';
+
+/**
+ * @function useEditConflict
+ * @param {Object} resource - Cliente del recurso (ver `api/resources.js`).
+ * @param {function(Object): Object} toForm - Convierte un registro de la API en los valores del formulario.
+ * @returns {{
+ *   version: (number|string|null),
+ *   track: function(Object): Promise<(Object|null)>,
+ *   untrack: function(): void,
+ *   detect: function(*, (number|string), Object): Promise<boolean>,
+ *   conflict: (Object|null),
+ *   dismiss: function(): void,
+ *   discard: function(): void
+ * }} `track` devuelve el registro actual de la API cuando tuvo que pedirlo para conocer su
+ *   versión (null si no hizo falta, si falló o si mientras tanto se empezó a editar otro).
+ *   `detect` devuelve true si el error era un conflicto; en ese caso `conflict` tiene
+ *   `{ id, mine, theirs, version, record }`, con la versión actual para volver a guardar.
+ */
+function useEditConflict(resource, toForm) {
+  // Versión del registro que se está editando
+  const [version, setVersion] = useState(null);
+  const [conflict, setConflict] = useState(null);
+  // ID del registro que se está editando, para descartar respuestas de ediciones anteriores
+  const trackedId = useRef(null);
+
+  const track = (record) => {
+    trackedId.current = record.id;
+    setVersion(record.version ?? null);
+    if (record.version !== undefined) return Promise.resolve(null);
+
+    // Los registros de la lista no traen versión: se usa el ETag del registro, con sus valores actuales
+    return resource.getVersioned(record.id)
+      .then((current) => {
+        if (trackedId.current !== record.id) return null;
+        setVersion(current.version);
+        return current.data;
+      })
+      .catch((error) => {
+        console.warn('No se pudo obtener la versión del registro:', error);
+        return null;
+      });
+  };
+
+  const untrack = () => {
+    trackedId.current = null;
+    setVersion(null);
+  };
+
+  const detect = async (error, id, mine) => {
+    if (!isEditConflict(error)) return false;
+    try {
+      const current = await resource.getVersioned(id);
+      setConflict({ id, mine, theirs: toForm(current.data), version: current.version, record: current.data });
+      return true;
+    } catch (fetchError) {
+      // Sin los valores actuales no hay nada que comparar: se muestra el error original
+      console.error('No se pudo obtener el registro en conflicto:', fetchError);
+      return false;
+    }
+  };
+
+  // Se quedan los valores del servidor: la tabla los muestra enseguida y se vuelve a pedir
+  const discard = () => {
+    if (conflict) {
+      setQueriesData(resource.key, (current) => applyChange(current, {
+        type: 'update', id: conflict.id, record: { ...conflict.record, id: conflict.id },
+      }));
+      invalidateQueries(resource.key);
+    }
+    setConflict(null);
+  };
+
+  return { version, track, untrack, detect, conflict, dismiss: () => setConflict(null), discard };
+}
+
+export default useEditConflict;
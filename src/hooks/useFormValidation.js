@@ -0,0 +1,66 @@
+/**
+ * Hook para validar un formulario mientras se completa (ver `utils/validation.js`).
+ *
+ * Los errores de un campo se muestran después de que el usuario sale de él y se actualizan
+ * mientras lo corrige; al intentar guardar se muestran todos. También guarda los errores que
+ * devuelve la API, que se borran cuando se modifica el campo.
+ */
+
+import { useCallback, useState } from 'react';
+import { validateValues } from '../utils/validation';
+
+/**
+ * @function useFormValidation
+ * @param {Array<{name: string, required: boolean=, rules: Function[]=}>} fields - Campos a validar.
+ * @param {Object} values - Valores actuales del formulario.
+ * @returns {{
+ *   errors: Object<string, string>,
+ *   isValid: boolean,
+ *   handleBlur: function(Event): void,
+ *   touchAll: function(): void,
+ *   clearServerError: function(string): void,
+ *   setServerErrors: function(Object<string, string>): void,
+ *   reset: function(): void,
+ * }} `errors` son los errores a mostrar por campo e `isValid` indica si se puede guardar.
+ */
+function useFormValidation(fields, values) {
+  // Campos que el usuario ya visitó; true marca todos
+  const [touched, setTouched] = useState({});
+  // Errores por campo devueltos por la API
+  const [serverErrors, setServerErrors] = useState({});
+
+  const clientErrors = validateValues(fields, values);
+  const errors = Object.keys(clientErrors).reduce((visible, name) => (
+    touched === true || touched[name] ? { ...visible, [name]: clientErrors[name] } : visible
+  ), { ...serverErrors });
+
+  const handleBlur = useCallback((e) => {
+    const { name } = e.target;
+    setTouched((current) => (current === true || current[name] ? current : { ...current, [name]: true }));
+  }, []);
+
+  const clearServerError = useCallback((name) => {
+    setServerErrors((current) => {
+      if (!current[name]) return current;
+      const { [name]: removed, ...rest } = current;
+      return rest;
+    });
+  }, []);
+
+  const reset = useCallback(() => {
+    setTouched({});
+    setServerErrors({});
+  }, []);
+
+  return {
+    errors,
+    isValid: !Object.keys(clientErrors).length,
+    handleBlur,
+    touchAll: useCallback(() => setTouched(true), []),
+    clearServerError,
+    setServerErrors: useCallback((fieldErrors) => setServerErrors(fieldErrors || {}), []),
+    reset,
+  };
+}
+
+export default useFormValidation;
@@ -0,0 +1,47 @@
+/**
+ * Hook que guarda el estado de la tabla de una sección en la dirección: filtros, orden,
+ * página, tamaño de página y el registro abierto en el formulario (`selected`), por ejemplo
+ * `/inscripciones?curso=Fisica&nota=7&selected=12`.
+ *
+ * Así la vista sobrevive a una recarga, se puede compartir con un enlace que la abre igual
+ * y el historial del navegador la recorre: cada cambio agrega una entrada, salvo los que se
+ * piden con `replace`. El formato de los parámetros está en `api/listQuery.js`.
+ */
+
+import { useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { fromSearchParams, toSearchParams } from '../api/listQuery';
+
+/**
+ * @function useListSearchParams
+ * @param {Object} options - Opciones.
+ * @param {string[]} options.filters - Filtros de la tabla.
+ * @param {number[]} options.sizes - Tamaños de página válidos.
+ * @param {number} [options.size=10] - Tamaño de página por defecto.
+ * @returns {[
+ *   {page: number, size: number, sort: (Object|null), filters: Object, selected: (string|null)},
+ *   function(Object, {replace?: boolean}=): void
+ * ]} El estado y la función que le aplica cambios.
+ */
+function useListSearchParams({ filters, sizes, size = 10 }) {
+  const [params, setParams] = useSearchParams();
+  const state = { ...fromSearchParams(params, { filters, sizes, size }), selected: params.get('selected') };
+
+  // Último estado pedido: varios cambios seguidos se combinan aunque la dirección todavía no
+  // se haya actualizado
+  const latest = useRef(state);
+  latest.current = state;
+
+  const update = (changes, { replace = false } = {}) => {
+    const next = { ...latest.current, ...changes };
+    latest.current = next;
+    const nextParams = toSearchParams(next, size);
+    if (next.selected) nextParams.set('selected', next.selected);
+    // Reemplazar la dirección aunque no cambie descarta el estado de la navegación
+    if (replace || nextParams.toString() !== params.toString()) setParams(nextParams, { replace });
+  };
+
+  return [state, update];
+}
+
+export default useListSearchParams;
@@ -0,0 +1,19 @@
+/**
+ * Hook para resaltar las filas que otro usuario cambió hace un momento
+ * (ver `api/live.js`).
+ */
+
+import { isHighlighted, liveHighlights } from '../api/live';
+import { useStore } from '../utils/store';
+
+/**
+ * @function useLiveHighlight
+ * @param {Object} resource - Cliente del recurso (ver `api/resources.js`).
+ * @returns {function(Object): boolean} Indica si la fila está resaltada.
+ */
+function useLiveHighlight(resource) {
+  const highlights = useStore(liveHighlights);
+  return (row) => isHighlighted(highlights, resource.key[0], row.id);
+}
+
+export default useLiveHighlight;
@@ -0,0 +1,40 @@
+/**
+ * Hook para guardar y eliminar registros de una sección de forma optimista
+ * (ver `api/optimistic.js`).
+ *
+ * Las funciones devuelven la promesa de la API: el cambio ya se ve en la tabla cuando
+ * se llaman, y si la promesa se rechaza el cambio ya se revirtió.
+ */
+
+import { getPendingChange, mutateOptimistically, pendingChanges } from '../api/optimistic';
+import { useStore } from '../utils/store';
+
+/**
+ * @function useOptimisticMutations
+ * @param {Object} resource - Cliente del recurso (ver `api/resources.js`).
+ * @returns {{
+ *   create: function(Object, Object=): Promise<*>,
+ *   update: function((number|string), Object, Object=, Object=): Promise<*>,
+ *   remove: function((number|string), Object=): Promise<*>,
+ *   pendingOf: function(Object): (string|null)
+ * }} `create` y `update` reciben, además de los datos a enviar, cómo mostrar el registro
+ *   mientras tanto (por ejemplo, con el profesor completo en lugar de su ID). `update` recibe
+ *   además las opciones del cliente, como la versión del registro editado (`{ version }`).
+ *   `remove` recibe `{ delay, signal }` para esperar antes de enviar la baja y poder deshacerla;
+ *   `delay` son milisegundos o una promesa que se cumple cuando se puede enviar.
+ *   `pendingOf` devuelve el cambio pendiente de una fila: 'create', 'update', 'queued', 'delete' o null.
+ */
+function useOptimisticMutations(resource) {
+  const pending = useStore(pendingChanges);
+
+  return {
+    create: (data, record) => mutateOptimistically(resource, { type: 'create', data, record }),
+    update: (id, data, record, options) => mutateOptimistically(resource, {
+      type: 'update', id, data, record, options,
+    }),
+    remove: (id, options = {}) => mutateOptimistically(resource, { type: 'delete', id, ...options }),
+    pendingOf: (row) => getPendingChange(pending, resource, row.id),
+  };
+}
+
+export default useOptimisticMutations;
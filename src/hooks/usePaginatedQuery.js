@@ -0,0 +1,141 @@
+/**
+ * Hook para las tablas paginadas de las secciones.
+ *
+ * Guarda la página, el tamaño de página, el orden y los filtros aplicados, y pide la página
+ * correspondiente con `listPage` a través de la caché compartida. Los filtros se aplican con
+ * una demora para no hacer una solicitud por cada tecla, y al cambiar vuelven a la primera
+ * página. Mientras se pide una página nueva se sigue mostrando la anterior, así que
+ * `isLoading` solo es true mientras no hay ninguna página que mostrar.
+ *
+ * Las páginas no se guardan en IndexedDB: sin conexión se usa la lista completa guardada. Si
+ * el backend no pagina (responde con la colección completa), las páginas se arman en el
+ * navegador con la lista completa de la caché compartida, que se pide una sola vez para
+ * todas las páginas, órdenes y filtros.
+ *
+ * El estado puede vivir fuera del hook (`state` y `onStateChange`), por ejemplo en la
+ * dirección de la sección (ver `hooks/useListSearchParams.js`); si no, lo guarda el hook.
+ */
+
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { LIST_FIELDS, applyQuery, sameFilters } from '../api/listQuery';
+import useQuery from './useQuery';
+
+/**
+ * Demora, en milisegundos, antes de aplicar un cambio en los filtros.
+ *
+ * @type {number}
+ */
+export const FILTER_DELAY = 300;
+
+/**
+ * @function usePaginatedQuery
+ * @param {Object} resource - Cliente del recurso (ver `api/resources.js`).
+ * @param {Object} [options] - Opciones.
+ * @param {Object} [options.filters={}] - Valores de los filtros por campo, tal como se escriben.
+ * @param {Object} [options.fixedFilters={}] - Filtros que se aplican siempre y sin demora,
+ *   como los del rol; no forman parte del estado.
+ * @param {{field: string, direction: string}} [options.sort=null] - Orden inicial.
+ * @param {number} [options.size=10] - Registros por página inicial.
+ * @param {Object} [options.state] - Estado de la tabla (`page`, `size`, `sort` y `filters`
+ *   aplicados), si se guarda fuera del hook.
+ * @param {function(Object, {replace?: boolean}=): void} [options.onStateChange] - Recibe los
+ *   cambios del estado, si se guarda fuera del hook.
+ * @returns {{
+ *   items: Array, total: number, page: number, size: number, sort: (Object|null),
+ *   setPage: Function, setSize: Function, toggleSort: Function,
+ *   error: (Error|null), isLoading: boolean, isFetching: boolean, refetch: Function
+ * }}
+ */
+function usePaginatedQuery(resource, {
+  filters = {},
+  fixedFilters = {},
+  sort: initialSort = null,
+  size: initialSize = 10,
+  state: externalState,
+  onStateChange,
+} = {}) {
+  const [ownState, setOwnState] = useState({ page: 0, size: initialSize, sort: initialSort, filters });
+  const state = externalState || ownState;
+  const { page, size, sort } = state;
+
+  const update = (changes, options) => {
+    if (externalState) onStateChange(changes, options);
+    else setOwnState((current) => ({ ...current, ...changes }));
+  };
+  // Última versión de `update` y de los filtros aplicados, para que los efectos dependan solo de lo que los dispara
+  const latest = useRef(null);
+  latest.current = { update, appliedFilters: state.filters };
+
+  // Aplica los filtros después de una pausa en la escritura y vuelve a la primera página.
+  // Si ya son los aplicados (por ejemplo, al abrir un enlace con filtros) no hace nada
+  const filtersHash = JSON.stringify(filters);
+  const typedFilters = useMemo(() => JSON.parse(filtersHash), [filtersHash]);
+  useEffect(() => {
+    if (sameFilters(typedFilters, latest.current.appliedFilters)) return undefined;
+    const timer = setTimeout(() => latest.current.update({ filters: typedFilters, page: 0 }), FILTER_DELAY);
+    return () => clearTimeout(timer);
+  }, [typedFilters]);
+
+  const query = { page, size, sort, filters: { ...state.filters, ...fixedFilters } };
+  const onClient = resource.pagesOnClient();
+  const pageQuery = useQuery(
+    [...resource.key, 'page', query],
+    ({ signal }) => resource.listPage(query, { signal }),
+    { enabled: !onClient, persist: false }
+  );
+  const listQuery = useQuery(
+    resource.key,
+    ({ signal }) => resource.list(undefined, { signal }),
+    { enabled: onClient }
+  );
+  // Hasta que llega la lista completa se sigue usando la página que reveló que el backend no pagina
+  const fromList = onClient && (listQuery.data !== undefined || pageQuery.data === undefined);
+  const { data: rows, ...status } = fromList ? listQuery : pageQuery;
+  const queryHash = JSON.stringify(query);
+  const data = useMemo(
+    () => (fromList && rows ? applyQuery(rows, JSON.parse(queryHash), LIST_FIELDS[resource.key[0]]) : rows),
+    [fromList, rows, queryHash, resource.key]
+  );
+
+  // Última página recibida, para no vaciar la tabla mientras llega la siguiente
+  const previous = useRef(null);
+  if (data) previous.current = data;
+  const current = data || previous.current || { items: [], total: 0 };
+
+  // Si la página quedó vacía (por ejemplo, al eliminar su último registro) se vuelve a la última con datos
+  useEffect(() => {
+    if (data && !data.items.length && page > 0 && data.total > 0) {
+      latest.current.update({ page: Math.max(0, Math.ceil(data.total / size) - 1) }, { replace: true });
+    }
+  }, [data, page, size]);
+
+  /**
+   * Ordena por el campo indicado; si ya se ordena por él, invierte la dirección.
+   *
+   * @param {string} field - Campo por el que ordenar.
+   * @returns {void}
+   */
+  const toggleSort = (field) => {
+    update({
+      sort: sort?.field === field
+        ? { field, direction: sort.direction === 'asc' ? 'desc' : 'asc' }
+        : { field, direction: 'asc' },
+      page: 0,
+    });
+  };
+
+  return {
+    ...status,
+    isLoading: status.isLoading && !previous.current,
+    items: current.items,
+    total: current.total,
+    page,
+    size,
+    sort,
+    setPage: (nextPage) => update({ page: nextPage }),
+    setSize: (nextSize) => update({ size: nextSize, page: 0 }),
+    toggleSort,
+  };
+}
+
+export default usePaginatedQuery;
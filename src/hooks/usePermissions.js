@@ -0,0 +1,44 @@
+/**
+ * Hook para consultar los permisos del usuario de la sesión (ver `utils/permissions.js`).
+ *
+ * Lo usan las secciones para mostrar u ocultar acciones y campos, y `<Can>` para
+ * envolver partes de la interfaz.
+ */
+
+import { useCallback, useMemo } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { can as canUser, allowedFields as allowedFieldsFor, viewScope } from '../utils/permissions';
+
+/**
+ * @function usePermissions
+ * @returns {{
+ *   can: function(string, string, Object=): boolean,
+ *   canEditField: function(string, string, Object=): boolean,
+ *   scope: function(string): Object,
+ *   role: (string|null)
+ * }}
+ * - can(action, resource, record): Si puede realizar la acción.
+ * - canEditField(resource, field, record): Si puede modificar el campo al crear (sin
+ *   registro) o al editar el registro indicado.
+ * - scope(resource): Filtros que limitan la lista a los registros que puede ver.
+ * - role: Rol del usuario, o null sin sesión.
+ */
+function usePermissions() {
+  const { user } = useAuth();
+
+  const can = useCallback((action, resource, record) => canUser(user, action, resource, record), [user]);
+
+  const canEditField = useCallback((resource, field, record) => {
+    const fields = allowedFieldsFor(user, record ? 'update' : 'create', resource, record);
+    return fields === null || fields.includes(field);
+  }, [user]);
+
+  const scope = useCallback((resource) => viewScope(user, resource), [user]);
+
+  return useMemo(
+    () => ({ can, canEditField, scope, role: user?.rol || null }),
+    [can, canEditField, scope, user]
+  );
+}
+
+export default usePermissions;
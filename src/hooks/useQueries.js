@@ -0,0 +1,59 @@
+/**
+ * Hook para leer varias consultas de la caché compartida a la vez (ver `useQuery`).
+ *
+ * Sirve cuando la cantidad de consultas depende de una configuración, como las listas
+ * relacionadas de un formulario (ver `components/EntityCrudPage.js`), donde no se puede
+ * llamar a `useQuery` una vez por consulta. La lista de consultas debe mantener su orden.
+ */
+
+import { useCallback, useEffect, useMemo, useRef, useSyncExternalStore } from 'react';
+import { fetchQuery, getQuerySnapshot, subscribeQuery, DEFAULT_STALE_TIME } from '../api/queryCache';
+
+/**
+ * @function useQueries
+ * @param {Array<{key: Array, fetcher: Function}>} queries - Consultas, como las de `useQuery`.
+ * @param {Object} [options] - Opciones.
+ * @param {boolean} [options.enabled=true] - Si es false no se realizan las solicitudes.
+ * @returns {Array<{data: *, error: (Error|null), isLoading: boolean}>} Estado de cada consulta, en el mismo orden.
+ */
+function useQueries(queries, { enabled = true } = {}) {
+  // Las claves se identifican por su contenido, como en `useQuery`
+  const hash = JSON.stringify(queries.map((query) => query.key));
+  const keys = useMemo(() => JSON.parse(hash), [hash]);
+  // Se guarda la última versión de los fetchers para no depender de su identidad
+  const latest = useRef(queries);
+  latest.current = queries;
+  // Últimos estados devueltos: useSyncExternalStore necesita el mismo valor si nada cambió
+  const snapshots = useRef([]);
+
+  const subscribe = useCallback((listener) => {
+    const unsubscribes = keys.map((key) => subscribeQuery(key, listener));
+    return () => unsubscribes.forEach((unsubscribe) => unsubscribe());
+  }, [keys]);
+
+  const getSnapshot = useCallback(() => {
+    const next = keys.map((key) => getQuerySnapshot(key));
+    const unchanged = next.length === snapshots.current.length
+      && next.every((snapshot, index) => snapshot === snapshots.current[index]);
+    if (!unchanged) snapshots.current = next;
+    return snapshots.current;
+  }, [keys]);
+
+  const current = useSyncExternalStore(subscribe, getSnapshot);
+
+  useEffect(() => {
+    if (!enabled) return;
+    // Los errores quedan guardados en la caché y se devuelven en `error`
+    keys.forEach((key, index) => (
+      fetchQuery(key, latest.current[index].fetcher, { staleTime: DEFAULT_STALE_TIME }).catch(() => {})
+    ));
+  }, [keys, enabled]);
+
+  return current.map((snapshot) => ({
+    data: snapshot.data,
+    error: snapshot.error,
+    isLoading: snapshot.data === undefined && (snapshot.isFetching || (enabled && !snapshot.error)),
+  }));
+}
+
+export default useQueries;
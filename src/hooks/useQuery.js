@@ -0,0 +1,61 @@
+/**
+ * Hook para leer una consulta de la caché compartida (ver `api/queryCache.js`).
+ *
+ * Devuelve los datos en caché de inmediato y, si están vencidos o no existen,
+ * los pide a la API. Los componentes que usan la misma clave comparten los datos
+ * y una única solicitud en curso.
+ *
+ * Es el cargador de todas las secciones: al desmontarse el último componente que usa
+ * la clave (o al cambiar de clave, por ejemplo de página) la solicitud se cancela, y
+ * solo la respuesta de la solicitud más reciente llega a los datos, así que una
+ * respuesta lenta no pisa a otra posterior.
+ */
+
+import { useCallback, useEffect, useMemo, useRef, useSyncExternalStore } from 'react';
+import { fetchQuery, getQuerySnapshot, subscribeQuery, DEFAULT_STALE_TIME } from '../api/queryCache';
+
+/**
+ * @function useQuery
+ * @param {Array} key - Clave de la consulta, por ejemplo `['cursos']`.
+ * @param {Function} fetcher - Función que realiza la solicitud y devuelve los datos. Recibe
+ *   `{ signal }` para pasarlo a Axios y que la solicitud se pueda cancelar.
+ * @param {Object} [options] - Opciones.
+ * @param {number} [options.staleTime] - Vigencia de los datos en milisegundos.
+ * @param {boolean} [options.enabled=true] - Si es false no se realiza la solicitud.
+ * @param {boolean} [options.persist=true] - Si es false los datos no se guardan en IndexedDB.
+ * @returns {{data: *, error: (Error|null), isLoading: boolean, isFetching: boolean, refetch: Function}}
+ */
+function useQuery(key, fetcher, { staleTime = DEFAULT_STALE_TIME, enabled = true, persist = true } = {}) {
+  // La clave se identifica por su contenido, como en la caché: una clave igual con otra
+  // identidad (por ejemplo, creada en cada render) no vuelve a suscribir ni a pedir los datos
+  const hash = JSON.stringify(key);
+  const stableKey = useMemo(() => JSON.parse(hash), [hash]);
+  // Última versión del fetcher, para no depender de su identidad
+  const latestFetcher = useRef(fetcher);
+  latestFetcher.current = fetcher;
+
+  const subscribe = useCallback((listener) => subscribeQuery(stableKey, listener), [stableKey]);
+  const getSnapshot = useCallback(() => getQuerySnapshot(stableKey), [stableKey]);
+  const snapshot = useSyncExternalStore(subscribe, getSnapshot);
+
+  useEffect(() => {
+    if (!enabled) return;
+    // El error queda guardado en la caché y se devuelve en `error`
+    fetchQuery(stableKey, latestFetcher.current, { staleTime, persist }).catch(() => {});
+  }, [stableKey, enabled, staleTime, persist]);
+
+  const refetch = useCallback(
+    () => fetchQuery(stableKey, latestFetcher.current, { force: true, persist }),
+    [stableKey, persist]
+  );
+
+  return {
+    data: snapshot.data,
+    error: snapshot.error,
+    isLoading: snapshot.data === undefined && (snapshot.isFetching || (enabled && !snapshot.error)),
+    isFetching: snapshot.isFetching,
+    refetch,
+  };
+}
+
+export default useQuery;
@@ -0,0 +1,389 @@
+/**
+ * Textos en inglés (ver `i18n/index.js`). Las claves son las mismas que en `es.js`.
+ */
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Cantidad de registros con su nombre en singular o plural: "1 enrollment", "3 enrollments"
+const count = ({ count: n, noun }) => `${n} ${n === 1 ? noun.singular : noun.plural}`;
+
+const en = {
+  common: {
+    actions: 'Actions',
+    cancel: 'Cancel',
+    close: 'Close',
+    delete: 'Delete',
+    edit: 'Edit',
+    loading: 'Loading…',
+    retry: 'Retry',
+    undo: 'Undo',
+    count,
+  },
+
+  app: {
+    title: 'Education Management',
+    welcome: 'Welcome to Education Management!',
+    chooseSection: 'Choose one of the sections below:',
+    openMenu: 'Open menu',
+    offline: 'No connection to the API. The last saved data is shown and changes stay in the '
+      + 'outbox until the connection is back.',
+    forbidden: 'You do not have permission to view this section.',
+    sections: {
+      estudiantes: 'Students',
+      cursos: 'Courses',
+      inscripciones: 'Enrollments',
+      profesores: 'Teachers',
+      papelera: 'Trash',
+    },
+  },
+
+  language: {
+    label: 'Language: {language}',
+  },
+
+  theme: {
+    label: 'Theme: {mode}',
+    modes: {
+      system: 'System',
+      light: 'Light',
+      dark: 'Dark',
+      highContrast: 'High contrast',
+    },
+  },
+
+  nouns: {
+    estudiantes: { singular: 'student', plural: 'students' },
+    cursos: { singular: 'course', plural: 'courses' },
+    inscripciones: { singular: 'enrollment', plural: 'enrollments' },
+    profesores: { singular: 'teacher', plural: 'teachers' },
+  },
+
+  estudiantes: {
+    fields: {
+      dni: 'ID number',
+      nombre: 'First name',
+      apellido: 'Last name',
+      email: 'Email',
+    },
+    search: {
+      dni: 'Search by ID number',
+      nombre: 'Search by first name',
+      apellido: 'Search by last name',
+      email: 'Search by email',
+    },
+    describe: '{nombre} {apellido} (ID {dni})',
+  },
+
+  profesores: {
+    fields: {
+      dni: 'ID number',
+      nombre: 'First name',
+      apellido: 'Last name',
+      email: 'Email',
+      profesion: 'Profession',
+      telefono: 'Phone',
+    },
+    search: {
+      dni: 'Search by ID number',
+      nombre: 'Search by first name',
+      apellido: 'Search by last name',
+      email: 'Search by email',
+      profesion: 'Search by profession',
+      telefono: 'Search by phone',
+    },
+    describe: '{nombre} {apellido} (ID {dni})',
+  },
+
+  cursos: {
+    fields: {
+      nombre: 'Course name',
+      descripcion: 'Description',
+      profesorId: 'Teacher',
+    },
+    columns: {
+      nombre: 'Name',
+    },
+    search: {
+      nombre: 'Search by name',
+      descripcion: 'Search by description',
+      profesorId: 'Search by teacher',
+      allProfesores: 'All teachers',
+    },
+    noProfesor: 'No teacher assigned',
+  },
+
+  inscripciones: {
+    fields: {
+      cursoId: 'Course',
+      estudianteId: 'Student',
+      nota: 'Grade',
+      fecha: 'Date',
+    },
+    search: {
+      curso: 'Search by course',
+      estudiante: 'Search by student',
+      nota: 'Search by grade',
+    },
+    describe: '{estudiante} in {curso}',
+    unknownEstudiante: 'Student',
+    unknownCurso: 'a course',
+  },
+
+  crud: {
+    title: ({ noun }) => `Manage ${capitalize(noun.plural)}`,
+    searchTitle: ({ noun }) => `Search ${capitalize(noun.plural)}`,
+    createTitle: ({ noun }) => `Add New ${capitalize(noun.singular)}`,
+    editTitle: ({ noun }) => `Edit ${capitalize(noun.singular)}`,
+    create: ({ noun }) => `Save ${capitalize(noun.singular)}`,
+    update: ({ noun }) => `Update ${capitalize(noun.singular)}`,
+    deleteTitle: ({ noun }) => `Delete ${capitalize(noun.singular)}`,
+    deleteConfirm: ({ noun }) => `Are you sure you want to delete this ${noun.singular}?`,
+    discardChanges: ({ noun }) => `There are unsaved changes to this ${noun.singular}. Discard them?`,
+    created: ({ noun }) => `${capitalize(noun.singular)} saved successfully`,
+    updated: ({ noun }) => `${capitalize(noun.singular)} updated successfully`,
+    saveQueued: ({ noun }) => `Offline: the ${noun.singular} will be saved when the connection is back.`,
+    saveFailed: ({ noun, error }) => `The ${noun.singular} could not be saved and the change was undone: ${error}`,
+    deleted: ({ noun }) => `${capitalize(noun.singular)} deleted successfully`,
+    deleteQueued: ({ noun }) => `Offline: the ${noun.singular} will be deleted when the connection is back.`,
+    deleteFailed: ({ noun, error }) => `The ${noun.singular} could not be deleted and was restored to the list: ${error}`,
+    noMatches: ({ noun }) => `No ${noun.plural} match the search.`,
+    empty: ({ noun }) => `There are no ${noun.plural} yet.`,
+    relationFailed: ({ noun, error }) => `Error loading ${noun.plural}: ${error}`,
+    missingRelation: ({ noun }) => `${capitalize(noun.singular)} not available`,
+  },
+
+  notFound: {
+    title: 'Page not found',
+    description: 'There is no section at {path}.',
+    home: 'Go to home',
+  },
+
+  errorBoundary: {
+    title: 'This screen could not be displayed',
+    description: 'An unexpected error occurred. You can retry or report the problem; the rest '
+      + 'of the application keeps working.',
+    details: 'Show details',
+    report: 'Report the problem',
+    reportSent: 'The error report was sent. Thank you!',
+    reportCopied: 'The error report was copied to the clipboard so you can send it to support.',
+    reportFailed: 'The error could not be reported.',
+  },
+
+  grades: {
+    average: 'Average',
+    median: 'Median',
+    passRate: 'Pass rate',
+    noGrades: 'No grades',
+    passed: 'Passed',
+    failed: 'Failed',
+    passingGrade: 'A grade of {grade} or higher passes; ungraded enrollments do not count.',
+    status: 'Status',
+    statuses: {
+      passed: 'Passed',
+      failed: 'Failed',
+      ungraded: 'Not graded',
+    },
+  },
+
+  estudianteDetail: {
+    back: 'Back to Students',
+    notFound: 'Student {id} does not exist; it may have been deleted.',
+    loadFailed: 'Could not load the student: {error}',
+    enroll: 'Enroll in another course',
+    edit: 'Edit details',
+    total: 'Enrollments',
+    inscripciones: 'Enrollments',
+    inscripcionesFailed: 'Could not load the enrollments: {error}',
+    empty: 'No enrollments yet.',
+    timeline: 'Timeline',
+    noDate: 'No date',
+    timelineItem: '{fecha} · Grade: {nota}',
+  },
+
+  cursoDetail: {
+    back: 'Back to Courses',
+    notFound: 'Course {id} does not exist; it may have been deleted.',
+    loadFailed: 'Could not load the course: {error}',
+    enroll: 'Enroll student',
+    edit: 'Edit course',
+    profesor: 'Teacher',
+    noDescription: 'No description.',
+    total: 'Enrolled',
+    roster: 'Enrolled students',
+    rosterFailed: 'Could not load the enrollments: {error}',
+    empty: 'No students enrolled yet.',
+  },
+
+  enrollDialog: {
+    title: 'Enroll in {curso}',
+    noEstudiantes: 'Every student is already enrolled in this course.',
+    submit: 'Enroll',
+  },
+
+  table: {
+    loadFailed: 'The list could not be loaded: {error}',
+    refreshFailed: 'The list could not be refreshed: {error}',
+  },
+
+  pagination: {
+    rowsPerPage: 'Rows per page:',
+    displayedRows: '{from}–{to} of {count}',
+    first: 'First page',
+    last: 'Last page',
+    next: 'Next page',
+    previous: 'Previous page',
+  },
+
+  pending: {
+    create: 'Saving…',
+    update: 'Updating…',
+    queued: 'In the outbox',
+  },
+
+  conflict: {
+    title: 'Another user changed this record',
+    description: 'While you were editing it, someone saved other changes. Choose which values to keep.',
+    field: 'Field',
+    mine: 'Your changes',
+    theirs: 'On the server',
+    chooseMine: '{field}: your changes',
+    chooseTheirs: '{field}: on the server',
+    useTheirs: 'Use the server values',
+    keepMine: 'Keep mine',
+    saveMerged: 'Save combination',
+  },
+
+  search: {
+    button: 'Search…',
+    buttonLabel: 'Search',
+    dialog: 'Global search',
+    input: 'Search text',
+    placeholder: 'Search students, teachers, courses, enrollments or an action',
+    actions: 'Actions',
+    goTo: 'Go to {section}',
+    create: ({ noun }) => `New ${noun.singular}`,
+    group: ({ noun, shown, total }) => `${capitalize(noun.plural)}${total > shown ? ` (${shown} of ${total})` : ''}`,
+    searching: 'Searching…',
+    noResults: 'No results for "{term}".',
+  },
+
+  trash: {
+    title: 'Trash',
+    description: 'Recently deleted records. Restoring one creates it again with the same data, '
+      + 'together with the records that were related to it.',
+    type: 'Type',
+    record: 'Record',
+    deletedAt: 'Deleted',
+    restore: 'Restore',
+    discard: 'Remove',
+    empty: 'The trash is empty.',
+    emptyTrash: 'Empty trash',
+    emptyConfirm: 'The records in the trash can no longer be restored. Do you want to continue?',
+    emptyAction: 'Empty',
+    restored: '{record} was restored.',
+    restoredWith: '{record} was restored together with {related}.',
+    partiallyRestored: '{related} could not be restored and are still in the trash.',
+    restoreFailed: '{record} could not be restored: {error}',
+    notFound: 'The record is no longer in the trash.',
+    needsConnection: 'A connection to the API is needed to restore.',
+  },
+
+  outbox: {
+    tooltip: 'Operations waiting to be sent',
+    badge: ({ count: n }) => `Outbox: ${n} pending ${n === 1 ? 'operation' : 'operations'}`,
+    title: 'Outbox',
+    empty: 'There are no pending operations.',
+    discard: 'Discard',
+    rejected: 'Rejected: {error}',
+    pendingSince: 'Pending since {date}',
+    retryFailed: 'Retry failed',
+    sending: 'Sending…',
+    sendNow: 'Send now',
+    create: 'Create {noun}',
+    update: 'Update {noun} #{id}',
+    delete: 'Delete {noun} #{id}',
+  },
+
+  connection: {
+    checking: 'Checking…',
+    offline: 'Offline',
+    onlinePaused: 'Online (paused)',
+    online: 'Online',
+    tooltip: 'API connection status',
+    button: 'API connection: {status}',
+    detail: 'Connection details',
+    lastSuccess: 'Last response: {time}',
+    latency: 'Latency: {latency}',
+    averageLatency: ' (average {latency})',
+    nextCheck: 'Next check: {time}',
+    onTabReturn: 'when returning to the tab',
+    endpoint: 'Endpoint: {endpoint}',
+    live: 'Live updates: {status}',
+    liveConnecting: 'Connecting…',
+    liveReconnecting: 'Reconnecting…',
+    liveOpen: 'Connected ({transport})',
+    liveOff: 'Off',
+    probeFailed: 'failed',
+    lastError: 'Last error ({time}): {error}',
+    checkNow: 'Check now',
+  },
+
+  environment: {
+    tooltip: 'API: {url}',
+    button: 'API environment: {environment}',
+  },
+
+  wakeUp: {
+    title: 'Waking up the server…',
+    description: 'The server goes to sleep when it gets no visits and can take up to a minute to respond.',
+    attempt: ' Retry {attempt}.',
+  },
+
+  login: {
+    title: 'Sign in',
+    expired: 'Your session expired. Sign in again to continue.',
+    invalidCredentials: 'Incorrect username or password.',
+    username: 'Username',
+    password: 'Password',
+    submit: 'Sign in',
+    submitting: 'Signing in…',
+    testUsers: 'Test users: admin / admin123, bedel / bedel123, mgomez / profesor123 '
+      + 'and sbenitez / estudiante123.',
+  },
+
+  userMenu: {
+    button: 'User: {name}',
+    signedInAs: 'Signed in as {username}',
+    logout: 'Sign out',
+  },
+
+  validation: {
+    required: 'This field is required',
+    dni: 'The ID number must have 7 or 8 digits',
+    email: 'The email is not valid',
+    phone: 'The phone number is not valid',
+    personName: 'It can only contain letters, spaces, apostrophes and hyphens',
+    grade: 'The grade must be between 0 and 10',
+    maxLength: 'It cannot have more than {max} characters',
+    date: 'The date is not valid',
+    dateBetween: 'The date must be between {min} and {max}',
+  },
+
+  errors: {
+    NETWORK: 'Could not connect to the server. Check your connection.',
+    TIMEOUT: 'The server took too long to respond.',
+    CANCELED: 'The request was canceled.',
+    VALIDATION: 'Check that the data is correct.',
+    BAD_REQUEST: 'Check that the data is correct.',
+    UNAUTHORIZED: 'Your session is not valid. Sign in again.',
+    FORBIDDEN: 'You do not have permission to perform this action.',
+    NOT_FOUND: 'The record does not exist or was deleted.',
+    CONFLICT: 'The operation cannot be completed because it conflicts with existing data.',
+    PRECONDITION_FAILED: 'Another user changed the record while you were editing it.',
+    SERVER: 'Internal server error. Try again later.',
+    UNKNOWN: 'An unexpected error occurred.',
+    undone: 'The change was undone.',
+  },
+};
+
+export default en;
@@ -0,0 +1,400 @@
+/**
+ * Textos en español, el idioma por defecto (ver `i18n/index.js`).
+ */
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// "el curso", "la inscripción"
+const the = ({ singular, feminine }) => `${feminine ? 'la' : 'el'} ${singular}`;
+
+// Cantidad de registros con su nombre en singular o plural: "1 inscripción", "3 inscripciones"
+const count = ({ count: n, noun }) => `${n} ${n === 1 ? noun.singular : noun.plural}`;
+
+const es = {
+  common: {
+    actions: 'Acciones',
+    cancel: 'Cancelar',
+    close: 'Cerrar',
+    delete: 'Eliminar',
+    edit: 'Editar',
+    loading: 'Cargando…',
+    retry: 'Reintentar',
+    undo: 'Deshacer',
+    count,
+  },
+
+  app: {
+    title: 'Gestión Educativa',
+    welcome: '¡Bienvenido a Gestión Educativa!',
+    chooseSection: 'Elige una de las secciones a continuación:',
+    openMenu: 'Abrir el menú',
+    offline: 'Sin conexión con la API. Se muestran los últimos datos guardados y los cambios '
+      + 'quedan en la bandeja de salida hasta que vuelva la conexión.',
+    forbidden: 'No tienes permiso para ver esta sección.',
+    sections: {
+      estudiantes: 'Estudiantes',
+      cursos: 'Cursos',
+      inscripciones: 'Inscripciones',
+      profesores: 'Profesores',
+      papelera: 'Papelera',
+    },
+  },
+
+  language: {
+    label: 'Idioma: {language}',
+  },
+
+  theme: {
+    label: 'Tema: {mode}',
+    modes: {
+      system: 'Según el sistema',
+      light: 'Claro',
+      dark: 'Oscuro',
+      highContrast: 'Alto contraste',
+    },
+  },
+
+  // Nombre de los registros de cada entidad, para los títulos y mensajes
+  nouns: {
+    estudiantes: { singular: 'estudiante', plural: 'estudiantes', feminine: false },
+    cursos: { singular: 'curso', plural: 'cursos', feminine: false },
+    inscripciones: { singular: 'inscripción', plural: 'inscripciones', feminine: true },
+    profesores: { singular: 'profesor', plural: 'profesores', feminine: false },
+  },
+
+  estudiantes: {
+    fields: {
+      dni: 'DNI',
+      nombre: 'Nombre',
+      apellido: 'Apellido',
+      email: 'Email',
+    },
+    search: {
+      dni: 'Buscar por DNI',
+      nombre: 'Buscar por Nombre',
+      apellido: 'Buscar por Apellido',
+      email: 'Buscar por Email',
+    },
+    describe: '{nombre} {apellido} (DNI {dni})',
+  },
+
+  profesores: {
+    fields: {
+      dni: 'DNI',
+      nombre: 'Nombre',
+      apellido: 'Apellido',
+      email: 'Email',
+      profesion: 'Profesión',
+      telefono: 'Teléfono',
+    },
+    search: {
+      dni: 'Buscar por DNI',
+      nombre: 'Buscar por Nombre',
+      apellido: 'Buscar por Apellido',
+      email: 'Buscar por Email',
+      profesion: 'Buscar por Profesión',
+      telefono: 'Buscar por Teléfono',
+    },
+    describe: '{nombre} {apellido} (DNI {dni})',
+  },
+
+  cursos: {
+    fields: {
+      nombre: 'Nombre del Curso',
+      descripcion: 'Descripción',
+      profesorId: 'Profesor',
+    },
+    columns: {
+      nombre: 'Nombre',
+    },
+    search: {
+      nombre: 'Buscar por Nombre',
+      descripcion: 'Buscar por Descripción',
+      profesorId: 'Buscar por Profesor',
+      allProfesores: 'Todos los profesores',
+    },
+    noProfesor: 'Sin profesor asignado',
+  },
+
+  inscripciones: {
+    fields: {
+      cursoId: 'Curso',
+      estudianteId: 'Estudiante',
+      nota: 'Nota',
+      fecha: 'Fecha',
+    },
+    search: {
+      curso: 'Buscar por Curso',
+      estudiante: 'Buscar por Estudiante',
+      nota: 'Buscar por Nota',
+    },
+    describe: '{estudiante} en {curso}',
+    unknownEstudiante: 'Estudiante',
+    unknownCurso: 'un curso',
+  },
+
+  // Página genérica de las entidades; `noun` es el nombre de sus registros
+  crud: {
+    title: ({ noun }) => `Gestión de ${capitalize(noun.plural)}`,
+    searchTitle: ({ noun }) => `Búsqueda de ${capitalize(noun.plural)}`,
+    createTitle: ({ noun }) => `Agregar ${noun.feminine ? 'Nueva' : 'Nuevo'} ${capitalize(noun.singular)}`,
+    editTitle: ({ noun }) => `Editar ${capitalize(noun.singular)}`,
+    create: ({ noun }) => `Guardar ${capitalize(noun.singular)}`,
+    update: ({ noun }) => `Actualizar ${capitalize(noun.singular)}`,
+    deleteTitle: ({ noun }) => `Eliminar ${capitalize(noun.singular)}`,
+    deleteConfirm: ({ noun }) => `¿Estás seguro de eliminar ${the(noun)}?`,
+    discardChanges: ({ noun }) => `Hay cambios sin guardar en ${the(noun)}. ¿Quieres descartarlos?`,
+    created: ({ noun }) => `${capitalize(noun.singular)} ${noun.feminine ? 'guardada' : 'guardado'} con éxito`,
+    updated: ({ noun }) => `${capitalize(noun.singular)} ${noun.feminine ? 'actualizada' : 'actualizado'} con éxito`,
+    saveQueued: ({ noun }) => `Sin conexión: ${the(noun)} se guardará cuando vuelva la conexión.`,
+    saveFailed: ({ noun, error }) => `No se pudo guardar ${the(noun)} y se deshizo el cambio: ${error}`,
+    deleted: ({ noun }) => `${capitalize(noun.singular)} ${noun.feminine ? 'eliminada' : 'eliminado'} con éxito`,
+    deleteQueued: ({ noun }) => `Sin conexión: ${the(noun)} se eliminará cuando vuelva la conexión.`,
+    deleteFailed: ({ noun, error }) => `No se pudo eliminar ${the(noun)} y se restauró en la lista: ${error}`,
+    noMatches: ({ noun }) => `${noun.feminine ? 'Ninguna' : 'Ningún'} ${noun.singular} coincide con la búsqueda.`,
+    empty: ({ noun }) => `Todavía no hay ${noun.plural} ${noun.feminine ? 'registradas' : 'registrados'}.`,
+    relationFailed: ({ noun, error }) => `Error al cargar ${noun.plural}: ${error}`,
+    // Registro relacionado que la API no devolvió, por ejemplo el curso de una inscripción
+    missingRelation: ({ noun }) => `${capitalize(noun.singular)} no disponible`,
+  },
+
+  notFound: {
+    title: 'Página no encontrada',
+    description: 'No hay ninguna sección en la dirección {path}.',
+    home: 'Ir al inicio',
+  },
+
+  errorBoundary: {
+    title: 'No se pudo mostrar esta pantalla',
+    description: 'Ocurrió un error inesperado. Puedes reintentar o informar el problema; el resto '
+      + 'de la aplicación sigue funcionando.',
+    details: 'Ver detalles',
+    report: 'Informar el problema',
+    reportSent: 'Se envió el informe del error. ¡Gracias!',
+    reportCopied: 'Se copió el informe del error al portapapeles para que lo envíes a soporte.',
+    reportFailed: 'No se pudo informar el error.',
+  },
+
+  // Resumen de notas de las páginas de un estudiante y de un curso (ver `entities/grades.js`)
+  grades: {
+    average: 'Promedio',
+    median: 'Mediana',
+    passRate: 'Aprobación',
+    noGrades: 'Sin notas',
+    passed: 'Aprobadas',
+    failed: 'Desaprobadas',
+    passingGrade: 'Se aprueba con {grade} o más; las inscripciones sin nota no cuentan.',
+    status: 'Estado',
+    statuses: {
+      passed: 'Aprobada',
+      failed: 'Desaprobada',
+      ungraded: 'Sin nota',
+    },
+  },
+
+  // Página de un estudiante (ver `components/EstudianteDetailPage.js`)
+  estudianteDetail: {
+    back: 'Volver a Estudiantes',
+    notFound: 'No existe el estudiante {id}; puede que se haya eliminado.',
+    loadFailed: 'No se pudo cargar el estudiante: {error}',
+    enroll: 'Inscribir en otro curso',
+    edit: 'Editar datos',
+    total: 'Inscripciones',
+    inscripciones: 'Inscripciones',
+    inscripcionesFailed: 'No se pudieron cargar las inscripciones: {error}',
+    empty: 'Todavía no tiene inscripciones.',
+    timeline: 'Línea de tiempo',
+    noDate: 'Sin fecha',
+    timelineItem: '{fecha} · Nota: {nota}',
+  },
+
+  // Página de un curso (ver `components/CursoDetailPage.js`)
+  cursoDetail: {
+    back: 'Volver a Cursos',
+    notFound: 'No existe el curso {id}; puede que se haya eliminado.',
+    loadFailed: 'No se pudo cargar el curso: {error}',
+    enroll: 'Inscribir estudiante',
+    edit: 'Editar curso',
+    profesor: 'Profesor',
+    noDescription: 'Sin descripción.',
+    total: 'Inscriptos',
+    roster: 'Estudiantes inscriptos',
+    rosterFailed: 'No se pudieron cargar las inscripciones: {error}',
+    empty: 'Todavía no hay estudiantes inscriptos.',
+  },
+
+  // Diálogo para inscribir a un estudiante desde la página de un curso
+  enrollDialog: {
+    title: 'Inscribir en {curso}',
+    noEstudiantes: 'Todos los estudiantes ya están inscriptos en este curso.',
+    submit: 'Inscribir',
+  },
+
+  table: {
+    loadFailed: 'No se pudo cargar la lista: {error}',
+    refreshFailed: 'No se pudo actualizar la lista: {error}',
+  },
+
+  pagination: {
+    rowsPerPage: 'Filas por página:',
+    displayedRows: '{from}–{to} de {count}',
+    first: 'Primera página',
+    last: 'Última página',
+    next: 'Página siguiente',
+    previous: 'Página anterior',
+  },
+
+  pending: {
+    create: 'Guardando…',
+    update: 'Actualizando…',
+    queued: 'En la bandeja de salida',
+  },
+
+  conflict: {
+    title: 'Otro usuario modificó este registro',
+    description: 'Mientras lo editabas, alguien guardó otros cambios. Elige qué valores conservar.',
+    field: 'Campo',
+    mine: 'Tus cambios',
+    theirs: 'En el servidor',
+    chooseMine: '{field}: tus cambios',
+    chooseTheirs: '{field}: en el servidor',
+    useTheirs: 'Usar los del servidor',
+    keepMine: 'Mantener los míos',
+    saveMerged: 'Guardar combinación',
+  },
+
+  search: {
+    button: 'Buscar…',
+    buttonLabel: 'Buscar',
+    dialog: 'Búsqueda global',
+    input: 'Texto a buscar',
+    placeholder: 'Busca estudiantes, profesores, cursos, inscripciones o una acción',
+    actions: 'Acciones',
+    goTo: 'Ir a {section}',
+    create: ({ noun }) => `${noun.feminine ? 'Nueva' : 'Nuevo'} ${noun.singular}`,
+    group: ({ noun, shown, total }) => `${capitalize(noun.plural)}${total > shown ? ` (${shown} de ${total})` : ''}`,
+    searching: 'Buscando…',
+    noResults: 'Sin resultados para "{term}".',
+  },
+
+  trash: {
+    title: 'Papelera',
+    description: 'Registros eliminados hace poco. Al restaurar uno se vuelve a crear con los mismos datos, '
+      + 'junto con los registros que estaban relacionados con él.',
+    type: 'Tipo',
+    record: 'Registro',
+    deletedAt: 'Eliminado',
+    restore: 'Restaurar',
+    discard: 'Quitar',
+    empty: 'La papelera está vacía.',
+    emptyTrash: 'Vaciar papelera',
+    emptyConfirm: 'Los registros de la papelera ya no se podrán restaurar. ¿Quieres continuar?',
+    emptyAction: 'Vaciar',
+    restored: 'Se restauró {record}.',
+    restoredWith: 'Se restauró {record} junto con {related}.',
+    partiallyRestored: '{related} no se pudieron restaurar y siguen en la papelera.',
+    restoreFailed: 'No se pudo restaurar {record}: {error}',
+    notFound: 'El registro ya no está en la papelera.',
+    needsConnection: 'Se necesita conexión con la API para restaurar.',
+  },
+
+  outbox: {
+    tooltip: 'Operaciones pendientes de envío',
+    badge: ({ count: n }) => `Bandeja de salida: ${n} ${n === 1 ? 'operación pendiente' : 'operaciones pendientes'}`,
+    title: 'Bandeja de salida',
+    empty: 'No hay operaciones pendientes.',
+    discard: 'Descartar',
+    rejected: 'Rechazada: {error}',
+    pendingSince: 'Pendiente desde {date}',
+    retryFailed: 'Reintentar fallidas',
+    sending: 'Enviando…',
+    sendNow: 'Enviar ahora',
+    create: 'Crear {noun}',
+    update: 'Actualizar {noun} #{id}',
+    delete: 'Eliminar {noun} #{id}',
+  },
+
+  connection: {
+    checking: 'Verificando…',
+    offline: 'Sin conexión',
+    onlinePaused: 'En línea (en pausa)',
+    online: 'En línea',
+    tooltip: 'Estado de la conexión con la API',
+    button: 'Conexión con la API: {status}',
+    detail: 'Detalle de la conexión',
+    lastSuccess: 'Última respuesta: {time}',
+    latency: 'Latencia: {latency}',
+    averageLatency: ' (promedio {latency})',
+    nextCheck: 'Próxima verificación: {time}',
+    onTabReturn: 'al volver a la pestaña',
+    endpoint: 'Endpoint: {endpoint}',
+    live: 'Actualizaciones en vivo: {status}',
+    liveConnecting: 'Conectando…',
+    liveReconnecting: 'Reconectando…',
+    liveOpen: 'Conectadas ({transport})',
+    liveOff: 'Desactivadas',
+    probeFailed: 'falló',
+    lastError: 'Último error ({time}): {error}',
+    checkNow: 'Verificar ahora',
+  },
+
+  environment: {
+    tooltip: 'API: {url}',
+    button: 'Entorno de la API: {environment}',
+  },
+
+  wakeUp: {
+    title: 'Despertando el servidor…',
+    description: 'El servidor se suspende cuando no recibe visitas y puede tardar hasta un minuto en responder.',
+    attempt: ' Reintento {attempt}.',
+  },
+
+  login: {
+    title: 'Iniciar sesión',
+    expired: 'Tu sesión expiró. Vuelve a iniciar sesión para continuar.',
+    invalidCredentials: 'Usuario o contraseña incorrectos.',
+    username: 'Usuario',
+    password: 'Contraseña',
+    submit: 'Ingresar',
+    submitting: 'Ingresando…',
+    testUsers: 'Usuarios de prueba: admin / admin123, bedel / bedel123, mgomez / profesor123 '
+      + 'y sbenitez / estudiante123.',
+  },
+
+  userMenu: {
+    button: 'Usuario: {name}',
+    signedInAs: 'Sesión iniciada como {username}',
+    logout: 'Cerrar sesión',
+  },
+
+  validation: {
+    required: 'Este campo es obligatorio',
+    dni: 'El DNI debe tener 7 u 8 dígitos',
+    email: 'El email no es válido',
+    phone: 'El teléfono no es válido',
+    personName: 'Solo puede tener letras, espacios, apóstrofos y guiones',
+    grade: 'La nota debe estar entre 0 y 10',
+    maxLength: 'No puede tener más de {max} caracteres',
+    date: 'La fecha no es válida',
+    dateBetween: 'La fecha debe estar entre el {min} y el {max}',
+  },
+
+  // Mensajes por defecto de los errores de la API, por código (ver `api/errors.js`)
+  errors: {
+    NETWORK: 'No se pudo conectar con el servidor. Verifica la conexión.',
+    TIMEOUT: 'El servidor tardó demasiado en responder.',
+    CANCELED: 'La solicitud fue cancelada.',
+    VALIDATION: 'Verifica que los datos sean correctos.',
+    BAD_REQUEST: 'Verifica que los datos sean correctos.',
+    UNAUTHORIZED: 'Tu sesión no es válida. Ingresa nuevamente.',
+    FORBIDDEN: 'No tienes permiso para realizar esta acción.',
+    NOT_FOUND: 'El registro no existe o fue eliminado.',
+    CONFLICT: 'La operación no se puede realizar por un conflicto con los datos existentes.',
+    PRECONDITION_FAILED: 'Otro usuario modificó el registro mientras lo editabas.',
+    SERVER: 'Error interno del servidor. Intenta nuevamente más tarde.',
+    UNKNOWN: 'Ocurrió un error inesperado.',
+    undone: 'Se deshizo el cambio.',
+  },
+};
+
+export default es;
@@ -0,0 +1,96 @@
+/**
+ * Formato de fechas y números según el idioma activo (ver `i18n/index.js`).
+ *
+ * Las fechas de la API sin hora, como la de una inscripción ("2024-03-01" o
+ * "2024-03-01T00:00:00"), representan un día del calendario y no un instante: se muestran
+ * con el día que traen, sin pasar por la zona horaria del navegador, que en Argentina
+ * (UTC-3) las correría al día anterior. Los instantes, como la hora en que se eliminó un
+ * registro, sí se muestran en la hora local.
+ */
+
+import { getIntlLocale } from './index';
+
+// Día del calendario al principio de un texto: AAAA-MM-DD
+const DAY_REGEX = /^(\d{4})-(\d{2})-(\d{2})/;
+
+const pad = (number) => String(number).padStart(2, '0');
+
+/**
+ * Devuelve el día de una fecha como AAAA-MM-DD, el valor de los campos de tipo fecha.
+ * De los textos toma el día escrito, sin convertir la zona horaria; de los `Date`, el día local.
+ *
+ * @function toDateInputValue
+ * @param {string|Date|null} value - Fecha.
+ * @returns {string} El día, o '' si no es una fecha.
+ */
+export const toDateInputValue = (value) => {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime())
+      ? ''
+      : `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  const match = DAY_REGEX.exec(String(value ?? ''));
+  return match ? match[0] : '';
+};
+
+/**
+ * Muestra el día de una fecha de la API, por ejemplo "01/03/2024" en español o
+ * "03/01/2024" en inglés.
+ *
+ * @function formatDate
+ * @param {string|Date|null} value - Fecha.
+ * @param {Object} [options] - Opciones de `Intl.DateTimeFormat`.
+ * @returns {string} La fecha, el texto original si no se reconoce o '' si no hay.
+ */
+export const formatDate = (value, options = { day: '2-digit', month: '2-digit', year: 'numeric' }) => {
+  const day = toDateInputValue(value);
+  if (!day) return value ? String(value) : '';
+  const [year, month, date] = day.split('-').map(Number);
+  return new Intl.DateTimeFormat(getIntlLocale(), options).format(new Date(year, month - 1, date));
+};
+
+/**
+ * Muestra un instante con fecha y hora locales.
+ *
+ * @function formatDateTime
+ * @param {string|number|Date|null} value - Instante (ISO, milisegundos o `Date`).
+ * @param {Object} [options] - Opciones de `Intl.DateTimeFormat`.
+ * @returns {string} La fecha y hora, o '' si no hay.
+ */
+export const formatDateTime = (value, options = { dateStyle: 'short', timeStyle: 'short' }) => {
+  if (value === null || value === undefined || value === '') return '';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value) : new Intl.DateTimeFormat(getIntlLocale(), options).format(date);
+};
+
+/**
+ * Muestra la hora local de un instante, con segundos.
+ *
+ * @function formatTime
+ * @param {string|number|Date|null} value - Instante.
+ * @returns {string} La hora, o '' si no hay.
+ */
+export const formatTime = (value) => formatDateTime(value, { timeStyle: 'medium' });
+
+/**
+ * Muestra un número con los separadores del idioma: "1.234,5" en español, "1,234.5" en inglés.
+ *
+ * @function formatNumber
+ * @param {number|string|null} value - Número.
+ * @param {Object} [options] - Opciones de `Intl.NumberFormat`.
+ * @returns {string} El número, el texto original si no es un número o '' si no hay.
+ */
+export const formatNumber = (value, options) => {
+  if (value === null || value === undefined || value === '') return '';
+  const number = Number(value);
+  return Number.isFinite(number) ? new Intl.NumberFormat(getIntlLocale(), options).format(number) : String(value);
+};
+
+/**
+ * Muestra una nota, con sus decimales si los tiene: "8", "7,5".
+ *
+ * @function formatGrade
+ * @param {number|string|null} value - Nota.
+ * @returns {string}
+ */
+export const formatGrade = (value) => formatNumber(value, { maximumFractionDigits: 2 });
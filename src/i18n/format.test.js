@@ -0,0 +1,27 @@
+import { setLocale } from './index';
+import { formatDate, formatGrade, formatNumber, toDateInputValue } from './format';
+
+afterEach(() => setLocale('es'));
+
+test('las fechas de la API se muestran con su día, sin correrlas por la zona horaria', () => {
+  expect(formatDate('2024-03-01')).toBe('01/03/2024');
+  expect(formatDate('2024-03-01T00:00:00')).toBe('01/03/2024');
+  expect(formatDate('2024-03-01T00:00:00Z')).toBe('01/03/2024');
+  expect(toDateInputValue('2024-03-01T00:00:00Z')).toBe('2024-03-01');
+  expect(toDateInputValue(new Date(2024, 2, 1, 23, 30))).toBe('2024-03-01');
+  expect(formatDate(null)).toBe('');
+
+  setLocale('en');
+  expect(formatDate('2024-03-01T00:00:00')).toBe('03/01/2024');
+});
+
+test('los números y las notas usan los separadores del idioma', () => {
+  expect(formatGrade(7.5)).toBe('7,5');
+  expect(formatGrade(8)).toBe('8');
+  expect(formatNumber(1234.5)).toBe('1.234,5');
+  expect(formatGrade('')).toBe('');
+
+  setLocale('en');
+  expect(formatGrade(7.5)).toBe('7.5');
+  expect(formatNumber(1234.5)).toBe('1,234.5');
+});
@@ -0,0 +1,142 @@
+/**
+ * Textos de la interfaz en varios idiomas.
+ *
+ * Los textos están en los catálogos de cada idioma (`es.js` y `en.js`), agrupados por
+ * pantalla, y se piden con `t('grupo.clave', parámetros)`. Un texto es una cadena con
+ * parámetros entre llaves ("Reintento {attempt}.") o una función que recibe los parámetros,
+ * para los que cambian con la cantidad o el género ("1 inscripción", "Nueva inscripción").
+ * Si a un catálogo le falta un texto se usa el de español.
+ *
+ * El idioma elegido se guarda en localStorage. Los componentes lo leen con `useTranslation`,
+ * que los vuelve a renderizar al cambiarlo; los módulos que no son componentes (la validación,
+ * los errores de la API) usan `t` directamente, con el idioma del momento.
+ */
+
+import { createStore, useStore } from '../utils/store';
+import en from './en';
+import es from './es';
+
+/**
+ * Clave de localStorage donde se guarda el idioma elegido.
+ *
+ * @type {string}
+ */
+const STORAGE_KEY = 'unifront.locale';
+
+/**
+ * Idiomas disponibles: nombre para el selector, configuración regional para el formato de
+ * fechas y números, y catálogo de textos.
+ *
+ * @type {Object<string, {label: string, intl: string, messages: Object}>}
+ */
+export const LOCALES = {
+  es: { label: 'Español', intl: 'es-AR', messages: es },
+  en: { label: 'English', intl: 'en-US', messages: en },
+};
+
+/**
+ * Idioma por defecto, y el de los textos que le faltan a otro catálogo.
+ *
+ * @type {string}
+ */
+export const DEFAULT_LOCALE = 'es';
+
+// Idioma guardado, si sigue disponible
+const readStoredLocale = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return LOCALES[stored] ? stored : DEFAULT_LOCALE;
+  } catch (error) {
+    // localStorage puede no estar disponible (modo privado, pruebas)
+    return DEFAULT_LOCALE;
+  }
+};
+
+/**
+ * Idioma activo.
+ *
+ * @type {{getState: Function, setState: Function, subscribe: Function}}
+ */
+export const i18n = createStore({ locale: readStoredLocale() });
+
+// El atributo `lang` indica el idioma a los lectores de pantalla y al corrector del navegador
+const applyDocumentLang = (locale) => {
+  if (typeof document !== 'undefined') document.documentElement.lang = locale;
+};
+applyDocumentLang(i18n.getState().locale);
+
+/**
+ * Devuelve el idioma activo.
+ *
+ * @function getLocale
+ * @returns {string}
+ */
+export const getLocale = () => i18n.getState().locale;
+
+/**
+ * Devuelve la configuración regional del idioma activo, para `Intl`.
+ *
+ * @function getIntlLocale
+ * @returns {string}
+ */
+export const getIntlLocale = () => LOCALES[getLocale()].intl;
+
+/**
+ * Cambia el idioma activo y guarda la elección para las próximas visitas.
+ *
+ * @function setLocale
+ * @param {string} locale - Idioma, por ejemplo 'en'.
+ * @returns {void}
+ */
+export const setLocale = (locale) => {
+  if (!LOCALES[locale]) return;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, locale);
+  } catch (error) {
+    console.warn('No se pudo guardar el idioma elegido:', error);
+  }
+  applyDocumentLang(locale);
+  i18n.setState({ locale });
+};
+
+// Busca un texto por su clave ("grupo.clave") en un catálogo
+const lookup = (messages, key) => key.split('.').reduce((node, part) => node?.[part], messages);
+
+/**
+ * Devuelve un texto en el idioma activo.
+ *
+ * @function t
+ * @param {string} key - Clave del texto, por ejemplo 'trash.title'.
+ * @param {Object} [params={}] - Valores de los parámetros del texto.
+ * @returns {string} El texto, o la clave si no está en ningún catálogo.
+ */
+export const t = (key, params = {}) => {
+  let message = lookup(LOCALES[getLocale()].messages, key);
+  if (message === undefined) message = lookup(LOCALES[DEFAULT_LOCALE].messages, key);
+  if (typeof message === 'function') return message(params);
+  if (typeof message !== 'string') return key;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+};
+
+/**
+ * Devuelve el nombre de los registros de una entidad en el idioma activo, para armar los
+ * títulos y mensajes.
+ *
+ * @function nounOf
+ * @param {string} resource - Entidad, por ejemplo 'cursos'.
+ * @returns {{singular: string, plural: string, feminine: boolean}}
+ */
+export const nounOf = (resource) => (
+  lookup(LOCALES[getLocale()].messages, `nouns.${resource}`) || LOCALES[DEFAULT_LOCALE].messages.nouns[resource]
+);
+
+/**
+ * Hook que devuelve `t` y el idioma activo, y vuelve a renderizar el componente al cambiarlo.
+ *
+ * @function useTranslation
+ * @returns {{t: Function, locale: string, setLocale: Function}}
+ */
+export const useTranslation = () => {
+  const { locale } = useStore(i18n);
+  return { t, locale, setLocale };
+};
@@ -0,0 +1,19 @@
+import { getLocale, nounOf, setLocale, t } from './index';
+
+afterEach(() => setLocale('es'));
+
+test('traduce con parámetros, guarda el idioma y usa español para lo que falta', () => {
+  expect(t('trash.restoreFailed', { record: 'Física I', error: 'Sin conexión' })).toBe('No se pudo restaurar Física I: Sin conexión');
+  expect(t('crud.createTitle', { noun: nounOf('inscripciones') })).toBe('Agregar Nueva Inscripción');
+
+  setLocale('en');
+  expect(getLocale()).toBe('en');
+  expect(localStorage.getItem('unifront.locale')).toBe('en');
+  expect(document.documentElement.lang).toBe('en');
+  expect(t('crud.createTitle', { noun: nounOf('inscripciones') })).toBe('Add New Enrollment');
+  expect(t('outbox.badge', { count: 1 })).toBe('Outbox: 1 pending operation');
+
+  setLocale('fr');
+  expect(getLocale()).toBe('en');
+  expect(t('no.existe')).toBe('no.existe');
+});
@@ -3,13 +3,27 @@ import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
 import reportWebVitals from './reportWebVitals';
+import { loadRuntimeConfig } from './api/config';
+import { hydrateQueries } from './api/queryCache';
+import { restoreOutbox } from './api/outbox';
+import { restoreTrash } from './entities/trash';
+import { AuthProvider } from './context/AuthContext';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+
+// Lee public/config.json antes de renderizar para que la primera solicitud ya use el entorno correcto,
+// y después restaura los datos, las operaciones pendientes y la papelera guardados para ese entorno
+loadRuntimeConfig()
+  .then(() => Promise.all([hydrateQueries(), restoreOutbox(), restoreTrash()]))
+  .finally(() => {
+    root.render(
+      <React.StrictMode>
+        <AuthProvider>
+          <App />
+        </AuthProvider>
+      </React.StrictMode>
+    );
+  });
 
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
@@ -0,0 +1,95 @@
+/**
+ * Tema elegido por el usuario.
+ *
+ * Se puede elegir un tema fijo (claro, oscuro o alto contraste, ver `theme/themes.js`) o
+ * seguir al sistema operativo, que cambia el tema en cuanto cambia la configuración del
+ * sistema. La elección se guarda en localStorage para las próximas visitas.
+ */
+
+import { useMemo } from 'react';
+import { useMediaQuery } from '@mui/material';
+import { createStore, useStore } from '../utils/store';
+import { THEMES, createAppTheme, resolveTheme } from './themes';
+
+/**
+ * Clave de localStorage donde se guarda el tema elegido.
+ *
+ * @type {string}
+ */
+const STORAGE_KEY = 'unifront.theme';
+
+/**
+ * Preferencias que puede elegir el usuario, en el orden del selector.
+ *
+ * @type {Array<string>}
+ */
+export const THEME_MODES = ['system', ...THEMES];
+
+/**
+ * Preferencia por defecto: el tema oscuro, el que tuvo siempre la aplicación.
+ *
+ * @type {string}
+ */
+export const DEFAULT_THEME_MODE = 'dark';
+
+// Preferencia guardada, si sigue disponible
+const readStoredMode = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return THEME_MODES.includes(stored) ? stored : DEFAULT_THEME_MODE;
+  } catch (error) {
+    // localStorage puede no estar disponible (modo privado, pruebas)
+    return DEFAULT_THEME_MODE;
+  }
+};
+
+/**
+ * Tema elegido por el usuario.
+ *
+ * @type {{getState: Function, setState: Function, subscribe: Function}}
+ */
+export const themePreference = createStore({ mode: readStoredMode() });
+
+/**
+ * Cambia el tema y guarda la elección para las próximas visitas.
+ *
+ * @function setThemeMode
+ * @param {string} mode - Preferencia: 'system', 'light', 'dark' o 'highContrast'.
+ * @returns {void}
+ */
+export const setThemeMode = (mode) => {
+  if (!THEME_MODES.includes(mode)) return;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, mode);
+  } catch (error) {
+    console.warn('No se pudo guardar el tema elegido:', error);
+  }
+  themePreference.setState({ mode });
+};
+
+/**
+ * Hook que devuelve el tema elegido y la función para cambiarlo.
+ *
+ * @function useThemeMode
+ * @returns {{mode: string, setThemeMode: Function}}
+ */
+export const useThemeMode = () => {
+  const { mode } = useStore(themePreference);
+  return { mode, setThemeMode };
+};
+
+/**
+ * Hook que devuelve el tema de Material-UI a usar: el elegido o, si sigue al sistema, el que
+ * corresponde a la configuración del sistema. Vuelve a renderizar cuando cambia cualquiera
+ * de las dos.
+ *
+ * @function useAppTheme
+ * @returns {Object} Tema para `ThemeProvider`.
+ */
+export const useAppTheme = () => {
+  const { mode } = useStore(themePreference);
+  const prefersDark = useMediaQuery('(prefers-color-scheme: dark)', { noSsr: true });
+  const prefersMoreContrast = useMediaQuery('(prefers-contrast: more)', { noSsr: true });
+  const theme = resolveTheme(mode, { prefersDark, prefersMoreContrast });
+  return useMemo(() => createAppTheme(theme), [theme]);
+};
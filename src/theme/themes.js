@@ -0,0 +1,130 @@
+/**
+ * Temas de la interfaz: claro, oscuro y alto contraste.
+ *
+ * Cada institución puede usar sus colores sin cambiar el código. Como la URL de la API
+ * (ver `api/config.js`), se configuran en dos niveles, de menor a mayor prioridad:
+ * - Variables de entorno de compilación: REACT_APP_THEME_PRIMARY y REACT_APP_THEME_SECONDARY.
+ * - La propiedad `theme` de `config.json`, con los mismos colores (`primary` y `secondary`)
+ *   y, si hace falta, ajustes de la paleta de Material-UI para cada tema (`light`, `dark`
+ *   y `highContrast`).
+ *
+ * Los colores de la institución se aplican a los temas claro y oscuro. El de alto contraste
+ * conserva los suyos, elegidos para que se lean bien, salvo los ajustes de `highContrast`.
+ */
+
+import { createTheme } from '@mui/material';
+import { getConfigValue } from '../api/config';
+
+/**
+ * Temas disponibles, además de "según el sistema" (ver `theme/index.js`).
+ *
+ * @type {Array<string>}
+ */
+export const THEMES = ['light', 'dark', 'highContrast'];
+
+// Colores de cada tema; los de la institución se combinan sobre estos
+const PALETTES = {
+  light: {
+    mode: 'light',
+    primary: { main: '#1976d2' },
+    secondary: { main: '#4caf50' },
+  },
+  dark: {
+    mode: 'dark',
+    primary: { main: '#1976d2' },
+    secondary: { main: '#4caf50' },
+    background: {
+      paper: '#303030', // Fondo oscuro para los componentes
+      default: '#202020', // Fondo más oscuro para la aplicación
+    },
+  },
+  highContrast: {
+    mode: 'dark',
+    // Relación de contraste mínima de WCAG AA para elegir el color del texto sobre los botones
+    contrastThreshold: 4.5,
+    primary: { main: '#ffd600', contrastText: '#000000' },
+    secondary: { main: '#00e5ff', contrastText: '#000000' },
+    error: { main: '#ff6e6e', contrastText: '#000000' },
+    background: { paper: '#000000', default: '#000000' },
+    text: { primary: '#ffffff', secondary: '#ffffff', disabled: '#bdbdbd' },
+    divider: '#ffffff',
+  },
+};
+
+// En alto contraste los bordes marcan los límites de cada elemento y el foco se ve siempre
+const HIGH_CONTRAST_COMPONENTS = {
+  MuiCssBaseline: {
+    styleOverrides: {
+      '*:focus-visible': { outline: '3px solid #ffd600', outlineOffset: 2 },
+    },
+  },
+  MuiPaper: {
+    styleOverrides: {
+      root: { backgroundImage: 'none', border: '1px solid #ffffff' },
+    },
+  },
+  MuiOutlinedInput: {
+    styleOverrides: {
+      notchedOutline: { borderColor: '#ffffff' },
+    },
+  },
+};
+
+/**
+ * Devuelve los colores configurados para la institución.
+ *
+ * @function getInstitutionTheme
+ * @returns {{primary?: string, secondary?: string, light?: Object, dark?: Object, highContrast?: Object}}
+ */
+export const getInstitutionTheme = () => ({
+  primary: process.env.REACT_APP_THEME_PRIMARY || undefined,
+  secondary: process.env.REACT_APP_THEME_SECONDARY || undefined,
+  ...getConfigValue('theme', {}),
+});
+
+// Combina dos paletas; los grupos de colores (primary, background, …) se combinan por clave
+const mergePalette = (base, override = {}) => Object.entries(override).reduce((result, [name, value]) => ({
+  ...result,
+  [name]: value && typeof value === 'object' && !Array.isArray(value) ? { ...result[name], ...value } : value,
+}), base);
+
+/**
+ * Arma el tema de Material-UI para uno de los temas disponibles.
+ *
+ * @function createAppTheme
+ * @param {string} name - Tema: 'light', 'dark' o 'highContrast'.
+ * @param {Object} [institution] - Colores de la institución (ver `getInstitutionTheme`).
+ * @returns {Object} Tema para `ThemeProvider`.
+ */
+export const createAppTheme = (name, institution = getInstitutionTheme()) => {
+  const theme = PALETTES[name] ? name : 'dark';
+  const brand = theme === 'highContrast' ? {} : {
+    ...(institution.primary && { primary: { main: institution.primary } }),
+    ...(institution.secondary && { secondary: { main: institution.secondary } }),
+  };
+
+  return createTheme({
+    palette: mergePalette(mergePalette(PALETTES[theme], brand), institution[theme]),
+    typography: {
+      fontFamily: 'Roboto, Arial, sans-serif', // Fuente personalizada
+    },
+    ...(theme === 'highContrast' && { components: HIGH_CONTRAST_COMPONENTS }),
+  });
+};
+
+/**
+ * Elige el tema según la preferencia del usuario y, si sigue al sistema, según la
+ * configuración del sistema operativo.
+ *
+ * @function resolveTheme
+ * @param {string} mode - Preferencia: 'system' o uno de `THEMES`.
+ * @param {Object} system - Configuración del sistema.
+ * @param {boolean} system.prefersDark - Si el sistema usa el modo oscuro.
+ * @param {boolean} system.prefersMoreContrast - Si el sistema pide más contraste.
+ * @returns {string} Uno de `THEMES`.
+ */
+export const resolveTheme = (mode, { prefersDark, prefersMoreContrast }) => {
+  if (mode !== 'system') return mode;
+  if (prefersMoreContrast) return 'highContrast';
+  return prefersDark ? 'dark' : 'light';
+};
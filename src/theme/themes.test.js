@@ -0,0 +1,38 @@
+import { createAppTheme, resolveTheme } from './themes';
+import { setThemeMode, themePreference } from './index';
+
+afterEach(() => setThemeMode('dark'));
+
+test('arma cada tema con los colores de la institución, salvo el de alto contraste', () => {
+  const institution = { primary: '#7b1fa2', light: { background: { default: '#fafafa' } } };
+
+  const light = createAppTheme('light', institution);
+  expect(light.palette.mode).toBe('light');
+  expect(light.palette.primary.main).toBe('#7b1fa2');
+  expect(light.palette.secondary.main).toBe('#4caf50');
+  expect(light.palette.background.default).toBe('#fafafa');
+
+  const dark = createAppTheme('dark', institution);
+  expect(dark.palette.mode).toBe('dark');
+  expect(dark.palette.primary.main).toBe('#7b1fa2');
+  expect(dark.palette.background.default).toBe('#202020');
+
+  const highContrast = createAppTheme('highContrast', institution);
+  expect(highContrast.palette.primary.main).toBe('#ffd600');
+  expect(highContrast.palette.background.default).toBe('#000000');
+  expect(highContrast.palette.primary.contrastText).toBe('#000000');
+});
+
+test('sigue al sistema y guarda la preferencia', () => {
+  expect(resolveTheme('system', { prefersDark: true, prefersMoreContrast: false })).toBe('dark');
+  expect(resolveTheme('system', { prefersDark: false, prefersMoreContrast: false })).toBe('light');
+  expect(resolveTheme('system', { prefersDark: false, prefersMoreContrast: true })).toBe('highContrast');
+  expect(resolveTheme('light', { prefersDark: true, prefersMoreContrast: true })).toBe('light');
+
+  setThemeMode('system');
+  expect(themePreference.getState().mode).toBe('system');
+  expect(localStorage.getItem('unifront.theme')).toBe('system');
+
+  setThemeMode('sepia');
+  expect(themePreference.getState().mode).toBe('system');
+});
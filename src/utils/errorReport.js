@@ -0,0 +1,58 @@
+/**
+ * Informes de los errores que rompen una pantalla (ver `components/ErrorBoundary.js`).
+ *
+ * Si hay una dirección configurada (REACT_APP_ERROR_REPORT_URL o `errorReportURL` en
+ * `config.json`) el informe se envía con un POST en JSON. Si no, se copia al portapapeles
+ * para que el usuario lo pegue en su consulta a soporte.
+ */
+
+import { getActiveEnvironment, getConfigValue } from '../api/config';
+import { getLocale } from '../i18n';
+
+/**
+ * Arma el informe de un error con los datos para reproducirlo.
+ *
+ * @function buildErrorReport
+ * @param {Error} error - Error capturado.
+ * @param {Object} [context] - Dónde ocurrió.
+ * @param {string} [context.componentStack] - Componentes que se estaban renderizando.
+ * @param {string} [context.path] - Ruta de la pantalla.
+ * @returns {Object} Informe.
+ */
+export const buildErrorReport = (error, { componentStack = null, path = null } = {}) => ({
+  message: error?.message || String(error),
+  name: error?.name || null,
+  stack: error?.stack || null,
+  componentStack,
+  path,
+  environment: getActiveEnvironment().id,
+  locale: getLocale(),
+  userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+  time: new Date().toISOString(),
+});
+
+/**
+ * Envía un informe, o lo copia al portapapeles si no hay dónde enviarlo.
+ *
+ * @async
+ * @function sendErrorReport
+ * @param {Object} report - Informe armado con `buildErrorReport`.
+ * @returns {Promise<string>} 'sent' si se envió o 'copied' si se copió.
+ * @throws {Error} Si el servidor lo rechaza o no se puede copiar.
+ */
+export const sendErrorReport = async (report) => {
+  const url = getConfigValue('errorReportURL', process.env.REACT_APP_ERROR_REPORT_URL || '');
+
+  if (url) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(report),
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return 'sent';
+  }
+
+  await navigator.clipboard.writeText(JSON.stringify(report, null, 2));
+  return 'copied';
+};
@@ -0,0 +1,40 @@
+import { buildErrorReport, sendErrorReport } from './errorReport';
+
+const originalFetch = global.fetch;
+
+afterEach(() => {
+  delete process.env.REACT_APP_ERROR_REPORT_URL;
+  global.fetch = originalFetch;
+});
+
+test('arma el informe con el error y la pantalla donde ocurrió', () => {
+  const error = new TypeError("Cannot read properties of null (reading 'nombre')");
+  const report = buildErrorReport(error, { componentStack: '\n    at EntityCrudPage', path: '/inscripciones' });
+
+  expect(report).toMatchObject({
+    message: "Cannot read properties of null (reading 'nombre')",
+    name: 'TypeError',
+    componentStack: '\n    at EntityCrudPage',
+    path: '/inscripciones',
+    locale: 'es',
+  });
+  expect(report.stack).toContain('TypeError');
+  expect(Date.parse(report.time)).not.toBeNaN();
+});
+
+test('envía el informe si hay una dirección configurada y si no lo copia al portapapeles', async () => {
+  const writeText = jest.fn().mockResolvedValue();
+  Object.assign(navigator, { clipboard: { writeText } });
+  const report = buildErrorReport(new Error('Falló'), { path: '/cursos' });
+
+  await expect(sendErrorReport(report)).resolves.toBe('copied');
+  expect(JSON.parse(writeText.mock.calls[0][0]).message).toBe('Falló');
+
+  process.env.REACT_APP_ERROR_REPORT_URL = 'https://errores.example/informes';
+  global.fetch = jest.fn().mockResolvedValue({ ok: true });
+  await expect(sendErrorReport(report)).resolves.toBe('sent');
+  expect(global.fetch).toHaveBeenCalledWith('https://errores.example/informes', expect.objectContaining({ method: 'POST' }));
+
+  global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 500 });
+  await expect(sendErrorReport(report)).rejects.toThrow('HTTP 500');
+});
@@ -0,0 +1,112 @@
+/**
+ * Acceso mínimo a IndexedDB como almacén clave-valor.
+ *
+ * La base `unifront` tiene un almacén por tipo de dato (`queries` para las listas en caché,
+ * `outbox` para las operaciones pendientes y `trash` para la papelera). Si el navegador no tiene IndexedDB
+ * (o está bloqueado), las funciones no hacen nada y devuelven undefined.
+ */
+
+const DB_NAME = 'unifront';
+const DB_VERSION = 2;
+const STORES = ['queries', 'outbox', 'trash'];
+
+let dbPromise = null;
+
+/**
+ * Abre la base de datos una sola vez y crea los almacenes que falten.
+ *
+ * @function openDatabase
+ * @returns {Promise<IDBDatabase|null>} La base abierta, o null si no está disponible.
+ */
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        STORES.forEach((name) => {
+          if (!request.result.objectStoreNames.contains(name)) {
+            request.result.createObjectStore(name);
+          }
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('No se pudo abrir IndexedDB:', request.error);
+        resolve(null);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Ejecuta una operación sobre un almacén dentro de una transacción.
+ *
+ * @async
+ * @function run
+ * @param {string} storeName - Nombre del almacén.
+ * @param {string} mode - 'readonly' o 'readwrite'.
+ * @param {Function} operation - Recibe el almacén y devuelve un IDBRequest.
+ * @returns {Promise<*>} Resultado de la operación.
+ */
+const run = async (storeName, mode, operation) => {
+  const db = await openDatabase();
+  if (!db) return undefined;
+
+  return new Promise((resolve, reject) => {
+    const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Lee un valor.
+ *
+ * @function idbGet
+ * @param {string} storeName - Nombre del almacén.
+ * @param {string} key - Clave.
+ * @returns {Promise<*>}
+ */
+export const idbGet = (storeName, key) => run(storeName, 'readonly', (store) => store.get(key));
+
+/**
+ * Lee todos los valores de un almacén.
+ *
+ * @function idbGetAll
+ * @param {string} storeName - Nombre del almacén.
+ * @returns {Promise<Array>}
+ */
+export const idbGetAll = (storeName) => run(storeName, 'readonly', (store) => store.getAll());
+
+/**
+ * Guarda un valor.
+ *
+ * @function idbSet
+ * @param {string} storeName - Nombre del almacén.
+ * @param {string} key - Clave.
+ * @param {*} value - Valor (debe poder clonarse estructuralmente).
+ * @returns {Promise<void>}
+ */
+export const idbSet = (storeName, key, value) => run(storeName, 'readwrite', (store) => store.put(value, key));
+
+/**
+ * Elimina un valor.
+ *
+ * @function idbDelete
+ * @param {string} storeName - Nombre del almacén.
+ * @param {string} key - Clave.
+ * @returns {Promise<void>}
+ */
+export const idbDelete = (storeName, key) => run(storeName, 'readwrite', (store) => store.delete(key));
+
+/**
+ * Elimina todos los valores de un almacén.
+ *
+ * @function idbClear
+ * @param {string} storeName - Nombre del almacén.
+ * @returns {Promise<void>}
+ */
+export const idbClear = (storeName) => run(storeName, 'readwrite', (store) => store.clear());
@@ -0,0 +1,100 @@
+/**
+ * Servicio de notificaciones de la aplicación.
+ *
+ * Cualquier módulo informa el resultado de una operación con `notify` (o sus atajos
+ * `notify.success`, `notify.info`, `notify.warning` y `notify.error`) y el componente
+ * `Notifications` las muestra de a una, en el orden en que llegaron. Cada notificación
+ * se oculta sola después de su duración, salvo que se indique `duration: null`. `onClose`
+ * avisa cuándo deja la cola, por ejemplo para saber que ya no se puede usar su acción.
+ */
+
+import { createStore } from './store';
+
+/**
+ * Duración por defecto de cada severidad, en milisegundos.
+ *
+ * @type {Object<string, number>}
+ */
+export const DEFAULT_DURATIONS = {
+  success: 4000,
+  info: 5000,
+  warning: 7000,
+  error: 10000,
+};
+
+/**
+ * @typedef {Object} Notification
+ * @property {number} id - Identificador, para cerrarla con `dismiss`.
+ * @property {string} message - Texto de la notificación.
+ * @property {'success'|'info'|'warning'|'error'} severity - Severidad.
+ * @property {string|null} title - Título opcional.
+ * @property {{label: string, onClick: Function}|null} action - Botón opcional; al usarlo se cierra.
+ * @property {number|null} duration - Milisegundos hasta ocultarse, o null para que quede visible.
+ * @property {string|null} key - Identifica la notificación para no repetirla, en lugar de su texto.
+ * @property {Function|null} onClose - Se llama cuando sale de la cola, se haya mostrado o no.
+ */
+
+/**
+ * - queue: Notificaciones pendientes; la primera es la que se muestra.
+ *
+ * @type {Object}
+ */
+export const notifications = createStore({ queue: [] });
+
+let nextId = 1;
+
+/**
+ * Agrega una notificación a la cola. Si ya hay una igual esperando (con el mismo `key` o, si
+ * no tiene, con el mismo texto y severidad), no se repite.
+ *
+ * @function notify
+ * @param {Object} options - Notificación.
+ * @param {string} options.message - Texto.
+ * @param {string} [options.severity='info'] - 'success', 'info', 'warning' o 'error'.
+ * @param {string} [options.title] - Título.
+ * @param {{label: string, onClick: Function}} [options.action] - Botón de acción.
+ * @param {number|null} [options.duration] - Duración en milisegundos; por defecto la de su severidad.
+ * @param {string} [options.key] - Identificador para no repetirla; las que tienen uno distinto no se juntan.
+ * @param {Function} [options.onClose] - Se llama cuando sale de la cola.
+ * @returns {number} ID de la notificación.
+ */
+export const notify = ({
+  message, severity = 'info', title = null, action = null, duration, key = null, onClose = null,
+}) => {
+  const { queue } = notifications.getState();
+  const repeated = queue.find((item) => (
+    key ? item.key === key : !item.key && item.message === message && item.severity === severity
+  ));
+  if (repeated) return repeated.id;
+
+  const notification = {
+    id: nextId++,
+    message,
+    severity,
+    title,
+    action,
+    duration: duration === undefined ? DEFAULT_DURATIONS[severity] : duration,
+    key,
+    onClose,
+  };
+  notifications.setState({ queue: [...queue, notification] });
+  return notification.id;
+};
+
+// Atajos por severidad: notify.success('Curso guardado'), notify.error(mensaje, { action })
+Object.keys(DEFAULT_DURATIONS).forEach((severity) => {
+  notify[severity] = (message, options = {}) => notify({ ...options, message, severity });
+});
+
+/**
+ * Quita una notificación, se esté mostrando o no.
+ *
+ * @function dismiss
+ * @param {number} id - ID de la notificación.
+ * @returns {void}
+ */
+export const dismiss = (id) => {
+  const removed = notifications.getState().queue.find((item) => item.id === id);
+  notifications.setState(({ queue }) => ({ queue: queue.filter((item) => item.id !== id) }));
+  removed?.onClose?.();
+};
@@ -0,0 +1,35 @@
+import { DEFAULT_DURATIONS, dismiss, notifications, notify } from './notifications';
+
+afterEach(() => notifications.setState({ queue: [] }));
+
+test('encola las notificaciones en orden con la duración de su severidad', () => {
+  notify.success('Curso guardado con éxito');
+  notify.error('No se pudo eliminar el curso', { duration: null });
+  notify({ message: 'Sin conexión', severity: 'warning', action: { label: 'Reintentar', onClick: () => {} } });
+
+  const { queue } = notifications.getState();
+  expect(queue.map((item) => item.severity)).toEqual(['success', 'error', 'warning']);
+  expect(queue[0].duration).toBe(DEFAULT_DURATIONS.success);
+  expect(queue[1].duration).toBeNull();
+  expect(queue[2].action.label).toBe('Reintentar');
+});
+
+test('no repite una notificación igual que ya está esperando y se puede quitar', () => {
+  const id = notify.error('Error al cargar profesores');
+  expect(notify.error('Error al cargar profesores')).toBe(id);
+  expect(notifications.getState().queue).toHaveLength(1);
+
+  dismiss(id);
+  expect(notifications.getState().queue).toHaveLength(0);
+});
+
+test('las notificaciones con key no se juntan con otras del mismo texto y avisan al salir de la cola', () => {
+  const onClose = jest.fn();
+  const first = notify.success('Curso eliminado', { key: 'undo:cursos:1', onClose });
+  const second = notify.success('Curso eliminado', { key: 'undo:cursos:2' });
+  expect(second).not.toBe(first);
+
+  dismiss(first);
+  expect(onClose).toHaveBeenCalledTimes(1);
+  expect(notifications.getState().queue.map((item) => item.id)).toEqual([second]);
+});
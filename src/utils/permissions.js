@@ -0,0 +1,130 @@
+/**
+ * Mapa central de permisos por rol.
+ *
+ * Cada recurso (`estudiantes`, `profesores`, `cursos`, `inscripciones`) define, para cada
+ * acción (`view`, `create`, `update`, `delete`), qué reglas la permiten. Una regla es:
+ * - Un rol, que habilita la acción sin restricciones.
+ * - Un objeto `{ role, when, fields, scope }`, donde `when(user, record)` limita los registros
+ *   (se llama con `record` undefined para preguntar si el rol puede hacerlo con alguno),
+ *   `fields` limita los campos que se pueden modificar y `scope(user)` devuelve los filtros
+ *   que se agregan al pedir la lista para traer solo los registros permitidos.
+ *
+ * El rol viene en `user.rol`; los usuarios de rol profesor o estudiante traen además
+ * `profesorId` o `estudianteId` para reconocer sus propios registros.
+ */
+
+/**
+ * Roles de la aplicación.
+ *
+ * @type {{ADMIN: string, BEDEL: string, PROFESOR: string, ESTUDIANTE: string}}
+ */
+export const ROLES = {
+  ADMIN: 'administrador',
+  BEDEL: 'bedel',
+  PROFESOR: 'profesor',
+  ESTUDIANTE: 'estudiante',
+};
+
+const { ADMIN, BEDEL, PROFESOR, ESTUDIANTE } = ROLES;
+
+// Inscripciones propias: del curso que dicta el profesor o del estudiante que las consulta
+const ownCurso = (user, inscripcion) => !inscripcion || inscripcion.curso?.profesor?.id === user.profesorId;
+const ownInscripcion = (user, inscripcion) => !inscripcion || inscripcion.estudiante?.id === user.estudianteId;
+
+/**
+ * Reglas por recurso y acción.
+ *
+ * @type {Object<string, Object<string, Array<string|Object>>>}
+ */
+export const PERMISSIONS = {
+  estudiantes: {
+    view: [ADMIN, BEDEL, PROFESOR],
+    create: [ADMIN, BEDEL],
+    update: [ADMIN, BEDEL],
+    delete: [ADMIN, BEDEL],
+  },
+  profesores: {
+    view: [ADMIN, BEDEL, PROFESOR],
+    create: [ADMIN],
+    update: [ADMIN],
+    delete: [ADMIN],
+  },
+  cursos: {
+    view: [ADMIN, BEDEL, PROFESOR, ESTUDIANTE],
+    create: [ADMIN, BEDEL],
+    update: [ADMIN, BEDEL],
+    delete: [ADMIN],
+  },
+  inscripciones: {
+    view: [
+      ADMIN,
+      BEDEL,
+      PROFESOR,
+      { role: ESTUDIANTE, when: ownInscripcion, scope: (user) => ({ estudianteId: user.estudianteId }) },
+    ],
+    create: [ADMIN, BEDEL],
+    update: [ADMIN, BEDEL, { role: PROFESOR, when: ownCurso, fields: ['nota'] }],
+    delete: [ADMIN, BEDEL],
+  },
+};
+
+/**
+ * Devuelve la regla que habilita la acción para el usuario y el registro, o null.
+ *
+ * @function findRule
+ * @param {Object|null} user - Usuario de la sesión.
+ * @param {string} action - Acción: 'view', 'create', 'update' o 'delete'.
+ * @param {string} resource - Recurso, por ejemplo 'cursos'.
+ * @param {Object} [record] - Registro concreto sobre el que se actúa.
+ * @returns {Object|null}
+ */
+const findRule = (user, action, resource, record) => {
+  if (!user) return null;
+  const rules = PERMISSIONS[resource]?.[action] || [];
+  return rules
+    .map((rule) => (typeof rule === 'string' ? { role: rule } : rule))
+    .find((rule) => rule.role === user.rol && (!rule.when || rule.when(user, record))) || null;
+};
+
+/**
+ * Indica si el usuario puede realizar la acción sobre el recurso (o sobre el registro indicado).
+ *
+ * @function can
+ * @param {Object|null} user - Usuario de la sesión.
+ * @param {string} action - Acción: 'view', 'create', 'update' o 'delete'.
+ * @param {string} resource - Recurso, por ejemplo 'cursos'.
+ * @param {Object} [record] - Registro concreto sobre el que se actúa.
+ * @returns {boolean}
+ */
+export const can = (user, action, resource, record) => Boolean(findRule(user, action, resource, record));
+
+/**
+ * Devuelve los campos que el usuario puede modificar con la acción: null si puede
+ * modificar todos, o la lista de campos permitidos (vacía si no tiene permiso).
+ *
+ * @function allowedFields
+ * @param {Object|null} user - Usuario de la sesión.
+ * @param {string} action - Acción: 'create' o 'update'.
+ * @param {string} resource - Recurso, por ejemplo 'inscripciones'.
+ * @param {Object} [record] - Registro concreto sobre el que se actúa.
+ * @returns {string[]|null}
+ */
+export const allowedFields = (user, action, resource, record) => {
+  const rule = findRule(user, action, resource, record);
+  if (!rule) return [];
+  return rule.fields || null;
+};
+
+/**
+ * Devuelve los filtros que limitan la lista del recurso a los registros que el usuario
+ * puede ver, por ejemplo `{ estudianteId: 1 }` para un estudiante en inscripciones.
+ *
+ * @function viewScope
+ * @param {Object|null} user - Usuario de la sesión.
+ * @param {string} resource - Recurso, por ejemplo 'inscripciones'.
+ * @returns {Object} Filtros a agregar; vacío si puede ver todos.
+ */
+export const viewScope = (user, resource) => {
+  const rule = findRule(user, 'view', resource);
+  return rule && rule.scope ? rule.scope(user) : {};
+};
@@ -0,0 +1,36 @@
+import { can, allowedFields, ROLES } from './permissions';
+
+const admin = { id: 1, rol: ROLES.ADMIN };
+const bedel = { id: 2, rol: ROLES.BEDEL };
+const profesor = { id: 3, rol: ROLES.PROFESOR, profesorId: 1 };
+const estudiante = { id: 4, rol: ROLES.ESTUDIANTE, estudianteId: 1 };
+
+const inscripcion = (profesorId, estudianteId) => ({
+  id: 1,
+  curso: { id: 1, profesor: { id: profesorId } },
+  estudiante: { id: estudianteId },
+  nota: 7,
+});
+
+test('solo los administradores eliminan profesores y cursos', () => {
+  expect(can(admin, 'delete', 'profesores')).toBe(true);
+  expect(can(admin, 'delete', 'cursos')).toBe(true);
+  expect(can(bedel, 'delete', 'profesores')).toBe(false);
+  expect(can(bedel, 'delete', 'cursos')).toBe(false);
+  expect(can(bedel, 'update', 'cursos')).toBe(true);
+});
+
+test('los profesores editan solo la nota de las inscripciones de sus cursos', () => {
+  expect(can(profesor, 'update', 'inscripciones', inscripcion(1, 2))).toBe(true);
+  expect(can(profesor, 'update', 'inscripciones', inscripcion(2, 2))).toBe(false);
+  expect(allowedFields(profesor, 'update', 'inscripciones', inscripcion(1, 2))).toEqual(['nota']);
+  expect(allowedFields(bedel, 'update', 'inscripciones', inscripcion(1, 2))).toBeNull();
+  expect(can(profesor, 'create', 'inscripciones')).toBe(false);
+});
+
+test('los estudiantes solo ven sus propias inscripciones y no gestionan estudiantes', () => {
+  expect(can(estudiante, 'view', 'inscripciones', inscripcion(1, 1))).toBe(true);
+  expect(can(estudiante, 'view', 'inscripciones', inscripcion(1, 2))).toBe(false);
+  expect(can(estudiante, 'view', 'estudiantes')).toBe(false);
+  expect(can(null, 'view', 'cursos')).toBe(false);
+});
@@ -0,0 +1,48 @@
+/**
+ * Contenedor de estado mínimo para compartir datos fuera del árbol de React.
+ *
+ * Se usa para estados globales que modifican módulos que no son componentes
+ * (por ejemplo, los interceptores de Axios) y que los componentes leen con `useStore`.
+ */
+
+import { useSyncExternalStore } from 'react';
+
+/**
+ * Crea un contenedor de estado con suscripción.
+ *
+ * @function createStore
+ * @param {Object} initialState - Estado inicial.
+ * @returns {{getState: Function, setState: Function, subscribe: Function}}
+ */
+export const createStore = (initialState) => {
+  let state = initialState;
+  const listeners = new Set();
+
+  return {
+    getState: () => state,
+    /**
+     * Combina el estado actual con un objeto parcial o con el resultado de una función.
+     *
+     * @param {Object|Function} partial - Cambios a aplicar, o función que los calcula.
+     * @returns {void}
+     */
+    setState: (partial) => {
+      const changes = typeof partial === 'function' ? partial(state) : partial;
+      state = { ...state, ...changes };
+      listeners.forEach((listener) => listener(state));
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
+
+/**
+ * Hook que devuelve el estado de un contenedor y vuelve a renderizar cuando cambia.
+ *
+ * @function useStore
+ * @param {Object} store - Contenedor creado con `createStore`.
+ * @returns {Object} Estado actual.
+ */
+export const useStore = (store) => useSyncExternalStore(store.subscribe, store.getState);
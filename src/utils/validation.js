@@ -0,0 +1,148 @@
+/**
+ * Reglas de validación compartidas.
+ *
+ * Cada regla recibe el valor del campo (y los demás valores del formulario) y devuelve el
+ * mensaje de error, o null si el valor es válido. Las reglas no se aplican a los campos
+ * vacíos: si un campo es obligatorio lo indica el propio campo (ver `validateValues`).
+ *
+ * Las usan los esquemas de las entidades (ver `entities/index.js`) para marcar los campos
+ * mientras se escribe y el backend simulado para responder los errores 400. Los mensajes
+ * salen de los catálogos de `i18n` (`validation.*`), en el idioma activo.
+ */
+
+import { t } from '../i18n';
+import { formatDate } from '../i18n/format';
+
+/**
+ * Mensaje de los campos obligatorios vacíos.
+ *
+ * @function requiredMessage
+ * @returns {string}
+ */
+export const requiredMessage = () => t('validation.required');
+
+// Letras de cualquier alfabeto (con tildes, diéresis, ñ, ç...), con espacios, apóstrofos,
+// puntos y guiones entre palabras: "María José", "Núñez", "O'Connor", "Pérez-Müller"
+const NAME_REGEX = /^[\p{L}\p{M}]+(?:[\s'’.-]+[\p{L}\p{M}]+)*\.?$/u;
+const DNI_REGEX = /^\d{7,8}$/;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Prefijo internacional opcional y dígitos, que pueden separarse con espacios, guiones o paréntesis
+const PHONE_REGEX = /^\+?[\d\s()-]+$/;
+
+/**
+ * Indica si un valor está vacío.
+ *
+ * @function isEmpty
+ * @param {*} value - Valor del campo.
+ * @returns {boolean}
+ */
+export const isEmpty = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * DNI de 7 u 8 dígitos, sin puntos.
+ *
+ * @function dni
+ * @param {string} value - DNI.
+ * @returns {string|null}
+ */
+export const dni = (value) => (DNI_REGEX.test(String(value)) ? null : t('validation.dni'));
+
+/**
+ * Dirección de email.
+ *
+ * @function email
+ * @param {string} value - Email.
+ * @returns {string|null}
+ */
+export const email = (value) => (EMAIL_REGEX.test(String(value).trim()) ? null : t('validation.email'));
+
+/**
+ * Teléfono de 6 a 15 dígitos, con prefijo internacional y separadores opcionales.
+ *
+ * @function phone
+ * @param {string} value - Teléfono.
+ * @returns {string|null}
+ */
+export const phone = (value) => {
+  const text = String(value).trim();
+  const count = text.replace(/\D/g, '').length;
+  return PHONE_REGEX.test(text) && count >= 6 && count <= 15 ? null : t('validation.phone');
+};
+
+/**
+ * Nombre o apellido: letras, incluidas las acentuadas, y separadores entre palabras.
+ *
+ * @function personName
+ * @param {string} value - Nombre.
+ * @returns {string|null}
+ */
+export const personName = (value) => (
+  NAME_REGEX.test(String(value).trim()) ? null : t('validation.personName')
+);
+
+/**
+ * Nota entre 0 y 10, con decimales.
+ *
+ * @function grade
+ * @param {number|string} value - Nota.
+ * @returns {string|null}
+ */
+export const grade = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 && number <= 10 ? null : t('validation.grade');
+};
+
+/**
+ * Longitud máxima del texto.
+ *
+ * @function maxLength
+ * @param {number} max - Cantidad máxima de caracteres.
+ * @returns {function(string): (string|null)}
+ */
+export const maxLength = (max) => (value) => (
+  String(value).length <= max ? null : t('validation.maxLength', { max })
+);
+
+/**
+ * Fecha (AAAA-MM-DD) dentro de un rango, incluidos los extremos.
+ *
+ * @function dateBetween
+ * @param {string} min - Primera fecha permitida, AAAA-MM-DD.
+ * @param {string} max - Última fecha permitida, AAAA-MM-DD.
+ * @returns {function(string): (string|null)}
+ */
+export const dateBetween = (min, max) => (value) => {
+  const date = String(value).substring(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) return t('validation.date');
+  return date >= min && date <= max
+    ? null
+    : t('validation.dateBetween', { min: formatDate(min), max: formatDate(max) });
+};
+
+/**
+ * Valida un valor: si está vacío solo se revisa que no sea obligatorio; si no, devuelve
+ * el error de la primera regla que no cumple.
+ *
+ * @function validateValue
+ * @param {{required: boolean=, rules: Function[]=}} field - Campo; es obligatorio salvo `required: false`.
+ * @param {*} value - Valor del campo.
+ * @param {Object} [values={}] - Todos los valores, para las reglas que comparan campos.
+ * @returns {string|null}
+ */
+export const validateValue = ({ required = true, rules = [] }, value, values = {}) => {
+  if (isEmpty(value)) return required ? requiredMessage() : null;
+  return rules.reduce((error, rule) => error || rule(value, values), null);
+};
+
+/**
+ * Valida todos los campos de un formulario.
+ *
+ * @function validateValues
+ * @param {Array<{name: string, required: boolean=, rules: Function[]=}>} fields - Campos.
+ * @param {Object} values - Valores por nombre de campo.
+ * @returns {Object<string, string>} Errores por campo; vacío si todo es válido.
+ */
+export const validateValues = (fields, values) => fields.reduce((errors, field) => {
+  const error = validateValue(field, values[field.name], values);
+  return error ? { ...errors, [field.name]: error } : errors;
+}, {});
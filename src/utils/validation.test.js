@@ -0,0 +1,37 @@
+import {
+  dateBetween, dni, email, grade, personName, phone, requiredMessage, validateValues,
+} from './validation';
+
+test('los nombres aceptan letras acentuadas, ñ, diéresis, apóstrofos y guiones', () => {
+  ['Ñandú', 'María José', 'Núñez', 'Güemes', "O'Connor", 'Pérez-Müller', 'François'].forEach((name) => {
+    expect(personName(name)).toBeNull();
+  });
+  expect(personName('Juan3')).not.toBeNull();
+  expect(personName('Ana  -')).not.toBeNull();
+});
+
+test('valida DNI, email, teléfono, nota y fecha sin modificar el valor', () => {
+  expect(dni('12345678')).toBeNull();
+  expect(dni('12.345.678')).toBe('El DNI debe tener 7 u 8 dígitos');
+  expect(email('sofia.benitez@ugd.edu.ar')).toBeNull();
+  expect(email('sofia@')).toBe('El email no es válido');
+  expect(phone('+54 376 412-3456')).toBeNull();
+  expect(phone('12-34')).toBe('El teléfono no es válido');
+  expect(grade('7.5')).toBeNull();
+  expect(grade('11')).toBe('La nota debe estar entre 0 y 10');
+  expect(dateBetween('2012-01-01', '2032-12-31')('2024-03-01')).toBeNull();
+  expect(dateBetween('2012-01-01', '2032-12-31')('2011-12-31')).toBe('La fecha debe estar entre el 01/01/2012 y el 31/12/2032');
+});
+
+test('los campos vacíos solo fallan si son obligatorios', () => {
+  const fields = [
+    { name: 'dni', rules: [dni] },
+    { name: 'telefono', required: false, rules: [phone] },
+    { name: 'email', rules: [email] },
+  ];
+  expect(validateValues(fields, { dni: '', telefono: '', email: 'x' })).toEqual({
+    dni: requiredMessage(),
+    email: 'El email no es válido',
+  });
+  expect(validateValues(fields, { dni: '1234567', telefono: '', email: 'a@b.co' })).toEqual({});
+});